@@ -0,0 +1,271 @@
+// 浏览器池：多个浏览器实例分担任务页面，并定期回收
+// - 每个任务的 context 放在当前任务数最少的实例上（acquire），页面关闭后释放（release）
+// - 实例达到回收阈值（打开过的页面数 / 运行时间 / 内存 RSS）后退役：新任务使用新启动的实例，
+//   退役实例上的任务全部释放后才关闭（正在挖矿的页面不会被关闭，空闲任务由调度器迁移，见 TaskScheduler.checkBrowserRecycling）
+// - 实例断开（崩溃）后，下一次 acquire 时在同一个槽位重新启动
+// ⚠️ RSS 通过 CDP 的 SystemInfo.getProcessInfo 取得浏览器的所有进程，再读取 /proc/<pid>/status 求和（只支持 Linux）
+import { readFileSync } from 'fs';
+
+const RSS_CHECK_INTERVAL = 60000; // 每个实例最多每分钟采样一次 RSS
+
+// 读取进程的常驻内存（KB），进程不存在或不是 Linux 时返回 null
+function readProcessRssKb(pid) {
+  try {
+    const match = /^VmRSS:\s+(\d+)\s+kB/m.exec(readFileSync(`/proc/${pid}/status`, 'utf8'));
+    return match ? Number(match[1]) : null;
+  } catch {
+    return null;
+  }
+}
+
+export class BrowserPool {
+  // options.launch：启动一个浏览器实例（返回 Playwright Browser）
+  // options.onRestart({ slot, reason, downtimeMs })：槽位上的实例被替换后调用（reason 为 'disconnected' 或 'recycled'）
+  constructor(options) {
+    this.size = options.size;
+    this.launch = options.launch;
+    this.onRestart = options.onRestart || null;
+    this.recyclePages = options.recyclePages || 0; // 0 表示不按页面数回收
+    this.recycleUptime = options.recycleUptime || 0; // 0 表示不按运行时间回收
+    this.recycleRssMb = options.recycleRssMb || 0; // 0 表示不按内存回收
+
+    this.slots = Array.from({ length: this.size }, () => ({
+      instance: null,
+      launching: null, // 正在启动的 Promise（防止并发启动）
+      launchCount: 0,
+      lastEndedAt: null, // 上一个实例断开/退役的时间
+      lastEndReason: null,
+    }));
+    this.retiring = []; // 已退役、等待任务释放后关闭的实例
+    this.taskInstances = new Map(); // taskId -> instance
+    this.nextInstanceId = 1;
+    this.rssUnsupportedLogged = false;
+  }
+
+  // 启动所有槽位（调度器启动时调用，启动失败时抛出）
+  async launchAll() {
+    await Promise.all(this.slots.map((slot, index) => this.ensureSlot(index)));
+  }
+
+  // 确保槽位上有已连接的实例
+  async ensureSlot(index) {
+    const slot = this.slots[index];
+    if (slot.instance && slot.instance.browser.isConnected()) {
+      return slot.instance;
+    }
+    if (!slot.launching) {
+      slot.launching = this.launchSlot(index).finally(() => {
+        slot.launching = null;
+      });
+    }
+    return slot.launching;
+  }
+
+  async launchSlot(index) {
+    const slot = this.slots[index];
+    console.log(`[BROWSER-POOL] 🚀 Launching browser for slot ${index}...`);
+    const browser = await this.launch();
+    const instance = {
+      id: this.nextInstanceId++,
+      slot: index,
+      browser,
+      launchedAt: Date.now(),
+      pagesOpened: 0,
+      tasks: new Set(),
+      rssMb: null,
+      rssCheckedAt: 0,
+      retireReason: null,
+    };
+
+    browser.on('disconnected', () => this.onDisconnected(instance));
+
+    slot.instance = instance;
+    slot.launchCount++;
+    console.log(`[BROWSER-POOL] ✅ Browser #${instance.id} ready in slot ${index}`);
+    if (slot.launchCount > 1 && this.onRestart) {
+      this.onRestart({
+        slot: index,
+        reason: slot.lastEndReason,
+        downtimeMs: slot.lastEndedAt ? Date.now() - slot.lastEndedAt : null,
+      });
+    }
+    slot.lastEndedAt = null;
+    return instance;
+  }
+
+  onDisconnected(instance) {
+    const retiringIndex = this.retiring.indexOf(instance);
+    if (retiringIndex !== -1) {
+      this.retiring.splice(retiringIndex, 1);
+      return; // 退役实例关闭（或崩溃），不需要替换
+    }
+    const slot = this.slots[instance.slot];
+    if (slot.instance === instance) {
+      console.warn(`[BROWSER-POOL] ⚠️ Browser #${instance.id} (slot ${instance.slot}) disconnected with ${instance.tasks.size} task(s), will relaunch on next use`);
+      slot.instance = null;
+      slot.lastEndedAt = Date.now();
+      slot.lastEndReason = 'disconnected';
+    }
+  }
+
+  // 为任务分配浏览器（任务数最少的槽位，槽位编号小的优先），返回 Playwright Browser
+  async acquire(taskId) {
+    this.release(taskId); // 重新初始化的任务先释放之前的分配
+
+    const loads = this.slots.map((slot, index) => ({ index, load: slot.instance ? slot.instance.tasks.size : 0 }));
+    loads.sort((a, b) => a.load - b.load || a.index - b.index);
+    let instance = await this.ensureSlot(loads[0].index);
+    if (instance.retireReason !== null || !instance.browser.isConnected()) {
+      // ⚠️ 等待期间实例被回收或断开：换成槽位上的新实例
+      instance = await this.ensureSlot(loads[0].index);
+    }
+
+    instance.tasks.add(taskId);
+    instance.pagesOpened++;
+    this.taskInstances.set(taskId, instance);
+    return instance.browser;
+  }
+
+  // 任务页面关闭后释放；退役实例上的任务全部释放后关闭该实例
+  release(taskId) {
+    const instance = this.taskInstances.get(taskId);
+    if (!instance) {
+      return;
+    }
+    this.taskInstances.delete(taskId);
+    instance.tasks.delete(taskId);
+
+    if (instance.tasks.size === 0 && this.retiring.includes(instance)) {
+      this.closeInstance(instance);
+    }
+  }
+
+  // 任务是否在退役中的实例上（需要迁移）
+  isRetiring(taskId) {
+    const instance = this.taskInstances.get(taskId);
+    return !!instance && instance.retireReason !== null;
+  }
+
+  async closeInstance(instance) {
+    const index = this.retiring.indexOf(instance);
+    if (index !== -1) {
+      this.retiring.splice(index, 1);
+    }
+    try {
+      await instance.browser.close();
+      console.log(`[BROWSER-POOL] ♻️ Browser #${instance.id} closed (${instance.retireReason || 'shutdown'})`);
+    } catch (error) {
+      console.warn(`[BROWSER-POOL] ⚠️ Error closing browser #${instance.id}: ${error.message}`);
+    }
+  }
+
+  // 浏览器所有进程的 RSS（MB），不支持时返回 null
+  async measureRssMb(instance) {
+    let session = null;
+    try {
+      session = await instance.browser.newBrowserCDPSession();
+      const { processInfo } = await session.send('SystemInfo.getProcessInfo');
+      let totalKb = 0;
+      for (const info of processInfo) {
+        const rssKb = readProcessRssKb(info.id);
+        if (rssKb === null) {
+          return null;
+        }
+        totalKb += rssKb;
+      }
+      return Math.round(totalKb / 1024);
+    } catch {
+      return null;
+    } finally {
+      if (session) {
+        await session.detach().catch(() => {});
+      }
+    }
+  }
+
+  // 回收原因，不需要回收时返回 null
+  getRecycleReason(instance) {
+    if (this.recyclePages > 0 && instance.pagesOpened >= this.recyclePages) {
+      return `opened ${instance.pagesOpened} pages`;
+    }
+    if (this.recycleUptime > 0 && Date.now() - instance.launchedAt >= this.recycleUptime) {
+      return `up for ${Math.round((Date.now() - instance.launchedAt) / 60000)} min`;
+    }
+    if (this.recycleRssMb > 0 && instance.rssMb !== null && instance.rssMb >= this.recycleRssMb) {
+      return `RSS ${instance.rssMb} MB`;
+    }
+    return null;
+  }
+
+  // 检查回收阈值（每次调度循环调用）：达到阈值的实例退役，槽位在下一次 acquire 时启动新实例
+  // 返回本次退役的实例数
+  async checkRecycling() {
+    let retired = 0;
+    for (const slot of this.slots) {
+      const instance = slot.instance;
+      if (!instance || !instance.browser.isConnected()) {
+        continue;
+      }
+
+      if (this.recycleRssMb > 0 && Date.now() - instance.rssCheckedAt >= RSS_CHECK_INTERVAL) {
+        instance.rssCheckedAt = Date.now();
+        instance.rssMb = await this.measureRssMb(instance);
+        if (instance.rssMb === null && !this.rssUnsupportedLogged) {
+          this.rssUnsupportedLogged = true;
+          console.warn('[BROWSER-POOL] ⚠️ Browser RSS is not available on this platform, BROWSER_RECYCLE_RSS_MB is ignored');
+        }
+      }
+
+      const reason = this.getRecycleReason(instance);
+      if (!reason) {
+        continue;
+      }
+
+      instance.retireReason = reason;
+      slot.instance = null;
+      slot.lastEndedAt = Date.now();
+      slot.lastEndReason = 'recycled';
+      retired++;
+      if (instance.tasks.size === 0) {
+        console.log(`[BROWSER-POOL] ♻️ Recycling browser #${instance.id} (slot ${instance.slot}): ${reason}`);
+        await this.closeInstance(instance);
+      } else {
+        this.retiring.push(instance);
+        console.log(`[BROWSER-POOL] ♻️ Retiring browser #${instance.id} (slot ${instance.slot}): ${reason}, waiting for ${instance.tasks.size} task(s) to move off`);
+      }
+    }
+    return retired;
+  }
+
+  // 关闭所有实例（调度器停止时调用）
+  async closeAll() {
+    const instances = [
+      ...this.slots.map(slot => slot.instance).filter(Boolean),
+      ...this.retiring,
+    ];
+    for (const slot of this.slots) {
+      slot.instance = null;
+    }
+    this.retiring = [];
+    this.taskInstances.clear();
+    await Promise.all(instances.map(instance => this.closeInstance(instance)));
+  }
+
+  // 状态报告用的实例列表
+  getStatus() {
+    const describe = instance => ({
+      id: instance.id,
+      slot: instance.slot,
+      connected: instance.browser.isConnected(),
+      tasks: instance.tasks.size,
+      pagesOpened: instance.pagesOpened,
+      uptimeMs: Date.now() - instance.launchedAt,
+      rssMb: instance.rssMb,
+      retiring: instance.retireReason,
+    });
+    return [
+      ...this.slots.map(slot => slot.instance).filter(Boolean).map(describe),
+      ...this.retiring.map(describe),
+    ];
+  }
+}
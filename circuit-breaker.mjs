@@ -0,0 +1,221 @@
+// 速率限制熔断器：调度器（启动新任务）、GlobalRateLimiter 和 ChallengeSubmissionRateLimiter（runbatch.mjs）共用一个实例
+// - CLOSED：正常放行，连续 failureThreshold 次 429 后打开
+// - OPEN：全部拒绝，openUntil 之后进入 HALF_OPEN；每次打开的时间翻倍（openDuration * 2^(trips-1)），不超过 maxOpenDuration
+// - HALF_OPEN：只放行一个探测（tryAcquire(owner)，owner 为任务 ID），探测成功关闭熔断器（打开时间回到 openDuration），遇到 429 再次打开
+//   探测超过 probeTimeout 没有结果（例如任务被移除）时放行下一个探测；探测任务结束但没有结果时调用 releaseProbe(owner)
+// - 限速器（waitForPermit(owner)）在 OPEN 时等待；HALF_OPEN 时只放行探测任务自己的请求，没有探测时由这个请求占用探测名额
+// ⚠️ HALF_OPEN 时只有探测的结果（owner 相同）改变状态，其他请求（打开之前发出的）的结果不影响状态
+// ⚠️ 429 只由调用方判断，熔断器只记录结果（recordSuccess / recordFailure）；每个响应只在一个地方记录（看到响应的限速器或页面后端）
+// ⚠️ 状态变化时发出 'state-change' 事件：{ from, to, consecutiveFailures, trips, openUntil, openDurationMs }
+import { EventEmitter } from 'events';
+import { config } from './config.mjs';
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+export class CircuitBreaker extends EventEmitter {
+  // options.failureThreshold：连续多少次 429 后打开
+  // options.openDuration / maxOpenDuration：第一次打开的时间和最长打开时间（ms）
+  // options.probeTimeout：半开状态下探测任务的最长等待时间（ms）
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold || 3;
+    this.openDuration = options.openDuration ?? 60000;
+    this.maxOpenDuration = Math.max(this.openDuration, options.maxOpenDuration ?? this.openDuration);
+    this.probeTimeout = options.probeTimeout ?? 300000;
+
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0; // 连续 429 次数
+    this.lastFailureAt = null;
+    this.trips = 0; // 连续打开次数（探测成功后清零），决定下一次打开的时间
+    this.openUntil = null;
+    this.probeStartedAt = null; // 半开状态下正在进行的探测开始时间
+    this.probeOwner = null; // 正在进行的探测属于哪个任务
+  }
+
+  // 当前状态（打开时间已过时转为 HALF_OPEN）
+  getState() {
+    if (this.state === CircuitState.OPEN && Date.now() >= this.openUntil) {
+      this.transition(CircuitState.HALF_OPEN);
+    }
+    return this.state;
+  }
+
+  // 第 n 次连续打开的时间（ms）
+  getOpenDuration(trips) {
+    return Math.min(this.maxOpenDuration, this.openDuration * 2 ** Math.min(Math.max(trips - 1, 0), 30));
+  }
+
+  // 是否可以启动新任务：CLOSED 放行；HALF_OPEN 只放行一个探测（探测结果由 recordSuccess(owner) / recordFailure(owner) 记录）
+  tryAcquire(owner = null) {
+    const state = this.getState();
+    if (state === CircuitState.CLOSED) {
+      return true;
+    }
+    if (state === CircuitState.OPEN) {
+      return false;
+    }
+    if (this.isProbeInFlight()) {
+      return owner !== null && this.probeOwner === owner; // 已有探测在进行（探测任务自己再次请求时放行）
+    }
+    this.probeStartedAt = Date.now();
+    this.probeOwner = owner;
+    console.log(`[CIRCUIT-BREAKER] 🔍 Half-open: letting one probe through${owner !== null ? ` (${owner})` : ''}`);
+    return true;
+  }
+
+  // 半开状态下是否有探测在进行（没有超过 probeTimeout）
+  isProbeInFlight() {
+    return this.probeStartedAt !== null && Date.now() - this.probeStartedAt < this.probeTimeout;
+  }
+
+  // 结果是否来自正在进行的探测（没有 owner 的调用方共用一个探测）
+  isProbeOwner(owner) {
+    return this.probeStartedAt !== null && this.probeOwner === owner;
+  }
+
+  // 探测任务结束但没有得到结果（例如非 429 的登录失败）：放行下一个探测，不改变状态
+  releaseProbe(owner = null) {
+    if (this.getState() === CircuitState.HALF_OPEN && this.isProbeOwner(owner)) {
+      console.log(`[CIRCUIT-BREAKER] ℹ️ Probe finished without a result${owner !== null ? ` (${owner})` : ''}, next probe allowed`);
+      this.probeStartedAt = null;
+      this.probeOwner = null;
+    }
+  }
+
+  // 等待熔断器允许发送请求（限速器使用）：OPEN 时等待；HALF_OPEN 时探测任务自己的请求放行，
+  // 没有探测在进行时这个请求占用探测名额（请求的结果就是探测结果），否则等待探测结果
+  async waitForPermit(owner = null, pollInterval = 1000) {
+    let logged = false;
+    for (;;) {
+      const state = this.getState();
+      if (state === CircuitState.CLOSED || (state === CircuitState.HALF_OPEN && this.tryAcquire(owner))) {
+        return;
+      }
+      const remaining = state === CircuitState.OPEN ? this.getNextProbeInMs() : pollInterval;
+      if (!logged) {
+        logged = true;
+        console.log(state === CircuitState.OPEN
+          ? `[CIRCUIT-BREAKER] ⏸️ Request held while circuit is open (next probe in ${Math.ceil(remaining / 1000)}s)`
+          : `[CIRCUIT-BREAKER] ⏸️ Request held while half-open probe is in flight${this.probeOwner !== null ? ` (${this.probeOwner})` : ''}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.max(1, Math.min(pollInterval, remaining))));
+    }
+  }
+
+  // 请求没有遇到 429（owner：发出请求的任务 ID）
+  recordSuccess(owner = null) {
+    const state = this.getState();
+    if (state === CircuitState.HALF_OPEN) {
+      if (!this.isProbeOwner(owner)) {
+        return; // 不是探测的结果
+      }
+      console.log(`[CIRCUIT-BREAKER] ✅ Probe succeeded, closing circuit (was open ${this.trips} time(s) in a row)`);
+      this.consecutiveFailures = 0;
+      this.trips = 0;
+      this.transition(CircuitState.CLOSED);
+    } else if (state === CircuitState.CLOSED) {
+      this.consecutiveFailures = 0;
+    }
+    // OPEN：打开之前发出的请求，不影响状态
+  }
+
+  // 请求遇到 429（owner：发出请求的任务 ID）
+  recordFailure(owner = null) {
+    const state = this.getState();
+    if (state === CircuitState.HALF_OPEN && !this.isProbeOwner(owner)) {
+      return; // 不是探测的结果（打开之前发出的请求），不改变状态
+    }
+    this.consecutiveFailures++;
+    this.lastFailureAt = Date.now();
+    if (state === CircuitState.HALF_OPEN) {
+      this.open();
+    } else if (state === CircuitState.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+    // OPEN：打开之前发出的请求，不延长打开时间
+  }
+
+  open() {
+    this.trips++;
+    const duration = this.getOpenDuration(this.trips);
+    this.openUntil = Date.now() + duration;
+    console.warn(`[CIRCUIT-BREAKER] ⚠️ Circuit open for ${Math.ceil(duration / 1000)}s after ${this.consecutiveFailures} consecutive 429 error(s) (trip ${this.trips})`);
+    this.transition(CircuitState.OPEN);
+  }
+
+  transition(to) {
+    const from = this.state;
+    this.state = to;
+    this.probeStartedAt = null;
+    this.probeOwner = null;
+    if (to !== CircuitState.OPEN) {
+      this.openUntil = null;
+    }
+    this.emit('state-change', {
+      from,
+      to,
+      consecutiveFailures: this.consecutiveFailures,
+      trips: this.trips,
+      openUntil: this.openUntil,
+      openDurationMs: to === CircuitState.OPEN ? this.getOpenDuration(this.trips) : null,
+    });
+  }
+
+  // 立即进入 HALF_OPEN（新周期开始时不必等到打开时间结束，先探测一次）
+  allowProbe() {
+    if (this.getState() === CircuitState.OPEN) {
+      this.transition(CircuitState.HALF_OPEN);
+    }
+  }
+
+  // 距离下一次探测的时间（ms），只在 OPEN 时大于 0
+  getNextProbeInMs() {
+    return this.getState() === CircuitState.OPEN ? Math.max(0, this.openUntil - Date.now()) : 0;
+  }
+
+  // 状态报告 / 状态快照
+  getStatus() {
+    const state = this.getState();
+    return {
+      state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastFailureAt: this.lastFailureAt,
+      trips: this.trips,
+      openUntil: this.openUntil,
+      nextProbeInMs: this.getNextProbeInMs(),
+      probeInFlight: state === CircuitState.HALF_OPEN && this.isProbeInFlight(),
+      probeOwner: state === CircuitState.HALF_OPEN && this.isProbeInFlight() ? this.probeOwner : null,
+    };
+  }
+
+  // 从状态快照恢复（重启后继续退避；打开时间已过的恢复为 HALF_OPEN，先探测）
+  restore(saved) {
+    if (!saved) {
+      return;
+    }
+    this.consecutiveFailures = saved.consecutiveFailures || 0;
+    this.lastFailureAt = saved.lastFailureAt || null;
+    this.trips = saved.trips || 0;
+    if (saved.state === CircuitState.OPEN && saved.openUntil > Date.now()) {
+      this.state = CircuitState.OPEN;
+      this.openUntil = saved.openUntil;
+    } else if (saved.state === CircuitState.OPEN || saved.state === CircuitState.HALF_OPEN) {
+      this.state = CircuitState.HALF_OPEN;
+      this.openUntil = null;
+    }
+    this.probeStartedAt = null;
+    this.probeOwner = null;
+  }
+}
+
+// ⚠️ 进程内共用的熔断器（调度器和 runbatch.mjs 的限速器）
+export const rateLimitBreaker = new CircuitBreaker({
+  failureThreshold: config.RATE_LIMIT_MAX_CONSECUTIVE_429,
+  openDuration: config.RATE_LIMIT_PAUSE_DURATION,
+  maxOpenDuration: config.RATE_LIMIT_PAUSE_MAX,
+  probeTimeout: config.RATE_LIMIT_PROBE_TIMEOUT,
+});
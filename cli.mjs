@@ -0,0 +1,491 @@
+#!/usr/bin/env node
+// 统一命令行入口
+// 用法：node cli.mjs <command> [options]，每个子命令都支持 --help
+// 配置参数（--max-active-mining 等）的解析和优先级见 config.mjs
+import { CONFIG_SCHEMA, keyToFlag, flagToKey, config, configFile, configError, reportConfigError, printConfig } from './config.mjs';
+import { loadTaskList, formatTaskProblem, createTaskFilter, applyTaskFilter } from './task-loader.mjs';
+
+// 退出码（供脚本判断结果）
+export const EXIT_CODES = {
+  OK: 0, // 成功
+  FAILURE: 1, // 执行失败（任务失败、任务文件有问题、采集失败等）
+  USAGE: 2, // 用法错误（未知命令/参数、配置无效）
+  UNREACHABLE: 3, // status / pause / resume / release / drain / undrain：没有可访问的调度器
+};
+
+const STATUS_REQUEST_TIMEOUT = 5000;
+
+const COMMON_OPTIONS = [
+  ['--config <path>', 'Config file (default: mdnight.config.json/.yaml/.yml)'],
+  ['--print-config', 'Print the effective configuration before running'],
+  ['-h, --help', 'Show help for the command'],
+];
+
+const COMMANDS = {
+  run: {
+    summary: 'Run every task once in batch mode (runWithConcurrency)',
+    configKeys: [
+      'TASKS_FILE', 'TASK_ONLY', 'TASK_EXCLUDE', 'CONCURRENCY', 'HEADLESS', 'DISPLAY', 'BASE_URL', 'SIGN_SERVICE_URL',
+      'GLOBAL_RATE_LIMIT_INTERVAL', 'CHALLENGE_SUBMISSION_INTERVAL',
+      'CHALLENGE_SUBMISSION_MIN_INTERVAL', 'CHALLENGE_SUBMISSION_MAX_INTERVAL',
+    ],
+    exitCodes: 'Exits 0 when every task succeeded, 1 when any task failed.',
+    handler: runCommand,
+  },
+  schedule: {
+    summary: 'Start the cyclic task scheduler (TaskScheduler) and keep running',
+    configKeys: [
+      'TASKS_FILE', 'TASK_ONLY', 'TASK_EXCLUDE', 'TASK_SELECTION_POLICY', 'WATCH_TASKS', 'TASKS_RELOAD_DEBOUNCE', 'HEADLESS', 'DISPLAY', 'BASE_URL', 'SIGN_SERVICE_URL',
+      'BROWSER_POOL_SIZE', 'BROWSER_RECYCLE_PAGES', 'BROWSER_RECYCLE_UPTIME', 'BROWSER_RECYCLE_RSS_MB',
+      'MAX_ACTIVE_MINING', 'MAX_OPEN_PAGES', 'PAGE_OPEN_CONCURRENCY', 'STATUS_CHECK_INTERVAL', 'STATUS_LOG_INTERVAL',
+      'PAGE_WATCHDOG_INTERVAL', 'PAGE_MAX_HEAP_MB', 'PAGE_MAX_CPU_PERCENT', 'PAGE_CPU_SAMPLES', 'PAGE_WATCHDOG_ACTION',
+      'STAGE_TIMEOUT_INITIALIZING', 'STAGE_TIMEOUT_MINING', 'STAGE_TIMEOUT_COMPLETED', 'STAGE_TIMEOUT_WAITING_CLOSE',
+      'TASK_BACKOFF_BASE', 'TASK_BACKOFF_MAX', 'TASK_QUARANTINE_AFTER', 'TASK_HISTORY_SIZE',
+      'COMPLETION_WAIT_TIME', 'SOLUTION_GRACE_PERIOD', 'RESET_AT_HOUR', 'CYCLE_LENGTH_MINUTES', 'CYCLE_OFFSET_MINUTES', 'CYCLE_TIMEZONE',
+      'STATS_COLLECTION_MINUTE', 'RATE_LIMIT_MAX_CONSECUTIVE_429', 'RATE_LIMIT_PAUSE_DURATION', 'RATE_LIMIT_PAUSE_MAX', 'RATE_LIMIT_PROBE_TIMEOUT',
+      'PERSIST_STATE', 'SCHEDULER_STATE_FILE', 'STATE_SAVE_INTERVAL', 'STATUS_HOST', 'STATUS_PORT',
+      'LEASE_COORDINATOR_URL', 'WORKER_ID', 'LEASE_TTL', 'LEASE_RENEW_INTERVAL',
+      'ENABLE_STATS_COLLECTOR', 'DEBUG_SCHEDULER',
+    ],
+    exitCodes: 'Runs until SIGINT/SIGTERM (exit 0); exits 1 on a fatal error.',
+    handler: scheduleCommand,
+  },
+  coordinator: {
+    summary: 'Run the lease coordinator that splits tasks between schedulers on several machines',
+    configKeys: ['LEASE_COORDINATOR_HOST', 'LEASE_COORDINATOR_PORT'],
+    exitCodes: 'Runs until SIGINT/SIGTERM (exit 0); exits 1 when the port cannot be opened.',
+    handler: coordinatorCommand,
+  },
+  collect: {
+    summary: 'Collect statistics once for the task addresses and exit',
+    options: [
+      ['--address <addr>', 'Collect only this address (repeatable; default: all selected task addresses)'],
+    ],
+    configKeys: [
+      'TASKS_FILE', 'TASK_ONLY', 'TASK_EXCLUDE', 'STATS_SERVICE_URL', 'STATS_REQUEST_DELAY', 'STATS_FETCH_TIMEOUT', 'STATS_MAX_CONSECUTIVE_ERRORS',
+    ],
+    exitCodes: 'Exits 0 when every address was collected (or skipped), 1 on any failure.',
+    handler: collectCommand,
+  },
+  status: {
+    summary: 'Show the status of a running scheduler',
+    options: [
+      ['--json', 'Print the raw status JSON'],
+    ],
+    configKeys: ['STATUS_HOST', 'STATUS_PORT'],
+    exitCodes: 'Exits 0 on success, 3 when no scheduler is reachable, 2 when the endpoint is disabled.',
+    handler: statusCommand,
+  },
+  pause: {
+    summary: 'Pause tasks in a running scheduler (stop their session and keep them out of rotation)',
+    options: [
+      ['--task <id>', 'Task to pause (repeatable)'],
+    ],
+    configKeys: ['STATUS_HOST', 'STATUS_PORT'],
+    exitCodes: 'Exits 0 on success, 1 when a task is unknown, 3 when no scheduler is reachable, 2 on usage errors.',
+    handler: options => taskActionCommand('pause', options),
+  },
+  resume: {
+    summary: 'Resume paused tasks in a running scheduler',
+    options: [
+      ['--task <id>', 'Task to resume (repeatable)'],
+    ],
+    configKeys: ['STATUS_HOST', 'STATUS_PORT'],
+    exitCodes: 'Exits 0 on success, 1 when a task is unknown, 3 when no scheduler is reachable, 2 on usage errors.',
+    handler: options => taskActionCommand('resume', options),
+  },
+  release: {
+    summary: 'Release quarantined tasks in a running scheduler (reset their failure count)',
+    options: [
+      ['--task <id>', 'Task to release (repeatable)'],
+    ],
+    configKeys: ['STATUS_HOST', 'STATUS_PORT'],
+    exitCodes: 'Exits 0 on success, 1 when a task is unknown, 3 when no scheduler is reachable, 2 on usage errors.',
+    handler: options => taskActionCommand('release', options),
+  },
+  drain: {
+    summary: 'Stop starting new tasks in a running scheduler and let mining tasks complete',
+    options: [
+      ['--exit', 'Stop the scheduler once every task page is closed'],
+    ],
+    configKeys: ['STATUS_HOST', 'STATUS_PORT'],
+    exitCodes: 'Exits 0 when the request was accepted, 3 when no scheduler is reachable, 2 when the endpoint is disabled.',
+    handler: drainCommand,
+  },
+  undrain: {
+    summary: 'Cancel a drain and resume normal scheduling',
+    configKeys: ['STATUS_HOST', 'STATUS_PORT'],
+    exitCodes: 'Exits 0 when the request was accepted, 3 when no scheduler is reachable, 2 when the endpoint is disabled.',
+    handler: undrainCommand,
+  },
+  simulate: {
+    summary: 'Simulate the scheduler offline (virtual clock, fake pages) and report throughput and page utilization',
+    options: [
+      ['--json', 'Print the raw report JSON'],
+    ],
+    configKeys: [
+      'SIM_TASKS', 'SIM_CYCLES', 'SIM_SEED', 'SIM_LOGIN_TIME', 'SIM_MINING_TIME', 'SIM_SUBMIT_TIME', 'SIM_429_RATE', 'SIM_CRASH_RATE', 'SIM_VERBOSE',
+      'MAX_ACTIVE_MINING', 'MAX_OPEN_PAGES', 'PAGE_OPEN_CONCURRENCY', 'STATUS_CHECK_INTERVAL', 'BROWSER_POOL_SIZE', 'BROWSER_RECYCLE_PAGES',
+      'STAGE_TIMEOUT_INITIALIZING', 'STAGE_TIMEOUT_MINING', 'STAGE_TIMEOUT_COMPLETED', 'STAGE_TIMEOUT_WAITING_CLOSE',
+      'TASK_BACKOFF_BASE', 'TASK_BACKOFF_MAX', 'TASK_QUARANTINE_AFTER', 'TASK_SELECTION_POLICY',
+      'COMPLETION_WAIT_TIME', 'SOLUTION_GRACE_PERIOD', 'RESET_AT_HOUR', 'CYCLE_LENGTH_MINUTES', 'CYCLE_OFFSET_MINUTES', 'CYCLE_TIMEZONE',
+      'RATE_LIMIT_MAX_CONSECUTIVE_429', 'RATE_LIMIT_PAUSE_DURATION', 'RATE_LIMIT_PAUSE_MAX', 'RATE_LIMIT_PROBE_TIMEOUT',
+    ],
+    exitCodes: 'Exits 0 after printing the report, 1 when the simulation fails.',
+    handler: simulateCommand,
+  },
+  validate: {
+    summary: 'Validate the configuration and the task files without running anything',
+    configKeys: ['TASKS_FILE'],
+    exitCodes: 'Exits 0 when everything is valid, 1 when the task files have problems, 2 when the config is invalid.',
+    handler: validateCommand,
+  },
+};
+
+// 配置参数是否会消耗下一个参数作为值（与 config.mjs 的解析规则一致）
+// --no-flag 不带值；布尔参数只有下一个参数不是 -- 开头时才带值
+function configFlagTakesValue(name, next) {
+  const key = flagToKey(name);
+  if (!key) {
+    return false;
+  }
+  if (CONFIG_SCHEMA[key].type !== 'boolean') {
+    return true;
+  }
+  return next !== undefined && !next.startsWith('--');
+}
+
+function isConfigFlag(name) {
+  if (flagToKey(name)) {
+    return true;
+  }
+  return name.startsWith('no-') && CONFIG_SCHEMA[flagToKey(name.slice(3))]?.type === 'boolean';
+}
+
+// 解析子命令参数：配置参数交给 config.mjs（这里只跳过），子命令自己的参数放到 options 中
+// 返回 { options, errors }
+function parseCommandArgs(args, command) {
+  const options = { help: false, printConfig: false, json: false, exit: false, addresses: [], tasks: [] };
+  const errors = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      errors.push(`Unexpected argument '${arg}'`);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+    if (name === 'config') {
+      if (inlineValue === undefined) {
+        i++;
+      }
+    } else if (name === 'print-config') {
+      options.printConfig = true;
+    } else if (name === 'json' && (command === 'status' || command === 'simulate')) {
+      options.json = true;
+    } else if (name === 'address' && command === 'collect') {
+      const value = inlineValue ?? args[++i];
+      if (!value) {
+        errors.push('Missing value for --address');
+      } else {
+        options.addresses.push(value);
+      }
+    } else if (name === 'task' && (command === 'pause' || command === 'resume' || command === 'release')) {
+      const value = inlineValue ?? args[++i];
+      if (!value) {
+        errors.push('Missing value for --task');
+      } else {
+        options.tasks.push(value);
+      }
+    } else if (name === 'exit' && command === 'drain') {
+      options.exit = true;
+    } else if (isConfigFlag(name)) {
+      if (inlineValue === undefined && configFlagTakesValue(name, args[i + 1])) {
+        i++;
+      }
+    } else {
+      errors.push(`Unknown option '--${name}'`);
+    }
+  }
+
+  return { options, errors };
+}
+
+function formatDefault(value) {
+  return typeof value === 'string' || Array.isArray(value) ? JSON.stringify(value) : String(value);
+}
+
+function printGeneralHelp() {
+  console.log('Usage: node cli.mjs <command> [options]\n');
+  console.log('Commands:');
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(13)}${command.summary}`);
+  }
+  console.log('\nRun "node cli.mjs <command> --help" for the options of a command.');
+  console.log('Every setting can also come from mdnight.config.json or an environment variable of the same name.');
+  console.log('\nExit codes:');
+  console.log(`  ${EXIT_CODES.OK}  success`);
+  console.log(`  ${EXIT_CODES.FAILURE}  failure (failed tasks, invalid task files, collection errors)`);
+  console.log(`  ${EXIT_CODES.USAGE}  usage error (unknown command or option, invalid config)`);
+  console.log(`  ${EXIT_CODES.UNREACHABLE}  status/pause/resume/release/drain/undrain: no running scheduler reachable`);
+}
+
+function printCommandHelp(name) {
+  const command = COMMANDS[name];
+  const rows = [...(command.options || []), ...COMMON_OPTIONS];
+  const settingRows = command.configKeys.map(key => {
+    const spec = CONFIG_SCHEMA[key];
+    const flag = spec.type === 'boolean' ? `--[no-]${keyToFlag(key)}` : `--${keyToFlag(key)} <${spec.type}>`;
+    return [flag, `${spec.description} (env ${key}, default ${formatDefault(spec.default)})`];
+  });
+  const width = Math.max(...[...rows, ...settingRows].map(([flag]) => flag.length)) + 2;
+
+  console.log(`Usage: node cli.mjs ${name} [options]\n`);
+  console.log(`${command.summary}\n`);
+  console.log('Options:');
+  for (const [flag, description] of rows) {
+    console.log(`  ${flag.padEnd(width)}${description}`);
+  }
+  console.log('\nSettings:');
+  for (const [flag, description] of settingRows) {
+    console.log(`  ${flag.padEnd(width)}${description}`);
+  }
+  console.log(`\n${command.exitCodes}`);
+}
+
+async function runCommand() {
+  // ⚠️ 导入 runbatch.mjs 时会加载任务列表（失败时以退出码 1 退出）
+  const { runWithConcurrency } = await import('./runbatch.mjs');
+  const results = await runWithConcurrency();
+  const failed = results.filter(r => !r.ok);
+  console.log(`[CLI] Batch finished: ${results.length - failed.length}/${results.length} task(s) succeeded`);
+  if (failed.length > 0) {
+    console.error('[CLI] Failed:', failed);
+    return EXIT_CODES.FAILURE;
+  }
+  return EXIT_CODES.OK;
+}
+
+async function scheduleCommand() {
+  const { main } = await import('./run-scheduled.mjs');
+  await main();
+  // 调度器持续运行，由 run-scheduled.mjs 的信号处理负责退出
+  return null;
+}
+
+async function coordinatorCommand() {
+  const { startLeaseCoordinator } = await import('./lease-store.mjs');
+  const server = startLeaseCoordinator({ host: config.LEASE_COORDINATOR_HOST, port: config.LEASE_COORDINATOR_PORT });
+  return new Promise(resolve => {
+    server.on('error', (error) => {
+      console.error(`[CLI] ❌ Lease coordinator failed (${config.LEASE_COORDINATOR_HOST}:${config.LEASE_COORDINATOR_PORT}): ${error.message}`);
+      resolve(EXIT_CODES.FAILURE);
+    });
+    const shutdown = () => {
+      console.log('[CLI] 🛑 Stopping lease coordinator (workers keep their leases until they expire)');
+      server.close(() => resolve(EXIT_CODES.OK));
+      server.closeAllConnections();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
+}
+
+async function collectCommand(options) {
+  let addresses = options.addresses;
+  if (addresses.length === 0) {
+    try {
+      const filter = createTaskFilter({ only: config.TASK_ONLY, exclude: config.TASK_EXCLUDE });
+      addresses = applyTaskFilter(loadTaskList(config.TASKS_FILE), filter).selected.map(task => task.addr);
+    } catch (error) {
+      console.error(`[CLI] ❌ Failed to load tasks from ${config.TASKS_FILE}: ${error.message}`);
+      for (const problem of error.problems || []) {
+        console.error(`[CLI]   - ${formatTaskProblem(problem)}`);
+      }
+      return EXIT_CODES.FAILURE;
+    }
+  }
+
+  const { collectOnce } = await import('./statistics-collector.mjs');
+  const summary = await collectOnce(addresses, {
+    serviceUrl: config.STATS_SERVICE_URL,
+    requestDelay: config.STATS_REQUEST_DELAY,
+  });
+  if (!summary) {
+    return EXIT_CODES.FAILURE;
+  }
+
+  console.log(`[CLI] Collection finished: ${summary.succeeded} succeeded, ${summary.skipped} skipped, ${summary.failed} failed (of ${summary.total})${summary.aborted ? ', aborted' : ''}`);
+  return summary.failed > 0 || summary.aborted ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+// 请求运行中调度器的状态/控制接口（见 run-scheduled.mjs 的 startStatusServer）
+// 返回 { status, body }；接口被禁用或无法访问时输出错误并返回 { exitCode }
+async function requestScheduler(method, path) {
+  if (config.STATUS_PORT === 0) {
+    console.error('[CLI] ❌ Status endpoint is disabled (STATUS_PORT=0)');
+    return { exitCode: EXIT_CODES.USAGE };
+  }
+
+  const url = `http://${config.STATUS_HOST}:${config.STATUS_PORT}${path}`;
+  try {
+    const response = await fetch(url, { method, signal: AbortSignal.timeout(STATUS_REQUEST_TIMEOUT) });
+    const body = await response.json().catch(() => ({}));
+    return { status: response.status, body };
+  } catch (error) {
+    console.error(`[CLI] ❌ No scheduler reachable at ${url}: ${error.message}`);
+    return { exitCode: EXIT_CODES.UNREACHABLE };
+  }
+}
+
+async function statusCommand(options) {
+  const { exitCode, status: httpStatus, body: status } = await requestScheduler('GET', '/status');
+  if (exitCode !== undefined) {
+    return exitCode;
+  }
+  if (httpStatus !== 200) {
+    console.error(`[CLI] ❌ Status endpoint responded with ${httpStatus}`);
+    return EXIT_CODES.FAILURE;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+  } else {
+    const { printStatusReport } = await import('./run-scheduled.mjs');
+    printStatusReport(status);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function taskActionCommand(action, options) {
+  if (options.tasks.length === 0) {
+    console.error(`[CLI] ❌ Missing --task <id> (run "node cli.mjs ${action} --help" for usage)`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let failed = 0;
+  for (const taskId of options.tasks) {
+    const { exitCode, status, body } = await requestScheduler('POST', `/tasks/${encodeURIComponent(taskId)}/${action}`);
+    if (exitCode !== undefined) {
+      return exitCode;
+    }
+    if (status === 200) {
+      const done = { pause: '⏸️ Paused', resume: '▶️ Resumed', release: '🔓 Released' }[action];
+      console.log(`[CLI] ${done} task ${taskId}${action === 'release' ? ` (status: ${body.status})` : ''}`);
+    } else {
+      console.error(`[CLI] ❌ Failed to ${action} task ${taskId}: ${body.error || `HTTP ${status}`}`);
+      failed++;
+    }
+  }
+  return failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+async function drainCommand(options) {
+  const { exitCode, status, body } = await requestScheduler('POST', `/drain${options.exit ? '?exit=1' : ''}`);
+  if (exitCode !== undefined) {
+    return exitCode;
+  }
+  if (status !== 200) {
+    console.error(`[CLI] ❌ Failed to drain: ${body.error || `HTTP ${status}`}`);
+    return EXIT_CODES.FAILURE;
+  }
+  console.log(`[CLI] 🚰 Scheduler is draining${options.exit ? ' and will stop once every task page is closed' : ' (run "node cli.mjs undrain" to cancel)'}`);
+  return EXIT_CODES.OK;
+}
+
+async function undrainCommand() {
+  const { exitCode, status, body } = await requestScheduler('POST', '/undrain');
+  if (exitCode !== undefined) {
+    return exitCode;
+  }
+  if (status !== 200) {
+    console.error(`[CLI] ❌ Failed to undrain: ${body.error || `HTTP ${status}`}`);
+    return EXIT_CODES.FAILURE;
+  }
+  console.log(body.wasDraining ? '[CLI] ✅ Drain cancelled, scheduling resumed' : '[CLI] ℹ️ Scheduler was not draining');
+  return EXIT_CODES.OK;
+}
+
+async function simulateCommand(options) {
+  const { runSimulation, printSimulationReport } = await import('./simulation.mjs');
+  let report;
+  try {
+    report = await runSimulation();
+  } catch (error) {
+    console.error(`[CLI] ❌ Simulation failed: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printSimulationReport(report);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function validateCommand() {
+  // 配置在 runCli() 中已经校验（无效时以退出码 2 退出）
+  console.log(`[VALIDATE] ✅ Configuration is valid (config file: ${configFile || 'none'})`);
+  const { validateTasksOnly } = await import('./run-scheduled.mjs');
+  return validateTasksOnly() === 0 ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
+
+// 执行命令行，返回退出码；返回 null 表示进程需要继续运行（schedule）
+export async function runCli(argv) {
+  const [name, ...args] = argv;
+
+  if (!name || name === '-h' || name === '--help') {
+    printGeneralHelp();
+    return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`[CLI] ❌ Unknown command '${name}'\n`);
+    printGeneralHelp();
+    return EXIT_CODES.USAGE;
+  }
+
+  const { options, errors } = parseCommandArgs(args, name);
+  if (options.help) {
+    printCommandHelp(name);
+    return EXIT_CODES.OK;
+  }
+  if (errors.length > 0) {
+    for (const error of errors) {
+      console.error(`[CLI] ❌ ${error}`);
+    }
+    console.error(`[CLI] Run "node cli.mjs ${name} --help" for usage.`);
+    return EXIT_CODES.USAGE;
+  }
+
+  // ⚠️ 配置无效时不执行任何子命令（--help 不受影响）
+  if (configError) {
+    reportConfigError(configError);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.printConfig) {
+    printConfig();
+  }
+  return command.handler(options);
+}
+
+const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  runCli(process.argv.slice(2)).then(code => {
+    if (code !== null) {
+      process.exit(code);
+    }
+  }).catch(e => {
+    console.error('[CLI] Fatal error:', e);
+    process.exit(EXIT_CODES.FAILURE);
+  });
+}
@@ -0,0 +1,457 @@
+// 统一配置模块
+// 配置来源（优先级从低到高）：默认值 < 配置文件 < 环境变量 < 命令行参数
+// - 配置文件：--config <path>、MDNIGHT_CONFIG 环境变量，或当前目录/项目目录下的 mdnight.config.json / .yaml / .yml
+// - 环境变量：与配置键同名（例如 MAX_ACTIVE_MINING=8）
+// - 命令行参数：配置键的小写短横线形式（例如 --max-active-mining 8、--no-headless）
+// 查看生效的配置及来源：node config.mjs（或 node run-scheduled.mjs --print-config）
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, extname } from 'path';
+import { createRequire } from 'module';
+import { isValidCycleTimezone } from './cycle-clock.mjs';
+import { SELECTION_POLICIES } from './task-selection.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
+
+const CONFIG_FILE_NAMES = ['mdnight.config.json', 'mdnight.config.yaml', 'mdnight.config.yml'];
+
+// 任务选择器格式（与 task-loader.mjs 的 TASK_SELECTOR_PATTERN 一致）
+function validateSelectors(selectors) {
+  const invalid = selectors.filter(selector => !/^(tag|id):.+$/.test(selector));
+  return invalid.length > 0 ? `expected tag:<tag> or id:<glob> (got '${invalid.join("', '")}')` : null;
+}
+
+// 周期时区：'local'、'UTC' 或 IANA 时区名
+function validateCycleTimezone(timezone) {
+  return isValidCycleTimezone(timezone) ? null : `expected 'local', 'UTC' or an IANA timezone name (got '${timezone}')`;
+}
+
+// 页面看门狗超过阈值时的处理方式（见 TaskScheduler.checkPageWatchdog）
+const PAGE_WATCHDOG_ACTIONS = ['reload', 'restart-session', 'requeue'];
+
+function validatePageWatchdogAction(action) {
+  return PAGE_WATCHDOG_ACTIONS.includes(action) ? null : `expected one of ${PAGE_WATCHDOG_ACTIONS.join(', ')} (got '${action}')`;
+}
+
+// 任务选择策略（见 task-selection.mjs）
+function validateSelectionPolicy(policy) {
+  return SELECTION_POLICIES.includes(policy) ? null : `expected one of ${SELECTION_POLICIES.join(', ')} (got '${policy}')`;
+}
+
+// 模拟模式的时间分布（见 simulation.mjs 的 parseDistribution）：fixed:<ms>、uniform:<min>:<max>、normal:<mean>:<stddev>、exponential:<mean>
+const DISTRIBUTION_PATTERN = /^(fixed:\d+(\.\d+)?|uniform:\d+(\.\d+)?:\d+(\.\d+)?|normal:\d+(\.\d+)?:\d+(\.\d+)?|exponential:\d+(\.\d+)?)$/;
+
+function validateDistribution(spec) {
+  return DISTRIBUTION_PATTERN.test(spec) ? null : `expected fixed:<ms>, uniform:<min>:<max>, normal:<mean>:<stddev> or exponential:<mean> (got '${spec}')`;
+}
+
+// 租约协调器地址：空（单机运行）或 http(s) URL
+function validateCoordinatorUrl(url) {
+  return url === '' || /^https?:\/\/[^/\s]+/.test(url) ? null : `expected an http(s) URL or an empty string (got '${url}')`;
+}
+
+// 配置项定义：类型、默认值、取值范围、说明
+// flag 可覆盖默认的命令行参数名；list 类型在环境变量/命令行中用逗号分隔，命令行中可重复
+export const CONFIG_SCHEMA = {
+  // 任务
+  TASKS_FILE: { type: 'string', default: join(__dirname, '..', 'task'), description: 'Task file or directory' },
+  WATCH_TASKS: { type: 'boolean', default: true, description: 'Hot-reload task files into the running scheduler' },
+  TASKS_RELOAD_DEBOUNCE: { type: 'number', default: 2000, min: 0, description: 'Delay (ms) before reloading changed task files' },
+  TASK_ONLY: { type: 'list', default: [], flag: 'only', validate: validateSelectors, description: 'Only run tasks matching tag:<tag> / id:<glob> (comma-separated)' },
+  TASK_EXCLUDE: { type: 'list', default: [], flag: 'exclude', validate: validateSelectors, description: 'Skip tasks matching tag:<tag> / id:<glob> (comma-separated)' },
+  TASK_SELECTION_POLICY: { type: 'string', default: 'priority', validate: validateSelectionPolicy, description: "Order for starting and preempting tasks ('priority', 'weighted' or 'least-recent')" },
+
+  // 浏览器 / 目标站点
+  HEADLESS: { type: 'boolean', default: true, description: 'Run Chromium headless' },
+  DISPLAY: { type: 'string', default: ':99', description: 'X display for headed mode' },
+  BASE_URL: { type: 'string', default: 'https://sm.midnight.gd/wizard/mine', description: 'Mining page URL' },
+  SIGN_SERVICE_URL: { type: 'string', default: 'https://as.lku3ogjddfkj2.shop', description: 'Signing service URL' },
+  BROWSER_POOL_SIZE: { type: 'number', default: 1, min: 1, max: 16, description: 'Browser instances the scheduler spreads task pages across' },
+  BROWSER_RECYCLE_PAGES: { type: 'number', default: 500, min: 0, description: 'Recycle a browser after it opened this many pages (0 disables)' },
+  BROWSER_RECYCLE_UPTIME: { type: 'number', default: 43200000, min: 0, description: 'Recycle a browser after this uptime (ms, 0 disables)' },
+  BROWSER_RECYCLE_RSS_MB: { type: 'number', default: 0, min: 0, description: 'Recycle a browser whose processes use this much memory (MB, 0 disables, Linux only)' },
+
+  // 批量模式（runbatch.mjs）
+  CONCURRENCY: { type: 'number', default: 5, min: 1, description: 'Concurrent tasks in batch mode' },
+  TASK_TIMEOUT_MS: { type: 'number', default: 120000, min: 0, description: 'Per-task timeout (ms) in batch mode' },
+
+  // 速率限制
+  GLOBAL_RATE_LIMIT_INTERVAL: { type: 'number', default: 5000, min: 0, description: 'Min interval (ms) between rate-limited requests' },
+  CHALLENGE_SUBMISSION_INTERVAL: { type: 'number', default: 1000, min: 0, description: 'Base interval (ms) between challenge requests' },
+  CHALLENGE_SUBMISSION_MIN_INTERVAL: { type: 'number', default: 500, min: 0, description: 'Min interval (ms) between challenge requests' },
+  CHALLENGE_SUBMISSION_MAX_INTERVAL: { type: 'number', default: 30000, min: 0, description: 'Max interval (ms) between challenge requests' },
+  RATE_LIMIT_MAX_CONSECUTIVE_429: { type: 'number', default: 3, min: 1, description: 'Consecutive 429s before the rate limit circuit opens' },
+  RATE_LIMIT_PAUSE_DURATION: { type: 'number', default: 60000, min: 0, description: 'First open period (ms) of the rate limit circuit, doubled each time a probe fails' },
+  RATE_LIMIT_PAUSE_MAX: { type: 'number', default: 1800000, min: 0, description: 'Maximum open period (ms) of the rate limit circuit' },
+  RATE_LIMIT_PROBE_TIMEOUT: { type: 'number', default: 300000, min: 1000, description: 'Time (ms) to wait for a half-open probe before letting another one through' },
+
+  // 调度器（task-scheduler.mjs）
+  MAX_ACTIVE_MINING: { type: 'number', default: 6, min: 1, description: 'Max pages mining at the same time' },
+  MAX_OPEN_PAGES: { type: 'number', default: 12, min: 1, description: 'Max open pages' },
+  PAGE_OPEN_CONCURRENCY: { type: 'number', default: 4, min: 1, description: 'Max pages initializing at the same time' },
+  STATUS_CHECK_INTERVAL: { type: 'number', default: 5000, min: 100, description: 'Scheduler loop interval (ms)' },
+  STATUS_LOG_INTERVAL: { type: 'number', default: 10000, min: 0, description: 'Min interval (ms) between status log lines' },
+  COMPLETION_WAIT_TIME: { type: 'number', default: 1000, min: 0, description: 'Wait (ms) after completion before closing a page' },
+  SOLUTION_GRACE_PERIOD: { type: 'number', default: 60000, min: 0, description: 'Max wait (ms) for in-flight solution submissions before shutdown or a cycle reset closes their pages (0 disables)' },
+  RESET_AT_HOUR: { type: 'boolean', default: true, description: 'Close all pages and restart from the first task at every cycle boundary' },
+  CYCLE_LENGTH_MINUTES: { type: 'number', default: 60, min: 1, max: 1440, description: 'Length of a mining cycle (minutes)' },
+  CYCLE_OFFSET_MINUTES: { type: 'number', default: 0, min: 0, description: 'Offset (minutes) of cycle boundaries, e.g. 15 starts cycles at xx:15' },
+  CYCLE_TIMEZONE: { type: 'string', default: 'local', validate: validateCycleTimezone, description: "Timezone cycle boundaries are aligned to ('local', 'UTC' or an IANA name)" },
+  PERSIST_STATE: { type: 'boolean', default: true, description: 'Persist scheduler state to disk' },
+  SCHEDULER_STATE_FILE: { type: 'string', default: join(__dirname, '..', 'scheduler-state.json'), description: 'Scheduler state file' },
+  STATE_SAVE_INTERVAL: { type: 'number', default: 30000, min: 1000, description: 'Interval (ms) between state snapshots' },
+  DEBUG_SCHEDULER: { type: 'boolean', default: false, description: 'Verbose scheduler logging' },
+  PAGE_WATCHDOG_INTERVAL: { type: 'number', default: 30000, min: 0, description: 'Interval (ms) between per-page CPU/memory samples (0 disables the page watchdog)' },
+  PAGE_MAX_HEAP_MB: { type: 'number', default: 1024, min: 0, description: 'JS heap size (MB) above which a page is acted on (0 disables)' },
+  PAGE_MAX_CPU_PERCENT: { type: 'number', default: 90, min: 0, max: 100, description: 'Main-thread CPU (%) above which a page that is not solving is acted on (0 disables)' },
+  PAGE_CPU_SAMPLES: { type: 'number', default: 3, min: 1, description: 'Consecutive samples above PAGE_MAX_CPU_PERCENT before acting' },
+  PAGE_WATCHDOG_ACTION: { type: 'string', default: 'requeue', validate: validatePageWatchdogAction, description: "Action for a page over its limits ('reload', 'restart-session' or 'requeue')" },
+  STAGE_TIMEOUT_INITIALIZING: { type: 'number', default: 600000, min: 0, description: 'Max time (ms) a task may stay INITIALIZING before the stage watchdog escalates (0 disables)' },
+  STAGE_TIMEOUT_MINING: { type: 'number', default: 1800000, min: 0, description: 'Max time (ms) a MINING task may go without challenge/solution traffic (0 disables)' },
+  STAGE_TIMEOUT_COMPLETED: { type: 'number', default: 120000, min: 0, description: 'Max time (ms) a COMPLETED task may stay open (0 disables)' },
+  STAGE_TIMEOUT_WAITING_CLOSE: { type: 'number', default: 120000, min: 0, description: 'Max time (ms) a WAITING_CLOSE task may stay open (0 disables)' },
+  TASK_BACKOFF_BASE: { type: 'number', default: 60000, min: 0, description: 'Backoff (ms) after a task failure, doubled for each consecutive failure (0 disables)' },
+  TASK_BACKOFF_MAX: { type: 'number', default: 3600000, min: 0, description: 'Maximum backoff (ms) between retries of a failing task' },
+  TASK_QUARANTINE_AFTER: { type: 'number', default: 5, min: 0, description: 'Consecutive failures before a task is quarantined until released (0 disables)' },
+  TASK_HISTORY_SIZE: { type: 'number', default: 20, min: 1, description: 'Status transitions kept per task (shown in the status endpoint)' },
+  STATUS_HOST: { type: 'string', default: '127.0.0.1', description: 'Host the scheduler status endpoint listens on' },
+  STATUS_PORT: { type: 'number', default: 7788, min: 0, max: 65535, description: 'Port of the scheduler status endpoint (0 disables it)' },
+
+  // 多机调度（lease-store.mjs）
+  LEASE_COORDINATOR_URL: { type: 'string', default: '', validate: validateCoordinatorUrl, description: 'Lease coordinator shared by several schedulers (empty: run standalone)' },
+  WORKER_ID: { type: 'string', default: '', description: 'Worker id at the lease coordinator (empty: <hostname>-<pid>)' },
+  LEASE_TTL: { type: 'number', default: 120000, min: 1000, description: 'Lifetime (ms) of a task lease; leases of a dead worker expire after this' },
+  LEASE_RENEW_INTERVAL: { type: 'number', default: 30000, min: 1000, description: 'Interval (ms) between lease renewals' },
+  LEASE_COORDINATOR_HOST: { type: 'string', default: '127.0.0.1', description: 'Host the lease coordinator listens on (node cli.mjs coordinator)' },
+  LEASE_COORDINATOR_PORT: { type: 'number', default: 7790, min: 1, max: 65535, description: 'Port the lease coordinator listens on (node cli.mjs coordinator)' },
+
+  // 统计采集（statistics-collector.mjs）
+  ENABLE_STATS_COLLECTOR: { type: 'boolean', default: true, description: 'Start the statistics collector process' },
+  STATS_SERVICE_URL: { type: 'string', default: '', description: 'Service that receives collected statistics' },
+  STATS_REQUEST_DELAY: { type: 'number', default: 2000, min: 0, description: 'Delay (ms) between statistics requests' },
+  STATS_COLLECTION_MINUTE: { type: 'number', default: 30, min: 0, max: 1439, description: 'Minutes after the start of each cycle to collect statistics (default 30, half the cycle for cycles shorter than 60 minutes)' },
+  STATS_FETCH_TIMEOUT: { type: 'number', default: 20000, min: 0, description: 'Statistics request timeout (ms)' },
+  STATS_MAX_CONSECUTIVE_ERRORS: { type: 'number', default: 5, min: 0, description: 'Consecutive errors before aborting a collection cycle' },
+
+  // 模拟模式（simulation.mjs）
+  SIM_TASKS: { type: 'number', default: 50, min: 1, description: 'Simulated tasks' },
+  SIM_CYCLES: { type: 'number', default: 3, min: 1, description: 'Cycles to simulate' },
+  SIM_SEED: { type: 'number', default: 1, min: 0, description: 'Random seed of the simulation (same seed, same result)' },
+  SIM_LOGIN_TIME: { type: 'string', default: 'normal:45000:15000', validate: validateDistribution, description: 'Time (ms) from opening a page to the start session button' },
+  SIM_MINING_TIME: { type: 'string', default: 'normal:900000:300000', validate: validateDistribution, description: 'Time (ms) from start session to a solution' },
+  SIM_SUBMIT_TIME: { type: 'string', default: 'uniform:1000:5000', validate: validateDistribution, description: 'Time (ms) a solution submission takes' },
+  SIM_429_RATE: { type: 'number', default: 0.02, min: 0, max: 1, description: 'Probability that a login fails with 429' },
+  SIM_CRASH_RATE: { type: 'number', default: 0.02, min: 0, max: 1, description: 'Probability that a page crashes during a mining session' },
+  SIM_VERBOSE: { type: 'boolean', default: false, description: 'Show the scheduler log during a simulation' },
+};
+
+// 跨字段约束（租约相关的约束只在配置了 LEASE_COORDINATOR_URL 时检查，单机运行时租约配置不生效）
+const CROSS_FIELD_RULES = [
+  {
+    check: c => c.MAX_ACTIVE_MINING <= c.MAX_OPEN_PAGES,
+    message: c => `MAX_ACTIVE_MINING (${c.MAX_ACTIVE_MINING}) must be <= MAX_OPEN_PAGES (${c.MAX_OPEN_PAGES})`,
+  },
+  {
+    check: c => c.PAGE_OPEN_CONCURRENCY <= c.MAX_OPEN_PAGES,
+    message: c => `PAGE_OPEN_CONCURRENCY (${c.PAGE_OPEN_CONCURRENCY}) must be <= MAX_OPEN_PAGES (${c.MAX_OPEN_PAGES})`,
+  },
+  {
+    check: c => c.CHALLENGE_SUBMISSION_MIN_INTERVAL <= c.CHALLENGE_SUBMISSION_INTERVAL &&
+                c.CHALLENGE_SUBMISSION_INTERVAL <= c.CHALLENGE_SUBMISSION_MAX_INTERVAL,
+    message: c => `CHALLENGE_SUBMISSION_MIN_INTERVAL (${c.CHALLENGE_SUBMISSION_MIN_INTERVAL}) <= CHALLENGE_SUBMISSION_INTERVAL (${c.CHALLENGE_SUBMISSION_INTERVAL}) <= CHALLENGE_SUBMISSION_MAX_INTERVAL (${c.CHALLENGE_SUBMISSION_MAX_INTERVAL}) is required`,
+  },
+  {
+    check: c => c.CYCLE_OFFSET_MINUTES < c.CYCLE_LENGTH_MINUTES,
+    message: c => `CYCLE_OFFSET_MINUTES (${c.CYCLE_OFFSET_MINUTES}) must be < CYCLE_LENGTH_MINUTES (${c.CYCLE_LENGTH_MINUTES})`,
+  },
+  {
+    check: c => c.TASK_BACKOFF_BASE <= c.TASK_BACKOFF_MAX,
+    message: c => `TASK_BACKOFF_BASE (${c.TASK_BACKOFF_BASE}) must be <= TASK_BACKOFF_MAX (${c.TASK_BACKOFF_MAX})`,
+  },
+  {
+    check: c => c.RATE_LIMIT_PAUSE_DURATION <= c.RATE_LIMIT_PAUSE_MAX,
+    message: c => `RATE_LIMIT_PAUSE_DURATION (${c.RATE_LIMIT_PAUSE_DURATION}) must be <= RATE_LIMIT_PAUSE_MAX (${c.RATE_LIMIT_PAUSE_MAX})`,
+  },
+  {
+    check: c => !c.LEASE_COORDINATOR_URL || c.LEASE_RENEW_INTERVAL < c.LEASE_TTL,
+    message: c => `LEASE_RENEW_INTERVAL (${c.LEASE_RENEW_INTERVAL}) must be < LEASE_TTL (${c.LEASE_TTL})`,
+  },
+  {
+    check: c => !c.LEASE_COORDINATOR_URL || c.LEASE_TTL <= c.CYCLE_LENGTH_MINUTES * 60000,
+    message: c => `LEASE_TTL (${c.LEASE_TTL}) must be <= CYCLE_LENGTH_MINUTES (${c.CYCLE_LENGTH_MINUTES} min), otherwise tasks of a dead worker are not picked up within a cycle`,
+  },
+  {
+    check: c => c.STATS_COLLECTION_MINUTE < c.CYCLE_LENGTH_MINUTES,
+    message: c => `STATS_COLLECTION_MINUTE (${c.STATS_COLLECTION_MINUTE}) must be < CYCLE_LENGTH_MINUTES (${c.CYCLE_LENGTH_MINUTES})`,
+  },
+];
+
+// 配置加载/校验失败，errors 中包含所有问题
+export class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// 配置键 <-> 命令行参数名（MAX_ACTIVE_MINING <-> max-active-mining）
+export function keyToFlag(key) {
+  return CONFIG_SCHEMA[key]?.flag || key.toLowerCase().replace(/_/g, '-');
+}
+
+const FLAG_KEYS = new Map(Object.keys(CONFIG_SCHEMA).map(key => [keyToFlag(key), key]));
+
+// 命令行参数名对应的配置键，未知参数返回 null
+export function flagToKey(flag) {
+  return FLAG_KEYS.get(flag) || null;
+}
+
+// 把字符串/配置文件中的值转换为配置项类型，返回 { value } 或 { error }
+function coerceValue(key, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  if (spec.type === 'list') {
+    const items = Array.isArray(raw) ? raw : String(raw).split(',');
+    const value = items.map(item => String(item).trim()).filter(item => item.length > 0);
+    const error = spec.validate?.(value);
+    return error ? { error: `${key}: ${error}` } : { value };
+  }
+  if (spec.type === 'boolean') {
+    if (typeof raw === 'boolean') {
+      return { value: raw };
+    }
+    const lower = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(lower)) return { value: true };
+    if (['false', '0', 'no', 'off'].includes(lower)) return { value: false };
+    return { error: `${key} must be a boolean (got '${raw}')` };
+  }
+  if (spec.type === 'number') {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    if (!Number.isFinite(value) || String(raw).trim() === '') {
+      return { error: `${key} must be a number (got '${raw}')` };
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      return { error: `${key} must be >= ${spec.min} (got ${value})` };
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      return { error: `${key} must be <= ${spec.max} (got ${value})` };
+    }
+    return { value };
+  }
+  const value = String(raw);
+  const error = spec.validate?.(value);
+  return error ? { error: `${key}: ${error}` } : { value };
+}
+
+// 从命令行参数中提取配置项（未知参数忽略，由各入口自己处理）
+// 支持：--key value、--key=value、--flag（布尔 true）、--no-flag（布尔 false）
+function parseConfigFlags(argv) {
+  const result = { configPath: null, values: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      continue;
+    }
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+
+    if (name === 'config') {
+      result.configPath = inlineValue ?? argv[++i];
+      continue;
+    }
+
+    if (name.startsWith('no-') && CONFIG_SCHEMA[flagToKey(name.slice(3))]?.type === 'boolean' && inlineValue === undefined) {
+      result.values.push({ key: flagToKey(name.slice(3)), raw: false, flag: `--${name}` });
+      continue;
+    }
+
+    const key = flagToKey(name);
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec) {
+      continue;
+    }
+    if (inlineValue !== undefined) {
+      result.values.push({ key, raw: inlineValue, flag: `--${name}` });
+    } else if (spec.type === 'boolean' && (argv[i + 1] === undefined || argv[i + 1].startsWith('--'))) {
+      result.values.push({ key, raw: true, flag: `--${name}` });
+    } else {
+      result.values.push({ key, raw: argv[++i], flag: `--${name}` });
+    }
+  }
+  return result;
+}
+
+// 查找配置文件：显式路径 > MDNIGHT_CONFIG > 当前目录 > 项目目录
+function findConfigFile(explicitPath, env, cwd) {
+  if (explicitPath) {
+    return resolve(cwd, explicitPath);
+  }
+  if (env.MDNIGHT_CONFIG) {
+    return resolve(cwd, env.MDNIGHT_CONFIG);
+  }
+  for (const dir of [cwd, __dirname]) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = join(dir, name);
+      if (existsSync(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+// 读取配置文件（JSON 或 YAML，YAML 依赖 js-yaml）
+function readConfigFile(filePath) {
+  const content = readFileSync(filePath, 'utf8');
+  const extension = extname(filePath).toLowerCase();
+  if (extension === '.yaml' || extension === '.yml') {
+    let yaml;
+    try {
+      yaml = require('js-yaml');
+    } catch {
+      throw new Error('YAML config files require the js-yaml package (npm install js-yaml)');
+    }
+    return yaml.load(content) || {};
+  }
+  return JSON.parse(content);
+}
+
+// 加载配置，返回 { values, sources, file }；有任何问题时抛出 ConfigError
+// sources[key] 为 'default' | 'file' | 'env:<NAME>' | 'cli:<--flag>'
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const errors = [];
+  const values = {};
+  const sources = {};
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    values[key] = spec.default;
+    sources[key] = 'default';
+  }
+
+  const flags = parseConfigFlags(argv);
+  const file = findConfigFile(flags.configPath, env, cwd);
+
+  const apply = (key, raw, source) => {
+    const { value, error } = coerceValue(key, raw);
+    if (error) {
+      errors.push(`${error} [${source}]`);
+      return;
+    }
+    // list 类型的命令行参数可重复（--only tag:a --only tag:b），累加而不是覆盖
+    if (CONFIG_SCHEMA[key].type === 'list' && source.startsWith('cli:') && sources[key].startsWith('cli:')) {
+      values[key] = [...values[key], ...value];
+      return;
+    }
+    values[key] = value;
+    sources[key] = source;
+  };
+
+  // 1. 配置文件
+  if (file) {
+    let data;
+    try {
+      data = readConfigFile(file);
+    } catch (error) {
+      throw new ConfigError(`Failed to read config file ${file}: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ConfigError(`Config file ${file} must contain an object`);
+    }
+    for (const [key, raw] of Object.entries(data)) {
+      if (!CONFIG_SCHEMA[key]) {
+        errors.push(`Unknown config key '${key}' [file]`);
+        continue;
+      }
+      apply(key, raw, 'file');
+    }
+  }
+
+  // 2. 环境变量（空字符串视为未设置）
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    if (env[key] !== undefined && env[key] !== '') {
+      apply(key, env[key], `env:${key}`);
+    }
+  }
+
+  // 3. 命令行参数
+  for (const { key, raw, flag } of flags.values) {
+    if (raw === undefined) {
+      errors.push(`Missing value for ${flag}`);
+      continue;
+    }
+    apply(key, raw, `cli:${flag}`);
+  }
+
+  // 4. 依赖其他配置的默认值：没有设置 STATS_COLLECTION_MINUTE 时不超过周期的一半（否则缩短周期就必须同时设置它）
+  if (sources.STATS_COLLECTION_MINUTE === 'default' && Number.isFinite(values.CYCLE_LENGTH_MINUTES)) {
+    values.STATS_COLLECTION_MINUTE = Math.min(values.STATS_COLLECTION_MINUTE, Math.floor(values.CYCLE_LENGTH_MINUTES / 2));
+  }
+
+  if (errors.length === 0) {
+    for (const rule of CROSS_FIELD_RULES) {
+      if (!rule.check(values)) {
+        errors.push(rule.message(values));
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid configuration (${errors.length} problem(s))`, errors);
+  }
+
+  return { values, sources, file };
+}
+
+// 输出生效的配置及其来源
+export function printConfig(loaded = effective) {
+  console.log(`[CONFIG] Effective configuration (config file: ${loaded.file || 'none'}):`);
+  const width = Math.max(...Object.keys(CONFIG_SCHEMA).map(key => key.length));
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    const value = loaded.values[key];
+    const shown = typeof value === 'string' || Array.isArray(value) ? JSON.stringify(value) : String(value);
+    console.log(`  ${key.padEnd(width)}  ${shown}  (${loaded.sources[key]})`);
+  }
+}
+
+// 输出配置错误（入口在以退出码 2 退出之前调用）
+export function reportConfigError(error) {
+  console.error(`[CONFIG] ❌ ${error.message}`);
+  for (const message of error.errors || []) {
+    console.error(`[CONFIG]   - ${message}`);
+  }
+}
+
+// 进程启动时加载一次，所有模块共享
+// ⚠️ 配置无效时不在导入时退出进程（导入配置的测试和工具也会被结束）：错误保存在 configError 中、config 使用默认值，
+// 由入口（cli.mjs、run-scheduled.mjs 等）检查 configError，输出错误后以退出码 2 退出（与 cli.mjs 的用法错误一致）
+let effective;
+let loadError = null;
+try {
+  effective = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  loadError = error;
+  effective = {
+    values: Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])),
+    sources: Object.fromEntries(Object.keys(CONFIG_SCHEMA).map(key => [key, 'default'])),
+    file: null,
+  };
+}
+
+export const config = effective.values;
+export const configSources = effective.sources;
+export const configFile = effective.file;
+export const configError = loadError; // 配置无效时为 ConfigError，否则为 null
+
+// 直接运行时输出生效的配置
+const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  if (configError) {
+    reportConfigError(configError);
+    process.exit(2);
+  }
+  printConfig();
+}
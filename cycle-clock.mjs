@@ -0,0 +1,171 @@
+// 挖矿周期时钟
+// 调度器的周期重置（RESET_AT_HOUR）、状态报告中的 "Next Cycle Reset" 和统计采集的时间点都用这里的周期定义
+// - lengthMinutes：周期长度（分钟）
+// - offsetMinutes：周期边界相对于整点对齐位置的偏移（例如长度 60、偏移 15 表示每小时的 xx:15 开始新周期）
+// - timezone：'local'（本机时区）、'UTC' 或 IANA 时区名；周期边界按该时区的墙上时间对齐
+// 周期边界 = 该时区墙上时间从 1970-01-01 00:00 起每 lengthMinutes 分钟一个，再加上 offsetMinutes
+// ⚠️ 新周期从墙上时间经过周期边界的时刻开始，周期开始时间（绝对时间，毫秒）只前进不后退：
+// - 夏令时前跳跳过的边界在切换时刻生效（不会漏掉周期）
+// - 夏令时回拨后墙上时间再次经过的边界也是新周期（每小时一个周期时，回拨那一小时同样重置一次）
+// - 周期跨过夏令时切换时实际长度会变化（例如每天一个周期时，切换那天的周期是 23 或 25 小时）
+// - 系统时钟回拨/前跳的处理见 TaskScheduler.checkCycleReset()
+
+const MINUTE_MS = 60 * 1000;
+
+// 每个时区一个 Intl 格式化器（周期计算在调度循环中频繁调用）
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+// 'local' / 'UTC' / 合法的 IANA 时区名
+export function isValidCycleTimezone(timezone) {
+  if (timezone === 'local' || timezone === 'UTC') {
+    return true;
+  }
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export class CycleClock {
+  constructor({ lengthMinutes = 60, offsetMinutes = 0, timezone = 'local' } = {}) {
+    if (!Number.isFinite(lengthMinutes) || lengthMinutes <= 0) {
+      throw new Error(`Invalid cycle length: ${lengthMinutes}`);
+    }
+    if (!isValidCycleTimezone(timezone)) {
+      throw new Error(`Invalid cycle timezone: ${timezone}`);
+    }
+    this.lengthMinutes = lengthMinutes;
+    this.offsetMinutes = offsetMinutes;
+    this.timezone = timezone;
+    this.lengthMs = lengthMinutes * MINUTE_MS;
+    // 偏移取模，负数或超过周期长度的偏移都落在 [0, lengthMs)
+    this.offsetMs = ((offsetMinutes * MINUTE_MS) % this.lengthMs + this.lengthMs) % this.lengthMs;
+  }
+
+  // 指定时刻该时区相对 UTC 的偏移（毫秒，墙上时间 - UTC）
+  getUtcOffset(date) {
+    if (this.timezone === 'UTC') {
+      return 0;
+    }
+    if (this.timezone === 'local') {
+      return -date.getTimezoneOffset() * MINUTE_MS;
+    }
+    const parts = {};
+    for (const part of getFormatter(this.timezone).formatToParts(date)) {
+      parts[part.type] = Number(part.value);
+    }
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  // 墙上时间（毫秒）所在周期的开始（墙上时间）
+  floorWallTime(wallTime) {
+    return Math.floor((wallTime - this.offsetMs) / this.lengthMs) * this.lengthMs + this.offsetMs;
+  }
+
+  // (from, to] 之间发生偏移变化（夏令时切换）的时刻，二分查找到秒（切换总是发生在整秒）
+  findOffsetChange(from, to) {
+    const fromOffset = this.getUtcOffset(new Date(from));
+    let low = from;
+    let high = to;
+    while (high - low > 1000) {
+      const mid = Math.floor((low + high) / 2);
+      if (this.getUtcOffset(new Date(mid)) === fromOffset) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return Math.floor(low / 1000) * 1000 + 1000;
+  }
+
+  // 包含 date 的周期的开始时间：墙上时间最近一次经过周期边界的时刻
+  // ⚠️ 夏令时前跳跳过的边界在切换时刻生效；夏令时回拨后墙上时间重新经过的边界同样是新周期
+  getCycleStart(date = new Date()) {
+    const utcOffset = this.getUtcOffset(date);
+    const startWall = this.floorWallTime(date.getTime() + utcOffset);
+    const start = startWall - utcOffset;
+    if (this.getUtcOffset(new Date(start)) === utcOffset) {
+      return new Date(start);
+    }
+
+    // 周期边界之后发生了夏令时切换：看切换前最后经过的边界，以及切换时是否跳过了边界
+    const change = this.findOffsetChange(start, date.getTime());
+    const previousOffset = this.getUtcOffset(new Date(change - 1000));
+    const lastWallBeforeChange = this.floorWallTime(change - 1000 + previousOffset);
+    if (this.floorWallTime(change + utcOffset) > lastWallBeforeChange) {
+      return new Date(change);
+    }
+    return new Date(lastWallBeforeChange - previousOffset);
+  }
+
+  // date 之后的下一个周期边界
+  getNextCycleStart(date = new Date()) {
+    const utcOffset = this.getUtcOffset(date);
+    const nextWall = this.floorWallTime(date.getTime() + utcOffset) + this.lengthMs;
+    const next = nextWall - utcOffset;
+    if (this.getUtcOffset(new Date(next)) === utcOffset) {
+      return new Date(next);
+    }
+
+    // 到下一个边界之间有夏令时切换：切换时刻跳过了边界时就是下一个周期，否则按切换后的偏移找下一个边界
+    const change = this.findOffsetChange(date.getTime(), next);
+    if (this.getCycleStart(new Date(change)).getTime() > this.getCycleStart(date).getTime()) {
+      return new Date(change);
+    }
+    const changedOffset = this.getUtcOffset(new Date(change));
+    return new Date(this.floorWallTime(change + changedOffset) + this.lengthMs - changedOffset);
+  }
+
+  // 周期开始时间 from 之后、到 to 为止经过的周期边界数
+  // 按周期长度估算（跨夏令时切换的周期长度会变化），取最接近的整数，to 晚于 from 时至少为 1
+  countCycleStarts(from, to) {
+    const elapsed = to.getTime() - from.getTime();
+    return elapsed > 0 ? Math.max(1, Math.round(elapsed / this.lengthMs)) : 0;
+  }
+
+  // 周期时区下的 HH:MM（用于日志和状态报告）
+  formatTime(date) {
+    const wall = new Date(date.getTime() + this.getUtcOffset(date));
+    return `${String(wall.getUTCHours()).padStart(2, '0')}:${String(wall.getUTCMinutes()).padStart(2, '0')}`;
+  }
+
+  // 周期时区下的日期 YYYY-MM-DD（按天的 solution 配额使用）
+  formatDate(date) {
+    return new Date(date.getTime() + this.getUtcOffset(date)).toISOString().slice(0, 10);
+  }
+
+  // 可读描述，例如 "every 60 min, offset 15 min (Asia/Shanghai)"
+  describe() {
+    const offset = this.offsetMs > 0 ? `, offset ${this.offsetMs / MINUTE_MS} min` : '';
+    const timezone = this.timezone === 'local' ? 'local time' : this.timezone;
+    return `every ${this.lengthMinutes} min${offset} (${timezone})`;
+  }
+}
+
+// 按配置（CYCLE_LENGTH_MINUTES / CYCLE_OFFSET_MINUTES / CYCLE_TIMEZONE）创建周期时钟
+export function createCycleClock(settings) {
+  return new CycleClock({
+    lengthMinutes: settings.CYCLE_LENGTH_MINUTES,
+    offsetMinutes: settings.CYCLE_OFFSET_MINUTES,
+    timezone: settings.CYCLE_TIMEZONE,
+  });
+}
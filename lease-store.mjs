@@ -0,0 +1,249 @@
+// 多机调度：任务租约（几台机器上的调度器通过共享的租约协调器分配任务，见 TaskScheduler 的 leaseStore）
+// - 启动任务前获取租约（acquire），挖矿期间定期续约（renew），页面关闭时释放（release）
+// - 租约按地址（task.addr）分配，同一地址同一时间只有一个 worker 持有
+// - 每个 worker 持有的租约不超过它上报的容量（MAX_OPEN_PAGES），空闲的 worker 才会获取新租约
+// - 任务在某个周期完成后释放时记录完成的周期（周期开始时间），同一周期内不再分配给任何 worker
+// - worker 停止续约（进程退出、断网）后租约在 ttlMs 后过期，由其他 worker 接手
+// 租约存储：
+// - MemoryLeaseStore：进程内存储（协调器进程内部使用，也可以直接传给同一进程中的多个调度器）
+// - HttpLeaseStore：通过 HTTP 访问租约协调器（LEASE_COORDINATOR_URL）
+// - startLeaseCoordinator()：租约协调器（node cli.mjs coordinator）
+// ⚠️ 协调器只在内存中保存租约和完成记录，重启后 worker 续约时重新登记；其他 worker 完成的任务在当前周期内可能被再次分配
+import { createServer } from 'http';
+
+const LEASE_REQUEST_TIMEOUT = 5000;
+
+export class MemoryLeaseStore {
+  constructor() {
+    this.leases = new Map(); // 地址 -> { workerId, acquiredAt, expiresAt }
+    this.completed = new Map(); // 地址 -> 完成的周期
+    this.workers = new Map(); // workerId -> { capacity, lastSeen, ttlMs }
+  }
+
+  // 有效的租约（过期的租约删除）
+  getLease(key, now) {
+    const lease = this.leases.get(key);
+    if (lease && lease.expiresAt <= now) {
+      this.leases.delete(key);
+      return null;
+    }
+    return lease || null;
+  }
+
+  countLeases(workerId, now) {
+    let count = 0;
+    for (const key of Array.from(this.leases.keys())) {
+      if (this.getLease(key, now)?.workerId === workerId) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  heartbeat(workerId, capacity, ttlMs, now) {
+    this.workers.set(workerId, { capacity, lastSeen: now, ttlMs });
+  }
+
+  // 按 keys 的顺序获取最多 count 个租约（跳过其他 worker 持有的和本周期已完成的地址）
+  // 返回 { granted: [{ key, expiresAt }] }
+  async acquire({ workerId, capacity, ttlMs, cycle = null, keys, count }) {
+    const now = Date.now();
+    this.heartbeat(workerId, capacity, ttlMs, now);
+    const limit = Math.min(count, capacity - this.countLeases(workerId, now));
+    const granted = [];
+    for (const key of keys) {
+      if (granted.length >= limit) {
+        break;
+      }
+      if (this.completed.has(key) && this.completed.get(key) === cycle) {
+        continue;
+      }
+      const lease = this.getLease(key, now);
+      if (lease && lease.workerId !== workerId) {
+        continue;
+      }
+      const expiresAt = now + ttlMs;
+      this.leases.set(key, { workerId, acquiredAt: lease ? lease.acquiredAt : now, expiresAt });
+      granted.push({ key, expiresAt });
+    }
+    return { granted };
+  }
+
+  // 续约 worker 持有的租约（同时作为心跳）；已过期但没有被其他 worker 获取的租约重新登记
+  // 返回 { renewed: [{ key, expiresAt }], lost: [key] }（lost：已被其他 worker 获取）
+  async renew({ workerId, capacity, ttlMs, keys }) {
+    const now = Date.now();
+    this.heartbeat(workerId, capacity, ttlMs, now);
+    const renewed = [];
+    const lost = [];
+    for (const key of keys) {
+      const lease = this.getLease(key, now);
+      if (lease && lease.workerId !== workerId) {
+        lost.push(key);
+        continue;
+      }
+      const expiresAt = now + ttlMs;
+      this.leases.set(key, { workerId, acquiredAt: lease ? lease.acquiredAt : now, expiresAt });
+      renewed.push({ key, expiresAt });
+    }
+    return { renewed, lost };
+  }
+
+  // 释放租约（只释放自己持有的）；completedCycle 不为 undefined 时记录任务在该周期已完成
+  async release({ workerId, key, completedCycle }) {
+    const now = Date.now();
+    const lease = this.getLease(key, now);
+    if (lease && lease.workerId !== workerId) {
+      return { released: false };
+    }
+    this.leases.delete(key);
+    if (completedCycle !== undefined) {
+      this.completed.set(key, completedCycle);
+    }
+    return { released: !!lease };
+  }
+
+  // 协调器状态：在线的 worker（最近 ttlMs 内有心跳）及其租约数
+  async getStatus() {
+    const now = Date.now();
+    const workers = [];
+    for (const [workerId, worker] of Array.from(this.workers.entries())) {
+      if (now - worker.lastSeen > worker.ttlMs) {
+        this.workers.delete(workerId);
+        continue;
+      }
+      workers.push({ workerId, capacity: worker.capacity, leases: this.countLeases(workerId, now), lastSeen: worker.lastSeen });
+    }
+    const leases = Array.from(this.leases.keys()).filter(key => this.getLease(key, now)).length;
+    return { workers, leases, completed: this.completed.size };
+  }
+}
+
+export class HttpLeaseStore {
+  constructor(url) {
+    this.url = url.replace(/\/+$/, '');
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(LEASE_REQUEST_TIMEOUT),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (response.status !== 200) {
+      throw new Error(`Lease coordinator responded with ${response.status}${result.error ? `: ${result.error}` : ''}`);
+    }
+    return result;
+  }
+
+  acquire(options) {
+    return this.request('POST', '/leases/acquire', options);
+  }
+
+  renew(options) {
+    return this.request('POST', '/leases/renew', options);
+  }
+
+  release(options) {
+    return this.request('POST', '/leases/release', options);
+  }
+
+  getStatus() {
+    return this.request('GET', '/status');
+  }
+
+  toString() {
+    return this.url;
+  }
+}
+
+// 根据配置创建租约存储，没有配置 LEASE_COORDINATOR_URL 时返回 null（单机运行）
+export function createLeaseStore(settings) {
+  return settings.LEASE_COORDINATOR_URL ? new HttpLeaseStore(settings.LEASE_COORDINATOR_URL) : null;
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 请求参数检查，返回错误信息或 null
+function validateLeaseRequest(action, body) {
+  if (typeof body.workerId !== 'string' || body.workerId === '') {
+    return 'workerId is required';
+  }
+  if (action === 'release') {
+    return typeof body.key === 'string' ? null : 'key is required';
+  }
+  if (!Array.isArray(body.keys) || !body.keys.every(key => typeof key === 'string')) {
+    return 'keys must be an array of strings';
+  }
+  if (!Number.isFinite(body.capacity) || !Number.isFinite(body.ttlMs) || body.ttlMs <= 0) {
+    return 'capacity and ttlMs are required';
+  }
+  if (action === 'acquire' && !Number.isFinite(body.count)) {
+    return 'count is required';
+  }
+  return null;
+}
+
+// 启动租约协调器 HTTP 接口：
+// - POST /leases/acquire、/leases/renew、/leases/release：JSON 请求体，参数见 MemoryLeaseStore 的同名方法
+// - GET /status：在线的 worker 和租约数
+export function startLeaseCoordinator({ host, port, store = new MemoryLeaseStore() }) {
+  const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const leaseAction = /^\/leases\/(acquire|renew|release)$/.exec(url.pathname);
+    try {
+      if (req.method === 'GET' && url.pathname === '/status') {
+        sendJson(res, 200, { ...(await store.getStatus()), generatedAt: new Date().toISOString() });
+      } else if (req.method === 'POST' && leaseAction) {
+        const body = await readJsonBody(req);
+        const error = validateLeaseRequest(leaseAction[1], body);
+        if (error) {
+          sendJson(res, 400, { error });
+          return;
+        }
+        const result = await store[leaseAction[1]](body);
+        if (leaseAction[1] === 'acquire' && result.granted.length > 0) {
+          console.log(`[LEASE-COORDINATOR] 🔑 ${body.workerId} acquired ${result.granted.length} lease(s): ${result.granted.map(lease => lease.key).join(', ')}`);
+        } else if (leaseAction[1] === 'release' && result.released) {
+          console.log(`[LEASE-COORDINATOR] 🔓 ${body.workerId} released ${body.key}${body.completedCycle !== undefined ? ' (completed)' : ''}`);
+        } else if (leaseAction[1] === 'renew' && result.lost.length > 0) {
+          console.warn(`[LEASE-COORDINATOR] ⚠️ ${body.workerId} lost ${result.lost.length} lease(s) to other workers: ${result.lost.join(', ')}`);
+        }
+        sendJson(res, 200, result);
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  server.listen(port, host, () => {
+    console.log(`[LEASE-COORDINATOR] 🌐 Lease coordinator listening on http://${host}:${port}`);
+  });
+
+  return server;
+}
@@ -0,0 +1,159 @@
+// 页面驱动的内存实现（接口见 page-driver.mjs）：没有浏览器，页面状态由调用方直接设置
+// 用于确定性地测试调度逻辑（schedule()、resetCycle()、checkAndEnforceActiveMiningLimit() 等），也是模拟模式（simulation.mjs）的基础
+// - MemoryPageDriver：一个任务页面，setState() / crash() / solve() 等方法模拟页面变化
+// - MemoryPageBackend：调度器的 pageBackend，openTask() 立即打开一个已登录（READY）的页面
+import { TaskNetworkState } from './task-network-state.mjs';
+import { PageState } from './page-state.mjs';
+
+// 有 session 的状态（stop session / 刷新后回到 READY）
+const SESSION_STATES = [PageState.ACTIVE, PageState.MINING, PageState.SOLVED];
+
+export class MemoryPageDriver {
+  // state：初始页面状态（默认已登录，显示 start session）
+  constructor({ taskId = null, state = PageState.READY } = {}) {
+    this.taskId = taskId;
+    this.state = state;
+    this.closed = false;
+    this.crashed = false;
+    this.pendingSolution = false;
+    this.metrics = null; // sampleMetrics() 返回的指标，null 时不支持采样
+    this.networkState = new TaskNetworkState();
+    this.sessionsStarted = 0;
+    this.sessionsStopped = 0;
+    this.reloads = 0;
+  }
+
+  isClosed() {
+    return this.closed;
+  }
+
+  hasPendingSolution() {
+    return !this.closed && this.pendingSolution;
+  }
+
+  // 设置页面状态（测试 / 模拟使用）
+  setState(state) {
+    this.state = state;
+  }
+
+  // 页面崩溃：之后的 getState() 返回 CRASHED，直到 reload()
+  crash() {
+    this.crashed = true;
+    this.pendingSolution = false;
+  }
+
+  // 当前 challenge 已解出（页面显示 "waiting for the next challenge"）
+  solve() {
+    this.pendingSolution = false;
+    this.networkState.recordSolutionResponse(200);
+    this.state = PageState.SOLVED;
+  }
+
+  async getState() {
+    if (this.closed) {
+      return { state: PageState.CLOSED, source: 'page' };
+    }
+    if (this.crashed) {
+      return { state: PageState.CRASHED, source: 'page' };
+    }
+    return { state: this.state, source: 'page' };
+  }
+
+  async startSession() {
+    if (this.closed || this.crashed || this.state !== PageState.READY) {
+      return false;
+    }
+    this.sessionsStarted++;
+    this.networkState.recordSessionStarted();
+    this.state = PageState.ACTIVE;
+    return true;
+  }
+
+  async stopSession() {
+    if (this.closed || this.crashed || !SESSION_STATES.includes(this.state)) {
+      return false;
+    }
+    this.sessionsStopped++;
+    this.pendingSolution = false;
+    this.networkState.recordSessionStopped();
+    this.state = PageState.READY;
+    return true;
+  }
+
+  async reload() {
+    if (this.closed) {
+      throw new Error('Target page, context or browser has been closed');
+    }
+    this.reloads++;
+    this.crashed = false;
+    this.pendingSolution = false;
+    this.networkState.recordSessionStopped();
+    if (SESSION_STATES.includes(this.state)) {
+      this.state = PageState.READY;
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    this.pendingSolution = false;
+  }
+
+  async health() {
+    if (this.closed) {
+      return null;
+    }
+    const healthy = !this.crashed && [PageState.READY, ...SESSION_STATES].includes(this.state);
+    return { healthy, crashed: this.crashed, state: this.crashed ? PageState.CRASHED : this.state };
+  }
+
+  async sampleMetrics() {
+    if (this.closed || !this.metrics) {
+      throw new Error('Metrics are not available');
+    }
+    return { cpuPercent: null, heapUsedMb: 0, heapTotalMb: 0, taskDuration: 0, scriptDuration: 0, nodes: 0, ...this.metrics, sampledAt: Date.now() };
+  }
+}
+
+// 内存中的"浏览器"（浏览器池使用）
+export class MemoryBrowser {
+  constructor() {
+    this.connected = true;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  on() {
+    // 不会断开
+  }
+
+  async newBrowserCDPSession() {
+    throw new Error('CDP is not available for in-memory pages');
+  }
+
+  async close() {
+    this.connected = false;
+  }
+}
+
+export class MemoryPageBackend {
+  // createDriver(task, options)：为任务创建页面驱动（options 为 openTask() 的参数），默认创建已登录（READY）的 MemoryPageDriver
+  constructor({ createDriver = task => new MemoryPageDriver({ taskId: task.id }) } = {}) {
+    this.createDriver = createDriver;
+    this.drivers = new Map(); // taskId -> 最近一次打开的页面驱动
+    this.browsersLaunched = 0;
+  }
+
+  async launchBrowser() {
+    this.browsersLaunched++;
+    return new MemoryBrowser();
+  }
+
+  async openTask(task, options) {
+    const driver = this.createDriver(task, options);
+    this.drivers.set(task.id, driver);
+    options.attach(driver);
+    return { ok: true };
+  }
+}
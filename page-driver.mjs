@@ -0,0 +1,367 @@
+// 页面驱动：调度器（task-scheduler.mjs）只通过页面驱动操作任务页面，不直接使用 Playwright 的 page
+// 每个打开的任务页面对应一个驱动（task.driver），驱动接口：
+// - getState({ settle })：页面当前状态 { state: PageState.X, source: 'network' | 'page' }
+//   页面关闭返回 CLOSED、崩溃返回 CRASHED，其他错误抛出；settle 为没有网络信号时读取页面前等待渲染的时间（ms）
+// - startSession()：点击 start session，按钮不可见/不可用时返回 false，点击失败时抛出
+// - stopSession()：点击 stop session（并等待页面更新），返回是否点击了按钮
+// - close()：关闭页面（及其 context）
+// - health()：页面健康检查 { healthy, crashed, state }，页面无法访问或不在挖矿站点时返回 null
+// 另外调度器还使用：
+// - isClosed()：页面是否已关闭（同步，计数使用）
+// - reload()：刷新页面
+// - networkState：网络状态模型（见 task-network-state.mjs），没有时为 null
+// - hasPendingSolution()：是否有正在提交（或等待重试）的 solution
+// - sampleMetrics()：页面资源指标（见 page-metrics.mjs），不支持时抛出
+//
+// 页面后端负责启动浏览器和打开任务页面（调度器构造参数 pageBackend）：
+// - launchBrowser()：启动一个浏览器实例（由浏览器池调用，见 browser-pool.mjs）
+// - openTask(task, { browser, attach, recordSubmitSolution })：打开页面并登录到 start session 页面，返回 { ok, error }
+//   页面打开后（登录完成之前）调用 attach(driver) 交给调度器；solution 提交成功时调用 recordSubmitSolution(taskId)
+// 实现：Playwright（本文件，默认）和内存实现（memory-page-driver.mjs，用于测试和模拟）
+// ⚠️ 本文件依赖 playwright：页面状态定义在 page-state.mjs（不依赖 playwright），调度器在没有传入 pageBackend 时才加载本文件
+import { chromium } from 'playwright';
+import { config } from './config.mjs';
+import { NetworkPhase } from './task-network-state.mjs';
+import { getPageMetricsSampler } from './page-metrics.mjs';
+import { PageState } from './page-state.mjs';
+
+export { PageState, LOGGED_IN_STATES } from './page-state.mjs';
+
+// 页面崩溃相关的错误
+function isCrashError(error) {
+  const message = (error && error.message) || '';
+  return message.includes('crashed') || message.includes('Target closed');
+}
+
+export class PlaywrightPageDriver {
+  // page / context：runbatch.mjs 打开的页面和它的 context（关闭时一起关闭）
+  constructor({ page, context = null }) {
+    this.page = page;
+    this.context = context;
+  }
+
+  // ⚠️ 网络状态模型由 runbatch.mjs 在页面上创建（page._networkState）
+  get networkState() {
+    return this.page._networkState || null;
+  }
+
+  isClosed() {
+    try {
+      return this.page.isClosed();
+    } catch {
+      return true;
+    }
+  }
+
+  hasPendingSolution() {
+    if (typeof this.page._hasPendingSolution !== 'function') {
+      return false;
+    }
+    try {
+      return !this.page.isClosed() && this.page._hasPendingSolution();
+    } catch {
+      return false;
+    }
+  }
+
+  async getState({ settle = 0 } = {}) {
+    const page = this.page;
+    if (this.isClosed()) {
+      return { state: PageState.CLOSED, source: 'page' };
+    }
+
+    try {
+      // ⚠️ 先检查页面是否已崩溃（页面崩溃时获取 URL 会抛出错误）
+      page.url();
+
+      // ⚠️ 优先使用网络信号（/api/challenge、/api/solution），不需要等待页面渲染和文本匹配
+      const networkState = this.networkState;
+      if (networkState && networkState.hasSignal()) {
+        return {
+          state: networkState.phase === NetworkPhase.SOLVED ? PageState.SOLVED : PageState.MINING,
+          source: 'network',
+        };
+      }
+
+      // ⚠️ 回退：没有网络信号（session 还没开始或刚开始）时通过页面 URL 和文本判断
+      if (settle > 0) {
+        await page.waitForTimeout(settle);
+      }
+      const url = page.url();
+
+      if (url.includes('/wizard/wallet')) {
+        // 检查是否卡在 "Choose a Destination address" 页面
+        const isStuck = await page.evaluate(() => {
+          const bodyText = (document.body?.innerText || '').toLowerCase();
+          return bodyText.includes('choose a destination address') ||
+                 bodyText.includes('choose a destination');
+        }).catch(() => false);
+        return { state: isStuck ? PageState.STUCK : PageState.LOGGING_IN, source: 'page' };
+      }
+
+      if (!url.includes('/wizard/mine')) {
+        return { state: PageState.LOADING, source: 'page' };
+      }
+
+      const statusInfo = await page.evaluate(() => {
+        // 获取页面所有文本内容（包括隐藏元素）
+        const bodyText = (document.body?.innerText || '').toLowerCase();
+        const bodyHTML = (document.body?.innerHTML || '').toLowerCase();
+        const allText = bodyText + ' ' + bodyHTML;
+
+        // ⚠️ 在"Solve cryptographic challenges"页面检测状态
+        // - "waiting for the next challenge" = 任务已完成
+        // - "finding a solution" = 任务正在进行中（挖矿中）
+        let challengeStatus = null;
+        if (allText.includes('waiting for the next challenge')) {
+          challengeStatus = 'waiting for the next challenge';
+        } else if (allText.includes('finding a solution')) {
+          challengeStatus = 'finding a solution';
+        } else if (allText.includes('finding') && (allText.includes('solution') || allText.includes('challenge'))) {
+          // 兼容其他可能的"finding"文本（但要排除"finding"单独出现的情况，避免误判）
+          challengeStatus = 'finding a solution';
+        }
+
+        // 检测 start / stop session 按钮
+        const buttons = Array.from(document.querySelectorAll('button'));
+        let hasStartSession = false;
+        let hasStopSession = false;
+        for (const btn of buttons) {
+          const text = (btn.textContent || '').trim().toLowerCase();
+          if ((text === 'start' || text === 'start session') && btn.offsetParent !== null && !btn.disabled) {
+            hasStartSession = true;
+          }
+          if ((text === 'stop' || text === 'stop session') && btn.offsetParent !== null && !btn.disabled) {
+            hasStopSession = true;
+          }
+        }
+
+        return { challengeStatus, hasStartSession, hasStopSession };
+      });
+
+      if (statusInfo.challengeStatus === 'waiting for the next challenge') {
+        return { state: PageState.SOLVED, source: 'page' };
+      }
+      if (statusInfo.challengeStatus === 'finding a solution') {
+        return { state: PageState.MINING, source: 'page' };
+      }
+      if (statusInfo.hasStopSession) {
+        return { state: PageState.ACTIVE, source: 'page' };
+      }
+      if (statusInfo.hasStartSession) {
+        return { state: PageState.READY, source: 'page' };
+      }
+      return { state: PageState.UNKNOWN, source: 'page' };
+    } catch (error) {
+      if (isCrashError(error)) {
+        return { state: PageState.CRASHED, source: 'page' };
+      }
+      throw error;
+    }
+  }
+
+  async startSession() {
+    const startButton = this.page.getByRole('button', { name: /^(start|start session)$/i }).first();
+    const isVisible = await startButton.isVisible({ timeout: 2000 }).catch(() => false);
+    if (!isVisible) {
+      return false;
+    }
+    const isEnabled = await startButton.isEnabled().catch(() => false);
+    if (!isEnabled) {
+      return false;
+    }
+
+    await startButton.click({ timeout: 5000 });
+    if (this.networkState) {
+      this.networkState.recordSessionStarted();
+    }
+    return true;
+  }
+
+  async stopSession() {
+    const page = this.page;
+    await page.waitForTimeout(500);
+
+    // 查找Stop按钮并点击
+    const clicked = await page.evaluate(() => {
+      const buttons = Array.from(document.querySelectorAll('button'));
+      for (const btn of buttons) {
+        const text = (btn.textContent || '').trim().toLowerCase();
+        if ((text === 'stop' || text === 'stop session') && btn.offsetParent !== null && !btn.disabled) {
+          btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          btn.click();
+          return true;
+        }
+      }
+      return false;
+    }).catch(() => false);
+
+    if (clicked) {
+      if (this.networkState) {
+        this.networkState.recordSessionStopped();
+      }
+      await page.waitForTimeout(2000); // 等待状态更新（从"Finding a solution"回到"start session"状态）
+    }
+    return clicked;
+  }
+
+  async reload() {
+    await this.page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
+    if (this.networkState) {
+      this.networkState.recordSessionStopped();
+    }
+  }
+
+  async close() {
+    if (this.context) {
+      await this.context.close().catch(() => {});
+    } else if (!this.isClosed()) {
+      await this.page.close().catch(() => {});
+    }
+  }
+
+  async health() {
+    const page = this.page;
+    if (this.isClosed()) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = page.url();
+    } catch {
+      return null; // 页面已经无法访问
+    }
+    // ⚠️ 只检查在 /wizard/mine 或 /wizard/wallet 页面的任务
+    if (!url.includes('/wizard/mine') && !url.includes('/wizard/wallet')) {
+      return null;
+    }
+
+    const check = await page.evaluate(() => {
+      const bodyText = (document.body?.innerText || '').toLowerCase();
+      const bodyHTML = (document.body?.innerHTML || '').toLowerCase();
+      const allText = bodyText + ' ' + bodyHTML;
+
+      // 检查崩溃状态
+      const isCrashed =
+        bodyText.includes('something went wrong with this page') ||
+        bodyText.includes('something went wrong') ||
+        bodyText.includes('page crashed') ||
+        bodyText.includes('aw snap') ||
+        bodyText.includes('chrome crashed') ||
+        bodyText.includes('this page isn\'t working') ||
+        bodyText.includes('this page isn\'t responding');
+
+      // 检查是否显示正常状态
+      const hasFindingSolution = allText.includes('finding a solution');
+      const hasWaitingForNextChallenge = allText.includes('waiting for the next challenge');
+      const hasStartSession = allText.includes('start session') || allText.includes('start');
+      const hasStopSession = allText.includes('stop session') || allText.includes('stop');
+
+      // 检查页面是否为空或异常
+      const isEmpty = !bodyText || bodyText.trim().length < 50;
+
+      return {
+        isCrashed,
+        hasFindingSolution,
+        hasWaitingForNextChallenge,
+        hasStartSession,
+        hasStopSession,
+        isHealthy: !isCrashed && !isEmpty && (hasFindingSolution || hasWaitingForNextChallenge || hasStartSession || hasStopSession),
+      };
+    }).catch(() => ({ isCrashed: true, isHealthy: false }));
+
+    let state = PageState.UNKNOWN;
+    if (check.hasFindingSolution) {
+      state = PageState.MINING;
+    } else if (check.hasWaitingForNextChallenge) {
+      state = PageState.SOLVED;
+    } else if (check.hasStartSession) {
+      state = PageState.READY;
+    } else if (check.hasStopSession) {
+      state = PageState.ACTIVE;
+    }
+    return { healthy: check.isHealthy, crashed: check.isCrashed, state };
+  }
+
+  async sampleMetrics() {
+    return getPageMetricsSampler(this.page).sample();
+  }
+}
+
+// ⚠️ 启动一个 Chromium 实例（由浏览器池调用）
+async function launchBrowser() {
+  const HEADLESS = config.HEADLESS;
+  const DISPLAY = config.DISPLAY;
+
+  return chromium.launch({
+    headless: HEADLESS,
+    args: [
+      '--guest',
+      '--no-first-run',
+      '--no-default-browser-check',
+      '--disable-dev-shm-usage',
+      '--disable-blink-features=AutomationControlled',
+      '--disable-features=IsolateOrigins,site-per-process,AutomationControlled,MediaRouter',
+      '--disable-component-extensions-with-background-pages',
+      '--disable-default-apps',
+      '--disable-hang-monitor',
+      '--disable-prompt-on-repost',
+      '--disable-sync',
+      '--metrics-recording-only',
+      '--safebrowsing-disable-auto-update',
+      '--enable-automation',
+      '--password-store=basic',
+      '--use-mock-keychain',
+      '--lang=en-US,en',
+      '--user-agent=Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+      '--disable-infobars',
+      '--disable-notifications',
+      '--disable-popup-blocking',
+      '--disable-translate',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding',
+      '--disable-features=TranslateUI',
+      '--disable-ipc-flooding-protection',
+      ...(HEADLESS ? [
+        '--headless=new',
+        '--disable-web-security',
+        '--disable-site-isolation-trials',
+        '--disable-setuid-sandbox',
+        '--no-sandbox',
+        '--disable-extensions',
+        '--disable-plugins',
+        '--disable-background-networking',
+      ] : [
+        `--display=${DISPLAY}`,
+        '--disable-gpu',
+      ])
+    ]
+  });
+}
+
+// Playwright 后端：浏览器池中的 Chromium 实例 + runbatch.mjs 的 runOne（initOnly，完成到start session按钮出现但不点击）
+export const playwrightBackend = {
+  launchBrowser,
+
+  async openTask(task, { browser, attach, recordSubmitSolution }) {
+    const { runOne } = await import('./runbatch.mjs');
+    // runOne 通过调度器适配器交回页面和 context
+    const adapter = {
+      tasks: new Map(),
+      addTask: (id, page, pageBrowser, context) => {
+        attach(new PlaywrightPageDriver({ page, context: context || null }));
+      },
+      // ⚠️ 必须传递 taskId 参数，否则 hasSubmittedSolution 不会被正确设置
+      recordSubmitSolution: taskId => {
+        recordSubmitSolution(taskId);
+      },
+    };
+    return runOne({ id: task.id, addr: task.addr }, {
+      initOnly: true,
+      scheduler: adapter,
+      sharedBrowser: browser, // ⚠️ 浏览器池分配的实例
+    });
+  },
+};
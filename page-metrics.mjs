@@ -0,0 +1,68 @@
+// 页面资源指标采样（页面看门狗使用，见 TaskScheduler.checkPageWatchdog）
+// 每个页面一个 PageMetricsSampler（page._metricsSampler），通过页面的 CDP session 调用 Performance.getMetrics：
+// - heapUsedMb / heapTotalMb：JS 堆大小（JSHeapUsedSize / JSHeapTotalSize）
+// - cpuPercent：两次采样之间主线程任务耗时（TaskDuration）占经过时间的百分比，第一次采样为 null
+// - taskDuration / scriptDuration：页面累计的主线程任务 / 脚本耗时（秒）
+// ⚠️ Performance.getMetrics 只统计页面主线程，Web Worker 中运行的 WASM 不计入 cpuPercent
+// ⚠️ 页面刷新后 CDP session 仍然有效，但累计耗时会重新开始，此时 cpuPercent 为 null
+
+const MB = 1024 * 1024;
+const SAMPLE_TIMEOUT = 5000; // 渲染进程卡死时 CDP 调用可能不返回
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export class PageMetricsSampler {
+  constructor(page) {
+    this.page = page;
+    this.session = null;
+    this.lastTimestamp = null; // 上一次采样的 Timestamp（秒，单调时钟）
+    this.lastTaskDuration = null;
+  }
+
+  // 采样一次，返回指标对象；页面已关闭、不支持 CDP（非 Chromium）或超时时抛出
+  async sample() {
+    if (!this.session) {
+      const session = await this.page.context().newCDPSession(this.page);
+      await withTimeout(session.send('Performance.enable'), SAMPLE_TIMEOUT, 'Performance.enable');
+      this.session = session;
+    }
+
+    const { metrics } = await withTimeout(this.session.send('Performance.getMetrics'), SAMPLE_TIMEOUT, 'Performance.getMetrics');
+    const values = {};
+    for (const metric of metrics) {
+      values[metric.name] = metric.value;
+    }
+
+    let cpuPercent = null;
+    if (this.lastTimestamp !== null && values.Timestamp > this.lastTimestamp && values.TaskDuration >= this.lastTaskDuration) {
+      const busy = values.TaskDuration - this.lastTaskDuration;
+      cpuPercent = Math.min(100, Math.round(busy / (values.Timestamp - this.lastTimestamp) * 100));
+    }
+    this.lastTimestamp = values.Timestamp;
+    this.lastTaskDuration = values.TaskDuration;
+
+    return {
+      heapUsedMb: Math.round((values.JSHeapUsedSize || 0) / MB),
+      heapTotalMb: Math.round((values.JSHeapTotalSize || 0) / MB),
+      cpuPercent,
+      taskDuration: values.TaskDuration || 0,
+      scriptDuration: values.ScriptDuration || 0,
+      nodes: values.Nodes || 0,
+      sampledAt: Date.now(),
+    };
+  }
+}
+
+// 页面的采样器（页面对象上缓存，页面关闭后随页面释放）
+export function getPageMetricsSampler(page) {
+  if (!page._metricsSampler) {
+    page._metricsSampler = new PageMetricsSampler(page);
+  }
+  return page._metricsSampler;
+}
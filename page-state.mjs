@@ -0,0 +1,17 @@
+// 页面状态：页面驱动（见 page-driver.mjs、memory-page-driver.mjs）getState() 返回的 state
+// ⚠️ 不依赖 playwright，调度器、内存实现和模拟都从这里导入（page-driver.mjs 依赖 playwright）
+export const PageState = {
+  CLOSED: 'closed',         // 页面已关闭
+  CRASHED: 'crashed',       // 页面已崩溃
+  LOGGING_IN: 'logging-in', // 还在 wallet 页面（登录中）
+  STUCK: 'stuck',           // 卡在 wallet 页面的 "Choose a Destination address"，需要重新初始化
+  LOADING: 'loading',       // 不在 wallet 页面也不在挖矿页面
+  READY: 'ready',           // 挖矿页面，显示 start session 按钮
+  ACTIVE: 'active',         // 挖矿页面，显示 stop session 按钮但还没有状态文本（session 刚开始）
+  MINING: 'mining',         // 正在挖矿（"finding a solution"）
+  SOLVED: 'solved',         // 当前 challenge 已解出（"waiting for the next challenge"）
+  UNKNOWN: 'unknown',       // 挖矿页面，但没有识别出状态
+};
+
+// 已到达 start session 页面（已登录）的状态
+export const LOGGED_IN_STATES = [PageState.READY, PageState.ACTIVE, PageState.MINING, PageState.SOLVED];
@@ -1,95 +1,84 @@
 // 周期性任务管理主程序
 import { TaskScheduler, CONFIG } from './task-scheduler.mjs';
-import { readFileSync, statSync, readdirSync } from 'fs';
+import { statSync, watch } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join, extname } from 'path';
+import { dirname, join, basename } from 'path';
 import { fork } from 'child_process';
+import { createServer } from 'http';
+import { loadTaskList, readTaskEntries, validateTaskEntries, formatTaskProblem, createTaskFilter, matchesTaskFilter, describeTaskFilter } from './task-loader.mjs';
+import { config, configFile, configError, reportConfigError, printConfig } from './config.mjs';
+import { CycleClock, createCycleClock } from './cycle-clock.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // 加载任务
 // ⚠️ 默认从项目根目录下的 task 文件夹读取任务列表
-// 如果路径指向文件夹，会读取文件夹中所有 .json 文件并合并
+// 如果路径指向文件夹，会读取文件夹中所有任务文件（.json / .yaml / .yml / .csv / .txt，可以混用）并合并
 // 如果路径指向文件，则直接读取该文件
-const TASKS_PATH = process.env.TASKS_FILE || join(__dirname, '..', 'task');
+// 校验任务文件（不启动调度器）：node run-scheduled.mjs --validate-tasks
+// 查看生效的配置及来源：node run-scheduled.mjs --print-config
+const TASKS_PATH = config.TASKS_FILE;
+
+// ⚠️ 任务文件热加载：修改任务文件/文件夹后自动应用到正在运行的调度器（设置为 false 禁用）
+const WATCH_TASKS = config.WATCH_TASKS;
+const TASKS_RELOAD_DEBOUNCE = config.TASKS_RELOAD_DEBOUNCE; // 文件变化后等待2秒再重新加载（避免编辑器多次写入）
+
+// 统计采集子进程（热加载时需要把新的地址列表发送给它）
+let statsCollector = null;
+
+// 读取并验证任务列表（失败时抛出错误，格式和校验规则见 task-loader.mjs）
+function readTasks() {
+  console.log(`[CONFIG] Loading tasks from: ${TASKS_PATH}`);
+  return loadTaskList(TASKS_PATH);
+}
 
 function loadTasks() {
   try {
-    const stats = statSync(TASKS_PATH);
-    let allTasks = [];
-    let loadedFiles = [];
-    
-    if (stats.isDirectory()) {
-      // 如果是文件夹，读取文件夹中所有 .json 文件
-      console.log(`[CONFIG] Loading tasks from directory: ${TASKS_PATH}`);
-      const files = readdirSync(TASKS_PATH).filter(f => extname(f).toLowerCase() === '.json');
-      
-      if (files.length === 0) {
-        throw new Error(`No JSON files found in directory: ${TASKS_PATH}`);
-      }
-      
-      for (const file of files) {
-        const filePath = join(TASKS_PATH, file);
-        try {
-          const fileContent = readFileSync(filePath, 'utf8');
-          const data = JSON.parse(fileContent);
-          const tasks = Array.isArray(data) ? data : (data.tasks || []);
-          
-          if (Array.isArray(tasks) && tasks.length > 0) {
-            allTasks = allTasks.concat(tasks);
-            loadedFiles.push(`${file} (${tasks.length} tasks)`);
-            console.log(`[CONFIG]   ✓ Loaded ${tasks.length} task(s) from ${file}`);
-          }
-        } catch (err) {
-          console.warn(`[CONFIG]   ⚠️ Failed to load ${file}: ${err.message}`);
-        }
-      }
-      
-      if (allTasks.length === 0) {
-        throw new Error(`No valid tasks found in any JSON file in directory: ${TASKS_PATH}`);
-      }
-      
-      console.log(`[CONFIG] Loaded ${allTasks.length} task(s) from ${loadedFiles.length} file(s)`);
-    } else if (stats.isFile()) {
-      // 如果是文件，直接读取
-      console.log(`[CONFIG] Loading tasks from file: ${TASKS_PATH}`);
-      const fileContent = readFileSync(TASKS_PATH, 'utf8');
-      const data = JSON.parse(fileContent);
-      allTasks = Array.isArray(data) ? data : (data.tasks || []);
-      
-      if (!Array.isArray(allTasks) || allTasks.length === 0) {
-        throw new Error('Tasks file must contain a non-empty array of tasks');
-      }
-      
-      console.log(`[CONFIG] Loaded ${allTasks.length} task(s) from ${TASKS_PATH}`);
-    } else {
-      throw new Error(`Path is neither a file nor a directory: ${TASKS_PATH}`);
-    }
-    
-    // 验证所有任务
-    for (let i = 0; i < allTasks.length; i++) {
-      const task = allTasks[i];
-      if (!task.id) {
-        throw new Error(`Task at index ${i} is missing required field 'id'`);
-      }
-      if (!task.addr) {
-        throw new Error(`Task at index ${i} (id: ${task.id}) is missing required field 'addr'`);
-      }
-    }
-    
-    return allTasks;
+    return readTasks();
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.error(`[ERROR] Tasks path not found: ${TASKS_PATH}`);
       console.error(`[ERROR] Please create a task directory or file, or set TASKS_FILE environment variable`);
     } else {
       console.error(`[ERROR] Failed to load tasks from ${TASKS_PATH}:`, error.message);
+      for (const problem of error.problems || []) {
+        console.error(`[ERROR]   - ${formatTaskProblem(problem)}`);
+      }
     }
     process.exit(1);
   }
 }
 
+// ⚠️ 只校验任务文件，不启动调度器（node run-scheduled.mjs --validate-tasks）
+// 报告所有问题（包括 enabled=false 的任务），有问题时退出码为 1
+function validateTasksOnly() {
+  console.log(`[VALIDATE] Validating tasks at: ${TASKS_PATH}`);
+  let entries;
+  let readProblems;
+  try {
+    ({ entries, problems: readProblems } = readTaskEntries(TASKS_PATH));
+  } catch (error) {
+    console.error(`[VALIDATE] ❌ Cannot read tasks path: ${error.message}`);
+    return 1;
+  }
+
+  const { tasks, problems: validationProblems } = validateTaskEntries(entries);
+  const problems = [...readProblems, ...validationProblems];
+
+  if (problems.length > 0) {
+    console.error(`[VALIDATE] ❌ Found ${problems.length} problem(s) in ${entries.length} task entr${entries.length === 1 ? 'y' : 'ies'}:`);
+    for (const problem of problems) {
+      console.error(`[VALIDATE]   - ${formatTaskProblem(problem)}`);
+    }
+    return 1;
+  }
+
+  const disabledCount = tasks.filter(task => task.enabled === false).length;
+  console.log(`[VALIDATE] ✅ ${tasks.length} task(s) valid (${disabledCount} disabled)`);
+  return 0;
+}
+
 async function main() {
   // ⚠️ 设置环境变量，禁用 runbatch.mjs 中的统计输出（调度器有自己的状态报告）
   process.env.SCHEDULED_MODE = 'true';
@@ -100,17 +89,32 @@ async function main() {
   console.log('='.repeat(70));
   console.log(`[SCHEDULER-MAIN][CONFIG] 📋 Configuration:`);
   console.log(`  🔄 RESET_AT_HOUR: ${CONFIG.RESET_AT_HOUR ? 'enabled' : 'disabled'}`);
-  const headlessMode = process.env.HEADLESS !== 'false';
+  console.log(`  🕐 CYCLE: ${createCycleClock(config).describe()}`);
+  const headlessMode = config.HEADLESS;
   console.log(`  🖥️  BROWSER_MODE: ${headlessMode ? 'headless (hidden)' : 'headed (visible)'}`);
+  const recycleRules = [
+    config.BROWSER_RECYCLE_PAGES > 0 ? `${config.BROWSER_RECYCLE_PAGES} pages` : null,
+    config.BROWSER_RECYCLE_UPTIME > 0 ? `${Math.round(config.BROWSER_RECYCLE_UPTIME / 60000)} min uptime` : null,
+    config.BROWSER_RECYCLE_RSS_MB > 0 ? `${config.BROWSER_RECYCLE_RSS_MB} MB RSS` : null,
+  ].filter(Boolean);
+  console.log(`  🌐 BROWSER_POOL_SIZE: ${config.BROWSER_POOL_SIZE} (recycle after ${recycleRules.length > 0 ? recycleRules.join(' / ') : 'never'})`);
   console.log(`  ⛏️  MAX_ACTIVE_MINING: ${CONFIG.MAX_ACTIVE_MINING}`);
   console.log(`  📄 MAX_OPEN_PAGES: ${CONFIG.MAX_OPEN_PAGES}`);
   console.log(`  🔄 PAGE_OPEN_CONCURRENCY: ${CONFIG.PAGE_OPEN_CONCURRENCY}`);
   console.log(`  ⏱️  STATUS_CHECK_INTERVAL: ${CONFIG.STATUS_CHECK_INTERVAL}ms`);
   console.log(`  ⏰ COMPLETION_WAIT_TIME: ${CONFIG.COMPLETION_WAIT_TIME}ms (30s)`);
+  console.log(`  ⏳ SOLUTION_GRACE_PERIOD: ${config.SOLUTION_GRACE_PERIOD > 0 ? `${config.SOLUTION_GRACE_PERIOD}ms (wait for in-flight solutions before shutdown / cycle reset)` : 'disabled'}`);
+  console.log(`  🔁 TASK_BACKOFF: ${config.TASK_BACKOFF_BASE > 0 ? `${Math.round(config.TASK_BACKOFF_BASE / 1000)}s doubling up to ${Math.round(config.TASK_BACKOFF_MAX / 1000)}s` : 'disabled'}, quarantine ${config.TASK_QUARANTINE_AFTER > 0 ? `after ${config.TASK_QUARANTINE_AFTER} consecutive failures` : 'disabled'}`);
+  console.log(`  💾 PERSIST_STATE: ${CONFIG.PERSIST_STATE ? `enabled (${CONFIG.STATE_FILE}, every ${CONFIG.STATE_SAVE_INTERVAL}ms)` : 'disabled'}`);
   
   // 检查是否启用统计采集器
-  const enableStatsCollector = process.env.ENABLE_STATS_COLLECTOR !== 'false';
+  const enableStatsCollector = config.ENABLE_STATS_COLLECTOR;
   console.log(`  📊 STATS_COLLECTOR: ${enableStatsCollector ? 'enabled' : 'disabled'}`);
+  console.log(`  👀 WATCH_TASKS: ${WATCH_TASKS ? `enabled (debounce ${TASKS_RELOAD_DEBOUNCE}ms)` : 'disabled'}`);
+  console.log(`  🏷️  TASK_FILTER: ${describeTaskFilter(createTaskFilter({ only: config.TASK_ONLY, exclude: config.TASK_EXCLUDE }))}`);
+  console.log(`  ⚖️  TASK_SELECTION_POLICY: ${config.TASK_SELECTION_POLICY}`);
+  console.log(`  🌐 STATUS_ENDPOINT: ${config.STATUS_PORT > 0 ? `http://${config.STATUS_HOST}:${config.STATUS_PORT}/status` : 'disabled'}`);
+  console.log(`  🔑 LEASE_COORDINATOR: ${config.LEASE_COORDINATOR_URL ? `${config.LEASE_COORDINATOR_URL} (lease ttl ${Math.round(config.LEASE_TTL / 1000)}s, renew every ${Math.round(config.LEASE_RENEW_INTERVAL / 1000)}s)` : 'disabled (standalone)'}`);
   console.log('='.repeat(70) + '\n');
   
   // 加载任务
@@ -119,7 +123,7 @@ async function main() {
 
   // 启动统计采集子进程（独立于挖矿任务运行）- 可通过环境变量禁用
   if (enableStatsCollector) {
-    startStatisticsCollector(tasks);
+    statsCollector = startStatisticsCollector(tasks);
   } else {
     console.log('[SCHEDULER-MAIN] ⚠️ Statistics collector is disabled (ENABLE_STATS_COLLECTOR=false)');
   }
@@ -127,82 +131,55 @@ async function main() {
   // 创建调度器
   const scheduler = new TaskScheduler();
   
-  // 添加所有任务
+  // 添加所有任务（被任务筛选器排除的任务不会被调度）
   for (const task of tasks) {
-    scheduler.addTask(task.id, { addr: task.addr });
+    scheduler.addTask(task.id, {
+      addr: task.addr,
+      source: task.source,
+      tags: task.tags,
+      schedule: task.schedule,
+      priority: task.priority,
+      weight: task.weight,
+      maxSolutionsPerCycle: task.maxSolutionsPerCycle,
+      maxSolutionsPerDay: task.maxSolutionsPerDay,
+    });
+  }
+  if (scheduler.taskFilter) {
+    console.log(`[SCHEDULER-MAIN] 🏷️ Task filter selected ${scheduler.tasks.size} task(s), excluded ${scheduler.excludedTaskIds.size}`);
   }
   
   // 启动调度器
   console.log('[SCHEDULER-MAIN] 🚀 Starting task scheduler...\n');
   await scheduler.start();
-  
+
+  // ⚠️ 监听任务文件变化，把增删改应用到正在运行的调度器
+  const tasksWatcher = WATCH_TASKS ? watchTasks(scheduler, tasks) : null;
+
   // 定期输出状态
   const statusInterval = setInterval(() => {
-    const status = scheduler.getStatus();
-    const now = new Date();
-    const currentHour = now.getHours();
-    
-    // ⚠️ 修复：统计各状态的任务数（getStatus() 已经处理了 INITIALIZING 状态的过滤）
-    const statusCounts = {};
-    for (const taskInfo of Object.values(status.tasks)) {
-      const s = taskInfo.status;
-      statusCounts[s] = (statusCounts[s] || 0) + 1;
-    }
-    
-    const miningUsage = ((status.activeMining / status.maxActiveMining) * 100).toFixed(1);
-    const pagesUsage = ((status.openPages / status.maxOpenPages) * 100).toFixed(1);
-    
-    console.log('\n' + '='.repeat(70));
-    console.log(`[SCHEDULER-MAIN][STATUS] 📊 Scheduler Status Report (${now.toISOString()})`);
-    console.log(`[SCHEDULER-MAIN][STATUS] Current Hour: ${currentHour}:00 (Cycle ${status.cycle})`);
-    console.log('='.repeat(70));
-    console.log(`[SCHEDULER-MAIN][STATUS] 🎛️  Control:`);
-    console.log(`  Running: ${status.isRunning ? '✓ Yes' : '✗ No'}`);
-    console.log(`  Total Tasks: ${status.totalTasks}`);
-    console.log(`  Cycle: ${status.cycle}`);
-    console.log(`[SCHEDULER-MAIN][STATUS] 💻 Resources:`);
-    console.log(`  Active Mining: ${status.activeMining}/${status.maxActiveMining} (${miningUsage}%)`);
-    console.log(`  Open Pages: ${status.openPages}/${status.maxOpenPages} (${pagesUsage}%)`);
-    console.log(`[SCHEDULER-MAIN][STATUS] 📊 Detailed Statistics:`);
-    console.log(`  ✓ Success (Completed): ${status.success}`);
-    console.log(`  ✗ Failed: ${status.failed}`);
-    console.log(`  🔐 Logging In (before start session page): ${status.loggingIn}`);
-    console.log(`  📝 Logged In (at start session page): ${status.loggedIn}`);
-    console.log(`  ⛏️ Active Mining (currently mining): ${status.currentlyMining} (Total Started: ${status.miningStarted})`);
-    console.log(`  📤 Submit Solution: ${status.cycleSubmitSolution || 0} (cycle: ${status.cycle}), Total: ${status.submitSolution || 0}`);
-    console.log(`  📊 Avg Login Time: ${status.avgLoginTime}s (from ${status.loginTimesCount} tasks)`);
-    console.log(`  📊 Avg Mining Time: ${status.avgMiningTime}s (from ${status.miningTimesCount} tasks)`);
-    console.log(`[SCHEDULER-MAIN][STATUS] 📈 Task Status Breakdown:`);
-    for (const [stat, count] of Object.entries(statusCounts).sort()) {
-      const emoji = {
-        'pending': '⏸️',
-        'initializing': '🔄',
-        'mining': '⛏️',
-        'completed': '✅',
-        'waiting_close': '⏳',
-        'closed': '💤',
-        'error': '❌',
-      }[stat] || '❓';
-      console.log(`  ${emoji} ${stat.toUpperCase()}: ${count}`);
-    }
-    // 计算到下一个整点的时间
-    const nextHour = new Date(now);
-    nextHour.setHours(currentHour + 1, 0, 0, 0);
-    const minutesToNextHour = Math.floor((nextHour - now) / 60000);
-    console.log(`[SCHEDULER-MAIN][STATUS] ⏰ Next Cycle Reset: ${currentHour + 1}:00 (${minutesToNextHour} minutes)`);
-    console.log('='.repeat(70) + '\n');
+    printStatusReport(scheduler.getStatus());
   }, 60000); // 每分钟输出一次状态
   
   // 处理退出信号
+  let statusServer = null;
   const shutdown = async () => {
     console.log('\n[SCHEDULER-MAIN] Shutting down scheduler...');
     clearInterval(statusInterval);
+    if (tasksWatcher) {
+      tasksWatcher.close();
+    }
+    if (statusServer) {
+      statusServer.close();
+    }
     await scheduler.stop();
     process.exit(0);
   };
   
   process.on('SIGINT', shutdown);
   process.on('SIGTERM', shutdown);
+
+  // ⚠️ 状态查询/控制接口（node cli.mjs status / pause / resume / release / drain 使用），STATUS_PORT=0 禁用
+  statusServer = config.STATUS_PORT > 0 ? startStatusServer(scheduler, { onDrainExit: shutdown }) : null;
   
   // 保持运行
   console.log('[SCHEDULER-MAIN] Scheduler is running. Press Ctrl+C to stop.');
@@ -211,25 +188,440 @@ async function main() {
   await new Promise(() => {});
 }
 
+// ⚠️ 监听任务文件/文件夹，变化后重新加载并与当前任务列表比较：
+// - 新增的任务通过 addTask() 添加
+// - 删除的任务通过 removeTask() 移除（等待正在提交的 solution 完成后关闭页面）
+// - addr 变化、或标签变化导致筛选结果变化的任务视为先删除再添加
+// - 只有时间窗口、优先级/权重或 solution 配额变化的任务直接更新（不重启任务）
+function watchTasks(scheduler, initialTasks) {
+  let currentTasks = new Map(initialTasks.map(task => [task.id, task]));
+  let reloadTimer = null;
+  let isReloading = false;
+  let reloadRequested = false;
+
+  const reload = async () => {
+    if (isReloading) {
+      reloadRequested = true; // 正在应用上一次变化，完成后再重新加载一次
+      return;
+    }
+    isReloading = true;
+
+    try {
+      let nextTasks;
+      try {
+        nextTasks = readTasks();
+      } catch (error) {
+        console.warn(`[SCHEDULER-MAIN] ⚠️ Failed to reload tasks from ${TASKS_PATH}, keeping current task list: ${error.message}`);
+        for (const problem of error.problems || []) {
+          console.warn(`[SCHEDULER-MAIN]   - ${formatTaskProblem(problem)}`);
+        }
+        return;
+      }
+
+      const nextById = new Map(nextTasks.map(task => [task.id, task]));
+      const added = [];
+      const removed = [];
+      const changed = [];
+      const rescheduled = [];
+      const requoted = [];
+      const reprioritized = [];
+      for (const [id, task] of nextById) {
+        const current = currentTasks.get(id);
+        if (!current) {
+          added.push(task);
+        } else if (current.addr !== task.addr ||
+                   matchesTaskFilter(current, scheduler.taskFilter) !== matchesTaskFilter(task, scheduler.taskFilter)) {
+          changed.push(task);
+        } else {
+          if ((current.schedule?.text || null) !== (task.schedule?.text || null)) {
+            rescheduled.push(task);
+          }
+          if ((current.maxSolutionsPerCycle || null) !== (task.maxSolutionsPerCycle || null) ||
+              (current.maxSolutionsPerDay || null) !== (task.maxSolutionsPerDay || null)) {
+            requoted.push(task);
+          }
+          if (current.priority !== task.priority || current.weight !== task.weight) {
+            reprioritized.push(task);
+          }
+        }
+      }
+      for (const id of currentTasks.keys()) {
+        if (!nextById.has(id)) {
+          removed.push(id);
+        }
+      }
+
+      for (const task of rescheduled) {
+        scheduler.setTaskSchedule(task.id, task.schedule);
+      }
+      for (const task of requoted) {
+        scheduler.setTaskQuota(task.id, task);
+      }
+      for (const task of reprioritized) {
+        scheduler.setTaskPriority(task.id, task);
+      }
+
+      if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+        if (rescheduled.length === 0 && requoted.length === 0 && reprioritized.length === 0) {
+          console.log('[SCHEDULER-MAIN] ℹ️ Tasks reloaded, no changes detected');
+        }
+        currentTasks = nextById;
+        return;
+      }
+
+      console.log(`[SCHEDULER-MAIN] 🔁 Applying task changes: +${added.length} added, -${removed.length} removed, ~${changed.length} changed`);
+
+      await Promise.all([
+        ...removed.map(id => scheduler.removeTask(id)),
+        ...changed.map(task => scheduler.removeTask(task.id)),
+      ]);
+      for (const task of [...added, ...changed]) {
+        scheduler.addTask(task.id, {
+          addr: task.addr,
+          source: task.source,
+          tags: task.tags,
+          schedule: task.schedule,
+          priority: task.priority,
+          weight: task.weight,
+          maxSolutionsPerCycle: task.maxSolutionsPerCycle,
+          maxSolutionsPerDay: task.maxSolutionsPerDay,
+        });
+      }
+
+      currentTasks = nextById;
+
+      // ⚠️ 启动时没有地址（任务文件为空）的统计采集器在第一次添加任务时启动
+      if (statsCollector) {
+        sendCollectorInit(statsCollector, nextTasks);
+      } else if (config.ENABLE_STATS_COLLECTOR && added.length > 0) {
+        statsCollector = startStatisticsCollector(nextTasks);
+      }
+    } catch (error) {
+      console.error(`[SCHEDULER-MAIN] ❌ Error applying task changes: ${error.message}`);
+    } finally {
+      isReloading = false;
+      if (reloadRequested) {
+        reloadRequested = false;
+        reload();
+      }
+    }
+  };
+
+  // ⚠️ 单个文件时监听其所在文件夹：编辑器保存时常常是"写临时文件+重命名"，直接监听文件会丢失后续事件
+  const isDirectory = statSync(TASKS_PATH).isDirectory();
+  const watchPath = isDirectory ? TASKS_PATH : dirname(TASKS_PATH);
+  const watchedFile = isDirectory ? null : basename(TASKS_PATH);
+
+  const watcher = watch(watchPath, (eventType, filename) => {
+    if (watchedFile && filename && filename !== watchedFile) {
+      return;
+    }
+    if (reloadTimer) {
+      clearTimeout(reloadTimer);
+    }
+    reloadTimer = setTimeout(() => {
+      reloadTimer = null;
+      reload();
+    }, TASKS_RELOAD_DEBOUNCE);
+  });
+
+  watcher.on('error', (error) => {
+    console.warn(`[SCHEDULER-MAIN] ⚠️ Task file watcher error: ${error.message}`);
+  });
+
+  console.log(`[SCHEDULER-MAIN] 👀 Watching ${TASKS_PATH} for task changes`);
+  return {
+    close: () => {
+      if (reloadTimer) {
+        clearTimeout(reloadTimer);
+        reloadTimer = null;
+      }
+      watcher.close();
+    },
+  };
+}
+
+// 启动状态查询/控制 HTTP 接口（node cli.mjs status / pause / resume / release / drain / undrain 使用）：
+// - GET /status：scheduler.getStatus() 的 JSON
+// - POST /tasks/<id>/pause、POST /tasks/<id>/resume：暂停/恢复单个任务
+// - POST /tasks/<id>/release：解除隔离（连续失败次数清零）
+// - POST /drain：停止启动新任务，等待正在挖矿的任务完成；?exit=1 时排空完成后退出（调用 onDrainExit）
+// - POST /undrain：取消排空
+// ⚠️ 端口被占用等错误只输出警告，不影响调度器运行
+function startStatusServer(scheduler, { onDrainExit } = {}) {
+  const sendJson = (res, statusCode, body) => {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const taskAction = /^\/tasks\/([^/]+)\/(pause|resume|release)$/.exec(url.pathname);
+    try {
+      if (req.method === 'GET' && url.pathname === '/status') {
+        sendJson(res, 200, { ...scheduler.getStatus(), generatedAt: new Date().toISOString() });
+      } else if (req.method === 'POST' && taskAction) {
+        const taskId = decodeURIComponent(taskAction[1]);
+        // ⚠️ pauseTask 可能要等待正在提交的 solution，不等它完成就返回
+        const found = scheduler.tasks.has(taskId);
+        if (found && taskAction[2] === 'pause') {
+          scheduler.pauseTask(taskId).catch(error => {
+            console.error(`[SCHEDULER-MAIN] ❌ Failed to pause task ${taskId}: ${error.message}`);
+          });
+        } else if (found && taskAction[2] === 'release') {
+          scheduler.releaseTask(taskId);
+        } else if (found) {
+          scheduler.resumeTask(taskId);
+        }
+        const task = scheduler.tasks.get(taskId);
+        sendJson(res, found ? 200 : 404, found ? { ok: true, taskId, paused: task.paused, status: task.status } : { error: `Task ${taskId} not found` });
+      } else if (req.method === 'POST' && url.pathname === '/drain') {
+        const exitAfterDrain = url.searchParams.get('exit') === '1';
+        scheduler.drain().then(drained => {
+          if (drained && exitAfterDrain && onDrainExit) {
+            console.log('[SCHEDULER-MAIN] 🚰 Drain complete, exiting as requested');
+            onDrainExit();
+          }
+        });
+        sendJson(res, 200, { ok: true, draining: true, exitAfterDrain });
+      } else if (req.method === 'POST' && url.pathname === '/undrain') {
+        sendJson(res, 200, { ok: true, draining: false, wasDraining: scheduler.undrain() });
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  server.on('error', (error) => {
+    console.warn(`[SCHEDULER-MAIN] ⚠️ Status endpoint unavailable (${config.STATUS_HOST}:${config.STATUS_PORT}): ${error.message}`);
+  });
+
+  server.listen(config.STATUS_PORT, config.STATUS_HOST, () => {
+    console.log(`[SCHEDULER-MAIN] 🌐 Status endpoint listening on http://${config.STATUS_HOST}:${config.STATUS_PORT}/status`);
+  });
+
+  return server;
+}
+
+// 输出调度器状态报告（定时输出，以及 cli.mjs status 查询运行中的调度器时使用）
+function printStatusReport(status) {
+  const now = new Date();
+  // ⚠️ 使用调度器的周期时钟（status 可能来自另一个进程，旧版本的 status 没有周期信息时使用本地配置）
+  const cycleClock = status.cycleClock ? new CycleClock(status.cycleClock) : createCycleClock(config);
+  const cycleStart = status.cycleStartedAt ? new Date(status.cycleStartedAt) : cycleClock.getCycleStart(now);
+  const nextCycleReset = status.nextCycleResetAt ? new Date(status.nextCycleResetAt) : cycleClock.getNextCycleStart(now);
+  
+  // ⚠️ 修复：统计各状态的任务数（getStatus() 已经处理了 INITIALIZING 状态的过滤）
+  const statusCounts = {};
+  for (const taskInfo of Object.values(status.tasks)) {
+    const s = taskInfo.status;
+    statusCounts[s] = (statusCounts[s] || 0) + 1;
+  }
+  
+  const miningUsage = ((status.activeMining / status.maxActiveMining) * 100).toFixed(1);
+  const pagesUsage = ((status.openPages / status.maxOpenPages) * 100).toFixed(1);
+  
+  console.log('\n' + '='.repeat(70));
+  console.log(`[SCHEDULER-MAIN][STATUS] 📊 Scheduler Status Report (${now.toISOString()})`);
+  console.log(`[SCHEDULER-MAIN][STATUS] Current Cycle: started ${cycleClock.formatTime(cycleStart)} (Cycle ${status.cycle}, ${cycleClock.describe()})`);
+  console.log('='.repeat(70));
+  console.log(`[SCHEDULER-MAIN][STATUS] 🎛️  Control:`);
+  console.log(`  Running: ${status.isRunning ? '✓ Yes' : '✗ No'}`);
+  console.log(`  Total Tasks: ${status.totalTasks}`);
+  console.log(`  Task Filter: ${status.taskFilter}${status.taskFilter !== 'none' ? ` (excluded ${status.excludedTasks} task(s))` : ''}`);
+  console.log(`  Selection Policy: ${status.selectionPolicy}`);
+  if (status.draining) {
+    const drainSeconds = Math.round((now.getTime() - status.drainStartedAt) / 1000);
+    console.log(`  Draining: 🚰 ${status.drained ? 'drained (no task pages open)' : `waiting for ${status.drainRemaining} open task(s) to complete`} (since ${drainSeconds}s ago)`);
+  }
+  // ⚠️ 暂停的任务（最多列出 20 个）
+  const pausedTasks = status.pausedTasks || [];
+  if (pausedTasks.length > 0) {
+    console.log(`  Paused Tasks: ${pausedTasks.length} (${pausedTasks.slice(0, 20).join(', ')}${pausedTasks.length > 20 ? `, ... and ${pausedTasks.length - 20} more` : ''})`);
+  }
+  if (status.backoffTasks > 0) {
+    console.log(`  Backing Off (after failures): ${status.backoffTasks} task(s)`);
+  }
+  // ⚠️ 速率限制熔断器（open：暂停启动新任务；half-open：只启动一个探测任务）
+  const rateLimit = status.rateLimit;
+  if (rateLimit) {
+    let detail = `${rateLimit.consecutiveFailures} consecutive 429(s)`;
+    if (rateLimit.state === 'open') {
+      detail = `next probe in ${Math.ceil(rateLimit.nextProbeInMs / 1000)}s, trip ${rateLimit.trips}`;
+    } else if (rateLimit.state === 'half-open') {
+      const probe = rateLimit.probeOwner !== null ? `probe in flight: ${rateLimit.probeOwner}` : 'probe in flight';
+      detail = `${rateLimit.probeInFlight ? probe : 'waiting to probe'}, trip ${rateLimit.trips}`;
+    }
+    console.log(`  Rate Limit Circuit: ${rateLimit.state === 'closed' ? '✓' : '⚠️'} ${rateLimit.state} (${detail})`);
+  }
+  // ⚠️ 多机调度：本机持有的租约
+  const leases = status.leases;
+  if (leases) {
+    const renewed = leases.lastRenewAt ? `renewed ${Math.round((now.getTime() - leases.lastRenewAt) / 1000)}s ago` : 'not renewed yet';
+    const problems = [
+      leases.renewErrors > 0 ? `${leases.renewErrors} renew error(s)` : null,
+      leases.lost > 0 ? `${leases.lost} lost` : null,
+      leases.lastError ? `last error: ${leases.lastError}` : null,
+    ].filter(Boolean);
+    console.log(`  Leases: worker ${leases.workerId}, ${leases.held} held at ${leases.coordinator} (${renewed}${problems.length > 0 ? `, ${problems.join(', ')}` : ''})`);
+  }
+  console.log(`  Cycle: ${status.cycle}`);
+  console.log(`[SCHEDULER-MAIN][STATUS] 💻 Resources:`);
+  console.log(`  Active Mining: ${status.activeMining}/${status.maxActiveMining} (${miningUsage}%)`);
+  console.log(`  Open Pages: ${status.openPages}/${status.maxOpenPages} (${pagesUsage}%)`);
+  // ⚠️ 浏览器池实例（退役中的实例等待任务迁移/完成后关闭）
+  for (const browser of status.browsers || []) {
+    const rss = browser.rssMb !== null ? `, RSS ${browser.rssMb} MB` : '';
+    const state = browser.retiring ? `retiring: ${browser.retiring}` : (browser.connected ? 'active' : 'disconnected');
+    console.log(`  Browser #${browser.id} (slot ${browser.slot}): ${browser.tasks} task(s), ${browser.pagesOpened} page(s) opened, up ${Math.round(browser.uptimeMs / 60000)} min${rss} [${state}]`);
+  }
+  console.log(`[SCHEDULER-MAIN][STATUS] 📊 Detailed Statistics:`);
+  console.log(`  ✓ Success (Completed): ${status.success}`);
+  console.log(`  ✗ Failed: ${status.failed}`);
+  console.log(`  🔐 Logging In (before start session page): ${status.loggingIn}`);
+  console.log(`  📝 Logged In (at start session page): ${status.loggedIn}`);
+  console.log(`  ⛏️ Active Mining (currently mining): ${status.currentlyMining} (Total Started: ${status.miningStarted})`);
+  console.log(`  📤 Submit Solution: ${status.cycleSubmitSolution || 0} (cycle: ${status.cycle}), Total: ${status.submitSolution || 0}`);
+  console.log(`  📊 Avg Login Time: ${status.avgLoginTime}s (from ${status.loginTimesCount} tasks)`);
+  console.log(`  📊 Avg Mining Time: ${status.avgMiningTime}s (from ${status.miningTimesCount} tasks)`);
+  console.log(`[SCHEDULER-MAIN][STATUS] 📈 Task Status Breakdown:`);
+  for (const [stat, count] of Object.entries(statusCounts).sort()) {
+    const emoji = {
+      'pending': '⏸️',
+      'initializing': '🔄',
+      'mining': '⛏️',
+      'completed': '✅',
+      'waiting_close': '⏳',
+      'closed': '💤',
+      'error': '❌',
+      'quarantined': '🚫',
+    }[stat] || '❓';
+    console.log(`  ${emoji} ${stat.toUpperCase()}: ${count}`);
+  }
+  // ⚠️ 被隔离的地址及最近一次错误（node cli.mjs release --task <id> 解除）
+  const quarantinedTasks = status.quarantinedTasks || [];
+  if (quarantinedTasks.length > 0) {
+    console.log(`[SCHEDULER-MAIN][STATUS] 🚫 Quarantined: ${quarantinedTasks.length} (release with "node cli.mjs release --task <id>")`);
+    for (const { id, addr, failures, lastError } of quarantinedTasks) {
+      console.log(`  ${id} (${addr}): ${failures} consecutive failure(s), last error: ${String(lastError || 'unknown').split('\n')[0].substring(0, 200)}`);
+    }
+  }
+  // ⚠️ 不在挖矿时间窗口内而被跳过的任务（最多列出 20 个）
+  const outsideWindow = status.outsideWindow || [];
+  if (outsideWindow.length > 0) {
+    console.log(`[SCHEDULER-MAIN][STATUS] 🕐 Outside Mining Window (skipped): ${outsideWindow.length}`);
+    for (const { id, schedule } of outsideWindow.slice(0, 20)) {
+      console.log(`  ${id}: ${schedule}`);
+    }
+    if (outsideWindow.length > 20) {
+      console.log(`  ... and ${outsideWindow.length - 20} more`);
+    }
+  }
+  // ⚠️ 达到 solution 配额而被跳过的任务（最多列出 20 个）
+  const quotaReached = status.quotaReached || [];
+  if (quotaReached.length > 0) {
+    console.log(`[SCHEDULER-MAIN][STATUS] 🎯 Solution Quota Reached (skipped): ${quotaReached.length}`);
+    for (const { id, quota } of quotaReached.slice(0, 20)) {
+      console.log(`  ${id}: ${quota}`);
+    }
+    if (quotaReached.length > 20) {
+      console.log(`  ... and ${quotaReached.length - 20} more`);
+    }
+  }
+  // ⚠️ 周期轮转：上个周期起没有完成的任务，按距离最近一次完成的周期数从多到少列出（最多 10 个）
+  const starvedTasks = Object.entries(status.tasks || {})
+    .filter(([, task]) => task.cyclesSinceCompletion > 1)
+    .sort(([, a], [, b]) => b.cyclesSinceCompletion - a.cyclesSinceCompletion);
+  if (starvedTasks.length > 0) {
+    console.log(`[SCHEDULER-MAIN][STATUS] ⏳ Not Completed for 2+ Cycles: ${starvedTasks.length}`);
+    for (const [id, task] of starvedTasks.slice(0, 10)) {
+      const last = task.lastCompletedCycle !== null ? `last completed in cycle ${task.lastCompletedCycle}` : 'never completed';
+      console.log(`  ${id}: ${task.cyclesSinceCompletion} cycle(s) since last completion (${last})`);
+    }
+    if (starvedTasks.length > 10) {
+      console.log(`  ... and ${starvedTasks.length - 10} more`);
+    }
+  }
+  // ⚠️ 页面看门狗：JS 堆最大的页面（最多列出 5 个）
+  const sampledTasks = Object.entries(status.tasks || {})
+    .filter(([, task]) => task.metrics)
+    .sort(([, a], [, b]) => b.metrics.heapUsedMb - a.metrics.heapUsedMb);
+  if (sampledTasks.length > 0 || status.pageWatchdogActions > 0) {
+    console.log(`[SCHEDULER-MAIN][STATUS] 🩺 Page Watchdog: ${sampledTasks.length} page(s) sampled, ${status.pageWatchdogActions || 0} action(s) taken`);
+    for (const [id, task] of sampledTasks.slice(0, 5)) {
+      const cpu = task.metrics.cpuPercent !== null ? `${task.metrics.cpuPercent}%` : 'n/a';
+      console.log(`  ${id}: heap ${task.metrics.heapUsedMb}/${task.metrics.heapTotalMb} MB, CPU ${cpu} (${task.status})${task.watchdogActions > 0 ? `, ${task.watchdogActions} action(s)` : ''}`);
+    }
+  }
+  // ⚠️ 阶段看门狗：各级处理的次数（只列出发生过的）
+  const stageEscalations = Object.entries(status.stageEscalations || {}).filter(([, count]) => count > 0);
+  if (stageEscalations.length > 0) {
+    console.log(`[SCHEDULER-MAIN][STATUS] 🚨 Stage Watchdog: ${stageEscalations.map(([action, count]) => `${action} ${count}`).join(', ')}`);
+  }
+  // ⚠️ 被状态机拒绝的非法状态转换（正常情况下为 0，详情见日志）
+  if (status.illegalTransitions > 0) {
+    console.log(`[SCHEDULER-MAIN][STATUS] 🚫 Illegal Status Transitions: ${status.illegalTransitions}`);
+  }
+  // 计算到下一个周期边界的时间
+  const minutesToNextCycle = Math.max(0, Math.floor((nextCycleReset - now) / 60000));
+  console.log(`[SCHEDULER-MAIN][STATUS] ⏰ Next Cycle Reset: ${cycleClock.formatTime(nextCycleReset)} (${minutesToNextCycle} minutes)`);
+  console.log('='.repeat(70) + '\n');
+}
+
+// 从任务列表中提取去重后的地址列表（用于统计采集）
+function getCollectorAddresses(tasks) {
+  return Array.from(
+    new Set(
+      tasks
+        .map(task => task && task.addr)
+        .filter(addr => typeof addr === 'string' && addr.length > 0)
+    )
+  );
+}
+
+// 通过 IPC 把地址列表和配置发送给统计采集子进程（启动时和任务热加载后调用）
+function sendCollectorInit(collector, tasks) {
+  try {
+    collector.send({
+      type: 'init',
+      payload: {
+        addresses: getCollectorAddresses(tasks),
+        serviceUrl: config.STATS_SERVICE_URL,
+        requestDelay: config.STATS_REQUEST_DELAY,
+        collectionMinute: config.STATS_COLLECTION_MINUTE,
+      },
+    });
+  } catch (error) {
+    console.warn(`[SCHEDULER-MAIN] ⚠️ Failed to send addresses to statistics collector: ${error.message}`);
+  }
+}
+
 function startStatisticsCollector(tasks) {
   try {
-    const addresses = Array.from(
-      new Set(
-        tasks
-          .map(task => task && task.addr)
-          .filter(addr => typeof addr === 'string' && addr.length > 0)
-      )
-    );
+    const addresses = getCollectorAddresses(tasks);
 
     if (addresses.length === 0) {
       console.log('[SCHEDULER-MAIN] ⚠️ No addresses available for statistics collection, skipping collector startup');
-      return;
+      return null;
     }
 
     const collectorPath = join(__dirname, 'statistics-collector.mjs');
+    // ⚠️ 子进程不会收到命令行参数，把统计相关的生效配置通过环境变量传下去
+    // 配置文件（--config 指定的路径）也传下去，子进程加载的配置与本进程一致
     const childEnv = {
       ...process.env,
+      STATS_FETCH_TIMEOUT: String(config.STATS_FETCH_TIMEOUT),
+      STATS_MAX_CONSECUTIVE_ERRORS: String(config.STATS_MAX_CONSECUTIVE_ERRORS),
+      STATS_COLLECTION_MINUTE: String(config.STATS_COLLECTION_MINUTE),
+      CYCLE_LENGTH_MINUTES: String(config.CYCLE_LENGTH_MINUTES),
+      CYCLE_OFFSET_MINUTES: String(config.CYCLE_OFFSET_MINUTES),
+      CYCLE_TIMEZONE: config.CYCLE_TIMEZONE,
     };
+    if (configFile) {
+      childEnv.MDNIGHT_CONFIG = configFile;
+    }
 
     const collector = fork(collectorPath, [], {
       stdio: ['ignore', 'inherit', 'inherit', 'ipc'],
@@ -243,26 +635,40 @@ function startStatisticsCollector(tasks) {
     collector.on('exit', (code, signal) => {
       const reason = signal ? `signal ${signal}` : `exit code ${code}`;
       console.warn(`[SCHEDULER-MAIN] ⚠️ Statistics collector process exited (${reason}). Mining tasks continue unaffected.`);
+      if (statsCollector === collector) {
+        statsCollector = null;
+      }
     });
 
-    collector.send({
-      type: 'init',
-      payload: {
-        addresses,
-        serviceUrl: process.env.STATS_SERVICE_URL || '',
-        requestDelay: process.env.STATS_REQUEST_DELAY || '',
-        collectionMinute: process.env.STATS_COLLECTION_MINUTE || '',
-      },
-    });
+    sendCollectorInit(collector, tasks);
 
     console.log('[SCHEDULER-MAIN] ✅ Statistics collector process started');
+    return collector;
   } catch (error) {
     console.error(`[SCHEDULER-MAIN] ⚠️ Failed to start statistics collector: ${error.message}`);
+    return null;
   }
 }
 
-// 运行主函数
-main().catch(e => {
-  console.error('[SCHEDULER-MAIN] Fatal error:', e);
-  process.exit(1);
-});
+// 导出供 cli.mjs 使用
+export { main, validateTasksOnly, printStatusReport };
+
+// 直接运行脚本时执行主函数（被 cli.mjs 导入时不执行）
+const isMainModule = process.argv[1] && import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  if (configError) {
+    // 配置无效：退出码 2（与 cli.mjs 一致）
+    reportConfigError(configError);
+    process.exit(2);
+  } else if (process.argv.includes('--print-config')) {
+    printConfig();
+  } else if (process.argv.includes('--validate-tasks')) {
+    process.exit(validateTasksOnly());
+  } else {
+    main().catch(e => {
+      console.error('[SCHEDULER-MAIN] Fatal error:', e);
+      process.exit(1);
+    });
+  }
+}
@@ -1,18 +1,21 @@
 // run-batch.js
 import { chromium } from 'playwright';
-import { readFileSync, statSync, readdirSync } from 'fs';
 import { fileURLToPath } from 'url';
-import { dirname, join, extname } from 'path';
+import { dirname, join } from 'path';
+import { loadTaskList, formatTaskProblem, createTaskFilter, applyTaskFilter, describeTaskFilter } from './task-loader.mjs';
+import { config, configError, reportConfigError } from './config.mjs';
+import { TaskNetworkState } from './task-network-state.mjs';
+import { rateLimitBreaker } from './circuit-breaker.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const CONCURRENCY = parseInt(process.env.CONCURRENCY) || 5; // 并发数（可通过环境变量配置）
-const TASK_TIMEOUT_MS = 120_000;
-export const BASE_URL = 'https://sm.midnight.gd/wizard/mine'; // 目标网页
+const CONCURRENCY = config.CONCURRENCY; // 并发数（见 config.mjs）
+const TASK_TIMEOUT_MS = config.TASK_TIMEOUT_MS;
+export const BASE_URL = config.BASE_URL; // 目标网页
 
-// 签名服务 URL（可通过环境变量配置）
-export const SIGN_SERVICE_URL = process.env.SIGN_SERVICE_URL || 'https://as.lku3ogjddfkj2.shop';
+// 签名服务 URL（见 config.mjs）
+export const SIGN_SERVICE_URL = config.SIGN_SERVICE_URL;
 
 // ⚠️ 检查页面是否已关闭的辅助函数
 function isPageClosed(page) {
@@ -98,8 +101,12 @@ async function retryWithBackoff(operation, options = {}) {
 
 // ⚠️ 全局 Rate Limiter - 控制整个脚本的请求速率，避免429错误
 // 使用令牌桶算法，支持动态调整速率
+// ⚠️ 429 / 成功同时记录到速率限制熔断器（circuit-breaker.mjs，与调度器共用），熔断器打开时请求等待
+// ⚠️ execute() 只控制速率，不判断结果：调用方在看到响应的地方调用 record429Error(owner) / recordSuccess(owner)，每个响应只记录一次
+// owner 为发出请求的任务 ID，熔断器半开时只有探测任务的请求放行、只有探测的结果改变熔断器状态
 class GlobalRateLimiter {
   constructor(options = {}) {
+    this.circuitBreaker = options.circuitBreaker || rateLimitBreaker;
     // 默认配置：每5秒最多1个请求（可配置，比之前更快）
     this.minInterval = options.minInterval || 5000; // 最小请求间隔（毫秒）
     this.maxConcurrent = options.maxConcurrent || 1; // 最大并发请求数
@@ -113,9 +120,10 @@ class GlobalRateLimiter {
   }
 
   // 记录429错误，动态调整速率
-  record429Error() {
+  record429Error(owner = null) {
     this.consecutive429Errors++;
     this.last429ErrorTime = Date.now();
+    this.circuitBreaker.recordFailure(owner);
     
     // 如果连续出现429错误，增加间隔时间
     if (this.consecutive429Errors >= 3) {
@@ -127,7 +135,8 @@ class GlobalRateLimiter {
   }
 
   // 记录成功请求，恢复正常速率
-  recordSuccess() {
+  recordSuccess(owner = null) {
+    this.circuitBreaker.recordSuccess(owner);
     if (this.consecutive429Errors > 0) {
       // 如果距离最后一次429错误超过1分钟，恢复正常速率
       if (this.last429ErrorTime && (Date.now() - this.last429ErrorTime) > 60000) {
@@ -170,21 +179,17 @@ class GlobalRateLimiter {
     this.activeRequests = Math.max(0, this.activeRequests - 1);
   }
 
-  // 执行带速率限制的操作
-  async execute(operation) {
+  // 执行带速率限制的操作（owner：发出请求的任务 ID）
+  // ⚠️ 先等熔断器允许再进入请求队列：半开时被挡住的请求不能排在队列里，否则探测任务自己的请求排在后面等到 probeTimeout
+  async execute(operation, owner = null) {
+    await this.circuitBreaker.waitForPermit(owner); // 熔断器打开（或半开且不是探测任务）时等待
     return new Promise((resolve, reject) => {
       this.queue = this.queue.then(async () => {
         try {
           await this.waitForSlot();
           try {
-            const result = await operation();
-            this.recordSuccess(); // 记录成功请求
-            resolve(result);
+            resolve(await operation());
           } catch (error) {
-            // 检查是否是429错误
-            if (error.message && error.message.includes('429')) {
-              this.record429Error();
-            }
             reject(error);
           } finally {
             this.releaseSlot();
@@ -202,14 +207,17 @@ class GlobalRateLimiter {
 // 配置：每5秒最多1个请求（可配置，通过环境变量调整）
 // 使用自适应算法，根据429错误动态调整速率
 const globalRateLimiter = new GlobalRateLimiter({
-  minInterval: parseInt(process.env.GLOBAL_RATE_LIMIT_INTERVAL) || 5000, // 5秒间隔（默认，可配置）
+  minInterval: config.GLOBAL_RATE_LIMIT_INTERVAL, // 5秒间隔（默认，可配置）
   maxConcurrent: 1, // 串行执行，确保速率控制
 });
 
 // ⚠️ Challenge提交速率控制器 - 专门用于控制challenge提交的速率
 // 自适应调整：如果没看到429就正常提交，看到429就减慢提交速度，一点一点减慢
+// ⚠️ 与 GlobalRateLimiter 一样记录到速率限制熔断器，熔断器打开时提交等待
+// ⚠️ /api/solution 和 /api/challenge 的响应只在页面的 response 监听器中记录（包括重试请求的响应）
 class ChallengeSubmissionRateLimiter {
   constructor(options = {}) {
+    this.circuitBreaker = options.circuitBreaker || rateLimitBreaker;
     // 默认配置：初始间隔1秒（challenge提交通常比较频繁）
     this.baseInterval = options.baseInterval || 1000; // 基础提交间隔（毫秒）
     this.minInterval = options.minInterval || 500; // 最小间隔（毫秒）
@@ -253,10 +261,11 @@ class ChallengeSubmissionRateLimiter {
   }
 
   // 记录429错误，逐步减慢速率
-  record429Error() {
+  record429Error(owner = null) {
     this.consecutive429Errors++;
     this.last429ErrorTime = Date.now();
     this.successCount = 0; // 重置成功计数
+    this.circuitBreaker.recordFailure(owner);
     
     // 逐步增加间隔：每次429错误增加20%的间隔时间
     const increaseFactor = 1.2; // 增加20%
@@ -269,8 +278,9 @@ class ChallengeSubmissionRateLimiter {
   }
 
   // 记录成功提交，逐步恢复速率
-  recordSuccess() {
+  recordSuccess(owner = null) {
     this.successCount++;
+    this.circuitBreaker.recordSuccess(owner);
     
     // 如果连续成功提交且距离最后一次429错误超过30秒，尝试逐步恢复速率
     if (this.consecutive429Errors > 0) {
@@ -298,8 +308,9 @@ class ChallengeSubmissionRateLimiter {
     }
   }
 
-  // 等待直到可以提交下一个challenge
-  async waitForNextSubmission() {
+  // 等待直到可以提交下一个challenge（owner：发出请求的任务 ID）
+  async waitForNextSubmission(owner = null) {
+    await this.circuitBreaker.waitForPermit(owner); // 熔断器打开（或半开且不是探测任务）时等待
     const now = Date.now();
     const timeSinceLastSubmission = now - this.lastSubmissionTime;
     const waitTime = Math.max(0, this.currentInterval - timeSinceLastSubmission);
@@ -333,9 +344,9 @@ class ChallengeSubmissionRateLimiter {
 
 // 创建全局challenge提交速率控制器实例
 const challengeSubmissionRateLimiter = new ChallengeSubmissionRateLimiter({
-  baseInterval: parseInt(process.env.CHALLENGE_SUBMISSION_INTERVAL) || 1000, // 默认1秒
-  minInterval: parseInt(process.env.CHALLENGE_SUBMISSION_MIN_INTERVAL) || 500, // 最小0.5秒
-  maxInterval: parseInt(process.env.CHALLENGE_SUBMISSION_MAX_INTERVAL) || 30000, // 最大30秒
+  baseInterval: config.CHALLENGE_SUBMISSION_INTERVAL, // 默认1秒
+  minInterval: config.CHALLENGE_SUBMISSION_MIN_INTERVAL, // 最小0.5秒
+  maxInterval: config.CHALLENGE_SUBMISSION_MAX_INTERVAL, // 最大30秒
 });
 
 // 页面导航请求速率限制：使用全局 rate limiter
@@ -1450,6 +1461,8 @@ async function gotoWithRateLimit(page, url, options = {}) {
   // 使用全局队列确保并发任务串行化
   // ⚠️ 减少日志：只在关键步骤输出
   // console.log(`[NAV] 🚀 gotoWithRateLimit called for URL: ${url}`);
+  // ⚠️ 导航请求属于哪个任务（熔断器半开时只放行探测任务的请求，见 GlobalRateLimiter）
+  const owner = page._taskId ?? null;
   return new Promise((resolve, reject) => {
     navigationQueue = navigationQueue.then(async () => {
       try {
@@ -1512,8 +1525,10 @@ async function gotoWithRateLimit(page, url, options = {}) {
                 if (status === 429) {
                   console.log(`[NAV] ℹ️  Status 429 detected, session already established, reducing wait time...`);
                   // ⚠️ 记录429错误到全局 rate limiter
-                  globalRateLimiter.record429Error();
+                  globalRateLimiter.record429Error(owner);
                   sessionEstablished = true;
+                } else {
+                  globalRateLimiter.recordSuccess(owner);
                 }
               }
               
@@ -1547,7 +1562,7 @@ async function gotoWithRateLimit(page, url, options = {}) {
               console.warn(`[NAV] ⚠️ Homepage visit error (continuing): ${homepageError.message}`);
               // 继续尝试目标页面
             }
-          });
+          }, owner);
         } else if (alreadyOnRelatedPage) {
           console.log(`[NAV] ℹ️  Already on related page (${currentUrl}), skipping homepage visit`);
         }
@@ -1577,6 +1592,7 @@ async function gotoWithRateLimit(page, url, options = {}) {
             
             // 只监听主页面 URL 的响应错误（忽略 API 请求）
             let mainPageResponseError = null;
+            let rateLimitRecorded = false; // 这次导航的 429 已经记录（每次导航只记录一次结果）
             const errorHandler = (response) => {
               if (!response) return;
               const responseUrl = response.url();
@@ -1638,6 +1654,7 @@ async function gotoWithRateLimit(page, url, options = {}) {
               if (response && !response.ok() && response.status() >= 400) {
                 // 检查是否是速率限制或禁止访问错误
                 if (response.status() === 429) {
+                  globalRateLimiter.record429Error(owner);
                   throw new Error('Rate limit error (429): Too many requests');
                 }
                 if (response.status() === 403) {
@@ -1656,6 +1673,7 @@ async function gotoWithRateLimit(page, url, options = {}) {
                   throw new Error('Forbidden error (403): Main page access denied - possibly rate limited');
                 }
                 if (mainPageResponseError.status === 429) {
+                  globalRateLimiter.record429Error(owner);
                   throw new Error('Rate limit error (429): Too many requests');
                 }
                 if (mainPageResponseError.status === 504) {
@@ -1702,7 +1720,7 @@ async function gotoWithRateLimit(page, url, options = {}) {
                 if (errorPageCheck.errorCode === '429') {
                   console.warn(`[NAV] Redirected to 429 error page: ${errorPageCheck.url}`);
                   // ⚠️ 记录429错误到全局 rate limiter
-                  globalRateLimiter.record429Error();
+                  globalRateLimiter.record429Error(owner);
                   throw new Error(`429 error page detected: redirected to ${errorPageCheck.url}`);
                 } else if (errorPageCheck.errorCode === '403') {
                   console.warn(`[NAV] Redirected to 403 error page: ${errorPageCheck.url}`);
@@ -1717,7 +1735,8 @@ async function gotoWithRateLimit(page, url, options = {}) {
                 const rateLimitCheck = await checkPageForRateLimitError(page);
                 // ⚠️ 如果检测到429错误，记录到全局 rate limiter
                 if (rateLimitCheck.hasError && rateLimitCheck.errorType === '429') {
-                  globalRateLimiter.record429Error();
+                  globalRateLimiter.record429Error(owner);
+                  rateLimitRecorded = true;
                 }
                 // 只有真正在页面上显示的错误消息才抛出异常
                 if (rateLimitCheck.hasError) {
@@ -1737,6 +1756,10 @@ async function gotoWithRateLimit(page, url, options = {}) {
                 }
               }
               
+              // 导航没有遇到 429：记录成功（429 已在检测到的地方记录）
+              if (!rateLimitRecorded) {
+                globalRateLimiter.recordSuccess(owner);
+              }
               return response;
             } finally {
               page.off('response', errorHandler);
@@ -1784,7 +1807,7 @@ async function gotoWithRateLimit(page, url, options = {}) {
             }
           }
           );
-        });
+        }, owner);
         
         resolve(result);
       } catch (error) {
@@ -2132,77 +2155,15 @@ async function signWithRateLimit(addr, hex, retries = 5) {
 
 // 从 JSON 文件或文件夹加载任务列表
 // ⚠️ 默认从项目根目录下的 task 文件夹读取任务列表
-// 如果路径指向文件夹，会读取文件夹中所有 .json 文件并合并
+// 如果路径指向文件夹，会读取文件夹中所有任务文件（.json / .yaml / .yml / .csv / .txt，可以混用）并合并
 // 如果路径指向文件，则直接读取该文件
-const TASKS_PATH = process.env.TASKS_FILE || join(__dirname, '..', 'task');
+// 任务条目的格式和校验规则见 task-loader.mjs
+const TASKS_PATH = config.TASKS_FILE;
 
 function loadTasks() {
   try {
-    const stats = statSync(TASKS_PATH);
-    let allTasks = [];
-    let loadedFiles = [];
-    
-    if (stats.isDirectory()) {
-      // 如果是文件夹，读取文件夹中所有 .json 文件
-      console.log(`[CONFIG] Loading tasks from directory: ${TASKS_PATH}`);
-      const files = readdirSync(TASKS_PATH).filter(f => extname(f).toLowerCase() === '.json');
-      
-      if (files.length === 0) {
-        throw new Error(`No JSON files found in directory: ${TASKS_PATH}`);
-      }
-      
-      for (const file of files) {
-        const filePath = join(TASKS_PATH, file);
-        try {
-          const fileContent = readFileSync(filePath, 'utf8');
-          const data = JSON.parse(fileContent);
-          // 支持两种格式：直接是数组，或者包装在 tasks 属性中
-          const tasks = Array.isArray(data) ? data : (data.tasks || []);
-          
-          if (Array.isArray(tasks) && tasks.length > 0) {
-            allTasks = allTasks.concat(tasks);
-            loadedFiles.push(`${file} (${tasks.length} tasks)`);
-            console.log(`[CONFIG]   ✓ Loaded ${tasks.length} task(s) from ${file}`);
-          }
-        } catch (err) {
-          console.warn(`[CONFIG]   ⚠️ Failed to load ${file}: ${err.message}`);
-        }
-      }
-      
-      if (allTasks.length === 0) {
-        throw new Error(`No valid tasks found in any JSON file in directory: ${TASKS_PATH}`);
-      }
-      
-      console.log(`[CONFIG] Loaded ${allTasks.length} task(s) from ${loadedFiles.length} file(s)`);
-    } else if (stats.isFile()) {
-      // 如果是文件，直接读取
-      console.log(`[CONFIG] Loading tasks from file: ${TASKS_PATH}`);
-      const fileContent = readFileSync(TASKS_PATH, 'utf8');
-      const data = JSON.parse(fileContent);
-      // 支持两种格式：直接是数组，或者包装在 tasks 属性中
-      allTasks = Array.isArray(data) ? data : (data.tasks || []);
-      
-      if (!Array.isArray(allTasks) || allTasks.length === 0) {
-        throw new Error('Tasks file must contain a non-empty array of tasks');
-      }
-      
-      console.log(`[CONFIG] Loaded ${allTasks.length} task(s) from ${TASKS_PATH}`);
-    } else {
-      throw new Error(`Path is neither a file nor a directory: ${TASKS_PATH}`);
-    }
-    
-    // 验证每个任务都有必需的字段
-    for (let i = 0; i < allTasks.length; i++) {
-      const task = allTasks[i];
-      if (!task.id) {
-        throw new Error(`Task at index ${i} is missing required field 'id'`);
-      }
-      if (!task.addr) {
-        throw new Error(`Task at index ${i} (id: ${task.id}) is missing required field 'addr'`);
-      }
-    }
-    
-    return allTasks;
+    console.log(`[CONFIG] Loading tasks from: ${TASKS_PATH}`);
+    return loadTaskList(TASKS_PATH);
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.error(`[ERROR] Tasks path not found: ${TASKS_PATH}`);
@@ -2211,11 +2172,20 @@ function loadTasks() {
       console.error(`[ERROR] Example: TASKS_FILE=./task node runbatch.mjs`);
     } else {
       console.error(`[ERROR] Failed to load tasks from ${TASKS_PATH}:`, error.message);
+      for (const problem of error.problems || []) {
+        console.error(`[ERROR]   - ${formatTaskProblem(problem)}`);
+      }
     }
     process.exit(1);
   }
 }
 
+// ⚠️ 配置无效时在加载任务之前以退出码 2 退出（直接运行脚本时；cli.mjs 和 run-scheduled.mjs 在导入之前已经检查）
+if (configError) {
+  reportConfigError(configError);
+  process.exit(2);
+}
+
 const tasks = loadTasks();
 
 // 初始化任务（只完成流程到挖矿页面，不启动挖矿）
@@ -2240,9 +2210,9 @@ async function runOne(task, options = {}) {
     console.log(`[STATS] 🔐 Task ${taskId} started (logging in, Logging In: ${taskStats.loggingIn})`);
   }
   
-  // 支持 headless 模式（可通过环境变量控制）
-  const HEADLESS = process.env.HEADLESS !== 'false'; // 默认 headless 模式
-  const DISPLAY = process.env.DISPLAY || ':99';
+  // 支持 headless 模式（见 config.mjs）
+  const HEADLESS = config.HEADLESS; // 默认 headless 模式
+  const DISPLAY = config.DISPLAY;
   
   // ⚠️ 生成随机的浏览器指纹参数（每次运行都不同，但保持合理）
   const screenResolutions = [
@@ -2383,6 +2353,11 @@ async function runOne(task, options = {}) {
   
   // ⚠️ 存储每个页面的solution提交重试信息
   const solutionRetryInfo = new Map(); // pageId -> { startTime, retryCount, currentRetryInterval, last429Time, requestData }
+  // ⚠️ 供调度器查询：页面是否有正在提交（或等待重试）的 solution，关闭页面前需要等待
+  page._hasPendingSolution = () => solutionRetryInfo.has(pageId);
+  // ⚠️ 基于 /api/challenge 和 /api/solution 的任务状态模型，供调度器直接读取（见 task-network-state.mjs）
+  const networkState = new TaskNetworkState();
+  page._networkState = networkState;
   
   // ⚠️ 添加请求拦截，实现solution提交时的阻塞机制
   // ⚠️ 拦截 /api/solution POST 请求
@@ -2402,6 +2377,7 @@ async function runOne(task, options = {}) {
       // ⚠️ 检测到solution提交，开始临时阻塞所有 /api/challenge 请求
       // ⚠️ 关键：在 solution 提交期间，所有 challenge 请求会被阻塞等待
       challengeSubmissionRateLimiter.startBlockingForSolution(pageId);
+      networkState.recordSolutionSubmit();
       
       // 保存请求数据用于重试
       const requestData = {
@@ -2427,9 +2403,10 @@ async function runOne(task, options = {}) {
       
       // ⚠️ 关键：api/solution 请求受全局 rate limiter 限制
       // 使用全局 rate limiter 控制请求速率
+      // ⚠️ 响应结果在 response 监听器中记录（route.continue() 返回时还没有响应）
       await globalRateLimiter.execute(async () => {
         await route.continue();
-      });
+      }, taskId);
     } else {
       // 非 POST 请求直接放行
       await route.continue();
@@ -2479,7 +2456,7 @@ async function runOne(task, options = {}) {
       }
       
       // 等待速率控制器允许提交（仅在非阻塞状态下）
-      await challengeSubmissionRateLimiter.waitForNextSubmission();
+      await challengeSubmissionRateLimiter.waitForNextSubmission(taskId);
     }
     
     // 继续请求
@@ -3118,8 +3095,26 @@ async function runOne(task, options = {}) {
     const request = response.request();
     const method = request.method();
     
+    // ⚠️ 更新网络状态模型（调度器据此判断任务状态）
+    if (url.includes('/api/challenge') && method === 'GET' && status === 200) {
+      const data = await response.json().catch(() => null);
+      networkState.recordChallenge(data);
+    }
+    
+    // ⚠️ challenge 提交相关 API（/api/solution、/api/challenge）的结果只在这里记录到速率控制器和熔断器
+    // 包括 solution 重试请求的响应，下面的重试逻辑不再重复记录（每个响应只记录一次）
+    if (url.includes('/api/solution') || url.includes('/api/challenge')) {
+      if (status === 429) {
+        challengeSubmissionRateLimiter.record429Error(taskId);
+        console.warn(`[CHALLENGE-RATE-LIMITER] ⚠️ Challenge submission 429 error detected, rate limiter will slow down`);
+      } else if (status === 200 || status === 201) {
+        challengeSubmissionRateLimiter.recordSuccess(taskId);
+      }
+    }
+    
     // ⚠️ 处理 /api/solution POST 请求的响应和重试
     if (url.includes('/api/solution') && method === 'POST') {
+      networkState.recordSolutionResponse(status);
       const retryInfo = solutionRetryInfo.get(pageId);
       if (!retryInfo) {
         // 如果没有重试信息，说明这是第一次响应（没有重试），直接处理
@@ -3162,7 +3157,6 @@ async function runOne(task, options = {}) {
         console.log(`[API-SOLUTION] ✅ Solution submitted successfully (task: ${taskId}, page: ${pageId}, retries: ${retryInfo.retryCount}) - challenge requests unblocked`);
         retryInfo.isProcessing = false;
         solutionRetryInfo.delete(pageId);
-        challengeSubmissionRateLimiter.recordSuccess();
         return; // 已处理，不再继续执行后面的代码
       } else if (status === 400) {
         // 400错误：提交失败，solution可能已过期或无效
@@ -3241,7 +3235,6 @@ async function runOne(task, options = {}) {
                 console.log(`[API-SOLUTION] ✅ Solution submitted successfully after retry (task: ${taskId}, page: ${pageId}, retries: ${retryInfo.retryCount}) - challenge requests unblocked`);
                 retryInfo.isProcessing = false;
                 solutionRetryInfo.delete(pageId);
-                challengeSubmissionRateLimiter.recordSuccess(); // 记录成功
                 return; // 重试成功，退出
               } else if (retryResponse.status === 400) {
                 // 400错误，继续重试（但不超过最大次数）
@@ -3255,9 +3248,8 @@ async function runOne(task, options = {}) {
                 solutionRetryInfo.delete(pageId);
                 return;
               } else if (retryResponse.status === 429) {
-                // 429错误，切换到429处理逻辑
+                // 429错误，切换到429处理逻辑（429 已在上面记录）
                 retryInfo.last429Time = Date.now();
-                challengeSubmissionRateLimiter.record429Error();
                 // 继续重试，但使用429的降频逻辑
                 await retryLoop();
               } else {
@@ -3303,9 +3295,6 @@ async function runOne(task, options = {}) {
         }
         retryInfo.last429Time = now;
         
-        // 记录429错误到rate limiter
-        challengeSubmissionRateLimiter.record429Error();
-        
         // 异步重试（不阻塞response监听器）
         (async () => {
           const retryLoop = async () => {
@@ -3357,7 +3346,6 @@ async function runOne(task, options = {}) {
                 console.log(`[API-SOLUTION] ✅ Solution submitted successfully after retry (task: ${taskId}, page: ${pageId}, retries: ${retryInfo.retryCount}) - challenge requests unblocked`);
                 retryInfo.isProcessing = false;
                 solutionRetryInfo.delete(pageId);
-                challengeSubmissionRateLimiter.recordSuccess(); // 记录成功
                 return; // 重试成功，退出
               } else if (retryResponse.status === 429) {
                 // 429错误，继续自适应降频并重试
@@ -3370,7 +3358,6 @@ async function runOne(task, options = {}) {
                   console.log(`[API-SOLUTION] 📉 Adaptive rate reduction: increasing retry interval to ${retryInfo.currentRetryInterval/1000}s due to 429 error`);
                 }
                 retryInfo.last429Time = now;
-                challengeSubmissionRateLimiter.record429Error();
                 // ⚠️ 不要重置startTime，保持原始时间窗口
                 await retryLoop();
               } else if (retryResponse.status === 400) {
@@ -3438,17 +3425,6 @@ async function runOne(task, options = {}) {
       }
     } else if (status === 429) {
       console.warn(`[API-429] Rate limit detected on: ${url}`);
-      
-      // ⚠️ 如果是challenge提交相关的API（/api/solution或/api/challenge），通知challenge提交速率控制器
-      if (url.includes('/api/solution') || url.includes('/api/challenge')) {
-        challengeSubmissionRateLimiter.record429Error();
-        console.warn(`[CHALLENGE-RATE-LIMITER] ⚠️ Challenge submission 429 error detected, rate limiter will slow down`);
-      }
-    } else if (status === 200 || status === 201) {
-      // ⚠️ 如果是challenge提交相关的API成功响应，记录成功
-      if (url.includes('/api/solution') || url.includes('/api/challenge')) {
-        challengeSubmissionRateLimiter.recordSuccess();
-      }
     }
   });
 
@@ -5957,6 +5933,7 @@ async function runOne(task, options = {}) {
         await safeClick(page, startBtn, { timeout: 15000, force: true, retries: 5 });
         console.log('[DEBUG] Start button clicked successfully!');
         startClicked = true;
+        networkState.recordSessionStarted();
       } catch (e) {
         console.log('[DEBUG] Failed to click Start button (method 1):', String(e));
       }
@@ -5989,6 +5966,7 @@ async function runOne(task, options = {}) {
         await safeClick(page, startBtnRole, { timeout: 15000, force: true, retries: 5 });
         console.log('[DEBUG] Start button clicked via role!');
         startClicked = true;
+        networkState.recordSessionStarted();
       } catch (e) {
         console.log('[DEBUG] Failed to click Start button (method 2):', String(e));
       }
@@ -6842,13 +6820,19 @@ function logTaskStats() {
   console.log('='.repeat(60) + '\n');
 }
 
-async function runWithConcurrency() {
+// filter：任务筛选器（见 task-loader.mjs 的 createTaskFilter），默认使用配置中的 TASK_ONLY / TASK_EXCLUDE
+async function runWithConcurrency(taskList = tasks, filter = createTaskFilter({ only: config.TASK_ONLY, exclude: config.TASK_EXCLUDE })) {
   const results = [];
-  const queue = tasks.slice();
+  const { selected, excluded } = applyTaskFilter(taskList, filter);
+  const queue = selected.slice();
   let running = 0;
+
+  if (filter) {
+    console.log(`[CONFIG] 🏷️ Task filter (${describeTaskFilter(filter)}): ${selected.length} selected, ${excluded.length} excluded`);
+  }
   
   // 初始化统计
-  taskStats.total = tasks.length;
+  taskStats.total = selected.length;
   taskStats.completed = 0;
   taskStats.success = 0;
   taskStats.failed = 0;
@@ -6975,7 +6959,7 @@ async function runWithConcurrency() {
 
 // 导出函数供其他模块使用
 // 注意：BASE_URL 和 SIGN_SERVICE_URL 已经在上面通过 export const 导出了
-export { runOne, runOneInitOnly, loadTasks };
+export { runOne, runOneInitOnly, loadTasks, runWithConcurrency };
 
 // 如果不是被导入，则运行默认流程
 // 检查是否是直接运行的脚本（不是被import）
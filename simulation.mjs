@@ -0,0 +1,622 @@
+// 离线模拟：用虚拟时钟和模拟的页面后端运行 TaskScheduler，不需要浏览器和目标站点
+// 用于比较 MAX_ACTIVE_MINING / MAX_OPEN_PAGES / PAGE_OPEN_CONCURRENCY / RESET_AT_HOUR 等调度参数（node cli.mjs simulate）：
+// - VirtualClock：模拟期间替换全局的 Date / setTimeout / setInterval，没有待处理的工作时时间直接跳到下一个定时器
+// - SimulatedPageBackend：代替 Playwright 后端（见 page-driver.mjs），页面驱动基于内存实现（见 memory-page-driver.mjs），
+//   页面状态由模拟生成，网络信号通过 TaskNetworkState 上报
+// - 登录时间、挖矿时间、提交时间按配置的分布抽样（见 parseDistribution），登录按 SIM_429_RATE 返回 429，挖矿按 SIM_CRASH_RATE 崩溃
+//   登录请求像 runbatch.mjs 的限速器一样经过速率限制熔断器（waitForPermit），结果由后端记录到熔断器
+// - 每个周期一个 challenge：同一个周期内已经解出的任务再次 start session 时直接显示 "waiting for the next challenge"
+// ⚠️ 调度器的代码原样运行，只有页面和时间是假的；SIM_SEED 相同时结果相同
+// ⚠️ 模拟不读写状态快照，页面看门狗的指标采样在模拟页面上不可用（跳过）
+import { config } from './config.mjs';
+import { TaskScheduler, CONFIG, SchedulerEvent } from './task-scheduler.mjs';
+import { PageState } from './page-state.mjs';
+import { MemoryPageDriver, MemoryPageBackend } from './memory-page-driver.mjs';
+import { createCycleClock } from './cycle-clock.mjs';
+import { CircuitBreaker } from './circuit-breaker.mjs';
+
+// 模拟从这个时间之后的第一个周期边界开始（固定起点，结果不随运行时间变化）
+const SIMULATION_EPOCH = Date.UTC(2025, 0, 6);
+const CHALLENGE_DELAY = 1500; // 点击 start session 到收到 challenge 的时间（ms）
+const FLUSH_ROUNDS = 3; // 推进时间前让 Promise 链跑完的轮数
+const SHUTDOWN_LIMIT = 10 * 60 * 1000; // 模拟结束后 stop() 最多推进的虚拟时间（ms）
+
+// 可复现的伪随机数（mulberry32），返回 [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 解析时间分布（SIM_LOGIN_TIME 等），返回 random => 毫秒：
+// - fixed:<ms>
+// - uniform:<min>:<max>
+// - normal:<mean>:<stddev>（小于 0 的样本取 0）
+// - exponential:<mean>
+export function parseDistribution(spec) {
+  const [kind, ...params] = String(spec).split(':');
+  const values = params.map(Number);
+  if (values.length === 0 || values.some(value => !Number.isFinite(value) || value < 0)) {
+    throw new Error(`Invalid distribution '${spec}'`);
+  }
+
+  if (kind === 'fixed' && values.length === 1) {
+    return () => values[0];
+  }
+  if (kind === 'uniform' && values.length === 2 && values[0] <= values[1]) {
+    const [min, max] = values;
+    return random => min + random() * (max - min);
+  }
+  if (kind === 'normal' && values.length === 2) {
+    const [mean, stddev] = values;
+    return random => {
+      // Box-Muller
+      const u = 1 - random();
+      const v = random();
+      return Math.max(0, mean + stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v));
+    };
+  }
+  if (kind === 'exponential' && values.length === 1) {
+    const [mean] = values;
+    return random => -Math.log(1 - random()) * mean;
+  }
+  throw new Error(`Invalid distribution '${spec}'`);
+}
+
+// 虚拟时钟：install() 后全局的 Date / Date.now() / setTimeout / setInterval 使用虚拟时间，uninstall() 恢复
+// 定时器只在 step() / runUntil() / runUntilSettled() 中执行，执行前先让已经就绪的 Promise 链跑完
+export class VirtualClock {
+  // onAdvance(from, to)：时间推进前调用（模拟用来累计页面利用率）
+  constructor(startTime, { onAdvance = null } = {}) {
+    this.now = startTime;
+    this.onAdvance = onAdvance;
+    this.timers = [];
+    this.nextTimerId = 1;
+    this.originals = null;
+  }
+
+  install() {
+    if (this.originals) {
+      return;
+    }
+    const clock = this;
+    const RealDate = globalThis.Date;
+    class VirtualDate extends RealDate {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(clock.now);
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return clock.now;
+      }
+    }
+
+    this.originals = {
+      Date: globalThis.Date,
+      setTimeout: globalThis.setTimeout,
+      clearTimeout: globalThis.clearTimeout,
+      setInterval: globalThis.setInterval,
+      clearInterval: globalThis.clearInterval,
+    };
+    globalThis.Date = VirtualDate;
+    globalThis.setTimeout = (fn, ms, ...args) => this.addTimer(fn, ms, args, false);
+    globalThis.setInterval = (fn, ms, ...args) => this.addTimer(fn, ms, args, true);
+    globalThis.clearTimeout = timer => this.clearTimer(timer);
+    globalThis.clearInterval = timer => this.clearTimer(timer);
+  }
+
+  uninstall() {
+    if (!this.originals) {
+      return;
+    }
+    Object.assign(globalThis, this.originals);
+    this.originals = null;
+  }
+
+  addTimer(fn, ms, args, repeat) {
+    const delay = Math.max(0, Number(ms) || 0);
+    const timer = {
+      id: this.nextTimerId++,
+      at: this.now + delay,
+      interval: repeat ? Math.max(1, delay) : null,
+      fn,
+      args,
+      // Node 的 Timeout 接口（调用方可能调用 unref()）
+      unref() { return this; },
+      ref() { return this; },
+      hasRef() { return true; },
+      [Symbol.toPrimitive]() { return this.id; },
+    };
+    this.timers.push(timer);
+    return timer;
+  }
+
+  clearTimer(timer) {
+    const index = this.timers.indexOf(timer);
+    if (index !== -1) {
+      this.timers.splice(index, 1);
+    }
+  }
+
+  // 最早到期的定时器（同时到期时先创建的优先）
+  nextTimer() {
+    let next = null;
+    for (const timer of this.timers) {
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  // 让已经就绪的 Promise 链跑完（setImmediate 不受虚拟时钟影响）
+  async flush() {
+    for (let i = 0; i < FLUSH_ROUNDS; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  // 执行下一个到期时间不晚于 until 的定时器，没有这样的定时器时返回 false
+  async step(until = Infinity) {
+    await this.flush();
+    const timer = this.nextTimer();
+    if (!timer || timer.at > until) {
+      return false;
+    }
+
+    if (timer.at > this.now) {
+      if (this.onAdvance) {
+        this.onAdvance(this.now, timer.at);
+      }
+      this.now = timer.at;
+    }
+    if (timer.interval !== null) {
+      timer.at += timer.interval;
+    } else {
+      this.clearTimer(timer);
+    }
+
+    try {
+      timer.fn(...timer.args);
+    } catch (error) {
+      console.error(`[SIMULATION] ❌ Timer callback failed: ${error.message}`);
+    }
+    return true;
+  }
+
+  // 执行到 time 为止的所有定时器，然后把时间推进到 time
+  async runUntil(time) {
+    while (await this.step(time)) {
+      // 继续
+    }
+    if (time > this.now) {
+      if (this.onAdvance) {
+        this.onAdvance(this.now, time);
+      }
+      this.now = time;
+    }
+    await this.flush();
+  }
+
+  // 推进时间直到 promise 结束（最多推进 limit 毫秒），返回 promise 的结果
+  async runUntilSettled(promise, limit = Infinity) {
+    let settled = false;
+    promise.then(() => { settled = true; }, () => { settled = true; });
+    const deadline = this.now + limit;
+    await this.flush();
+    while (!settled) {
+      if (!(await this.step(deadline))) {
+        await this.flush();
+        if (!settled) {
+          throw new Error(`Simulation stalled at ${new Date(this.now).toISOString()} (no timers left before the deadline)`);
+        }
+      }
+    }
+    return promise;
+  }
+}
+
+// 模拟的任务页面：在内存页面驱动上加入按分布抽样的页面行为
+// start session 后 CHALLENGE_DELAY 收到 challenge 开始挖矿（本周期已经解出时直接显示 "waiting for the next challenge"），
+// 挖矿结束后提交 solution，挖矿中按 SIM_CRASH_RATE 崩溃
+class SimulatedPageDriver extends MemoryPageDriver {
+  constructor({ taskId, backend, recordSubmitSolution = null }) {
+    super({ taskId, state: PageState.LOGGING_IN });
+    this.backend = backend;
+    this.recordSubmitSolution = recordSubmitSolution;
+    this.timers = new Set();
+  }
+
+  // 页面上的定时事件（页面关闭、崩溃、停止 session 时取消）
+  later(ms, fn) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, ms);
+    this.timers.add(timer);
+  }
+
+  // 放弃当前 session（正在提交的 solution 丢失）
+  abandonSession() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    if (this.pendingSolution) {
+      this.pendingSolution = false;
+      this.backend.stats.lostSolutions++;
+    }
+  }
+
+  // 和 Playwright 驱动一样：没有网络信号时等待页面渲染
+  async getState({ settle = 0 } = {}) {
+    if (settle > 0 && !this.closed && !this.crashed && !this.networkState.hasSignal()) {
+      await new Promise(resolve => setTimeout(resolve, settle));
+    }
+    return super.getState();
+  }
+
+  async startSession() {
+    if (!(await super.startSession())) {
+      return false;
+    }
+    this.backend.stats.sessionsStarted++;
+    this.later(CHALLENGE_DELAY, () => {
+      const challengeId = this.backend.getChallengeId();
+      this.networkState.recordChallenge({ challenge: { challenge_id: challengeId } });
+      if (this.backend.isSolved(this.taskId, challengeId)) {
+        // 本周期已经解出：页面直接显示 "waiting for the next challenge"
+        this.solve();
+        return;
+      }
+
+      this.setState(PageState.MINING);
+      const miningTime = this.backend.sample('mining');
+      if (this.backend.random() < this.backend.crashRate) {
+        this.later(this.backend.random() * miningTime, () => this.crash());
+      }
+      this.later(miningTime, () => this.submitSolution(challengeId));
+    });
+    return true;
+  }
+
+  // 和 Playwright 驱动一样：点击前后等待页面更新
+  async stopSession() {
+    await new Promise(resolve => setTimeout(resolve, 500));
+    if (this.closed || this.crashed || ![PageState.ACTIVE, PageState.MINING, PageState.SOLVED].includes(this.state)) {
+      return false;
+    }
+    this.abandonSession();
+    const stopped = await super.stopSession();
+    if (stopped) {
+      this.backend.stats.sessionsStopped++;
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    return stopped;
+  }
+
+  submitSolution(challengeId) {
+    this.pendingSolution = true;
+    this.networkState.recordSolutionSubmit();
+    this.later(this.backend.sample('submit'), () => {
+      this.solve();
+      this.backend.recordSolution(this.taskId, challengeId);
+      if (this.recordSubmitSolution) {
+        this.recordSubmitSolution(this.taskId);
+      }
+    });
+  }
+
+  crash() {
+    this.abandonSession();
+    super.crash();
+    this.backend.stats.crashes++;
+  }
+
+  async reload() {
+    if (!this.closed) {
+      this.abandonSession();
+    }
+    await super.reload();
+    await new Promise(resolve => setTimeout(resolve, this.backend.sample('reload')));
+  }
+
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.abandonSession();
+    await super.close();
+    this.backend.openDrivers.delete(this);
+  }
+}
+
+// 模拟的页面后端：传给 TaskScheduler（pageBackend），页面行为按配置的分布抽样
+export class SimulatedPageBackend extends MemoryPageBackend {
+  // options.cycleClock：周期时钟（每个周期一个 challenge）
+  // options.seed / loginTime / miningTime / submitTime / rateLimitRate / crashRate：见 SIM_* 配置
+  // options.circuitBreaker：速率限制熔断器（与调度器共用，登录结果记录到这里）
+  constructor(options) {
+    super();
+    this.createDriver = (task, { recordSubmitSolution }) =>
+      new SimulatedPageDriver({ taskId: task.id, backend: this, recordSubmitSolution });
+    this.cycleClock = options.cycleClock;
+    this.circuitBreaker = options.circuitBreaker;
+    this.random = createRandom(options.seed);
+    this.distributions = {
+      login: parseDistribution(options.loginTime),
+      mining: parseDistribution(options.miningTime),
+      submit: parseDistribution(options.submitTime),
+      reload: parseDistribution('uniform:1000:3000'),
+    };
+    this.rateLimitRate = options.rateLimitRate;
+    this.crashRate = options.crashRate;
+
+    this.openDrivers = new Set();
+    this.solved = new Map(); // taskId -> 最近一次解出的 challenge ID
+    this.solutions = []; // { taskId, challengeId, at }
+    this.stats = {
+      browsersLaunched: 0,
+      pagesOpened: 0,
+      logins: 0,
+      rateLimited: 0,
+      crashes: 0,
+      sessionsStarted: 0,
+      sessionsStopped: 0,
+      lostSolutions: 0, // 提交中的 solution 因为页面关闭/崩溃/停止 session 丢失
+    };
+  }
+
+  sample(name) {
+    return Math.round(this.distributions[name](this.random));
+  }
+
+  // 当前 challenge：每个周期一个（周期开始时间）
+  getChallengeId() {
+    return this.cycleClock.getCycleStart(new Date()).getTime();
+  }
+
+  isSolved(taskId, challengeId) {
+    return this.solved.get(taskId) === challengeId;
+  }
+
+  recordSolution(taskId, challengeId) {
+    this.solved.set(taskId, challengeId);
+    this.solutions.push({ taskId, challengeId, at: Date.now() });
+  }
+
+  // 正在计算（挖矿或提交 solution）的页面数
+  getMiningPageCount() {
+    let count = 0;
+    for (const driver of this.openDrivers) {
+      if (!driver.crashed && driver.state === PageState.MINING) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async launchBrowser() {
+    this.stats.browsersLaunched++;
+    return super.launchBrowser();
+  }
+
+  // 代替 Playwright 后端（runbatch.mjs 的 runOne）：打开页面、登录，停在 start session 页面
+  async openTask(task, options) {
+    await super.openTask(task, options);
+    const driver = this.drivers.get(task.id);
+    this.openDrivers.add(driver);
+    this.stats.pagesOpened++;
+
+    await this.circuitBreaker.waitForPermit(task.id);
+    await new Promise(resolve => setTimeout(resolve, this.sample('login')));
+    if (driver.isClosed()) {
+      return { ok: false, error: 'Target page, context or browser has been closed' };
+    }
+    if (this.random() < this.rateLimitRate) {
+      this.stats.rateLimited++;
+      this.circuitBreaker.recordFailure(task.id);
+      return { ok: false, error: '429 Too Many Requests (rate limit)' };
+    }
+
+    this.circuitBreaker.recordSuccess(task.id);
+    this.stats.logins++;
+    driver.setState(PageState.READY);
+    return { ok: true };
+  }
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// 运行一次模拟，返回报告（见 printSimulationReport）
+// options 默认来自配置：tasks（SIM_TASKS）、cycles（SIM_CYCLES）、seed、loginTime、miningTime、submitTime、rateLimitRate、crashRate、verbose
+// ⚠️ 调度参数（MAX_ACTIVE_MINING 等）使用当前配置，比较不同参数时用不同的命令行参数运行
+export async function runSimulation(options = {}) {
+  const taskCount = options.tasks ?? config.SIM_TASKS;
+  const cycleCount = options.cycles ?? config.SIM_CYCLES;
+  const verbose = options.verbose ?? config.SIM_VERBOSE;
+  const cycleClock = createCycleClock(config);
+  // ⚠️ 每次模拟使用独立的速率限制熔断器，不受进程内共用熔断器的状态影响
+  const circuitBreaker = new CircuitBreaker({
+    failureThreshold: config.RATE_LIMIT_MAX_CONSECUTIVE_429,
+    openDuration: config.RATE_LIMIT_PAUSE_DURATION,
+    maxOpenDuration: config.RATE_LIMIT_PAUSE_MAX,
+    probeTimeout: config.RATE_LIMIT_PROBE_TIMEOUT,
+  });
+  const backend = new SimulatedPageBackend({
+    cycleClock,
+    circuitBreaker,
+    seed: options.seed ?? config.SIM_SEED,
+    loginTime: options.loginTime ?? config.SIM_LOGIN_TIME,
+    miningTime: options.miningTime ?? config.SIM_MINING_TIME,
+    submitTime: options.submitTime ?? config.SIM_SUBMIT_TIME,
+    rateLimitRate: options.rateLimitRate ?? config.SIM_429_RATE,
+    crashRate: options.crashRate ?? config.SIM_CRASH_RATE,
+  });
+
+  // 周期边界：第 i 个周期为 [cycleStarts[i], cycleStarts[i + 1])
+  const cycleStarts = [cycleClock.getNextCycleStart(new Date(SIMULATION_EPOCH)).getTime()];
+  for (let i = 0; i < cycleCount; i++) {
+    cycleStarts.push(cycleClock.getNextCycleStart(new Date(cycleStarts[i])).getTime());
+  }
+  const startTime = cycleStarts[0];
+  const endTime = cycleStarts[cycleCount];
+
+  // 页面利用率：打开页面数 / 计算中页面数对时间积分
+  const usage = { openPageMs: 0, miningPageMs: 0, peakOpenPages: 0, peakMiningPages: 0 };
+  const clock = new VirtualClock(startTime, {
+    onAdvance: (from, to) => {
+      const until = Math.min(to, endTime);
+      if (until <= from) {
+        return;
+      }
+      const openPages = backend.openDrivers.size;
+      const miningPages = backend.getMiningPageCount();
+      usage.openPageMs += openPages * (until - from);
+      usage.miningPageMs += miningPages * (until - from);
+      usage.peakOpenPages = Math.max(usage.peakOpenPages, openPages);
+      usage.peakMiningPages = Math.max(usage.peakMiningPages, miningPages);
+    },
+  });
+
+  const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+  const wallStart = Date.now();
+  if (!verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  clock.install();
+  let scheduler;
+  const events = { rateLimitPauses: 0 };
+  try {
+    scheduler = new TaskScheduler({
+      taskFilter: null,
+      cycleClock,
+      pageBackend: backend,
+      persistState: false,
+      circuitBreaker,
+    });
+    scheduler.on(SchedulerEvent.RATE_LIMIT_PAUSE, () => {
+      events.rateLimitPauses++;
+    });
+    for (let i = 1; i <= taskCount; i++) {
+      scheduler.addTask(`sim-${i}`, { addr: `sim_addr_${i}`, source: 'simulation' });
+    }
+
+    await clock.runUntilSettled(scheduler.start());
+    // ⚠️ 停在最后一个周期边界之前，避免触发下一个周期的重置
+    await clock.runUntil(endTime - 1);
+    await clock.runUntilSettled(scheduler.stop(), SHUTDOWN_LIMIT);
+  } finally {
+    clock.uninstall();
+    Object.assign(console, originalConsole);
+  }
+
+  const simulatedMs = endTime - startTime;
+  const cycles = cycleStarts.slice(0, cycleCount).map((cycleStart, index) => {
+    const solutions = backend.solutions.filter(solution => solution.challengeId === cycleStart);
+    const completedTasks = new Set(solutions.map(solution => solution.taskId)).size;
+    const lastAt = solutions.length > 0 ? Math.max(...solutions.map(solution => solution.at)) : null;
+    return {
+      cycle: index + 1,
+      startedAt: cycleStart,
+      solutions: solutions.length,
+      completedTasks,
+      completionRate: completedTasks / taskCount,
+      lastCompletionMs: lastAt !== null ? lastAt - cycleStart : null, // 最后一个任务完成时距周期开始的时间
+    };
+  });
+
+  return {
+    tasks: taskCount,
+    cycleCount,
+    cycleLengthMinutes: cycleClock.lengthMinutes,
+    simulatedMs,
+    wallMs: Date.now() - wallStart,
+    settings: {
+      MAX_ACTIVE_MINING: CONFIG.MAX_ACTIVE_MINING,
+      MAX_OPEN_PAGES: CONFIG.MAX_OPEN_PAGES,
+      PAGE_OPEN_CONCURRENCY: CONFIG.PAGE_OPEN_CONCURRENCY,
+      RESET_AT_HOUR: CONFIG.RESET_AT_HOUR,
+    },
+    throughput: {
+      solutions: backend.solutions.length,
+      solutionsPerHour: backend.solutions.length / (simulatedMs / 3600000),
+    },
+    cycles,
+    utilization: {
+      avgOpenPages: usage.openPageMs / simulatedMs,
+      openPagesPercent: usage.openPageMs / simulatedMs / CONFIG.MAX_OPEN_PAGES * 100,
+      peakOpenPages: usage.peakOpenPages,
+      avgMiningPages: usage.miningPageMs / simulatedMs,
+      miningPercent: usage.miningPageMs / simulatedMs / CONFIG.MAX_ACTIVE_MINING * 100,
+      peakMiningPages: usage.peakMiningPages,
+    },
+    pages: backend.stats,
+    scheduler: {
+      avgLoginSeconds: average(scheduler.stats.loginTimes),
+      avgMiningSeconds: average(scheduler.stats.miningTimes),
+      failed: scheduler.stats.failed,
+      rateLimitPauses: events.rateLimitPauses,
+      quarantined: Array.from(scheduler.tasks.values()).filter(task => task.quarantinedAt !== null).length,
+      stageEscalations: { ...scheduler.stats.stageEscalations },
+      illegalTransitions: scheduler.stateMachine.rejectedCount,
+      // 周期轮转：模拟结束时距离最近一次完成的周期数（最大值，以及一直没有完成的任务数）
+      maxCyclesSinceCompletion: Math.max(0, ...Array.from(scheduler.tasks.values()).map(task => task.cyclesSinceCompletion)),
+      neverCompleted: Array.from(scheduler.tasks.values()).filter(task => task.lastCompletedCycle === null).length,
+    },
+  };
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+export function printSimulationReport(report) {
+  const { settings, throughput, utilization, pages } = report;
+  const escalations = Object.entries(report.scheduler.stageEscalations)
+    .filter(([, count]) => count > 0)
+    .map(([level, count]) => `${level} ${count}`)
+    .join(', ');
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`[SIMULATION] 📊 Simulation Report (${report.tasks} tasks, ${report.cycleCount} x ${report.cycleLengthMinutes} min, simulated in ${(report.wallMs / 1000).toFixed(1)}s)`);
+  console.log('='.repeat(70));
+  console.log(`[SIMULATION] ⚙️  Settings: MAX_ACTIVE_MINING=${settings.MAX_ACTIVE_MINING}, MAX_OPEN_PAGES=${settings.MAX_OPEN_PAGES}, PAGE_OPEN_CONCURRENCY=${settings.PAGE_OPEN_CONCURRENCY}, RESET_AT_HOUR=${settings.RESET_AT_HOUR}`);
+  console.log(`[SIMULATION] 🚀 Throughput: ${throughput.solutions} solution(s), ${throughput.solutionsPerHour.toFixed(1)}/hour`);
+  console.log('[SIMULATION] 🔁 Completed Tasks per Cycle:');
+  for (const cycle of report.cycles) {
+    const last = cycle.lastCompletionMs !== null ? `, last at +${formatDuration(cycle.lastCompletionMs)}` : '';
+    console.log(`  Cycle ${cycle.cycle}: ${cycle.completedTasks}/${report.tasks} (${(cycle.completionRate * 100).toFixed(1)}%)${last}`);
+  }
+  console.log('[SIMULATION] 💻 Page Utilization:');
+  console.log(`  Open Pages: avg ${utilization.avgOpenPages.toFixed(2)}/${settings.MAX_OPEN_PAGES} (${utilization.openPagesPercent.toFixed(1)}%), peak ${utilization.peakOpenPages}`);
+  console.log(`  Mining Pages: avg ${utilization.avgMiningPages.toFixed(2)}/${settings.MAX_ACTIVE_MINING} (${utilization.miningPercent.toFixed(1)}%), peak ${utilization.peakMiningPages}`);
+  console.log('[SIMULATION] 📄 Pages:');
+  console.log(`  Opened: ${pages.pagesOpened}, Logged In: ${pages.logins}, 429s: ${pages.rateLimited}, Crashes: ${pages.crashes}`);
+  console.log(`  Sessions Started: ${pages.sessionsStarted}, Stopped: ${pages.sessionsStopped}, Lost Solutions: ${pages.lostSolutions}`);
+  console.log('[SIMULATION] 🗓️  Scheduler:');
+  const avgLogin = report.scheduler.avgLoginSeconds !== null ? `${report.scheduler.avgLoginSeconds.toFixed(1)}s` : 'n/a';
+  const avgMining = report.scheduler.avgMiningSeconds !== null ? `${report.scheduler.avgMiningSeconds.toFixed(1)}s` : 'n/a';
+  console.log(`  Avg Login: ${avgLogin}, Avg Mining: ${avgMining}`);
+  console.log(`  Failed Starts: ${report.scheduler.failed}, Rate Limit Pauses: ${report.scheduler.rateLimitPauses}, Quarantined: ${report.scheduler.quarantined}`);
+  console.log(`  Stage Escalations: ${escalations || 'none'}, Illegal Transitions: ${report.scheduler.illegalTransitions}`);
+  console.log(`  Longest Without Completion: ${report.scheduler.maxCyclesSinceCompletion} cycle(s), Never Completed: ${report.scheduler.neverCompleted}/${report.tasks}`);
+  console.log('='.repeat(70) + '\n');
+}
@@ -3,20 +3,24 @@
 import { setTimeout as delayTimeout } from 'timers/promises';
 
 import { chromium } from 'playwright';
+import { config, configError, reportConfigError } from './config.mjs';
+import { createCycleClock } from './cycle-clock.mjs';
 
 const BASE_URL = 'https://sm.midnight.gd/api/statistics';
 const SITE_ORIGIN = 'https://sm.midnight.gd/';
-const DEFAULT_REQUEST_DELAY = parseInt(process.env.STATS_REQUEST_DELAY || '2000', 10);
-const DEFAULT_COLLECTION_MINUTE = clampMinute(parseInt(process.env.STATS_COLLECTION_MINUTE || '30', 10));
-const FETCH_TIMEOUT_MS = parseInt(process.env.STATS_FETCH_TIMEOUT || '20000', 10);
-const MAX_CONSECUTIVE_ERRORS = parseInt(process.env.STATS_MAX_CONSECUTIVE_ERRORS || '5', 10);
+const DEFAULT_REQUEST_DELAY = config.STATS_REQUEST_DELAY;
+const DEFAULT_COLLECTION_MINUTE = config.STATS_COLLECTION_MINUTE;
+const FETCH_TIMEOUT_MS = config.STATS_FETCH_TIMEOUT;
+const MAX_CONSECUTIVE_ERRORS = config.STATS_MAX_CONSECUTIVE_ERRORS;
 const PLAYWRIGHT_REINIT_THRESHOLD = 3;
+// 与调度器使用同一个周期定义：每个周期开始后 collectionMinute 分钟采集一次
+const cycleClock = createCycleClock(config);
 
 let addresses = [];
-let serviceUrl = process.env.STATS_SERVICE_URL || '';
+let serviceUrl = config.STATS_SERVICE_URL;
 let serviceEndpoint = resolveServiceEndpoint(serviceUrl);
-let requestDelay = Number.isFinite(DEFAULT_REQUEST_DELAY) ? DEFAULT_REQUEST_DELAY : 2000;
-let collectionMinute = DEFAULT_COLLECTION_MINUTE ?? 30;
+let requestDelay = DEFAULT_REQUEST_DELAY;
+let collectionMinute = DEFAULT_COLLECTION_MINUTE;
 let isRunningCycle = false;
 let scheduleTimer = null;
 let initialized = false;
@@ -25,54 +29,62 @@ let context = null;
 let page = null;
 let playwrightInitAttempts = 0;
 
-process.on('message', (message) => {
-  if (!message || message.type !== 'init' || !message.payload) {
-    return;
-  }
+// ⚠️ 只有作为子进程运行（由 run-scheduled.mjs fork）时才注册 IPC 和信号处理
+// 被 cli.mjs collect 导入时由调用方负责生命周期（见 collectOnce）
+if (process.send && configError) {
+  // 配置无效（父进程传下来的配置与父进程一致，通常不会发生）：退出码 2
+  reportConfigError(configError);
+  process.exit(2);
+} else if (process.send) {
+  process.on('message', (message) => {
+    if (!message || message.type !== 'init' || !message.payload) {
+      return;
+    }
 
-  const {
-    addresses: incomingAddresses,
-    serviceUrl: incomingServiceUrl,
-    requestDelay: incomingDelay,
-    collectionMinute: incomingMinute,
-  } = message.payload;
-  if (Array.isArray(incomingAddresses)) {
-    addresses = Array.from(new Set(incomingAddresses.filter(addr => typeof addr === 'string' && addr.length > 0)));
-  }
+    const {
+      addresses: incomingAddresses,
+      serviceUrl: incomingServiceUrl,
+      requestDelay: incomingDelay,
+      collectionMinute: incomingMinute,
+    } = message.payload;
+    if (Array.isArray(incomingAddresses)) {
+      addresses = Array.from(new Set(incomingAddresses.filter(addr => typeof addr === 'string' && addr.length > 0)));
+    }
 
-  if (typeof incomingServiceUrl === 'string' && incomingServiceUrl.length > 0) {
-    serviceUrl = incomingServiceUrl;
-  }
-  serviceEndpoint = resolveServiceEndpoint(serviceUrl);
+    if (typeof incomingServiceUrl === 'string' && incomingServiceUrl.length > 0) {
+      serviceUrl = incomingServiceUrl;
+    }
+    serviceEndpoint = resolveServiceEndpoint(serviceUrl);
 
-  const parsedDelay = parseInt(incomingDelay, 10);
-  if (Number.isFinite(parsedDelay) && parsedDelay > 0) {
-    requestDelay = parsedDelay;
-  }
+    const parsedDelay = parseInt(incomingDelay, 10);
+    if (Number.isFinite(parsedDelay) && parsedDelay > 0) {
+      requestDelay = parsedDelay;
+    }
 
-  const parsedMinute = clampMinute(parseInt(incomingMinute, 10));
-  if (parsedMinute !== null) {
-    collectionMinute = parsedMinute;
-  }
+    const parsedMinute = clampMinute(parseInt(incomingMinute, 10));
+    if (parsedMinute !== null) {
+      collectionMinute = parsedMinute;
+    }
 
-  if (!initialized) {
-    initialized = true;
-    console.log(`[STATS-COLLECTOR] ✅ Initialized with ${addresses.length} address(es). Service URL set: ${serviceUrl ? serviceEndpoint : 'no'}. Collection minute: ${collectionMinute}`);
-    scheduleNextRun();
-  } else {
-    console.log(`[STATS-COLLECTOR] ℹ️ Received updated configuration for statistics collection (minute=${collectionMinute}, endpoint=${serviceEndpoint || 'none'})`);
-  }
-});
+    if (!initialized) {
+      initialized = true;
+      console.log(`[STATS-COLLECTOR] ✅ Initialized with ${addresses.length} address(es). Service URL set: ${serviceUrl ? serviceEndpoint : 'no'}. Collection minute: ${collectionMinute}`);
+      scheduleNextRun();
+    } else {
+      console.log(`[STATS-COLLECTOR] ℹ️ Received updated configuration for statistics collection (minute=${collectionMinute}, endpoint=${serviceEndpoint || 'none'})`);
+    }
+  });
 
-process.on('SIGINT', () => {
-  console.log('[STATS-COLLECTOR] Received SIGINT, exiting gracefully');
-  shutdown().finally(() => process.exit(0));
-});
+  process.on('SIGINT', () => {
+    console.log('[STATS-COLLECTOR] Received SIGINT, exiting gracefully');
+    shutdown().finally(() => process.exit(0));
+  });
 
-process.on('SIGTERM', () => {
-  console.log('[STATS-COLLECTOR] Received SIGTERM, exiting gracefully');
-  shutdown().finally(() => process.exit(0));
-});
+  process.on('SIGTERM', () => {
+    console.log('[STATS-COLLECTOR] Received SIGTERM, exiting gracefully');
+    shutdown().finally(() => process.exit(0));
+  });
+}
 
 function scheduleNextRun() {
   if (!initialized) {
@@ -85,20 +97,14 @@ function scheduleNextRun() {
   }
 
   const now = new Date();
-  const nextRun = new Date(now);
-  const targetMinute = collectionMinute;
-
-  nextRun.setSeconds(0, 0);
-  if (now.getMinutes() < targetMinute) {
-    nextRun.setMinutes(targetMinute, 0, 0);
-  } else if (now.getMinutes() === targetMinute && now.getSeconds() === 0 && now.getMilliseconds() === 0) {
-    nextRun.setHours(nextRun.getHours() + 1, targetMinute, 0, 0);
-  } else {
-    nextRun.setHours(nextRun.getHours() + 1, targetMinute, 0, 0);
+  const collectionOffsetMs = collectionMinute * 60 * 1000;
+  let nextRun = new Date(cycleClock.getCycleStart(now).getTime() + collectionOffsetMs);
+  if (nextRun <= now) {
+    nextRun = new Date(cycleClock.getNextCycleStart(now).getTime() + collectionOffsetMs);
   }
 
   const delay = Math.max(nextRun.getTime() - now.getTime(), 0);
-  console.log(`[STATS-COLLECTOR] ⏰ Next statistics collection scheduled in ${Math.round(delay / 1000)} seconds (at ${nextRun.toISOString()}, minute=${collectionMinute})`);
+  console.log(`[STATS-COLLECTOR] ⏰ Next statistics collection scheduled in ${Math.round(delay / 1000)} seconds (at ${nextRun.toISOString()}, ${collectionMinute} min into the cycle)`);
 
   scheduleTimer = setTimeout(async () => {
     scheduleTimer = null;
@@ -116,18 +122,20 @@ class StatisticsFetchError extends Error {
   }
 }
 
+// 执行一轮采集，返回汇总 { total, succeeded, skipped, failed, aborted }；未执行时返回 null
 async function runCycleSafely() {
   if (isRunningCycle) {
     console.warn('[STATS-COLLECTOR] ⚠️ Previous statistics collection cycle still running, skipping this cycle');
-    return;
+    return null;
   }
 
   if (!Array.isArray(addresses) || addresses.length === 0) {
     console.warn('[STATS-COLLECTOR] ⚠️ No addresses configured. Skipping statistics collection.');
-    return;
+    return null;
   }
 
   isRunningCycle = true;
+  const summary = { total: addresses.length, succeeded: 0, skipped: 0, failed: 0, aborted: false };
   try {
     console.log(`[STATS-COLLECTOR] 🚀 Starting statistics collection for ${addresses.length} address(es)`);
     let consecutiveErrors = 0;
@@ -135,19 +143,23 @@ async function runCycleSafely() {
     for (const addr of addresses) {
       const result = await collectAndForward(addr);
       if (result.success) {
+        summary.succeeded += 1;
         consecutiveErrors = 0;
         lastErrorStatus = null;
       } else if (result.skipped) {
         // Skipped (e.g., due to 403) - treat as non-fatal but still reset consecutive error counter
+        summary.skipped += 1;
         consecutiveErrors = 0;
         lastErrorStatus = null;
       } else {
+        summary.failed += 1;
         consecutiveErrors += 1;
         if (result.status && result.status !== lastErrorStatus) {
           lastErrorStatus = result.status;
         }
         if (Number.isFinite(MAX_CONSECUTIVE_ERRORS) && MAX_CONSECUTIVE_ERRORS > 0 && consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
           console.warn(`[STATS-COLLECTOR] ⚠️ Reached ${consecutiveErrors} consecutive statistics fetch errors (last status: ${lastErrorStatus ?? 'unknown'}). Aborting current cycle to avoid pressure on API.`);
+          summary.aborted = true;
           break;
         }
         if (consecutiveErrors >= PLAYWRIGHT_REINIT_THRESHOLD) {
@@ -162,9 +174,29 @@ async function runCycleSafely() {
     console.log('[STATS-COLLECTOR] ✅ Statistics collection cycle completed');
   } catch (error) {
     console.error(`[STATS-COLLECTOR] ❌ Statistics collection cycle failed: ${error.message}`);
+    summary.aborted = true;
   } finally {
     isRunningCycle = false;
   }
+  return summary;
+}
+
+// 一次性采集（node cli.mjs collect）：采集给定地址后关闭浏览器，返回 runCycleSafely 的汇总
+export async function collectOnce(addressList, options = {}) {
+  addresses = Array.from(new Set(addressList.filter(addr => typeof addr === 'string' && addr.length > 0)));
+  if (typeof options.serviceUrl === 'string') {
+    serviceUrl = options.serviceUrl;
+    serviceEndpoint = resolveServiceEndpoint(serviceUrl);
+  }
+  if (Number.isFinite(options.requestDelay) && options.requestDelay >= 0) {
+    requestDelay = options.requestDelay;
+  }
+
+  try {
+    return await runCycleSafely();
+  } finally {
+    await shutdown();
+  }
 }
 
 async function collectAndForward(address) {
@@ -269,7 +301,7 @@ function clampMinute(value) {
   if (!Number.isFinite(value)) {
     return null;
   }
-  if (value < 0 || value > 59) {
+  if (value < 0 || value >= cycleClock.lengthMinutes) {
     return null;
   }
   return value;
@@ -0,0 +1,563 @@
+// 任务文件加载与校验（runbatch.mjs 和 run-scheduled.mjs 共用）
+// 支持的格式：.json / .yaml / .yml（数组或 { tasks: [...] }）、.csv（带表头）、.txt（每行一个地址）
+import { readFileSync, statSync, readdirSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { createRequire } from 'module';
+import { parseTaskSchedule } from './task-schedule.mjs';
+
+const require = createRequire(import.meta.url);
+
+// 支持的任务文件扩展名
+export const TASK_FILE_EXTENSIONS = ['.json', '.yaml', '.yml', '.csv', '.txt'];
+
+// CSV 表头到任务字段的映射（表头不区分大小写，未映射的列忽略 —— 表格导出通常带有额外的列）
+const CSV_HEADER_ALIASES = {
+  id: ['id', 'task', 'task_id', 'taskid'],
+  addr: ['addr', 'address', 'wallet', 'wallet_address'],
+  label: ['label', 'name'],
+  enabled: ['enabled'],
+  tags: ['tags'],
+  priority: ['priority'],
+  weight: ['weight'],
+  notes: ['notes', 'note', 'comment'],
+  schedule: ['schedule', 'window', 'mining_window'],
+  maxSolutionsPerCycle: ['max_solutions_per_cycle', 'maxsolutionspercycle', 'cycle_quota'],
+  maxSolutionsPerDay: ['max_solutions_per_day', 'maxsolutionsperday', 'daily_quota'],
+};
+
+// 任务条目的字段定义（不在此列表中的字段视为错误，避免拼写错误被静默忽略）
+export const TASK_FIELDS = {
+  id: { type: 'string', required: true },       // 任务ID（全局唯一）
+  addr: { type: 'string', required: true },     // Cardano 地址（bech32，全局唯一）
+  enabled: { type: 'boolean', default: true },  // 设置为 false 时跳过该任务
+  label: { type: 'string' },                    // 显示名称
+  tags: { type: 'string[]', default: [] },      // 标签（用于分组）
+  priority: { type: 'number', default: 0 },     // 优先级（数字越大越重要，见 task-selection.mjs）
+  weight: { type: 'positive', default: 1 },     // 权重（TASK_SELECTION_POLICY=weighted 时按权重分配启动次数）
+  notes: { type: 'string' },                    // 备注
+  schedule: { type: 'schedule' },               // 挖矿时间窗口（格式见 task-schedule.mjs），省略时不限制
+  maxSolutionsPerCycle: { type: 'count' },      // 每个周期最多提交的 solution 数，省略时不限制
+  maxSolutionsPerDay: { type: 'count' },        // 每天（周期时区的日期）最多提交的 solution 数，省略时不限制
+};
+
+// 任务文件加载/校验失败，problems 中包含每一个问题（文件名、索引、原因）
+export class TaskFileError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'TaskFileError';
+    this.problems = problems;
+  }
+}
+
+// ⚠️ bech32 校验（BIP-173）：Cardano Shelley 地址使用 bech32（不是 bech32m），且不受 90 字符长度限制
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+function bech32Polymod(values) {
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) {
+        chk ^= BECH32_GENERATORS[i];
+      }
+    }
+  }
+  return chk;
+}
+
+function bech32HrpExpand(hrp) {
+  const result = [];
+  for (let i = 0; i < hrp.length; i++) {
+    result.push(hrp.charCodeAt(i) >> 5);
+  }
+  result.push(0);
+  for (let i = 0; i < hrp.length; i++) {
+    result.push(hrp.charCodeAt(i) & 31);
+  }
+  return result;
+}
+
+// 解码 bech32 字符串，返回 { hrp, bytes }；格式或校验和错误时返回 { error }
+function decodeBech32(value) {
+  if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+    return { error: 'mixed case' };
+  }
+  const str = value.toLowerCase();
+  const separator = str.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > str.length) {
+    return { error: 'missing separator or data part too short' };
+  }
+
+  const hrp = str.slice(0, separator);
+  const data = [];
+  for (const char of str.slice(separator + 1)) {
+    const index = BECH32_CHARSET.indexOf(char);
+    if (index === -1) {
+      return { error: `invalid character '${char}'` };
+    }
+    data.push(index);
+  }
+
+  if (bech32Polymod([...bech32HrpExpand(hrp), ...data]) !== 1) {
+    return { error: 'invalid checksum' };
+  }
+
+  // 5 位分组转换为字节（去掉 6 个字符的校验和）
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const group of data.slice(0, -6)) {
+    acc = (acc << 5) | group;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || ((acc << (8 - bits)) & 0xff)) {
+    return { error: 'invalid padding' };
+  }
+
+  return { hrp, bytes };
+}
+
+// 校验 Cardano 支付地址：hrp 为 addr（主网）或 addr_test（测试网），校验和正确，且头字节的网络ID与 hrp 一致
+// 返回错误描述，地址合法时返回 null
+export function validateCardanoAddress(addr) {
+  const decoded = decodeBech32(addr);
+  if (decoded.error) {
+    return `not a valid bech32 address (${decoded.error})`;
+  }
+
+  const { hrp, bytes } = decoded;
+  if (hrp !== 'addr' && hrp !== 'addr_test') {
+    return `unexpected address prefix '${hrp}' (expected 'addr' or 'addr_test')`;
+  }
+  if (bytes.length < 29) {
+    return `address payload too short (${bytes.length} bytes)`;
+  }
+
+  const addressType = bytes[0] >> 4;
+  const networkId = bytes[0] & 0x0f;
+  if (addressType > 7) {
+    return `unsupported address type ${addressType} (expected a Shelley payment address)`;
+  }
+  const expectedNetworkId = hrp === 'addr' ? 1 : 0;
+  if (networkId !== expectedNetworkId) {
+    return `network id ${networkId} does not match prefix '${hrp}'`;
+  }
+  return null;
+}
+
+// 校验字段类型，返回错误描述或 null
+function checkFieldType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim().length > 0 ? null : 'must be a non-empty string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'positive':
+      return typeof value === 'number' && Number.isFinite(value) && value > 0 ? null : 'must be a positive number';
+    case 'count':
+      return Number.isInteger(value) && value > 0 ? null : 'must be a positive integer';
+    case 'string[]':
+      return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim().length > 0)
+        ? null
+        : 'must be an array of non-empty strings';
+    case 'schedule': {
+      const { error } = parseTaskSchedule(value);
+      return error ? `is invalid: ${error}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// 解析 CSV 文本为行数组（支持双引号包裹的字段、字段内的逗号/换行和 "" 转义）
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('unterminated quoted field');
+  }
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 忽略空行
+  return rows.filter(r => r.some(value => value.trim().length > 0));
+}
+
+// 把 CSV 单元格的字符串值转换为字段类型（无法转换时保留原值，交给校验报告错误）
+function convertCsvValue(field, value) {
+  const text = value.trim();
+  if (text.length === 0) {
+    return undefined;
+  }
+  switch (TASK_FIELDS[field].type) {
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (['true', 'yes', '1'].includes(lower)) return true;
+      if (['false', 'no', '0'].includes(lower)) return false;
+      return text;
+    }
+    case 'number':
+    case 'positive':
+    case 'count':
+      return Number.isFinite(Number(text)) ? Number(text) : text;
+    case 'string[]':
+      return text.split(/[;|]/).map(tag => tag.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+}
+
+// 没有写 id 的任务按地址生成 ID（<文件名>-<地址末 8 位>）
+// ⚠️ 不能按行号生成：插入或删除一行后其后所有任务的 ID 都会改变，热加载会当成删除 + 新增，保存的状态也恢复不到原来的任务
+// bech32 地址末 6 位是校验和，同一文件内的不同地址几乎不会重复（重复时按 duplicate id 报错）
+function autoTaskId(fileBase, addr) {
+  return `${fileBase}-${String(addr || '').trim().toLowerCase().slice(-8)}`;
+}
+
+// 解析 CSV 任务文件：第一行为表头，没有 id 列（或 id 为空）时按地址自动生成 ID
+function parseCsvTasks(content, fileBase) {
+  const [header, ...rows] = parseCsvRows(content);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => {
+    const normalized = name.trim().toLowerCase();
+    return Object.keys(CSV_HEADER_ALIASES).find(field => CSV_HEADER_ALIASES[field].includes(normalized)) || null;
+  });
+  if (!columns.includes('addr')) {
+    throw new Error(`CSV header must contain an address column (one of: ${CSV_HEADER_ALIASES.addr.join(', ')})`);
+  }
+
+  return rows.map(row => {
+    const task = {};
+    columns.forEach((field, column) => {
+      if (field && row[column] !== undefined) {
+        const value = convertCsvValue(field, row[column]);
+        if (value !== undefined) {
+          task[field] = value;
+        }
+      }
+    });
+    if (!task.id) {
+      task.id = autoTaskId(fileBase, task.addr);
+    }
+    return task;
+  });
+}
+
+// 解析纯文本任务文件：每行一个地址，# 开头为注释，ID 按地址自动生成（见 autoTaskId）
+function parseTxtTasks(content, fileBase) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+    .map(addr => ({ id: autoTaskId(fileBase, addr), addr }));
+}
+
+// 解析 YAML（依赖 js-yaml，只在遇到 YAML 文件时才加载）
+function parseYaml(content) {
+  let yaml;
+  try {
+    yaml = require('js-yaml');
+  } catch {
+    throw new Error('YAML task files require the js-yaml package (npm install js-yaml)');
+  }
+  return yaml.load(content);
+}
+
+// 解析单个任务文件，返回任务条目数组
+// JSON / YAML 支持数组或 { tasks: [...] }
+function parseTaskFile(filePath) {
+  const content = readFileSync(filePath, 'utf8');
+  const extension = extname(filePath).toLowerCase();
+  const fileBase = basename(filePath, extname(filePath));
+
+  if (extension === '.csv') {
+    return parseCsvTasks(content, fileBase);
+  }
+  if (extension === '.txt') {
+    return parseTxtTasks(content, fileBase);
+  }
+
+  const data = extension === '.yaml' || extension === '.yml' ? parseYaml(content) : JSON.parse(content);
+  const tasks = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(tasks)) {
+    throw new Error('expected an array of tasks or an object with a "tasks" array');
+  }
+  return tasks;
+}
+
+// 读取任务路径（文件或文件夹）下的所有任务条目
+// 返回 { entries: [{ file, index, raw }], problems: [{ file, index, id, message }] }
+// ⚠️ 不在这里抛出解析错误，而是收集到 problems 中，一次性报告所有问题
+export function readTaskEntries(tasksPath) {
+  const entries = [];
+  const problems = [];
+
+  const stats = statSync(tasksPath);
+  let files;
+  if (stats.isDirectory()) {
+    files = readdirSync(tasksPath)
+      .filter(f => TASK_FILE_EXTENSIONS.includes(extname(f).toLowerCase()))
+      .sort()
+      .map(f => join(tasksPath, f));
+    if (files.length === 0) {
+      problems.push({ file: basename(tasksPath), index: null, id: null, message: `No task files (${TASK_FILE_EXTENSIONS.join(', ')}) found in directory: ${tasksPath}` });
+    }
+  } else if (stats.isFile()) {
+    files = [tasksPath];
+  } else {
+    throw new Error(`Path is neither a file nor a directory: ${tasksPath}`);
+  }
+
+  for (const filePath of files) {
+    const file = basename(filePath);
+    let tasks;
+    try {
+      tasks = parseTaskFile(filePath);
+    } catch (error) {
+      problems.push({ file, index: null, id: null, message: `Failed to parse: ${error.message}` });
+      continue;
+    }
+    tasks.forEach((raw, index) => entries.push({ file, index, raw }));
+  }
+
+  return { entries, problems };
+}
+
+// 校验任务条目：字段类型、未知字段、地址格式、跨文件的重复 ID / 地址
+// 返回 { tasks, problems }，tasks 为补全默认值后的任务（包含 source 字段：来源文件）
+export function validateTaskEntries(entries) {
+  const problems = [];
+  const tasks = [];
+  const seenIds = new Map();   // id -> "file#index"
+  const seenAddrs = new Map(); // 小写的 addr -> "file#index"
+
+  for (const { file, index, raw } of entries) {
+    const id = raw && typeof raw.id === 'string' ? raw.id : null;
+    const report = (message) => problems.push({ file, index, id, message });
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      report('task entry must be an object');
+      continue;
+    }
+
+    let valid = true;
+    for (const [field, spec] of Object.entries(TASK_FIELDS)) {
+      if (raw[field] === undefined || raw[field] === null) {
+        if (spec.required) {
+          report(`missing required field '${field}'`);
+          valid = false;
+        }
+        continue;
+      }
+      const typeError = checkFieldType(raw[field], spec.type);
+      if (typeError) {
+        report(`field '${field}' ${typeError}`);
+        valid = false;
+      }
+    }
+
+    for (const field of Object.keys(raw)) {
+      if (!TASK_FIELDS[field]) {
+        report(`unknown field '${field}'`);
+        valid = false;
+      }
+    }
+
+    if (typeof raw.addr === 'string' && raw.addr.length > 0) {
+      const addrError = validateCardanoAddress(raw.addr);
+      if (addrError) {
+        report(`field 'addr' is ${addrError}`);
+        valid = false;
+      }
+    }
+
+    const location = `${file}#${index}`;
+    if (id) {
+      if (seenIds.has(id)) {
+        report(`duplicate id '${id}' (also defined at ${seenIds.get(id)})`);
+        valid = false;
+      } else {
+        seenIds.set(id, location);
+      }
+    }
+    // ⚠️ bech32 不区分大小写（全大写和全小写是同一个地址），按小写判断重复
+    if (typeof raw.addr === 'string') {
+      const addrKey = raw.addr.toLowerCase();
+      if (seenAddrs.has(addrKey)) {
+        report(`duplicate addr (also used at ${seenAddrs.get(addrKey)})`);
+        valid = false;
+      } else {
+        seenAddrs.set(addrKey, location);
+      }
+    }
+
+    if (!valid) {
+      continue;
+    }
+
+    const task = { source: file };
+    for (const [field, spec] of Object.entries(TASK_FIELDS)) {
+      if (raw[field] !== undefined && raw[field] !== null) {
+        // 时间窗口保存为解析后的形式（{ hours, days, timezone, text }）
+        task[field] = spec.type === 'schedule' ? parseTaskSchedule(raw[field]).schedule : raw[field];
+      } else if (spec.default !== undefined) {
+        task[field] = Array.isArray(spec.default) ? [...spec.default] : spec.default;
+      }
+    }
+    task.addr = task.addr.toLowerCase(); // 统一保存小写形式（调度器、租约和统计按地址字符串区分任务）
+    tasks.push(task);
+  }
+
+  return { tasks, problems };
+}
+
+// 格式化单个问题（用于日志输出）
+export function formatTaskProblem(problem) {
+  const location = problem.index === null ? problem.file : `${problem.file}#${problem.index}`;
+  const idInfo = problem.id ? ` (id: ${problem.id})` : '';
+  return `${location}${idInfo}: ${problem.message}`;
+}
+
+// 加载并校验任务列表，有任何问题时抛出 TaskFileError
+// 返回启用的任务（enabled !== false）
+export function loadTaskList(tasksPath) {
+  const { entries, problems: readProblems } = readTaskEntries(tasksPath);
+  const { tasks, problems: validationProblems } = validateTaskEntries(entries);
+  const problems = [...readProblems, ...validationProblems];
+
+  if (problems.length > 0) {
+    throw new TaskFileError(`Found ${problems.length} problem(s) in task files at ${tasksPath}`, problems);
+  }
+  if (tasks.length === 0) {
+    throw new TaskFileError(`No tasks found at ${tasksPath}`);
+  }
+
+  const countsByFile = new Map();
+  for (const task of tasks) {
+    countsByFile.set(task.source, (countsByFile.get(task.source) || 0) + 1);
+  }
+  for (const [file, count] of countsByFile) {
+    console.log(`[CONFIG]   ✓ Loaded ${count} task(s) from ${file}`);
+  }
+
+  const enabledTasks = tasks.filter(task => task.enabled !== false);
+  const disabledCount = tasks.length - enabledTasks.length;
+  console.log(`[CONFIG] Loaded ${enabledTasks.length} task(s) from ${countsByFile.size} file(s)${disabledCount > 0 ? ` (${disabledCount} disabled, skipped)` : ''}`);
+  return enabledTasks;
+}
+
+// ---------------- 任务筛选 ----------------
+// 选择器：tag:<tag> 按标签匹配，id:<glob> 按任务 ID 匹配（支持 * 和 ? 通配符）
+// 筛选规则：设置了 only 时任务必须匹配其中至少一个选择器；匹配任一 exclude 选择器的任务被排除
+
+export const TASK_SELECTOR_PATTERN = /^(tag|id):(.+)$/;
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+function parseSelector(selector) {
+  const match = TASK_SELECTOR_PATTERN.exec(selector.trim());
+  if (!match) {
+    throw new Error(`Invalid task selector '${selector}' (expected tag:<tag> or id:<glob>)`);
+  }
+  const [, kind, value] = match;
+  return {
+    text: `${kind}:${value}`,
+    matches: kind === 'tag'
+      ? task => Array.isArray(task.tags) && task.tags.includes(value)
+      : (regex => task => regex.test(task.id))(globToRegExp(value)),
+  };
+}
+
+// 创建任务筛选器（only / exclude 为选择器数组），没有任何选择器时返回 null
+export function createTaskFilter({ only = [], exclude = [] } = {}) {
+  if (only.length === 0 && exclude.length === 0) {
+    return null;
+  }
+  return {
+    only: only.map(parseSelector),
+    exclude: exclude.map(parseSelector),
+  };
+}
+
+// 任务是否被筛选器选中（filter 为 null 时全部选中）
+export function matchesTaskFilter(task, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (filter.only.length > 0 && !filter.only.some(selector => selector.matches(task))) {
+    return false;
+  }
+  return !filter.exclude.some(selector => selector.matches(task));
+}
+
+// 按筛选器拆分任务列表，返回 { selected, excluded }
+export function applyTaskFilter(tasks, filter) {
+  const selected = [];
+  const excluded = [];
+  for (const task of tasks) {
+    (matchesTaskFilter(task, filter) ? selected : excluded).push(task);
+  }
+  return { selected, excluded };
+}
+
+// 筛选器的可读描述（用于日志和状态报告）
+export function describeTaskFilter(filter) {
+  if (!filter) {
+    return 'none';
+  }
+  const parts = [];
+  if (filter.only.length > 0) {
+    parts.push(`only ${filter.only.map(selector => selector.text).join(', ')}`);
+  }
+  if (filter.exclude.length > 0) {
+    parts.push(`exclude ${filter.exclude.map(selector => selector.text).join(', ')}`);
+  }
+  return parts.join('; ');
+}
@@ -0,0 +1,113 @@
+// 基于网络请求的任务状态模型
+// runbatch.mjs 在每个页面上创建一个 TaskNetworkState（page._networkState），由 /api/challenge 和 /api/solution 的
+// 请求/响应驱动；调度器直接读取它判断任务是否在挖矿/已完成，不再依赖页面文本（文本检测只在没有网络信号时使用）
+//
+// 阶段：
+// - IDLE：还没有开始 session（或 session 已停止），没有网络信号
+// - STARTING：已点击 start session，还没有收到 challenge
+// - MINING：收到了当前 challenge，还没有被接受的 solution（页面显示 "finding a solution"）
+// - SUBMITTING：solution 正在提交（或等待重试）
+// - SOLVED：当前 challenge 的 solution 已被接受（页面显示 "waiting for the next challenge"）
+// ⚠️ 收到新的 challenge（challenge_id 变化）时从 SOLVED 回到 MINING
+
+export const NetworkPhase = {
+  IDLE: 'idle',
+  STARTING: 'starting',
+  MINING: 'mining',
+  SUBMITTING: 'submitting',
+  SOLVED: 'solved',
+};
+
+// 从 /api/challenge 响应中取出 challenge ID（字段名兼容几种写法）
+function extractChallengeId(data) {
+  const challenge = data && typeof data === 'object' ? (data.challenge || data) : null;
+  if (!challenge || typeof challenge !== 'object') {
+    return null;
+  }
+  return challenge.challenge_id ?? challenge.challengeId ?? challenge.id ?? null;
+}
+
+export class TaskNetworkState {
+  constructor() {
+    this.phase = NetworkPhase.IDLE;
+    this.challengeId = null; // 当前 challenge ID
+    this.solvedChallengeId = null; // 最近一次 solution 被接受的 challenge ID
+    this.sessionStartedAt = null;
+    this.lastEventAt = null; // 最近一次网络信号的时间
+    this.lastSolutionStatus = null; // 最近一次 /api/solution 响应的 HTTP 状态码
+    this.solutionsAccepted = 0;
+  }
+
+  // 点击 start session 后调用
+  recordSessionStarted() {
+    this.sessionStartedAt = Date.now();
+    if (this.phase === NetworkPhase.IDLE) {
+      this.phase = NetworkPhase.STARTING;
+    }
+  }
+
+  // 点击 stop session 后调用（回到 IDLE，之后的状态由下一次 start session 决定）
+  recordSessionStopped() {
+    this.phase = NetworkPhase.IDLE;
+    this.sessionStartedAt = null;
+  }
+
+  // /api/challenge 成功响应（data 为响应 JSON，解析失败时为 null）
+  recordChallenge(data) {
+    this.lastEventAt = Date.now();
+    if (data && typeof data.code === 'string' && data.code !== 'active') {
+      // 挖矿期未开始/已结束：没有可以挖的 challenge
+      return;
+    }
+
+    const challengeId = extractChallengeId(data);
+    if (challengeId !== null) {
+      this.challengeId = challengeId;
+    }
+    if (this.phase === NetworkPhase.IDLE) {
+      return; // session 还没开始（页面加载时也会请求 challenge）
+    }
+    if (this.phase === NetworkPhase.SOLVED && (challengeId === null || challengeId === this.solvedChallengeId)) {
+      return; // 已解出的 challenge（轮询）
+    }
+    if (this.phase !== NetworkPhase.SUBMITTING) {
+      this.phase = NetworkPhase.MINING;
+    }
+  }
+
+  // /api/solution POST 请求发出
+  recordSolutionSubmit() {
+    this.lastEventAt = Date.now();
+    this.phase = NetworkPhase.SUBMITTING;
+  }
+
+  // /api/solution POST 响应：2xx 表示被接受，其他状态码表示本次提交失败（页面会重试或继续挖矿）
+  recordSolutionResponse(status) {
+    this.lastEventAt = Date.now();
+    this.lastSolutionStatus = status;
+    if (status === 200 || status === 201) {
+      this.phase = NetworkPhase.SOLVED;
+      this.solvedChallengeId = this.challengeId;
+      this.solutionsAccepted++;
+    } else if (this.phase === NetworkPhase.SUBMITTING) {
+      this.phase = NetworkPhase.MINING;
+    }
+  }
+
+  // 是否有可用的网络信号（IDLE / STARTING 阶段没有，需要回退到页面文本检测）
+  hasSignal() {
+    return this.phase === NetworkPhase.MINING ||
+           this.phase === NetworkPhase.SUBMITTING ||
+           this.phase === NetworkPhase.SOLVED;
+  }
+
+  snapshot() {
+    return {
+      phase: this.phase,
+      challengeId: this.challengeId,
+      lastEventAt: this.lastEventAt,
+      lastSolutionStatus: this.lastSolutionStatus,
+      solutionsAccepted: this.solutionsAccepted,
+    };
+  }
+}
@@ -0,0 +1,172 @@
+// 任务挖矿时间窗口（任务条目的 schedule 字段）
+// 两种写法：
+// - 对象：{ "hours": "22-6", "days": "mon-fri", "timezone": "Asia/Shanghai" }
+//   hours / days 可以是逗号分隔的字符串或字符串数组，三个字段都是可选的（但 hours / days 至少一个）
+// - 字符串（CSV 中使用）："mon-fri 22-6 Asia/Shanghai"，各部分用空格分隔，顺序不限
+// hours 为整点区间 [start, end)，end 可以是 24；start > end 表示跨午夜（22-6 = 22:00 到次日 06:00）
+// ⚠️ 跨午夜的区间按开始的那一天判断 days（mon-fri 22-6：周五 22:00 到周六 06:00 在窗口内）
+// timezone 为 IANA 时区名，省略时使用本机时区
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// 每个时区一个 Intl 格式化器（isWithinSchedule 在调度循环中频繁调用）
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  const key = timezone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || undefined,
+      weekday: 'short',
+      hour: 'numeric',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(key);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function splitList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim().toLowerCase()).filter(item => item.length > 0);
+}
+
+function parseDay(name) {
+  const index = DAY_NAMES.indexOf(name.slice(0, 3));
+  return name.length >= 3 && index !== -1 ? index : null;
+}
+
+// "mon-fri,sun" -> [0, 1, 2, 3, 4, 5]；错误时抛出
+function parseDays(value) {
+  const days = new Set();
+  for (const part of splitList(value)) {
+    const [from, to, extra] = part.split('-');
+    const start = parseDay(from);
+    const end = to === undefined ? start : parseDay(to);
+    if (start === null || end === null || extra !== undefined) {
+      throw new Error(`invalid days '${part}' (expected e.g. mon-fri or sat,sun)`);
+    }
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) {
+        break;
+      }
+    }
+  }
+  if (days.size === 0) {
+    throw new Error('days must not be empty');
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+// "22-6,12-13" -> [{ start: 22, end: 6 }, { start: 12, end: 13 }]；错误时抛出
+function parseHours(value) {
+  const ranges = splitList(value).map(part => {
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec(part);
+    const start = match ? Number(match[1]) : NaN;
+    const end = match ? Number(match[2]) : NaN;
+    if (!match || start > 23 || end > 24 || start === end) {
+      throw new Error(`invalid hours '${part}' (expected a range like 9-17 or 22-6)`);
+    }
+    return { start, end };
+  });
+  if (ranges.length === 0) {
+    throw new Error('hours must not be empty');
+  }
+  return ranges;
+}
+
+// 字符串写法转换为对象写法
+function parseScheduleString(text) {
+  const result = {};
+  for (const token of text.trim().split(/\s+/)) {
+    if (/^[\d,\-]+$/.test(token)) {
+      result.hours = token;
+    } else if (/^[a-z,\-]+$/i.test(token) && splitList(token).every(part => part.split('-').every(name => parseDay(name.toLowerCase()) !== null))) {
+      result.days = token;
+    } else {
+      result.timezone = token;
+    }
+  }
+  return result;
+}
+
+// 解析并校验 schedule 字段，返回 { schedule } 或 { error }
+// schedule 为 { hours, days, timezone, text }，hours / days 为 null 表示不限制
+export function parseTaskSchedule(value) {
+  const raw = typeof value === 'string' ? parseScheduleString(value) : value;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'must be an object or a string like "mon-fri 22-6 Asia/Shanghai"' };
+  }
+
+  const unknown = Object.keys(raw).filter(key => !['hours', 'days', 'timezone'].includes(key));
+  if (unknown.length > 0) {
+    return { error: `has unknown field(s) ${unknown.map(key => `'${key}'`).join(', ')}` };
+  }
+  if (raw.hours === undefined && raw.days === undefined) {
+    return { error: 'must set hours and/or days' };
+  }
+  if (raw.timezone !== undefined && (typeof raw.timezone !== 'string' || !isValidTimezone(raw.timezone))) {
+    return { error: `has unknown timezone '${raw.timezone}'` };
+  }
+
+  try {
+    const schedule = {
+      hours: raw.hours === undefined ? null : parseHours(raw.hours),
+      days: raw.days === undefined ? null : parseDays(raw.days),
+      timezone: raw.timezone || null,
+    };
+    schedule.text = describeTaskSchedule(schedule);
+    return { schedule };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// 时间窗口的可读描述（用于日志和状态报告），例如 "mon,tue,wed,thu,fri 22-6 (Asia/Shanghai)"
+export function describeTaskSchedule(schedule) {
+  if (!schedule) {
+    return 'always';
+  }
+  const parts = [];
+  if (schedule.days) {
+    parts.push(schedule.days.map(day => DAY_NAMES[day]).join(','));
+  }
+  if (schedule.hours) {
+    parts.push(schedule.hours.map(({ start, end }) => `${start}-${end}`).join(','));
+  }
+  parts.push(`(${schedule.timezone || 'local time'})`);
+  return parts.join(' ');
+}
+
+// 指定时间是否在时间窗口内（schedule 为空时总是 true）
+export function isWithinSchedule(schedule, date = new Date()) {
+  if (!schedule) {
+    return true;
+  }
+
+  const parts = getFormatter(schedule.timezone).formatToParts(date);
+  const hour = Number(parts.find(part => part.type === 'hour').value);
+  const day = DAY_NAMES.indexOf(parts.find(part => part.type === 'weekday').value.toLowerCase());
+  const dayAllowed = d => !schedule.days || schedule.days.includes(d);
+
+  if (!schedule.hours) {
+    return dayAllowed(day);
+  }
+
+  return schedule.hours.some(({ start, end }) => {
+    if (start < end) {
+      return hour >= start && hour < end && dayAllowed(day);
+    }
+    // 跨午夜：午夜前属于当天，午夜后属于前一天开始的窗口
+    return (hour >= start && dayAllowed(day)) || (hour < end && dayAllowed((day + 6) % 7));
+  });
+}
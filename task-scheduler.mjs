@@ -1,44 +1,134 @@
 // 新的任务调度器 - 基于整点周期的任务管理
-import { chromium } from 'playwright';
-
-// 配置参数（可通过环境变量覆盖）
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import { hostname } from 'os';
+import { EventEmitter } from 'events';
+import { config } from './config.mjs';
+import { createTaskFilter, matchesTaskFilter, describeTaskFilter } from './task-loader.mjs';
+import { isWithinSchedule, describeTaskSchedule } from './task-schedule.mjs';
+import { NetworkPhase } from './task-network-state.mjs';
+import { createCycleClock } from './cycle-clock.mjs';
+import { BrowserPool } from './browser-pool.mjs';
+import { PageState, LOGGED_IN_STATES } from './page-state.mjs';
+import { TaskStatus, InitPhase, TaskStateMachine } from './task-state-machine.mjs';
+import { CircuitState, rateLimitBreaker } from './circuit-breaker.mjs';
+import { createLeaseStore } from './lease-store.mjs';
+import { getSelectionPolicy } from './task-selection.mjs';
+
+// 配置参数（来自 config.mjs：配置文件 / 环境变量 / 命令行参数）
 // 3 3 1
 // 6 12 4
 // 20 25 5 / 16 20 4
 export const CONFIG = {
-  MAX_ACTIVE_MINING: parseInt(process.env.MAX_ACTIVE_MINING) || 6,
-  MAX_OPEN_PAGES: parseInt(process.env.MAX_OPEN_PAGES) || 12,
-  PAGE_OPEN_CONCURRENCY: parseInt(process.env.PAGE_OPEN_CONCURRENCY) || 4,
-  STATUS_CHECK_INTERVAL: parseInt(process.env.STATUS_CHECK_INTERVAL) || 5000, // 5秒检查一次状态
-  COMPLETION_WAIT_TIME: 1000, // 任务完成后等待30秒再关闭
-  RESET_AT_HOUR: process.env.RESET_AT_HOUR !== 'false', // 默认启用（设置为 'false' 禁用）
+  MAX_ACTIVE_MINING: config.MAX_ACTIVE_MINING,
+  MAX_OPEN_PAGES: config.MAX_OPEN_PAGES,
+  PAGE_OPEN_CONCURRENCY: config.PAGE_OPEN_CONCURRENCY,
+  STATUS_CHECK_INTERVAL: config.STATUS_CHECK_INTERVAL, // 5秒检查一次状态
+  COMPLETION_WAIT_TIME: config.COMPLETION_WAIT_TIME, // 任务完成后等待30秒再关闭
+  RESET_AT_HOUR: config.RESET_AT_HOUR, // 默认启用（设置为 false 禁用）；周期定义见 cycle-clock.mjs
+  PERSIST_STATE: config.PERSIST_STATE, // 默认启用状态持久化（设置为 false 禁用）
+  STATE_FILE: config.SCHEDULER_STATE_FILE, // 状态快照文件
+  STATE_SAVE_INTERVAL: config.STATE_SAVE_INTERVAL, // 每30秒保存一次状态快照
+};
+
+// 状态快照格式版本（格式不兼容时递增）
+const STATE_VERSION = 1;
+
+// 任务状态（定义和合法转换见 task-state-machine.mjs）
+export { TaskStatus };
+
+// 对外发布的事件（scheduler.on(SchedulerEvent.TASK_STATUS, payload => ...)），用于嵌入调度器或编写插件
+// 所有事件的 payload 都包含 taskId、addr（与任务无关的事件为 null）、cycle 和 timestamp，另外：
+// - task:status：oldStatus、newStatus、elapsedMs（在旧状态停留的时间）、reason（转换原因，可能为 null）
+// - task:error：error、status、rateLimited（429 / 速率限制导致的失败，不计入连续失败次数）
+// - cycle:reset：previousCycle、cycleStartedAt、previousCycleStartedAt、durationMs（重置耗时）
+// - solution:submitted：cycleSubmitSolution、submitSolution（累计）、miningDurationMs（从开始挖矿到提交）
+// - rate-limit:pause：速率限制熔断器打开（见 circuit-breaker.mjs），consecutive429Errors、pauseUntil、pauseDurationMs、trips（连续打开次数）、extended（探测失败，再次打开）
+// - browser:restarted：restartCount、slot（浏览器池槽位）、reason（'disconnected' / 'recycled'）、downtimeMs（实例断开/退役到新实例启动的时间）
+// ⚠️ 监听器同步执行，抛出的异常只记录日志，不影响调度
+// ⚠️ 与内部的 triggerEvent()（调度循环的事件驱动）是两套机制，内部事件不对外发布
+export const SchedulerEvent = {
+  TASK_STATUS: 'task:status',
+  TASK_ERROR: 'task:error',
+  CYCLE_RESET: 'cycle:reset',
+  SOLUTION_SUBMITTED: 'solution:submitted',
+  RATE_LIMIT_PAUSE: 'rate-limit:pause',
+  BROWSER_RESTARTED: 'browser:restarted',
 };
 
-// 任务状态
-export const TaskStatus = {
-  PENDING: 'pending',        // 待执行
-  INITIALIZING: 'initializing', // 初始化中（从点击enter address到start session）
-  MINING: 'mining',          // 正在挖矿中（页面显示"finding a solution"，任务正在进行）
-  COMPLETED: 'completed',    // 已完成（页面显示"waiting for the next challenge"，任务已完成）
-  WAITING_CLOSE: 'waiting_close', // 等待关闭（已完成后等待30s）
-  CLOSED: 'closed',          // 已关闭
-  ERROR: 'error',            // 错误
+// 默认页面后端：第一次使用时才加载 page-driver.mjs（依赖 playwright），传入 pageBackend 的测试/模拟不需要 playwright
+const lazyPlaywrightBackend = {
+  async launchBrowser() {
+    const { playwrightBackend } = await import('./page-driver.mjs');
+    return playwrightBackend.launchBrowser();
+  },
+
+  async openTask(task, options) {
+    const { playwrightBackend } = await import('./page-driver.mjs');
+    return playwrightBackend.openTask(task, options);
+  },
 };
 
-class TaskScheduler {
-  constructor() {
+class TaskScheduler extends EventEmitter {
+  // options.taskFilter：任务筛选器（见 task-loader.mjs 的 createTaskFilter），默认使用配置中的 TASK_ONLY / TASK_EXCLUDE
+  // options.cycleClock：周期时钟（见 cycle-clock.mjs），默认使用配置中的 CYCLE_LENGTH_MINUTES / CYCLE_OFFSET_MINUTES / CYCLE_TIMEZONE
+  // options.pageBackend：页面后端（启动浏览器、打开任务页面，见 page-driver.mjs），默认使用 Playwright；测试/模拟使用内存实现（memory-page-driver.mjs）
+  // options.persistState：是否读写状态快照，默认使用配置中的 PERSIST_STATE
+  // options.selectionPolicy：任务选择策略（内置策略名或自定义策略，见 task-selection.mjs），默认使用配置中的 TASK_SELECTION_POLICY
+  // options.leaseStore / workerId：多机调度的租约存储和本机的 worker id（见 lease-store.mjs），默认使用配置中的 LEASE_COORDINATOR_URL / WORKER_ID，null 表示单机运行
+  constructor(options = {}) {
+    super();
+    this.pageBackend = options.pageBackend || lazyPlaywrightBackend;
+    this.persistState = options.persistState !== undefined ? options.persistState : CONFIG.PERSIST_STATE;
     this.tasks = new Map(); // taskId -> taskInfo
+    this.taskFilter = options.taskFilter !== undefined
+      ? options.taskFilter
+      : createTaskFilter({ only: config.TASK_ONLY, exclude: config.TASK_EXCLUDE });
+    this.excludedTaskIds = new Set(); // 被筛选器排除的任务（不调度，只在状态报告中计数）
+    this.tasksOutsideWindow = new Set(); // 当前不在挖矿时间窗口内的任务（见 checkTaskWindows）
+    this.tasksOverQuota = new Set(); // 已达到 solution 配额的任务（见 checkSolutionQuotas）
+    this.draining = false; // drain() 后不再启动新任务，等待正在挖矿的任务完成（见 checkDrain）
+    this.drainStartedAt = null;
+    this.drainWaiters = []; // drain() 返回的 Promise 的 resolve
+    this.cycleResetInProgress = false; // RESET_AT_HOUR 周期重置正在等待 solution / 关闭页面：跳过调度循环，不启动新任务
     this.isRunning = false;
     this.intervalId = null;
+    this.stateSaveIntervalId = null; // 状态快照定时器
     this.currentCycleStartTime = null; // 当前周期的开始时间
+    this.cycleClock = options.cycleClock || createCycleClock(config);
+    this.selectionPolicy = getSelectionPolicy(options.selectionPolicy || config.TASK_SELECTION_POLICY);
+    
+    // ⚠️ 多机调度：启动任务前获取租约，持有期间定期续约，页面关闭时释放（见 acquireLeases / renewLeases / releaseLease）
+    this.leaseStore = options.leaseStore !== undefined ? options.leaseStore : createLeaseStore(config);
+    this.workerId = options.workerId || config.WORKER_ID || `${hostname()}-${process.pid}`;
+    this.leaseRenewIntervalId = null;
+    this.leaseRenewInProgress = false;
+    this.pendingLeaseReleases = new Set(); // 还没完成的释放请求（stop() 时等待）
+    this.leaseStats = { lastRenewAt: null, renewErrors: 0, lastError: null, lost: 0 };
     
-    // ⚠️ 共享浏览器实例 - 所有任务共享同一个浏览器实例
-    this.sharedBrowser = null;
-    this.browserInitializing = false; // 防止并发初始化
+    // ⚠️ 浏览器池 - 任务页面（context）分布在 BROWSER_POOL_SIZE 个浏览器实例上，实例达到阈值后回收（见 browser-pool.mjs）
+    this.browserRestartCount = 0; // 浏览器实例被替换（断开或回收）的次数
+    this.browserPool = new BrowserPool({
+      size: config.BROWSER_POOL_SIZE,
+      launch: () => this.pageBackend.launchBrowser(),
+      recyclePages: config.BROWSER_RECYCLE_PAGES,
+      recycleUptime: config.BROWSER_RECYCLE_UPTIME,
+      recycleRssMb: config.BROWSER_RECYCLE_RSS_MB,
+      onRestart: ({ slot, reason, downtimeMs }) => {
+        this.browserRestartCount++;
+        this.emitSchedulerEvent(SchedulerEvent.BROWSER_RESTARTED, null, {
+          restartCount: this.browserRestartCount,
+          slot,
+          reason,
+          downtimeMs,
+        });
+      },
+    });
+    
+    this.lastPageWatchdogTime = 0; // 上一次页面指标采样的时间（见 checkPageWatchdog）
     
     // ⚠️ 状态日志节流：减少日志输出频率
     this.lastStatusLogTime = 0;
-    this.statusLogInterval = parseInt(process.env.STATUS_LOG_INTERVAL) || 10000; // 每10秒输出一次状态日志（可配置）
+    this.statusLogInterval = config.STATUS_LOG_INTERVAL; // 每10秒输出一次状态日志（可配置）
     this.lastStatusSnapshot = null; // 上次状态快照，用于检测变化
     
     // ⚠️ 事件驱动：待处理的事件队列（避免重复触发）
@@ -46,13 +136,21 @@ class TaskScheduler {
     this.isProcessingEvents = false; // 是否正在处理事件
     this.isStartingNewTasks = false; // ⚠️ 防止并发启动新任务
     
-    // ⚠️ 全局速率限制管理
-    this.rateLimitInfo = {
-      consecutive429Errors: 0,      // 连续429错误次数
-      last429ErrorTime: null,       // 最后一次429错误时间
-      pauseUntil: null,             // 暂停启动新任务直到这个时间
-      maxConsecutive429Errors: 3,   // 连续3次429错误后暂停
-      pauseDuration: 60000,        // 暂停5分钟（300000ms）
+    // ⚠️ 全局速率限制管理：与 runbatch.mjs 的限速器共用熔断器，打开时暂停启动新任务，半开时只启动一个探测任务
+    // 熔断器打开时发出 rate-limit:pause 事件（start() 时订阅，stop() 时取消），打开时间结束后触发新任务启动检查（探测）
+    this.circuitBreaker = options.circuitBreaker || rateLimitBreaker;
+    this.circuitProbeTimer = null;
+    this.onCircuitStateChange = (change) => {
+      if (change.to === CircuitState.OPEN) {
+        this.scheduleRateLimitProbe(change.openDurationMs);
+        this.emitSchedulerEvent(SchedulerEvent.RATE_LIMIT_PAUSE, null, {
+          consecutive429Errors: change.consecutiveFailures,
+          pauseUntil: change.openUntil,
+          pauseDurationMs: change.openDurationMs,
+          trips: change.trips,
+          extended: change.from === CircuitState.HALF_OPEN, // 探测失败，再次打开
+        });
+      }
     };
     
     // 统计信息
@@ -63,117 +161,23 @@ class TaskScheduler {
       // ⚠️ 详细统计（与 runbatch.mjs 保持一致）
       success: 0,           // 成功完成的任务数
       failed: 0,            // 失败的任务数
+      // ⚠️ loggingIn / loggedIn / miningStarted 只由状态机更新（见 task-state-machine.mjs）
       loggingIn: 0,         // 登录阶段：页面已打开但还未到达start session页面
       loggedIn: 0,          // 已登录状态：已到达start session页面但还未点击start按钮
-      miningStarted: 0,     // 已开始挖矿的任务数（状态为"finding a solution"）
+      miningStarted: 0,     // 已开始挖矿的任务数（状态为"finding a solution"，挖矿被打断时扣除）
       submitSolution: 0,    // 提交solution的次数（累计）
       cycleSubmitSolution: 0, // 当前周期提交solution的次数
       loginTimes: [],       // 登录时间数组（从打开页面到start session页面的时间，单位：秒）
       miningTimes: [],      // 挖矿时间数组（从点击start session到状态变成waiting的时间，单位：秒）
+      pageWatchdogActions: 0, // 页面看门狗执行处理的次数（累计）
+      stageEscalations: { refresh: 0, 'reset-session': 0, requeue: 0, close: 0, 'close-page': 0 }, // 阶段看门狗各级处理的次数（累计）
       taskTimers: new Map(), // 每个任务的时间记录 { taskId: { pageOpenTime, loginCompleteTime, miningStartTime } }
     };
+
+    // ⚠️ 任务状态机：合法转换、派生计数、转换历史（所有状态变化经过 setTaskStatus()）
+    this.stateMachine = new TaskStateMachine({ stats: this.stats, historySize: config.TASK_HISTORY_SIZE });
   }
   
-  // ⚠️ 获取或创建共享浏览器实例
-  async getSharedBrowser() {
-    // 如果浏览器已存在且未关闭，直接返回
-    if (this.sharedBrowser) {
-      try {
-        // 检查浏览器是否仍然连接
-        if (this.sharedBrowser.isConnected()) {
-          return this.sharedBrowser;
-        }
-      } catch (e) {
-        // 浏览器已关闭，需要重新创建
-        this.sharedBrowser = null;
-      }
-    }
-    
-    // 如果正在初始化，等待初始化完成
-    if (this.browserInitializing) {
-      // 等待最多10秒
-      const maxWait = 10000;
-      const startWait = Date.now();
-      while (this.browserInitializing && (Date.now() - startWait) < maxWait) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      if (this.sharedBrowser) {
-        return this.sharedBrowser;
-      }
-    }
-    
-    // 创建新的浏览器实例
-    this.browserInitializing = true;
-    try {
-      const HEADLESS = process.env.HEADLESS !== 'false';
-      const DISPLAY = process.env.DISPLAY || ':99';
-      
-      console.log('[SCHEDULER] 🚀 Creating shared browser instance...');
-      
-      this.sharedBrowser = await chromium.launch({
-        headless: HEADLESS,
-        args: [
-          '--guest',
-          '--no-first-run',
-          '--no-default-browser-check',
-          '--disable-dev-shm-usage',
-          '--disable-blink-features=AutomationControlled',
-          '--disable-features=IsolateOrigins,site-per-process,AutomationControlled,MediaRouter',
-          '--disable-component-extensions-with-background-pages',
-          '--disable-default-apps',
-          '--disable-hang-monitor',
-          '--disable-prompt-on-repost',
-          '--disable-sync',
-          '--metrics-recording-only',
-          '--safebrowsing-disable-auto-update',
-          '--enable-automation',
-          '--password-store=basic',
-          '--use-mock-keychain',
-          '--lang=en-US,en',
-          '--user-agent=Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-          '--disable-infobars',
-          '--disable-notifications',
-          '--disable-popup-blocking',
-          '--disable-translate',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding',
-          '--disable-features=TranslateUI',
-          '--disable-ipc-flooding-protection',
-          ...(HEADLESS ? [
-            '--headless=new',
-            '--disable-web-security',
-            '--disable-site-isolation-trials',
-            '--disable-setuid-sandbox',
-            '--no-sandbox',
-            '--disable-extensions',
-            '--disable-plugins',
-            '--disable-background-networking',
-          ] : [
-            `--display=${DISPLAY}`,
-            '--disable-gpu',
-          ])
-        ]
-      });
-      
-      console.log('[SCHEDULER] ✅ Shared browser instance created');
-      
-      // 监听浏览器断开事件
-      this.sharedBrowser.on('disconnected', () => {
-        console.warn('[SCHEDULER] ⚠️ Shared browser disconnected, will recreate on next use');
-        this.sharedBrowser = null;
-      });
-      
-      return this.sharedBrowser;
-    } catch (error) {
-      console.error(`[SCHEDULER] ❌ Failed to create shared browser instance: ${error.message}`);
-      this.sharedBrowser = null;
-      throw error;
-    } finally {
-      this.browserInitializing = false;
-    }
-  }
-
   // 添加任务
   addTask(taskId, taskData) {
     if (this.tasks.has(taskId)) {
@@ -181,31 +185,439 @@ class TaskScheduler {
       return;
     }
 
+    const tags = taskData.tags || [];
+    if (!matchesTaskFilter({ id: taskId, tags }, this.taskFilter)) {
+      this.excludedTaskIds.add(taskId);
+      if (config.DEBUG_SCHEDULER) {
+        console.log(`[SCHEDULER] 🏷️ Task ${taskId} excluded by task filter (${describeTaskFilter(this.taskFilter)})`);
+      }
+      return;
+    }
+    this.excludedTaskIds.delete(taskId);
+
     this.tasks.set(taskId, {
       id: taskId,
       addr: taskData.addr,
+      source: taskData.source || null, // 任务来自哪个任务文件
+      tags, // 任务标签（用于任务筛选）
+      schedule: taskData.schedule || null, // 挖矿时间窗口（见 task-schedule.mjs），null 表示不限制
+      maxSolutionsPerCycle: taskData.maxSolutionsPerCycle || null, // 每个周期的 solution 配额，null 表示不限制
+      maxSolutionsPerDay: taskData.maxSolutionsPerDay || null, // 每天（周期时区的日期）的 solution 配额，null 表示不限制
+      priority: taskData.priority || 0, // 优先级（数字越大越重要，见 task-selection.mjs）
+      weight: taskData.weight || 1, // 权重（weighted 策略按权重分配启动次数）
+      paused: false, // pauseTask() 暂停的任务不会被启动
+      pausedAt: null,
       status: TaskStatus.PENDING,
-      page: null,
-      context: null,
-      browser: null, // 使用共享的browser context
+      statusChangedAt: Date.now(), // 最近一次状态变化的时间（task:status 事件的 elapsedMs）
+      driver: null, // 页面驱动（见 page-driver.mjs），页面打开后由 pageBackend.openTask() 交回
       createdAt: Date.now(),
       completedAt: null,
       error: null,
       completionWaitStart: null, // 开始等待关闭的时间
+      initInProgress: false, // initializeTask() 正在执行（页面可能已打开，但还在登录）
       startSessionClickCount: 0, // 连续点击start session的次数
       lastStartSessionClickTime: null, // 最后一次点击start session的时间
       // ⚠️ 周期跟踪字段
       miningCycleStartTime: null, // 任务开始挖矿的周期开始时间
       miningCycle: null, // 任务在哪个周期开始挖矿（cycle编号）
       completedInCycle: null, // 任务在哪个周期完成的（cycle编号）
+      // ⚠️ 任务选择字段（见 task-selection.mjs，跨周期、跨重启保持）
+      startCount: 0, // 被选中启动的次数（weighted 策略）
+      lastCompletedAt: null, // 最近一次完成的时间（least-recent 策略）
+      lastCompletedCycle: null, // 最近一次在哪个周期完成（cycle编号），null 表示还没有完成过
+      cyclesSinceCompletion: 0, // 距离最近一次完成经过的周期数（本周期完成为 0，从未完成时从添加任务开始计数），priority 策略优先启动数值大的任务
       // ⚠️ 页面崩溃恢复字段
       crashRefreshCount: 0, // 页面崩溃后的刷新次数
       lastCrashRefreshTime: null, // 最后一次崩溃刷新的时间
       // ⚠️ Submit Solution 跟踪字段
       hasSubmittedSolution: false, // 是否已经记录过 submitSolution（用于检测状态变为 waiting 时记录）
+      lastSolutionSubmittedAt: null, // 最近一次 recordSubmitSolution() 的时间（见 waitForPendingSolutions）
+      // ⚠️ Solution 配额字段（见 checkSolutionQuotas）
+      cycleSolutions: 0, // 当前周期提交的 solution 数（周期重置时清零）
+      daySolutions: 0, // solutionDay 这一天提交的 solution 数
+      solutionDay: null, // daySolutions 所属的日期（YYYY-MM-DD，周期时区）
+      // ⚠️ 状态机字段（见 task-state-machine.mjs）
+      initPhase: null, // INITIALIZING 的子阶段（logging-in / logged-in / starting）
+      history: [], // 最近的状态转换 { from, to, at, reason }
+      // ⚠️ 页面看门狗字段（见 checkPageWatchdog）
+      metrics: null, // 最近一次页面指标采样（page-metrics.mjs）
+      cpuOverCount: 0, // 连续超过 PAGE_MAX_CPU_PERCENT 的采样次数
+      watchdogActions: 0, // 看门狗对该任务执行处理的次数
+      stageEscalationLevel: 0, // 阶段看门狗已执行的处理级别（见 checkStageTimeouts）
+      stageEscalatedAt: null, // 阶段看门狗最近一次处理的时间
+      slotWaitAt: null, // 已登录、最近一次等待挖矿名额的时间（阶段看门狗从这之后计时）
+      // ⚠️ 失败退避字段（见 checkFailureBackoff）
+      consecutiveFailures: 0, // 连续失败次数（任务完成后清零）
+      backoffUntil: null, // 退避结束时间，之前不会被启动
+      lastError: null, // 最近一次失败的错误（task.error 在重置时会被清空）
+      lastFailedAt: null,
+      quarantinedAt: null, // 进入 QUARANTINED 的时间
+      // ⚠️ 多机调度字段（见 acquireLeases）
+      leaseExpiresAt: null, // 持有的租约的过期时间，null 表示没有租约
+    });
+
+    console.log(`[SCHEDULER] Added task ${taskId}${taskData.source ? ` from ${taskData.source}` : ''} (total: ${this.tasks.size})`);
+
+    // ⚠️ 运行中添加的任务（任务文件热加载）：触发新任务启动检查
+    if (this.isRunning) {
+      this.triggerEvent('page-closed');
+    }
+  }
+
+  // 更新任务的挖矿时间窗口（任务文件热加载时调用），窗口变化在下一次调度循环生效
+  setTaskSchedule(taskId, schedule) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      return;
+    }
+    task.schedule = schedule || null;
+    console.log(`[SCHEDULER] 🕐 Task ${taskId} mining window updated: ${describeTaskSchedule(task.schedule)}`);
+  }
+
+  // 更新任务的优先级和权重（任务文件热加载时调用），在下一次选择任务时生效
+  setTaskPriority(taskId, { priority = 0, weight = 1 } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      return;
+    }
+    task.priority = priority || 0;
+    task.weight = weight || 1;
+    console.log(`[SCHEDULER] ⚖️ Task ${taskId} priority updated: priority ${task.priority}, weight ${task.weight}`);
+  }
+
+  // 更新任务的 solution 配额（任务文件热加载时调用），在下一次调度循环生效
+  setTaskQuota(taskId, { maxSolutionsPerCycle = null, maxSolutionsPerDay = null } = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      return;
+    }
+    task.maxSolutionsPerCycle = maxSolutionsPerCycle || null;
+    task.maxSolutionsPerDay = maxSolutionsPerDay || null;
+    console.log(`[SCHEDULER] 🎯 Task ${taskId} solution quota updated: ${this.describeSolutionQuota(task)}`);
+  }
+
+  // ⚠️ 暂停任务：运行时把地址移出轮换（不修改任务文件）
+  // 已打开页面的任务点击 stop session 并关闭页面，回到 PENDING；暂停期间不会被启动，resumeTask() 后重新参与调度
+  // 如果页面正在提交 solution，等待提交结束后再停止
+  async pauseTask(taskId, options = {}) {
+    const { maxWaitMs = 120000 } = options;
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[SCHEDULER] ⚠️ Cannot pause task ${taskId}: not found`);
+      return false;
+    }
+    if (task.paused) {
+      return true;
+    }
+
+    task.paused = true;
+    task.pausedAt = Date.now();
+    console.log(`[SCHEDULER] ⏸️ Pausing task ${taskId} (status: ${task.status})`);
+
+    if (this.hasPendingSolution(task)) {
+      console.log(`[SCHEDULER] ⏳ Task ${taskId} has a solution submission in flight, waiting before pausing (max ${Math.floor(maxWaitMs / 1000)}s)...`);
+      const startWait = Date.now();
+      while (this.hasPendingSolution(task) && (Date.now() - startWait) < maxWaitMs) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    if (!task.paused) {
+      return true; // 等待期间已经被 resumeTask() 恢复
+    }
+
+    await this.stopPausedTask(task);
+    this.saveState();
+    return true;
+  }
+
+  // 停止已暂停任务的页面（pauseTask() 和调度循环中调用：暂停时还在初始化的任务，页面打开后在这里关闭）
+  async stopPausedTask(task) {
+    if ((task.status !== TaskStatus.MINING && task.status !== TaskStatus.INITIALIZING) || !task.driver || task.pauseStopping) {
+      return;
+    }
+
+    const oldStatus = task.status;
+    task.pauseStopping = true; // 防止 pauseTask() 和调度循环同时停止同一个任务
+    try {
+      if (oldStatus === TaskStatus.MINING) {
+        await this.clickStopSession(task.id);
+      }
+      console.log(`[SCHEDULER] 🛑 Closing paused task ${task.id} (status: ${oldStatus})`);
+      await this.closeTask(task.id);
+    } finally {
+      task.pauseStopping = false;
+    }
+    this.setTaskStatus(task, TaskStatus.PENDING, 'paused');
+    task.driver = null;
+
+    // 清理统计
+    this.stats.taskTimers.delete(task.id);
+  }
+
+  // 解除隔离：连续失败次数和退避清零，QUARANTINED 的任务回到 PENDING 重新参与调度
+  // 也可以用于还没被隔离、正在退避的任务（立即重新参与调度）
+  releaseTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[SCHEDULER] ⚠️ Cannot release task ${taskId}: not found`);
+      return false;
+    }
+
+    const wasQuarantined = task.status === TaskStatus.QUARANTINED;
+    task.consecutiveFailures = 0;
+    task.backoffUntil = null;
+    task.quarantinedAt = null;
+    if (wasQuarantined) {
+      this.setTaskStatus(task, TaskStatus.PENDING, 'released from quarantine');
+      task.error = null;
+    }
+    console.log(`[SCHEDULER] 🔓 Released task ${taskId}${wasQuarantined ? ' from quarantine' : ''} (status: ${task.status})`);
+    this.saveState();
+    this.triggerEvent('page-closed');
+    return true;
+  }
+
+  // 恢复暂停的任务（回到 PENDING 的任务在下一次启动检查时重新参与调度）
+  resumeTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      console.warn(`[SCHEDULER] ⚠️ Cannot resume task ${taskId}: not found`);
+      return false;
+    }
+    if (!task.paused) {
+      return true;
+    }
+
+    task.paused = false;
+    task.pausedAt = null;
+    console.log(`[SCHEDULER] ▶️ Resumed task ${taskId} (status: ${task.status})`);
+    this.saveState();
+    this.triggerEvent('page-closed');
+    return true;
+  }
+
+  // ⚠️ 排空：不再启动新任务（不打开新页面、不点击 start session），正在挖矿的任务继续直到完成
+  // 返回的 Promise 在所有任务页面都关闭后 resolve 为 true（例如在退出前等待挖矿完成），undrain() 取消时 resolve 为 false
+  drain() {
+    if (!this.draining) {
+      this.draining = true;
+      this.drainStartedAt = Date.now();
+      console.log(`[SCHEDULER] 🚰 Draining: no new tasks will be started, waiting for ${this.getDrainRemainingCount()} open task(s) to complete`);
+    }
+    const drained = new Promise(resolve => this.drainWaiters.push(resolve));
+    this.checkDrain().catch(error => {
+      console.error(`[SCHEDULER] Error checking drain: ${error.message}`);
     });
+    return drained;
+  }
+
+  // 取消排空，恢复正常调度
+  undrain() {
+    if (!this.draining) {
+      return false;
+    }
+    this.draining = false;
+    this.drainStartedAt = null;
+    for (const resolve of this.drainWaiters.splice(0)) {
+      resolve(false);
+    }
+    console.log('[SCHEDULER] 🚰 Drain cancelled, resuming normal scheduling');
+    this.triggerEvent('page-closed');
+    return true;
+  }
+
+  // 排空时还有打开页面（或正在打开）的任务数
+  getDrainRemainingCount() {
+    return Array.from(this.tasks.values()).filter(t =>
+      t.status === TaskStatus.INITIALIZING ||
+      t.status === TaskStatus.MINING ||
+      t.status === TaskStatus.COMPLETED ||
+      t.status === TaskStatus.WAITING_CLOSE
+    ).length;
+  }
+
+  // ⚠️ 排空检查（每次调度循环调用）
+  // - 还没开始挖矿的 INITIALIZING 任务：关闭页面回到 PENDING（正在打开的页面等打开后再关闭）
+  // - 所有任务页面都关闭后 resolve drain() 的 Promise
+  async checkDrain() {
+    if (!this.draining) {
+      return;
+    }
+
+    for (const task of Array.from(this.tasks.values())) {
+      if (task.status !== TaskStatus.INITIALIZING || !task.driver) {
+        continue;
+      }
+      console.log(`[SCHEDULER] 🛑 Closing task ${task.id} (status: ${task.status}): draining`);
+      await this.closeTask(task.id, false);
+      this.setTaskStatus(task, TaskStatus.PENDING, 'draining');
+      task.driver = null;
+
+      // 清理统计
+      this.stats.taskTimers.delete(task.id);
+    }
 
-    console.log(`[SCHEDULER] Added task ${taskId} (total: ${this.tasks.size})`);
+    if (this.drainWaiters.length > 0 && this.getDrainRemainingCount() === 0) {
+      console.log(`[SCHEDULER] ✅ Drain complete after ${Math.round((Date.now() - this.drainStartedAt) / 1000)}s, no task pages open`);
+      for (const resolve of this.drainWaiters.splice(0)) {
+        resolve(true);
+      }
+    }
+  }
+
+  // ⚠️ 检查任务页面是否有正在提交（或等待重试）的 solution（见 page-driver.mjs）
+  hasPendingSolution(task) {
+    return !!(task && task.driver && task.driver.hasPendingSolution());
+  }
+
+  // ⚠️ 关闭页面前等待正在提交（或等待重试）的 solution（stop() 和 RESET_AT_HOUR 周期重置时调用），最多等待 SOLUTION_GRACE_PERIOD
+  // 日志列出等待的任务和每个任务的结果：submitted（提交成功）、failed（提交结束但没有成功）、timed out（超时仍未结束）
+  // 返回 { submitted, failed, timedOut }（任务 ID 列表）
+  async waitForPendingSolutions(label) {
+    const result = { submitted: [], failed: [], timedOut: [] };
+    let waiting = Array.from(this.tasks.values()).filter(task => this.hasPendingSolution(task));
+    if (waiting.length === 0) {
+      return result;
+    }
+
+    const graceMs = config.SOLUTION_GRACE_PERIOD;
+    const ids = waiting.map(task => task.id).join(', ');
+    if (graceMs <= 0) {
+      console.warn(`[SCHEDULER] ⚠️ ${waiting.length} solution submission(s) in flight before ${label}, not waiting (SOLUTION_GRACE_PERIOD=0): ${ids}`);
+      result.timedOut = waiting.map(task => task.id);
+      return result;
+    }
+
+    console.log(`[SCHEDULER] ⏳ Waiting up to ${Math.round(graceMs / 1000)}s for ${waiting.length} solution submission(s) before ${label}: ${ids}`);
+    const startWait = Date.now();
+    while (waiting.length > 0) {
+      for (const task of waiting) {
+        if (this.hasPendingSolution(task)) {
+          continue;
+        }
+        const waitedSeconds = ((Date.now() - startWait) / 1000).toFixed(1);
+        if (task.lastSolutionSubmittedAt !== null && task.lastSolutionSubmittedAt >= startWait) {
+          result.submitted.push(task.id);
+          console.log(`[SCHEDULER] ✅ Task ${task.id} solution submitted (waited ${waitedSeconds}s)`);
+        } else {
+          result.failed.push(task.id);
+          console.warn(`[SCHEDULER] ⚠️ Task ${task.id} solution submission ended without success (waited ${waitedSeconds}s)`);
+        }
+      }
+      waiting = waiting.filter(task => this.hasPendingSolution(task));
+      if (waiting.length === 0 || Date.now() - startWait >= graceMs) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    for (const task of waiting) {
+      result.timedOut.push(task.id);
+      console.warn(`[SCHEDULER] ❌ Task ${task.id} solution submission still pending after ${Math.round(graceMs / 1000)}s, closing anyway (solution lost)`);
+    }
+    console.log(`[SCHEDULER] 📋 Pending solutions before ${label}: ${result.submitted.length} submitted, ${result.failed.length} failed, ${result.timedOut.length} timed out`);
+    return result;
+  }
+
+  // ⚠️ 移除任务（任务文件热加载时调用）
+  // 任务先被标记为 removing，不会再被启动；如果页面正在提交 solution，等待提交结束后再关闭页面
+  async removeTask(taskId, options = {}) {
+    const { maxWaitMs = 120000 } = options;
+    // 被筛选器排除的任务没有被调度，直接移除
+    if (this.excludedTaskIds.delete(taskId)) {
+      return true;
+    }
+    const task = this.tasks.get(taskId);
+    if (!task || task.removing) {
+      return false;
+    }
+
+    task.removing = true;
+
+    if (this.hasPendingSolution(task)) {
+      console.log(`[SCHEDULER] ⏳ Task ${taskId} has a solution submission in flight, waiting before removal (max ${Math.floor(maxWaitMs / 1000)}s)...`);
+      const startWait = Date.now();
+      while (this.hasPendingSolution(task) && (Date.now() - startWait) < maxWaitMs) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+      if (this.hasPendingSolution(task)) {
+        console.warn(`[SCHEDULER] ⚠️ Task ${taskId} solution submission still pending after ${Math.floor(maxWaitMs / 1000)}s, removing anyway`);
+      }
+    }
+
+    const oldStatus = task.status;
+    await this.closeTask(taskId);
+
+    // 清理统计
+    this.stats.taskTimers.delete(taskId);
+
+    this.tasks.delete(taskId);
+    this.tasksOutsideWindow.delete(taskId);
+    this.tasksOverQuota.delete(taskId);
+    console.log(`[SCHEDULER] ➖ Removed task ${taskId} (was ${oldStatus}, total: ${this.tasks.size})`);
+    return true;
+  }
+
+  // 发布对外事件（见 SchedulerEvent），task 为 null 表示与任务无关的事件
+  emitSchedulerEvent(eventName, task, details = {}) {
+    const payload = {
+      taskId: task ? task.id : null,
+      addr: task ? task.addr : null,
+      cycle: this.stats.cycle,
+      timestamp: Date.now(),
+      ...details,
+    };
+    try {
+      this.emit(eventName, payload);
+    } catch (error) {
+      console.error(`[SCHEDULER] ⚠️ Listener for ${eventName} failed: ${error.message}`);
+    }
+  }
+
+  // 更新任务状态（所有状态变化都经过这里：状态机检查转换是否合法并更新计数，发布 task:status）
+  // reason 记录在任务的转换历史中；非法转换时状态不变，返回 false
+  setTaskStatus(task, status, reason = null, options = {}) {
+    const { ok, from: oldStatus } = this.stateMachine.transition(task, status, reason, options);
+    if (!ok || oldStatus === status) {
+      return ok;
+    }
+    const now = Date.now();
+    const elapsedMs = task.statusChangedAt ? now - task.statusChangedAt : null;
+    task.statusChangedAt = now;
+    // 页面关闭或任务完成后阶段看门狗的级别清零（见 checkStageTimeouts）
+    if (status === TaskStatus.PENDING || status === TaskStatus.COMPLETED || status === TaskStatus.CLOSED) {
+      task.stageEscalationLevel = 0;
+      task.stageEscalatedAt = null;
+    }
+    // 任务完成后连续失败次数清零
+    if (status === TaskStatus.COMPLETED) {
+      task.consecutiveFailures = 0;
+      task.backoffUntil = null;
+    }
+    // 多机调度：没有页面的任务回到 PENDING / 关闭 / 被隔离时释放租约（有页面时在 disposeTaskPage() 中释放）
+    if (!task.driver && (status === TaskStatus.PENDING || status === TaskStatus.CLOSED || status === TaskStatus.QUARANTINED)) {
+      this.releaseLease(task);
+    }
+    this.emitSchedulerEvent(SchedulerEvent.TASK_STATUS, task, { oldStatus, newStatus: status, elapsedMs, reason });
+    return true;
+  }
+
+  // 记录任务错误（发布 task:error），同时计入连续失败次数并开始退避（见 checkFailureBackoff）
+  // ⚠️ options.rateLimited：429 / 速率限制导致的失败只记录错误，不计入连续失败次数、不退避
+  // 全站限流由速率限制熔断器处理，否则限流期间所有正常的地址都会被退避、隔离
+  setTaskError(task, error, { rateLimited = false } = {}) {
+    task.error = error;
+    task.lastError = error;
+    task.lastFailedAt = Date.now();
+    if (!rateLimited) {
+      task.consecutiveFailures++;
+      const backoffMs = this.getFailureBackoff(task.consecutiveFailures);
+      task.backoffUntil = backoffMs > 0 ? Date.now() + backoffMs : null;
+      if (backoffMs > 0) {
+        console.warn(`[SCHEDULER] ⏳ Task ${task.id} failed ${task.consecutiveFailures} time(s) in a row, backing off ${Math.round(backoffMs / 1000)}s`);
+      }
+    }
+    this.emitSchedulerEvent(SchedulerEvent.TASK_ERROR, task, { error, status: task.status, rateLimited });
   }
 
   // ⚠️ 记录submitSolution（由runbatch.mjs调用）
@@ -214,45 +626,45 @@ class TaskScheduler {
     this.stats.cycleSubmitSolution++;
     
     // ⚠️ 如果提供了 taskId，标记该任务已经记录过 submitSolution
-    if (taskId) {
-      const task = this.tasks.get(taskId);
-      if (task) {
-        task.hasSubmittedSolution = true;
-      }
+    const task = taskId ? this.tasks.get(taskId) : null;
+    if (task) {
+      task.hasSubmittedSolution = true;
+      task.lastSolutionSubmittedAt = Date.now();
+      this.countTaskSolution(task);
     }
+
+    const timer = taskId ? this.stats.taskTimers.get(taskId) : null;
+    this.emitSchedulerEvent(SchedulerEvent.SOLUTION_SUBMITTED, task, {
+      cycleSubmitSolution: this.stats.cycleSubmitSolution,
+      submitSolution: this.stats.submitSolution,
+      miningDurationMs: timer && timer.miningStartTime ? Date.now() - timer.miningStartTime : null,
+    });
   }
 
   // ⚠️ 检查是否应该暂停启动新任务（由于速率限制）
+  // halfOpen：熔断器半开，只能启动一个探测任务（启动前调用 circuitBreaker.tryAcquire(task.id)）
   shouldPauseNewTasks() {
-    const now = Date.now();
-    if (this.rateLimitInfo.pauseUntil && now < this.rateLimitInfo.pauseUntil) {
-      const remainingSeconds = Math.ceil((this.rateLimitInfo.pauseUntil - now) / 1000);
-      return { paused: true, remainingSeconds };
+    const state = this.circuitBreaker.getState();
+    if (state === CircuitState.OPEN) {
+      return { paused: true, halfOpen: false, remainingSeconds: Math.ceil(this.circuitBreaker.getNextProbeInMs() / 1000) };
     }
-    return { paused: false, remainingSeconds: 0 };
+    return { paused: false, halfOpen: state === CircuitState.HALF_OPEN, remainingSeconds: 0 };
   }
 
-  // ⚠️ 记录429错误并更新暂停状态
-  record429Error() {
-    this.rateLimitInfo.consecutive429Errors++;
-    this.rateLimitInfo.last429ErrorTime = Date.now();
-    
-    if (this.rateLimitInfo.consecutive429Errors >= this.rateLimitInfo.maxConsecutive429Errors) {
-      // 连续多次429错误，暂停启动新任务
-      this.rateLimitInfo.pauseUntil = Date.now() + this.rateLimitInfo.pauseDuration;
-      const pauseMinutes = Math.ceil(this.rateLimitInfo.pauseDuration / 60000);
-      console.warn(`[SCHEDULER] ⚠️ RATE LIMIT: ${this.rateLimitInfo.consecutive429Errors} consecutive 429 errors detected. Pausing new task starts for ${pauseMinutes} minutes.`);
-    } else {
-      console.warn(`[SCHEDULER] ⚠️ RATE LIMIT: ${this.rateLimitInfo.consecutive429Errors} consecutive 429 error(s) (will pause after ${this.rateLimitInfo.maxConsecutive429Errors})`);
-    }
+  // ⚠️ 熔断器打开时间结束后触发新任务启动检查（没有页面关闭时也能启动探测任务）
+  scheduleRateLimitProbe(delayMs) {
+    clearTimeout(this.circuitProbeTimer);
+    this.circuitProbeTimer = setTimeout(() => {
+      this.circuitProbeTimer = null;
+      this.triggerEvent('page-closed');
+    }, delayMs);
   }
 
-  // ⚠️ 重置429错误计数（当任务成功时）
-  reset429ErrorCount() {
-    if (this.rateLimitInfo.consecutive429Errors > 0) {
-      console.log(`[SCHEDULER] ✓ Rate limit error count reset (was ${this.rateLimitInfo.consecutive429Errors})`);
-      this.rateLimitInfo.consecutive429Errors = 0;
-      this.rateLimitInfo.last429ErrorTime = null;
+  // ⚠️ 新周期：熔断器打开时不等打开时间结束，立即允许一个探测任务
+  allowRateLimitProbe() {
+    if (this.circuitBreaker.getState() === CircuitState.OPEN) {
+      console.log(`[SCHEDULER] ✓ New cycle: rate limit circuit moved to half-open (trip ${this.circuitBreaker.trips}), probing with one task`);
+      this.circuitBreaker.allowProbe();
     }
   }
 
@@ -272,19 +684,17 @@ class TaskScheduler {
                  task.status !== TaskStatus.CLOSED && 
                  task.status !== TaskStatus.ERROR) {
         // ⚠️ 其他状态：只有页面存在且未关闭时才计入
-        if (task.page) {
+        if (task.driver) {
           try {
-            if (!task.page.isClosed()) {
+            if (!task.driver.isClosed()) {
               count++;
             } else {
               // ⚠️ 页面已关闭，清理引用（不计入）
-              task.page = null;
-              task.context = null;
+              task.driver = null;
             }
           } catch (error) {
             // 如果检查isClosed()时出错，说明页面可能已经关闭或无效（不计入）
-            task.page = null;
-            task.context = null;
+            task.driver = null;
           }
         }
         // 如果没有页面，不计入
@@ -299,7 +709,7 @@ class TaskScheduler {
     let count = 0;
     for (const task of this.tasks.values()) {
       // 状态为MINING表示任务正在进行中（页面显示"finding a solution"）
-      if (task.status === TaskStatus.MINING && task.page && !task.page.isClosed()) {
+      if (task.status === TaskStatus.MINING && task.driver && !task.driver.isClosed()) {
         count++;
       }
     }
@@ -307,9 +717,10 @@ class TaskScheduler {
   }
 
   // 检测任务状态
+  // ⚠️ 通过页面驱动读取页面状态（优先使用网络信号，见 page-driver.mjs），映射为任务状态
   async detectTaskStatus(taskId) {
     const task = this.tasks.get(taskId);
-    if (!task || !task.page || task.page.isClosed()) {
+    if (!task || !task.driver || task.driver.isClosed()) {
       return { status: TaskStatus.CLOSED };
     }
 
@@ -319,121 +730,47 @@ class TaskScheduler {
     }
 
     try {
-      const page = task.page;
-      
-      // ⚠️ 先检查页面是否已崩溃（避免在崩溃的页面上执行操作）
-      try {
-        // 尝试获取URL，如果页面崩溃会抛出错误
-        await page.url();
-      } catch (urlError) {
-        // 页面可能已崩溃
-        if (urlError.message && urlError.message.includes('crashed')) {
+      // ⚠️ 优先使用网络信号（/api/challenge、/api/solution），没有网络信号时页面驱动等待渲染后通过页面 URL 和文本判断
+      const { state, source } = await task.driver.getState({ settle: 1500 });
+
+      switch (state) {
+        case PageState.CLOSED:
+          return { status: TaskStatus.CLOSED };
+        case PageState.CRASHED:
           console.warn(`[SCHEDULER] ⚠️ Task ${taskId} page crashed detected, marking as ERROR`);
           return { status: TaskStatus.ERROR, error: 'Page crashed' };
-        }
-        throw urlError; // 其他错误继续抛出
-      }
-      
-      await page.waitForTimeout(500);
-
-      // 检查是否在挖矿页面
-      const url = page.url();
-      
-      // 如果页面还在 wallet 页面，说明还在初始化阶段
-      if (url.includes('/wizard/wallet')) {
-        // 检查是否卡在 "Choose a Destination address" 页面
-        const isStuck = await page.evaluate(() => {
-          const bodyText = (document.body?.innerText || '').toLowerCase();
-          return bodyText.includes('choose a destination address') || 
-                 bodyText.includes('choose a destination');
-        }).catch(() => false);
-        
-        if (isStuck) {
+        case PageState.STUCK:
           console.warn(`[SCHEDULER] ⚠️ Task ${taskId} stuck on "Choose a Destination address" page, should click "Enter an address manually"`);
           // 返回 INITIALIZING 状态，让 runOne 继续处理
           return { status: TaskStatus.INITIALIZING };
-        }
-        
-        // 如果不在挖矿页面，可能是初始化阶段
-        if (task.status === TaskStatus.INITIALIZING || task.status === TaskStatus.PENDING) {
-          return { status: TaskStatus.INITIALIZING };
-        }
-        return { status: TaskStatus.PENDING };
-      }
-      
-      // 如果不在挖矿页面且不在wallet页面，可能是其他错误页面
-      if (!url.includes('/wizard/mine')) {
-        if (task.status === TaskStatus.INITIALIZING) {
-          return { status: TaskStatus.INITIALIZING };
-        }
-        return { status: TaskStatus.PENDING };
-      }
-
-      // 检测页面状态
-      // ⚠️ 增加等待时间，确保页面内容已完全渲染
-      await page.waitForTimeout(1000);
-      
-      const statusInfo = await page.evaluate(() => {
-        // 获取页面所有文本内容（包括隐藏元素）
-        const bodyText = (document.body?.innerText || '').toLowerCase();
-        const bodyHTML = (document.body?.innerHTML || '').toLowerCase();
-        const allText = bodyText + ' ' + bodyHTML;
-        
-        // ⚠️ 在"Solve cryptographic challenges"页面检测状态
-        // 状态显示位置通常在页面上的状态文本中
-        // - "waiting for the next challenge" = 任务已完成
-        // - "finding a solution" = 任务正在进行中（挖矿中）
-        let challengeStatus = null;
-        
-        // 优先检测"waiting for the next challenge"（已完成状态）
-        if (allText.includes('waiting for the next challenge')) {
-          challengeStatus = 'waiting for the next challenge'; // ✅ 任务已完成
-        } 
-        // 然后检测"finding a solution"（正在进行中状态）
-        else if (allText.includes('finding a solution')) {
-          challengeStatus = 'finding a solution'; // ⛏️ 任务正在进行中（挖矿中）
-        }
-        // 兼容其他可能的"finding"文本（但要排除"finding"单独出现的情况，避免误判）
-        else if (allText.includes('finding') && (allText.includes('solution') || allText.includes('challenge'))) {
-          challengeStatus = 'finding a solution'; // ⛏️ 任务正在进行中
-        }
-
-        // 检测 start session 按钮
-        const buttons = Array.from(document.querySelectorAll('button'));
-        let hasStartSession = false;
-        let hasStopSession = false;
-        for (const btn of buttons) {
-          const text = (btn.textContent || '').trim().toLowerCase();
-          if ((text === 'start' || text === 'start session') && btn.offsetParent !== null && !btn.disabled) {
-            hasStartSession = true;
+        case PageState.LOGGING_IN:
+          // 如果页面还在 wallet 页面，说明还在初始化阶段
+          if (task.status === TaskStatus.INITIALIZING || task.status === TaskStatus.PENDING) {
+            return { status: TaskStatus.INITIALIZING };
           }
-          if ((text === 'stop' || text === 'stop session') && btn.offsetParent !== null && !btn.disabled) {
-            hasStopSession = true;
+          return { status: TaskStatus.PENDING };
+        case PageState.LOADING:
+          // 如果不在挖矿页面且不在wallet页面，可能是其他错误页面
+          if (task.status === TaskStatus.INITIALIZING) {
+            return { status: TaskStatus.INITIALIZING };
           }
-        }
-
-        return { challengeStatus, hasStartSession, hasStopSession, sampleText: bodyText.substring(0, 200) };
-      });
-
-      // ⚠️ 根据"Solve cryptographic challenges"页面的状态判断任务状态
-      // 状态映射规则（根据用户要求）：
-      // - "finding a solution" → MINING (任务正在进行中，挖矿中)
-      // - "waiting for the next challenge" → COMPLETED (任务已完成)
-      if (statusInfo.challengeStatus === 'waiting for the next challenge') {
-        // ✅ 状态显示为"waiting for the next challenge"，任务已完成
-        return { status: TaskStatus.COMPLETED };
-      } else if (statusInfo.challengeStatus === 'finding a solution') {
-        // ⛏️ 状态显示为"finding a solution"，任务正在进行中
-        return { status: TaskStatus.MINING };
-      } else if (statusInfo.hasStopSession) {
-        // ⚠️ 有stop session按钮但没有状态文本，可能是正在挖矿（页面刚加载，状态文本还没更新）
-        // 如果之前是MINING状态或INITIALIZING状态，保持或更新为MINING
-        if (task.status === TaskStatus.MINING || task.status === TaskStatus.INITIALIZING) {
-          return { status: TaskStatus.MINING };
-        }
-      } else if (statusInfo.hasStartSession) {
-        // 有start session按钮，但还没有开始挖矿，处于初始化阶段
-        return { status: TaskStatus.INITIALIZING };
+          return { status: TaskStatus.PENDING };
+        case PageState.SOLVED:
+          // ✅ "waiting for the next challenge"，任务已完成
+          return source === 'network' ? { status: TaskStatus.COMPLETED, source } : { status: TaskStatus.COMPLETED };
+        case PageState.MINING:
+          // ⛏️ "finding a solution"，任务正在进行中
+          return source === 'network' ? { status: TaskStatus.MINING, source } : { status: TaskStatus.MINING };
+        case PageState.ACTIVE:
+          // ⚠️ 有stop session按钮但没有状态文本，可能是正在挖矿（页面刚加载，状态文本还没更新）
+          // 如果之前是MINING状态或INITIALIZING状态，保持或更新为MINING
+          if (task.status === TaskStatus.MINING || task.status === TaskStatus.INITIALIZING) {
+            return { status: TaskStatus.MINING };
+          }
+          break;
+        case PageState.READY:
+          // 有start session按钮，但还没有开始挖矿，处于初始化阶段
+          return { status: TaskStatus.INITIALIZING };
       }
 
       // ⚠️ 如果没有检测到状态，但任务已经在MINING状态，保持MINING（避免误判）
@@ -443,18 +780,6 @@ class TaskScheduler {
 
       return { status: task.status }; // 保持当前状态
     } catch (error) {
-      // ⚠️ 检查是否是页面崩溃错误
-      const isCrashed = error.message && (
-        error.message.includes('crashed') || 
-        error.message.includes('Target crashed') ||
-        error.message.includes('Target closed')
-      );
-      
-      if (isCrashed) {
-        console.warn(`[SCHEDULER] ⚠️ Task ${taskId} page crashed: ${error.message}`);
-        return { status: TaskStatus.ERROR, error: 'Page crashed' };
-      }
-      
       // 其他错误只记录，不改变状态（避免误判）
       console.error(`[SCHEDULER] Error detecting status for task ${taskId}: ${error.message}`);
       // ⚠️ 返回当前状态而不是ERROR，避免因为临时错误导致任务被标记为ERROR
@@ -471,43 +796,22 @@ class TaskScheduler {
       return false;
     }
 
-    if (!task.page || task.page.isClosed()) {
+    if (!task.driver || task.driver.isClosed()) {
       console.warn(`[SCHEDULER] ⚠️ Task ${taskId} page not available`);
       return false;
     }
 
     try {
-      const page = task.page;
-      await page.waitForTimeout(500);
-      
-      // 查找Stop按钮并点击
-      const clicked = await page.evaluate(() => {
-        const buttons = Array.from(document.querySelectorAll('button'));
-        for (const btn of buttons) {
-          const text = (btn.textContent || '').trim().toLowerCase();
-          if ((text === 'stop' || text === 'stop session') && btn.offsetParent !== null && !btn.disabled) {
-            btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            btn.click();
-            return true;
-          }
-        }
-        return false;
-      }).catch(() => false);
+      // 页面驱动查找Stop按钮并点击，点击后等待状态更新（从"Finding a solution"回到"start session"状态）
+      const clicked = await task.driver.stopSession();
 
       if (clicked) {
-        console.log(`[SCHEDULER] 🛑 Stop session clicked for task ${taskId}, waiting for status update...`);
-        await page.waitForTimeout(2000); // 等待状态更新（从"Finding a solution"回到"start session"状态）
+        console.log(`[SCHEDULER] 🛑 Stop session clicked for task ${taskId}`);
         
         // 验证状态是否已更新（页面应该显示start session按钮）
-        const hasStartButton = await page.evaluate(() => {
-          const buttons = Array.from(document.querySelectorAll('button'));
-          return buttons.some(btn => {
-            const text = (btn.textContent || '').trim().toLowerCase();
-            return (text === 'start' || text === 'start session') && btn.offsetParent !== null && !btn.disabled;
-          });
-        }).catch(() => false);
+        const { state } = await task.driver.getState().catch(() => ({ state: PageState.UNKNOWN }));
         
-        if (hasStartButton) {
+        if (state === PageState.READY) {
           console.log(`[SCHEDULER] ✅ Task ${taskId} successfully stopped, now showing start session button`);
           return true;
         } else {
@@ -531,41 +835,27 @@ class TaskScheduler {
       return false;
     }
 
+    task.initInProgress = true; // runOne 正在操作页面（看门狗/浏览器回收不处理这样的页面）
     try {
-      // 从runbatch.mjs导入任务执行函数
-      const { runOne } = await import('./runbatch.mjs');
-      
-      // ⚠️ 获取共享浏览器实例
-      const sharedBrowser = await this.getSharedBrowser();
-      
-      // 执行初始化流程（initOnly=true，完成到start session按钮出现但不点击）
-      // 创建一个临时调度器适配器，用于接收页面和浏览器
-      const self = this; // 保存 this 引用
-      const adapter = {
-        tasks: new Map(),
-        addTask: (id, page, browser, context) => {
-          // 保存页面和浏览器引用
-          // ⚠️ 注意：browser 参数现在应该是共享浏览器实例
-          task.page = page;
-          task.context = context || null;
-          task.browser = browser; // 保存共享浏览器引用（用于后续检查，但不关闭）
-          self.tasks.set(id, task); // 确保任务已注册
-        },
-        // ⚠️ 添加 recordSubmitSolution 方法，转发到真正的 scheduler
-        // ⚠️ 修复：必须传递 taskId 参数，否则 hasSubmittedSolution 不会被正确设置
-        recordSubmitSolution: (taskId) => {
-          self.recordSubmitSolution(taskId);
-        }
-      };
+      // ⚠️ 多机调度：重新初始化的任务（租约已在关闭页面时释放）重新获取租约，已被其他 worker 获取时不启动
+      if (this.leaseStore && task.leaseExpiresAt === null && (await this.acquireLeases([task], 1)).length === 0) {
+        console.log(`[SCHEDULER] ℹ️ Task ${taskId} is leased by another worker (or the coordinator is unreachable), not starting it`);
+        this.setTaskStatus(task, TaskStatus.PENDING, 'lease unavailable');
+        return false;
+      }
 
       // ⚠️ 在打开页面之前，再次检查OpenPages限制（防止并发导致超限）
       // ⚠️ 注意：使用 > 而不是 >=，允许达到上限（例如3/3时仍可以启动，因为这是异步的）
+      // ⚠️ 必须在分配浏览器之前检查：这里返回时不会经过 disposeTaskPage()，分配的名额不会被释放
       const checkOpenPagesBeforeStart = this.getOpenPagesCount();
       if (checkOpenPagesBeforeStart > CONFIG.MAX_OPEN_PAGES) {
         console.warn(`[SCHEDULER] ⚠️ Cannot start task ${taskId}: OpenPages limit exceeded (${checkOpenPagesBeforeStart}/${CONFIG.MAX_OPEN_PAGES})`);
-        task.status = TaskStatus.PENDING;
+        this.setTaskStatus(task, TaskStatus.PENDING, 'open pages limit reached before opening page');
         return false;
       }
+
+      // ⚠️ 从浏览器池分配浏览器实例（任务数最少的实例），页面关闭时在 disposeTaskPage() 中释放
+      const sharedBrowser = await this.browserPool.acquire(taskId);
       
       // ⚠️ 记录任务开始时间（页面打开时间），任务进入"登录阶段"
       if (!this.stats.taskTimers.has(taskId)) {
@@ -573,48 +863,42 @@ class TaskScheduler {
       } else {
         this.stats.taskTimers.get(taskId).pageOpenTime = Date.now();
       }
-      this.stats.loggingIn++;
+      this.setTaskStatus(task, TaskStatus.INITIALIZING, 'opening page'); // 通常已经是 INITIALIZING（重新初始化时从 PENDING 进入）
       
-      // ⚠️ 传递共享浏览器实例给 runOne
-      const result = await runOne({ id: task.id, addr: task.addr }, { 
-        initOnly: true, // 只完成到start session按钮出现
-        scheduler: adapter,
-        sharedBrowser: sharedBrowser // ⚠️ 传递共享浏览器实例
+      // 执行初始化流程（完成到start session按钮出现但不点击），页面打开后通过 attach 交回页面驱动
+      const self = this; // 保存 this 引用
+      const result = await this.pageBackend.openTask({ id: task.id, addr: task.addr }, {
+        browser: sharedBrowser, // ⚠️ 浏览器池分配的实例
+        attach: (driver) => {
+          task.driver = driver;
+          // ⚠️ 初始化期间任务已被移除（任务文件热加载），不要重新注册
+          if (!task.removing) {
+            self.tasks.set(taskId, task); // 确保任务已注册
+          }
+        },
+        // ⚠️ 转发到 scheduler，必须传递 taskId 参数，否则 hasSubmittedSolution 不会被正确设置
+        recordSubmitSolution: (id) => {
+          self.recordSubmitSolution(id);
+        }
       });
 
-      if (result && result.ok && task.page) {
-        // ⚠️ 任务成功，重置429错误计数
-        this.reset429ErrorCount();
-        
+      // ⚠️ 初始化期间任务已被 removeTask() 移除：释放页面即可，统计已在移除时清理
+      if (task.removing) {
+        await this.disposeTaskPage(task);
+        console.log(`[SCHEDULER] ℹ️ Task ${taskId} was removed during initialization, page closed`);
+        return false;
+      }
+
+      if (result && result.ok && task.driver) {
         // ⚠️ 检查是否已到达start session页面（已登录状态）
-        // 已登录状态的定义：页面显示出"Solve cryptographic challenges"且页面里包含start session或stop session按钮
-        const isLoggedInPage = await task.page.evaluate(() => {
-          const bodyText = (document.body?.innerText || '').toLowerCase();
-          const hasSolveCryptoText = bodyText.includes('solve cryptographic challenges');
-          
-          if (!hasSolveCryptoText) {
-            return false;
-          }
-          
-          const allButtons = Array.from(document.querySelectorAll('button'));
-          const hasStartButton = allButtons.some(b => {
-            const text = b.textContent?.trim().toLowerCase();
-            return (text === 'start' || text === 'start session') && b.offsetParent !== null && !b.disabled;
-          });
-          const hasStopButton = allButtons.some(b => {
-            const text = b.textContent?.trim().toLowerCase();
-            return (text === 'stop' || text === 'stop session') && b.offsetParent !== null && !b.disabled;
-          });
-          
-          return hasStartButton || hasStopButton;
-        }).catch(() => false);
-        
-        if (isLoggedInPage) {
-          // 已到达start session页面，从"登录阶段"转为"已登录状态"
-          if (this.stats.loggingIn > 0) {
-            this.stats.loggingIn--;
-          }
-          this.stats.loggedIn++;
+        // 已登录状态的定义：页面显示出"Solve cryptographic challenges"且页面里包含start session或stop session按钮（见 LOGGED_IN_STATES）
+        const isLoggedInPage = await task.driver.getState()
+          .then(({ state }) => LOGGED_IN_STATES.includes(state))
+          .catch(() => false);
+        
+        if (isLoggedInPage) {
+          // 已到达start session页面，从"登录阶段"转为"已登录状态"
+          this.stateMachine.setInitPhase(task, InitPhase.LOGGED_IN);
           
           // ⚠️ 记录登录完成时间（到达start session页面的时间）
           const timer = this.stats.taskTimers.get(taskId);
@@ -626,7 +910,7 @@ class TaskScheduler {
         }
         
         // 更新任务状态
-        task.status = TaskStatus.INITIALIZING;
+        this.setTaskStatus(task, TaskStatus.INITIALIZING, 'page initialized');
         console.log(`[SCHEDULER] ✅ Task ${taskId} initialized, page ready for start session`);
         
         // ⚠️ 事件驱动：任务初始化完成，触发点击start session检查
@@ -643,12 +927,9 @@ class TaskScheduler {
                           errorMsg.includes('rate limit error') ||
                           errorMsg.includes('429 error');
         
+        // ⚠️ 429 已由看到响应的限速器 / 页面后端记录到熔断器，这里不再记录（每个响应只记录一次）
         if (is429Error) {
           console.warn(`[SCHEDULER] ⚠️ Detected 429/rate limit error in initializeTask for ${taskId}: ${fullError}`);
-          this.record429Error();
-        } else {
-          // 非429错误，重置429错误计数
-          this.reset429ErrorCount();
         }
         
       // ⚠️ 修复：清理页面和浏览器资源（初始化失败时）
@@ -657,19 +938,14 @@ class TaskScheduler {
       await this.disposeTaskPage(task);
       // ⚠️ 不关闭浏览器，因为使用的是共享浏览器实例
       // 浏览器实例由调度器统一管理，只在 stop() 时关闭
-      // 只清空浏览器引用
-      task.browser = null;
       
       // 清理统计
-      if (this.stats.loggingIn > 0) {
-        this.stats.loggingIn--;
-      }
       this.stats.taskTimers.delete(taskId);
       this.stats.failed++;
       
       // ⚠️ 修复：重置状态为PENDING而不是ERROR，允许后续重新尝试
-      task.status = TaskStatus.PENDING;
-      task.error = fullError;
+      this.setTaskStatus(task, TaskStatus.PENDING, `initialization failed: ${fullError}`);
+      this.setTaskError(task, fullError, { rateLimited: is429Error });
       
       // ⚠️ 修复：初始化失败后，触发page-closed事件来启动新任务填补空缺
       // 因为资源已经清理，OpenPages数量减少了，需要启动新任务
@@ -691,10 +967,6 @@ class TaskScheduler {
       
       if (is429Error) {
         console.warn(`[SCHEDULER] ⚠️ Detected 429/rate limit error in catch block for ${taskId}: ${fullError}`);
-        this.record429Error();
-      } else {
-        // 非429错误，重置429错误计数
-        this.reset429ErrorCount();
       }
       
       // ⚠️ 修复：清理页面和浏览器资源（初始化失败时）
@@ -702,25 +974,22 @@ class TaskScheduler {
       await this.disposeTaskPage(task);
       // ⚠️ 不关闭浏览器，因为使用的是共享浏览器实例
       // 浏览器实例由调度器统一管理，只在 stop() 时关闭
-      // 只清空浏览器引用
-      task.browser = null;
       
       // 清理统计
-      if (this.stats.loggingIn > 0) {
-        this.stats.loggingIn--;
-      }
       this.stats.taskTimers.delete(taskId);
       this.stats.failed++;
       
       // ⚠️ 修复：重置状态为PENDING而不是ERROR，允许后续重新尝试
-      task.status = TaskStatus.PENDING;
-      task.error = fullError;
+      this.setTaskStatus(task, TaskStatus.PENDING, `initialization failed: ${fullError}`);
+      this.setTaskError(task, fullError, { rateLimited: is429Error });
       
       // ⚠️ 修复：初始化失败后，触发page-closed事件来启动新任务填补空缺
       // 因为资源已经清理，OpenPages数量减少了，需要启动新任务
       this.triggerEvent('page-closed');
       
       return false;
+    } finally {
+      task.initInProgress = false;
     }
   }
 
@@ -805,24 +1074,29 @@ class TaskScheduler {
 
   // ⚠️ 事件驱动：尝试点击start session（从schedule()中提取的逻辑）
   async tryClickStartSession() {
+    // ⚠️ 排空中不开始新的挖矿（INITIALIZING 任务由 checkDrain 关闭）
+    if (this.draining) {
+      return;
+    }
+
     // ⚠️ 修复：只统计有实际页面的INITIALIZING任务
     const initializingTasks = Array.from(this.tasks.values()).filter(t => {
-      if (t.status !== TaskStatus.INITIALIZING) {
+      if (t.status !== TaskStatus.INITIALIZING || t.paused) {
         return false;
       }
-      if (!t.page) {
+      if (!t.driver) {
         return false;
       }
       try {
-        return !t.page.isClosed();
+        return !t.driver.isClosed();
       } catch (error) {
-        t.page = null;
+        t.driver = null;
         return false;
       }
-    });
+    }).sort((a, b) => this.selectionPolicy.compareForStart(a, b)); // 活跃挖矿名额按选择策略分配
 
     for (const task of initializingTasks) {
-      if (!task.page || task.page.isClosed()) {
+      if (!task.driver || task.driver.isClosed()) {
         continue;
       }
       
@@ -831,37 +1105,23 @@ class TaskScheduler {
       }
 
       try {
-        const url = task.page.url();
+        const { state } = await task.driver.getState();
         
         // 如果任务卡在 wallet 页面的 "Choose a Destination address"，需要重新初始化
-        if (url.includes('/wizard/wallet')) {
-          const isStuck = await task.page.evaluate(() => {
-            const bodyText = (document.body?.innerText || '').toLowerCase();
-            return bodyText.includes('choose a destination address') || 
-                   bodyText.includes('choose a destination');
-          }).catch(() => false);
-          
-          if (isStuck) {
-            console.warn(`[SCHEDULER] ⚠️ Task ${task.id} stuck on "Choose a Destination address", retrying initialization...`);
-            task.status = TaskStatus.PENDING;
-            this.initializeTask(task.id).catch(err => {
-              console.error(`[SCHEDULER] Error re-initializing stuck task ${task.id}: ${err.message}`);
-              const timer = this.stats.taskTimers.get(task.id);
-              if (timer) {
-                this.stats.taskTimers.delete(task.id);
-              }
-              if (this.stats.loggingIn > 0) {
-                this.stats.loggingIn--;
-              }
-              if (this.stats.loggedIn > 0) {
-                this.stats.loggedIn--;
-              }
-              this.stats.failed++;
-              task.status = TaskStatus.ERROR;
-              task.error = err.message;
-            });
-            continue;
-          }
+        if (state === PageState.STUCK) {
+          console.warn(`[SCHEDULER] ⚠️ Task ${task.id} stuck on "Choose a Destination address", retrying initialization...`);
+          this.setTaskStatus(task, TaskStatus.PENDING, 'stuck on "Choose a Destination address"');
+          this.initializeTask(task.id).catch(err => {
+            console.error(`[SCHEDULER] Error re-initializing stuck task ${task.id}: ${err.message}`);
+            const timer = this.stats.taskTimers.get(task.id);
+            if (timer) {
+              this.stats.taskTimers.delete(task.id);
+            }
+            this.stats.failed++;
+            this.setTaskStatus(task, TaskStatus.ERROR, `re-initialization failed: ${err.message}`);
+            this.setTaskError(task, err.message);
+          });
+          continue;
         }
 
         // ⚠️ 检查限制条件
@@ -876,87 +1136,64 @@ class TaskScheduler {
           continue;
         }
         
-        // 检查是否在挖矿页面并且有start session按钮
-        if (url.includes('/wizard/mine')) {
-          const pageStatus = await task.page.evaluate(() => {
-            const bodyText = (document.body?.innerText || '').toLowerCase();
-            const bodyHTML = (document.body?.innerHTML || '').toLowerCase();
-            const allText = bodyText + ' ' + bodyHTML;
-            return {
-              hasWaitingForNextChallenge: allText.includes('waiting for the next challenge'),
-              hasFindingSolution: allText.includes('finding a solution'),
-            };
-          }).catch(() => ({ hasWaitingForNextChallenge: false, hasFindingSolution: false }));
-          
-          if (pageStatus.hasFindingSolution) {
-            continue;
+        // 只在挖矿页面点击start session（已经在挖矿的页面跳过）
+        if (state !== PageState.READY && state !== PageState.SOLVED) {
+          continue;
+        }
+        const hasWaitingForNextChallenge = state === PageState.SOLVED;
+
+        if (hasWaitingForNextChallenge) {
+          console.log(`[SCHEDULER] 🎯 Clicking start session for task ${task.id} to start new mining cycle (page shows "waiting for the next challenge")... (active mining: ${currentActiveMining}/${CONFIG.MAX_ACTIVE_MINING})`);
+        } else {
+          console.log(`[SCHEDULER] 🎯 Clicking start session for task ${task.id}... (active mining: ${currentActiveMining}/${CONFIG.MAX_ACTIVE_MINING})`);
+        }
+        
+        this.stateMachine.setInitPhase(task, InitPhase.STARTING);
+        
+        const timer = this.stats.taskTimers.get(task.id);
+        if (hasWaitingForNextChallenge) {
+          console.log(`[SCHEDULER] ℹ️ Task ${task.id} already completed (waiting for next challenge), skipping mining time tracking`);
+          if (!timer) {
+            this.stats.taskTimers.set(task.id, {
+              pageOpenTime: Date.now(),
+              miningStartTime: null,
+            });
           }
-          
-          const startButton = task.page.getByRole('button', { name: /^(start|start session)$/i }).first();
-          const isVisible = await startButton.isVisible({ timeout: 2000 }).catch(() => false);
-          
-          if (isVisible) {
-            const isEnabled = await startButton.isEnabled().catch(() => false);
-            if (isEnabled) {
-              // 再次检查限制
-              const finalCheckActiveMining = this.getActiveMiningCount();
-              const finalCheckOpenPages = this.getOpenPagesCount();
-              if (finalCheckActiveMining >= CONFIG.MAX_ACTIVE_MINING || finalCheckOpenPages >= CONFIG.MAX_OPEN_PAGES) {
-                continue;
-              }
-              
-              if (pageStatus.hasWaitingForNextChallenge) {
-                console.log(`[SCHEDULER] 🎯 Clicking start session for task ${task.id} to start new mining cycle (page shows "waiting for the next challenge")... (active mining: ${finalCheckActiveMining}/${CONFIG.MAX_ACTIVE_MINING})`);
-              } else {
-                console.log(`[SCHEDULER] 🎯 Clicking start session for task ${task.id}... (active mining: ${finalCheckActiveMining}/${CONFIG.MAX_ACTIVE_MINING})`);
-              }
-              
-              if (this.stats.loggedIn > 0) {
-                this.stats.loggedIn--;
-              }
-              
-              const timer = this.stats.taskTimers.get(task.id);
-              if (pageStatus.hasWaitingForNextChallenge) {
-                console.log(`[SCHEDULER] ℹ️ Task ${task.id} already completed (waiting for next challenge), skipping mining time tracking`);
-                if (!timer) {
-                  this.stats.taskTimers.set(task.id, {
-                    pageOpenTime: Date.now(),
-                    miningStartTime: null,
-                  });
-                }
-              } else {
-                if (timer && !timer.miningStartTime) {
-                  timer.miningStartTime = Date.now();
-                } else if (!timer) {
-                  this.stats.taskTimers.set(task.id, {
-                    pageOpenTime: Date.now(),
-                    miningStartTime: Date.now(),
-                  });
-                }
-              }
-              
-              task.startSessionClickCount = (task.startSessionClickCount || 0) + 1;
-              task.lastStartSessionClickTime = Date.now();
-              
-              const clickCount = task.startSessionClickCount;
-              let waitTime = 2000;
-              if (clickCount > 3) {
-                waitTime = 10000;
-                console.warn(`[SCHEDULER] ⚠️ Task ${task.id} has clicked start session ${clickCount} times, waiting longer (${waitTime}ms) for API response...`);
-              } else if (clickCount > 1) {
-                waitTime = 5000;
-              }
-              
-              await startButton.click({ timeout: 5000 }).catch(err => {
-                console.warn(`[SCHEDULER] Error clicking start button for task ${task.id}: ${err.message}`);
-              });
-              await task.page.waitForTimeout(waitTime);
-              
-              // ⚠️ 点击后触发状态检查事件
-              this.triggerEvent('task-status-changed');
-            }
+        } else {
+          if (timer && !timer.miningStartTime) {
+            timer.miningStartTime = Date.now();
+          } else if (!timer) {
+            this.stats.taskTimers.set(task.id, {
+              pageOpenTime: Date.now(),
+              miningStartTime: Date.now(),
+            });
           }
         }
+        
+        task.startSessionClickCount = (task.startSessionClickCount || 0) + 1;
+        task.lastStartSessionClickTime = Date.now();
+        
+        const clickCount = task.startSessionClickCount;
+        let waitTime = 2000;
+        if (clickCount > 3) {
+          waitTime = 10000;
+          console.warn(`[SCHEDULER] ⚠️ Task ${task.id} has clicked start session ${clickCount} times, waiting longer (${waitTime}ms) for API response...`);
+        } else if (clickCount > 1) {
+          waitTime = 5000;
+        }
+        
+        // 页面驱动点击start session（按钮已经不可见或不可用时返回 false，例如并发的检查已经点击过）
+        const startClicked = await task.driver.startSession().catch(err => {
+          console.warn(`[SCHEDULER] Error clicking start button for task ${task.id}: ${err.message}`);
+          return null;
+        });
+        if (startClicked === false) {
+          console.warn(`[SCHEDULER] ⚠️ Start button not found or not clickable for task ${task.id}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        
+        // ⚠️ 点击后触发状态检查事件
+        this.triggerEvent('task-status-changed');
       } catch (error) {
         console.error(`[SCHEDULER] Error in tryClickStartSession for task ${task.id}: ${error.message}`);
       }
@@ -1005,41 +1242,15 @@ class TaskScheduler {
   // ⚠️ 事件驱动：检查并强制执行ActiveMining限制
   async checkAndEnforceActiveMiningLimit() {
     const allTasksWithPages = Array.from(this.tasks.values())
-      .filter(t => t.page && !t.page.isClosed());
+      .filter(t => t.driver && !t.driver.isClosed());
     
     const actuallyMiningTasks = [];
     for (const task of allTasksWithPages) {
       try {
-        const page = task.page;
-        const url = page.url();
-        
-        if (!url.includes('/wizard/mine')) {
-          continue;
-        }
-        
-        const isMining = await page.evaluate(() => {
-          const bodyText = (document.body?.innerText || '').toLowerCase();
-          const bodyHTML = (document.body?.innerHTML || '').toLowerCase();
-          const allText = bodyText + ' ' + bodyHTML;
-          
-          if (allText.includes('finding a solution')) {
-            return true;
-          }
-          
-          const buttons = Array.from(document.querySelectorAll('button'));
-          const hasStopSession = buttons.some(btn => {
-            const text = (btn.textContent || '').trim().toLowerCase();
-            return (text === 'stop' || text === 'stop session') && btn.offsetParent !== null && !btn.disabled;
-          });
-          
-          if (hasStopSession && !allText.includes('waiting for the next challenge')) {
-            return true;
-          }
-          
-          return false;
-        }).catch(() => false);
-        
-        if (isMining) {
+        // ⚠️ 页面驱动优先使用网络信号，没有时回退到页面文本
+        // 显示"Finding a solution"，或有stop session按钮但还没有状态文本（session 刚开始）的页面都算作正在挖矿
+        const { state } = await task.driver.getState();
+        if (state === PageState.MINING || state === PageState.ACTIVE) {
           actuallyMiningTasks.push(task);
         }
       } catch (error) {
@@ -1050,19 +1261,16 @@ class TaskScheduler {
     if (actuallyMiningTasks.length > CONFIG.MAX_ACTIVE_MINING) {
       console.warn(`[SCHEDULER] ⚠️ Active mining exceeded limit (${actuallyMiningTasks.length}/${CONFIG.MAX_ACTIVE_MINING} pages showing "Finding a solution"), stopping excess tasks...`);
       
-      actuallyMiningTasks.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+      // 按选择策略排序，排在后面的先停止（默认 priority 策略：优先级低的、后添加的先停止）
+      actuallyMiningTasks.sort((a, b) => this.selectionPolicy.compareForPreemption(a, b));
       
       const toStop = actuallyMiningTasks.slice(CONFIG.MAX_ACTIVE_MINING);
       for (const task of toStop) {
         console.log(`[SCHEDULER] 🛑 Stopping task ${task.id} to enforce active mining limit (clicking stop session)...`);
-        const oldStatus = task.status;
         const stopped = await this.clickStopSession(task.id);
         if (stopped) {
-          task.status = TaskStatus.INITIALIZING;
-          if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-            this.stats.miningStarted--;
-          }
-          this.stats.loggedIn++;
+          this.setTaskStatus(task, TaskStatus.INITIALIZING, 'stopped to enforce active mining limit');
+          this.stateMachine.setInitPhase(task, InitPhase.LOGGED_IN); // 页面回到 start session
           const timer = this.stats.taskTimers.get(task.id);
           if (timer) {
             timer.miningStartTime = null;
@@ -1084,15 +1292,15 @@ class TaskScheduler {
   // ⚠️ 事件驱动：处理错误任务
   async handleErrorTasks() {
     const errorTasks = Array.from(this.tasks.values()).filter(t => 
-      t.status === TaskStatus.ERROR && t.page
+      t.status === TaskStatus.ERROR && t.driver
     );
     
     for (const task of errorTasks) {
       console.warn(`[SCHEDULER] ⚠️ Task ${task.id} is in ERROR state, closing page and resetting...`);
       await this.disposeTaskPage(task);
       
-      const oldStatus = task.status;
-      task.status = TaskStatus.PENDING;
+      // ⚠️ 回到 PENDING 后在退避结束前不会被启动，连续失败过多时由 checkFailureBackoff() 隔离
+      this.setTaskStatus(task, TaskStatus.PENDING, 'reset after error');
       task.error = null;
       task.completionWaitStart = null;
       task.startSessionClickCount = 0;
@@ -1104,17 +1312,129 @@ class TaskScheduler {
       if (timer) {
         this.stats.taskTimers.delete(task.id);
       }
-      if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-        this.stats.miningStarted--;
-      }
-      if (oldStatus === TaskStatus.INITIALIZING && this.stats.loggedIn > 0) {
-        this.stats.loggedIn--;
-      }
       
       console.log(`[SCHEDULER] ✅ Task ${task.id} reset to PENDING after ERROR state`);
     }
   }
 
+  // ⚠️ 多机调度：租约的周期标识（周期开始时间，各机器的周期配置相同时一致），RESET_AT_HOUR=false 时没有周期（null）
+  getLeaseCycle() {
+    if (!CONFIG.RESET_AT_HOUR) {
+      return null;
+    }
+    return (this.currentCycleStartTime || this.cycleClock.getCycleStart(new Date())).getTime();
+  }
+
+  // ⚠️ 多机调度：按顺序为候选任务获取最多 count 个租约，返回拿到租约的任务（单机运行时直接返回前 count 个）
+  // 协调器无法访问时不启动新任务（返回空数组），避免与其他 worker 挖同一个地址
+  async acquireLeases(candidates, count) {
+    if (!this.leaseStore) {
+      return candidates.slice(0, count);
+    }
+
+    const tasksByKey = new Map(candidates.map(task => [task.addr, task]));
+    try {
+      const { granted } = await this.leaseStore.acquire({
+        workerId: this.workerId,
+        capacity: CONFIG.MAX_OPEN_PAGES,
+        ttlMs: config.LEASE_TTL,
+        cycle: this.getLeaseCycle(),
+        keys: Array.from(tasksByKey.keys()),
+        count,
+      });
+      const tasks = [];
+      for (const lease of granted) {
+        const task = tasksByKey.get(lease.key);
+        if (task) {
+          task.leaseExpiresAt = lease.expiresAt;
+          tasks.push(task);
+        }
+      }
+      return tasks;
+    } catch (error) {
+      this.leaseStats.lastError = error.message;
+      console.warn(`[SCHEDULER] ⚠️ Failed to acquire task leases from ${this.leaseStore}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // ⚠️ 多机调度：释放任务的租约（不等待请求完成），本周期完成的任务同时记录完成，其他 worker 在本周期内不再启动
+  releaseLease(task) {
+    if (!this.leaseStore || task.leaseExpiresAt === null) {
+      return;
+    }
+    task.leaseExpiresAt = null;
+    const completed = task.completedInCycle !== null && task.completedInCycle === this.stats.cycle;
+    const request = this.leaseStore.release({
+      workerId: this.workerId,
+      key: task.addr,
+      completedCycle: completed ? this.getLeaseCycle() : undefined,
+    }).catch(error => {
+      console.warn(`[SCHEDULER] ⚠️ Failed to release lease of task ${task.id}: ${error.message}`);
+    }).finally(() => {
+      this.pendingLeaseReleases.delete(request);
+    });
+    this.pendingLeaseReleases.add(request);
+  }
+
+  // ⚠️ 多机调度：续约所有持有的租约（每 LEASE_RENEW_INTERVAL 一次）
+  // - 被其他 worker 获取的租约（本机续约中断超过 LEASE_TTL）：关闭页面回到 PENDING，正在提交 solution 的任务等下一次续约
+  // - 协调器无法访问：已经过期的租约按丢失处理（其他 worker 可能已经接手）
+  // 续约后触发新任务启动检查：其他 worker 停止后，它的任务在租约过期后由这里接手
+  async renewLeases() {
+    if (!this.leaseStore || this.leaseRenewInProgress) {
+      return;
+    }
+    this.leaseRenewInProgress = true;
+
+    try {
+      const leasedTasks = Array.from(this.tasks.values()).filter(t => t.leaseExpiresAt !== null);
+      let lostKeys = [];
+      try {
+        const { renewed, lost } = await this.leaseStore.renew({
+          workerId: this.workerId,
+          capacity: CONFIG.MAX_OPEN_PAGES,
+          ttlMs: config.LEASE_TTL,
+          keys: leasedTasks.map(t => t.addr),
+        });
+        const expiresAtByKey = new Map(renewed.map(lease => [lease.key, lease.expiresAt]));
+        for (const task of leasedTasks) {
+          if (expiresAtByKey.has(task.addr) && task.leaseExpiresAt !== null) {
+            task.leaseExpiresAt = expiresAtByKey.get(task.addr);
+          }
+        }
+        lostKeys = lost;
+        this.leaseStats.lastRenewAt = Date.now();
+        this.leaseStats.lastError = null;
+      } catch (error) {
+        this.leaseStats.renewErrors++;
+        this.leaseStats.lastError = error.message;
+        console.warn(`[SCHEDULER] ⚠️ Failed to renew ${leasedTasks.length} task lease(s) at ${this.leaseStore}: ${error.message}`);
+        const now = Date.now();
+        lostKeys = leasedTasks.filter(t => t.leaseExpiresAt !== null && t.leaseExpiresAt <= now).map(t => t.addr);
+      }
+
+      for (const task of leasedTasks) {
+        if (!lostKeys.includes(task.addr) || task.leaseExpiresAt === null || task.initInProgress || this.hasPendingSolution(task)) {
+          continue;
+        }
+        this.leaseStats.lost++;
+        console.warn(`[SCHEDULER] ⚠️ Lost the lease of task ${task.id} (status: ${task.status}), closing its page`);
+        task.leaseExpiresAt = null; // 租约已属于其他 worker，不释放
+        await this.closeTask(task.id, false);
+        this.setTaskStatus(task, TaskStatus.PENDING, 'lease lost');
+        task.driver = null;
+
+        // 清理统计
+        this.stats.taskTimers.delete(task.id);
+      }
+    } finally {
+      this.leaseRenewInProgress = false;
+    }
+
+    this.triggerEvent('page-closed');
+  }
+
   // ⚠️ 事件驱动：当页面关闭后，立即检查并启动新任务
   async tryStartNewTaskAfterClose() {
     // ⚠️ 防止并发执行：如果正在启动新任务，直接返回
@@ -1128,17 +1448,19 @@ class TaskScheduler {
       // 检查是否应该暂停启动新任务（由于速率限制）
       const pauseCheck = this.shouldPauseNewTasks();
       if (pauseCheck.paused) {
-        return; // 速率限制暂停中，不启动新任务（finally块会释放锁）
+        return; // 速率限制熔断器打开，不启动新任务（finally块会释放锁）
+      }
+      if (this.draining) {
+        return; // 排空中，不启动新任务
+      }
+      if (this.cycleResetInProgress) {
+        return; // 周期重置中，重置完成后会重新触发启动
       }
       
       const currentOpenPages = this.getOpenPagesCount();
       const pendingTasks = Array.from(this.tasks.values())
-        .filter(t => t.status === TaskStatus.PENDING)
-        .sort((a, b) => {
-          const aNum = parseInt(a.id.replace(/[^0-9]/g, '')) || 0;
-          const bNum = parseInt(b.id.replace(/[^0-9]/g, '')) || 0;
-          return aNum - bNum;
-        });
+        .filter(t => t.status === TaskStatus.PENDING && !t.removing && !t.paused && !this.isInFailureBackoff(t) && isWithinSchedule(t.schedule) && !this.getSolutionQuota(t)?.reached)
+        .sort((a, b) => this.selectionPolicy.compareForStart(a, b)); // 按选择策略排序（见 task-selection.mjs）
       // ⚠️ 修复：统计所有INITIALIZING状态的任务（不管页面是否已创建）
       // 因为一旦设置为INITIALIZING，就表示正在打开页面，应该计入并发限制
       const initializingTasks = Array.from(this.tasks.values()).filter(t => 
@@ -1160,17 +1482,21 @@ class TaskScheduler {
         const toStart = Math.min(
           CONFIG.PAGE_OPEN_CONCURRENCY - initializingCount, // 并发限制
           availablePageSlots, // 可用页面槽位
-          pendingTasks.length // 待处理任务数
+          pendingTasks.length, // 待处理任务数
+          pauseCheck.halfOpen ? 1 : Infinity // 熔断器半开：只启动一个探测任务
         );
         
-        if (toStart > 0) {
+        // ⚠️ 多机调度：只启动拿到租约的任务（其他 worker 持有的、本周期已在其他 worker 完成的任务跳过）
+        const leasedTasks = toStart > 0 ? await this.acquireLeases(pendingTasks, toStart) : [];
+        
+        if (leasedTasks.length > 0) {
           console.log(`[SCHEDULER] 🔔 Page closed, triggering new task start: available slots=${availablePageSlots}, concurrency=${CONFIG.PAGE_OPEN_CONCURRENCY - initializingCount}, pending=${pendingTasks.length}, currentOpenPages=${currentOpenPages}/${CONFIG.MAX_OPEN_PAGES}, initializingCount=${initializingCount}`);
           
-          for (let i = 0; i < toStart; i++) {
-            const task = pendingTasks[i];
+          for (let i = 0; i < leasedTasks.length; i++) {
+            const task = leasedTasks[i];
             if (task.status === TaskStatus.PENDING) {
               // ⚠️ 先设置状态为INITIALIZING，这样会被计入统计，防止后续任务超限
-              task.status = TaskStatus.INITIALIZING;
+              this.setTaskStatus(task, TaskStatus.INITIALIZING, 'starting (page closed)');
               
               // ⚠️ 设置状态后立即重新检查OpenPages和并发限制（状态已更新）
               const checkOpenPages = this.getOpenPagesCount();
@@ -1186,17 +1512,24 @@ class TaskScheduler {
               // ⚠️ 严格检查：如果已达到任何限制，停止启动并重置状态
               if (checkOpenPages > CONFIG.MAX_OPEN_PAGES) {
                 console.warn(`[SCHEDULER] ⚠️ Stopping new task starts: OpenPages limit exceeded (${checkOpenPages}/${CONFIG.MAX_OPEN_PAGES}), resetting task ${task.id} to PENDING`);
-                task.status = TaskStatus.PENDING; // 重置状态
+                this.setTaskStatus(task, TaskStatus.PENDING, 'open pages limit reached'); // 重置状态
                 break; // 已达到上限，停止启动
               }
               
               if (checkInitializing > CONFIG.PAGE_OPEN_CONCURRENCY) {
                 console.warn(`[SCHEDULER] ⚠️ Stopping new task starts: Concurrency limit exceeded (${checkInitializing}/${CONFIG.PAGE_OPEN_CONCURRENCY}), resetting task ${task.id} to PENDING`);
-                task.status = TaskStatus.PENDING; // 重置状态
+                this.setTaskStatus(task, TaskStatus.PENDING, 'concurrency limit reached'); // 重置状态
                 break; // 已达到并发限制，停止启动
               }
               
+              // ⚠️ 熔断器半开：这个任务作为探测任务启动（探测属于这个任务，只有它的请求放行），已有探测在进行时不启动
+              if (pauseCheck.halfOpen && !this.circuitBreaker.tryAcquire(task.id)) {
+                this.setTaskStatus(task, TaskStatus.PENDING, 'rate limit probe in flight'); // 重置状态
+                break;
+              }
+              
               console.log(`[SCHEDULER] 🚀 Starting task ${task.id} (triggered by page close)...`);
+              task.startCount++;
               // 异步启动，不阻塞
               this.initializeTask(task.id).catch(err => {
                 const errorMsg = err?.message || String(err) || 'Unknown error';
@@ -1217,150 +1550,590 @@ class TaskScheduler {
                 
                 if (is429Error) {
                   console.warn(`[SCHEDULER] ⚠️ Detected 429/rate limit error for task ${task.id}: ${errorMsg}`);
-                  this.record429Error();
-                } else {
-                  this.reset429ErrorCount();
                 }
                 
                 const timer = this.stats.taskTimers.get(task.id);
                 if (timer) {
                   this.stats.taskTimers.delete(task.id);
                 }
-                if (this.stats.loggingIn > 0) {
-                  this.stats.loggingIn--;
-                }
                 this.stats.failed++;
                 
-                task.status = TaskStatus.ERROR;
-                task.error = errorMsg;
+                this.setTaskStatus(task, TaskStatus.ERROR, 'start failed');
+                this.setTaskError(task, errorMsg, { rateLimited: is429Error });
+              }).finally(() => {
+                // ⚠️ 初始化结束：探测结果已由限速器 / 页面后端记录；没有结果（例如非 429 的失败）时放行下一个探测
+                this.circuitBreaker.releaseProbe(task.id);
               });
             }
           }
+          
+          // ⚠️ 多机调度：达到限制提前结束时，没有启动的任务释放租约
+          for (const task of leasedTasks) {
+            if (task.status === TaskStatus.PENDING) {
+              this.releaseLease(task);
+            }
+          }
         }
       }
     } finally {
       // ⚠️ 释放锁
       this.isStartingNewTasks = false;
     }
-  }
+  }
+
+  // ⚠️ 统一释放任务的页面资源（页面驱动关闭页面及其 context）
+  async disposeTaskPage(task) {
+    if (!task) {
+      return false;
+    }
+
+    let hadOpenPage = false;
+    if (task.driver) {
+      hadOpenPage = !task.driver.isClosed();
+      try {
+        await task.driver.close();
+      } catch (error) {
+        // 忽略关闭错误
+      }
+      task.driver = null;
+    }
+
+    // ⚠️ 释放浏览器池中的分配（退役实例上的最后一个任务释放后关闭该实例）
+    this.browserPool.release(task.id);
+    // ⚠️ 多机调度：页面关闭后释放租约（重新初始化时在 initializeTask() 中重新获取）
+    this.releaseLease(task);
+    return hadOpenPage;
+  }
+
+  // 关闭任务页面
+  async closeTask(taskId, shouldTriggerEvent = true) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      return;
+    }
+
+    try {
+      // ⚠️ 如果任务是从COMPLETED或WAITING_CLOSE状态关闭的，确保统计已更新
+      const wasCompleted = task.status === TaskStatus.COMPLETED || task.status === TaskStatus.WAITING_CLOSE;
+      
+      const hadOpenPage = await this.disposeTaskPage(task);
+
+      // ⚠️ 不关闭浏览器，因为使用的是共享浏览器实例
+      // 浏览器实例由调度器统一管理，只在 stop() 时关闭
+      
+      // ⚠️ 只有在任务状态不是PENDING时才设置为CLOSED（PENDING状态的任务不应该被标记为CLOSED，QUARANTINED保持到releaseTask()）
+      if (task.status !== TaskStatus.PENDING && task.status !== TaskStatus.QUARANTINED) {
+        this.setTaskStatus(task, TaskStatus.CLOSED, 'page closed');
+      }
+      
+      // ⚠️ 如果任务是从COMPLETED状态关闭的，确保统计已更新（防止重复计数）
+      if (wasCompleted) {
+        // 统计已在schedule()中更新，这里不需要再次更新
+      }
+      
+      console.log(`[SCHEDULER] ✅ Closed task ${taskId}`);
+      
+      // ⚠️ 事件驱动：只有在有实际打开的页面被关闭时才触发事件
+      // 初始化失败时（页面还没打开或已经关闭）不应该触发事件，避免错误启动新任务
+      if (shouldTriggerEvent && hadOpenPage) {
+        this.triggerEvent('page-closed');
+      }
+    } catch (error) {
+      console.error(`[SCHEDULER] Error closing task ${taskId}: ${error.message}`);
+      // ⚠️ 即使出错，也确保页面引用被清空
+      if (task) {
+        task.driver = null;
+      }
+      // ⚠️ 即使出错，也尝试启动新任务（因为页面已经关闭）
+      // 但只有在有实际页面被关闭时才触发
+      // ⚠️ 注意：这里应该触发事件，而不是直接调用，避免并发问题
+      if (shouldTriggerEvent && hadOpenPage) {
+        this.triggerEvent('page-closed');
+      }
+    }
+  }
+
+  // ⚠️ 挖矿时间窗口检查（每次调度循环调用）
+  // - 窗口关闭的任务：关闭页面并回到 PENDING（窗口重新打开后在本周期内继续），正在提交 solution 的任务等提交结束后再关闭
+  // - 窗口打开的 PENDING 任务：触发新任务启动检查
+  async checkTaskWindows() {
+    const now = new Date();
+    let windowOpened = false;
+
+    for (const task of Array.from(this.tasks.values())) {
+      if (!task.schedule || task.removing) {
+        continue;
+      }
+
+      if (isWithinSchedule(task.schedule, now)) {
+        if (this.tasksOutsideWindow.delete(task.id)) {
+          console.log(`[SCHEDULER] 🕐 Task ${task.id} mining window opened (${describeTaskSchedule(task.schedule)})`);
+          windowOpened = windowOpened || task.status === TaskStatus.PENDING;
+        }
+        continue;
+      }
+
+      if (!this.tasksOutsideWindow.has(task.id)) {
+        this.tasksOutsideWindow.add(task.id);
+        console.log(`[SCHEDULER] 🕐 Task ${task.id} is outside its mining window (${describeTaskSchedule(task.schedule)})`);
+      }
+
+      // 只处理已经打开页面的任务（还没有页面的 INITIALIZING 任务等下一次循环）
+      if ((task.status !== TaskStatus.MINING && task.status !== TaskStatus.INITIALIZING) || !task.driver) {
+        continue;
+      }
+      if (this.hasPendingSolution(task)) {
+        if (!task.windowCloseDeferred) {
+          task.windowCloseDeferred = true;
+          console.log(`[SCHEDULER] ⏳ Task ${task.id} has a solution submission in flight, closing after it finishes`);
+        }
+        continue;
+      }
+
+      const oldStatus = task.status;
+      console.log(`[SCHEDULER] 🛑 Closing task ${task.id} (status: ${oldStatus}): mining window closed`);
+      await this.closeTask(task.id);
+      this.setTaskStatus(task, TaskStatus.PENDING, 'mining window closed');
+      task.windowCloseDeferred = false;
+      task.driver = null;
+
+      // 清理统计
+      this.stats.taskTimers.delete(task.id);
+    }
+
+    if (windowOpened) {
+      this.triggerEvent('page-closed');
+    }
+  }
+
+  // 周期重置日志：上个周期没有完成的任务，按没有完成的周期数从多到少列出 3 个
+  describeStarvedTasks() {
+    const starved = Array.from(this.tasks.values())
+      .filter(t => t.lastCompletedCycle !== this.stats.cycle - 1 && t.status !== TaskStatus.QUARANTINED)
+      .sort((a, b) => b.cyclesSinceCompletion - a.cyclesSinceCompletion);
+    if (starved.length === 0) {
+      return '';
+    }
+    const listed = starved.slice(0, 3).map(t => `${t.id} ${t.cyclesSinceCompletion}`).join(', ');
+    return ` (${starved.length} task(s) skipped last cycle, cycles since completion: ${listed}${starved.length > 3 ? ', ...' : ''})`;
+  }
+
+  // 记录任务提交的一个 solution（配额计数），日期变化时按天的计数重新开始
+  countTaskSolution(task) {
+    const today = this.cycleClock.formatDate(new Date());
+    if (task.solutionDay !== today) {
+      task.solutionDay = today;
+      task.daySolutions = 0;
+    }
+    task.cycleSolutions++;
+    task.daySolutions++;
+  }
+
+  // 任务的 solution 配额进度，没有配置配额时返回 null
+  // { cycle: { used, max }, day: { used, max, date }, reached }，reached 为已达到的配额（'cycle' / 'day'）或 null
+  getSolutionQuota(task, now = new Date()) {
+    if (!task.maxSolutionsPerCycle && !task.maxSolutionsPerDay) {
+      return null;
+    }
+    const today = this.cycleClock.formatDate(now);
+    const cycle = { used: task.cycleSolutions, max: task.maxSolutionsPerCycle };
+    const day = { used: task.solutionDay === today ? task.daySolutions : 0, max: task.maxSolutionsPerDay, date: today };
+    let reached = null;
+    if (cycle.max && cycle.used >= cycle.max) {
+      reached = 'cycle';
+    } else if (day.max && day.used >= day.max) {
+      reached = 'day';
+    }
+    return { cycle, day, reached };
+  }
+
+  // 可读的配额描述，例如 "1/2 per cycle, 5/10 per day"
+  describeSolutionQuota(task) {
+    const quota = this.getSolutionQuota(task);
+    if (!quota) {
+      return 'unlimited';
+    }
+    const parts = [];
+    if (quota.cycle.max) {
+      parts.push(`${quota.cycle.used}/${quota.cycle.max} per cycle`);
+    }
+    if (quota.day.max) {
+      parts.push(`${quota.day.used}/${quota.day.max} per day`);
+    }
+    return parts.join(', ');
+  }
+
+  // ⚠️ Solution 配额检查（每次调度循环调用）
+  // - 达到配额的任务：关闭页面并回到 PENDING，周期重置（周期配额）或日期变化（按天配额）之前不会被启动
+  //   正在提交 solution 的任务等提交结束后再关闭（提交的 solution 仍然计入配额）
+  // - 配额重新可用的 PENDING 任务：触发新任务启动检查
+  async checkSolutionQuotas() {
+    const now = new Date();
+    let quotaAvailable = false;
+
+    for (const task of Array.from(this.tasks.values())) {
+      if (task.removing) {
+        continue;
+      }
+
+      const quota = this.getSolutionQuota(task, now);
+      if (!quota?.reached) {
+        if (this.tasksOverQuota.delete(task.id)) {
+          console.log(`[SCHEDULER] 🎯 Task ${task.id} solution quota available again (${this.describeSolutionQuota(task)})`);
+          quotaAvailable = quotaAvailable || task.status === TaskStatus.PENDING;
+        }
+        continue;
+      }
+
+      if (!this.tasksOverQuota.has(task.id)) {
+        this.tasksOverQuota.add(task.id);
+        console.log(`[SCHEDULER] 🎯 Task ${task.id} reached its solution quota per ${quota.reached} (${this.describeSolutionQuota(task)})`);
+      }
+
+      // 只处理已经打开页面的任务（还没有页面的 INITIALIZING 任务等下一次循环）
+      if ((task.status !== TaskStatus.MINING && task.status !== TaskStatus.INITIALIZING) || !task.driver) {
+        continue;
+      }
+      if (this.hasPendingSolution(task)) {
+        continue;
+      }
+
+      const oldStatus = task.status;
+      console.log(`[SCHEDULER] 🛑 Closing task ${task.id} (status: ${oldStatus}): solution quota reached`);
+      await this.closeTask(task.id);
+      this.setTaskStatus(task, TaskStatus.PENDING, 'solution quota reached');
+      task.driver = null;
+
+      // 清理统计
+      this.stats.taskTimers.delete(task.id);
+    }
+
+    if (quotaAvailable) {
+      this.triggerEvent('page-closed');
+    }
+  }
+
+  // ⚠️ 浏览器回收检查（每次调度循环调用）
+  // 达到回收阈值的浏览器实例退役（见 browser-pool.mjs），退役实例上的任务：
+  // - INITIALIZING（已打开页面、还没开始挖矿）：关闭页面回到 PENDING，重新启动时分配到新实例
+  // - MINING：不关闭，挖矿完成后正常关闭；COMPLETED / WAITING_CLOSE 等待正常关闭
+  // 退役实例上的任务全部释放后由浏览器池关闭该实例
+  async checkBrowserRecycling() {
+    await this.browserPool.checkRecycling();
+
+    for (const task of Array.from(this.tasks.values())) {
+      if (task.status !== TaskStatus.INITIALIZING || !task.driver || task.initInProgress || task.removing || task.pauseStopping) {
+        continue;
+      }
+      if (!this.browserPool.isRetiring(task.id) || this.hasPendingSolution(task)) {
+        continue;
+      }
+
+      console.log(`[SCHEDULER] ♻️ Moving idle task ${task.id} off a recycled browser`);
+      await this.closeTask(task.id);
+      this.setTaskStatus(task, TaskStatus.PENDING, 'moved off recycled browser');
+      task.driver = null;
+
+      // 清理统计
+      this.stats.taskTimers.delete(task.id);
+    }
+  }
+
+  // ⚠️ 页面看门狗（每 PAGE_WATCHDOG_INTERVAL 采样一次）：通过 CDP 采样每个页面的 JS 堆和主线程 CPU，超过阈值时按 PAGE_WATCHDOG_ACTION 处理
+  // - JS 堆超过 PAGE_MAX_HEAP_MB：立即处理
+  // - CPU 连续 PAGE_CPU_SAMPLES 次超过 PAGE_MAX_CPU_PERCENT：只检查没有在求解的页面（正在求解的页面 CPU 高是正常的）
+  // ⚠️ 正在提交 solution 的页面不处理，等提交结束后的下一次采样
+  async checkPageWatchdog() {
+    if (config.PAGE_WATCHDOG_INTERVAL <= 0 || Date.now() - this.lastPageWatchdogTime < config.PAGE_WATCHDOG_INTERVAL) {
+      return;
+    }
+    this.lastPageWatchdogTime = Date.now();
+
+    const sampledStatuses = [TaskStatus.INITIALIZING, TaskStatus.MINING, TaskStatus.COMPLETED, TaskStatus.WAITING_CLOSE];
+    for (const task of Array.from(this.tasks.values())) {
+      if (!sampledStatuses.includes(task.status) || !task.driver || task.initInProgress || task.removing || task.pauseStopping) {
+        continue;
+      }
+
+      const driver = task.driver;
+      let metrics;
+      try {
+        if (driver.isClosed()) {
+          continue;
+        }
+        metrics = await driver.sampleMetrics();
+      } catch (error) {
+        if (config.DEBUG_SCHEDULER) {
+          console.warn(`[SCHEDULER][WATCHDOG] ⚠️ Failed to sample metrics for task ${task.id}: ${error.message}`);
+        }
+        continue;
+      }
+      if (task.driver !== driver) {
+        continue; // 采样期间页面已被关闭/替换
+      }
+
+      // 正在求解：MINING 且当前 challenge 还没有被接受
+      const networkState = driver.networkState;
+      const solving = task.status === TaskStatus.MINING && !(networkState && networkState.phase === NetworkPhase.SOLVED);
+      const cpuOver = !solving && config.PAGE_MAX_CPU_PERCENT > 0 &&
+        metrics.cpuPercent !== null && metrics.cpuPercent >= config.PAGE_MAX_CPU_PERCENT;
+      task.cpuOverCount = cpuOver ? task.cpuOverCount + 1 : 0;
+      task.metrics = metrics;
+
+      let reason = null;
+      if (config.PAGE_MAX_HEAP_MB > 0 && metrics.heapUsedMb >= config.PAGE_MAX_HEAP_MB) {
+        reason = `JS heap ${metrics.heapUsedMb} MB >= ${config.PAGE_MAX_HEAP_MB} MB`;
+      } else if (task.cpuOverCount >= config.PAGE_CPU_SAMPLES) {
+        reason = `CPU ${metrics.cpuPercent}% >= ${config.PAGE_MAX_CPU_PERCENT}% for ${task.cpuOverCount} samples while not solving`;
+      }
+      if (!reason || this.hasPendingSolution(task)) {
+        continue;
+      }
+
+      task.cpuOverCount = 0;
+      task.watchdogActions++;
+      this.stats.pageWatchdogActions++;
+      await this.applyPageWatchdogAction(task, reason);
+    }
+  }
+
+  // 页面看门狗的处理：
+  // - 已完成的任务（COMPLETED / WAITING_CLOSE）：不等 COMPLETION_WAIT_TIME，立即关闭
+  // - reload：刷新页面，正在挖矿的任务回到 INITIALIZING 重新点击 start session
+  // - restart-session：点击 stop session 后回到 INITIALIZING 重新点击 start session（还没开始挖矿的任务改为刷新页面）
+  // - requeue：关闭页面回到 PENDING，重新打开页面
+  async applyPageWatchdogAction(task, reason) {
+    const oldStatus = task.status;
+    if (oldStatus === TaskStatus.COMPLETED || oldStatus === TaskStatus.WAITING_CLOSE) {
+      console.warn(`[SCHEDULER][WATCHDOG] ⚠️ Task ${task.id} (completed): ${reason}, closing now`);
+      this.triggerEvent('task-completed');
+      return;
+    }
 
-  // ⚠️ 统一释放任务的页面/context资源
-  async disposeTaskPage(task) {
-    if (!task) {
-      return false;
+    let action = config.PAGE_WATCHDOG_ACTION;
+    if (action === 'restart-session' && oldStatus !== TaskStatus.MINING) {
+      action = 'reload';
     }
+    console.warn(`[SCHEDULER][WATCHDOG] ⚠️ Task ${task.id} (status: ${oldStatus}): ${reason}, action: ${action}`);
 
-    let hadOpenPage = false;
-    if (task.page) {
-      try {
-        hadOpenPage = !task.page.isClosed();
-      } catch {
-        hadOpenPage = false;
-      }
+    const transitionReason = `page watchdog: ${reason}`;
+    if (action === 'requeue') {
+      await this.requeueTask(task, transitionReason);
+    } else if (action === 'restart-session') {
+      await this.restartTaskSession(task, transitionReason);
+    } else {
+      await this.reloadTaskPage(task, transitionReason);
     }
+  }
 
-    if (task.context) {
-      try {
-        await task.context.close();
-      } catch (error) {
-        // 忽略关闭错误
-      }
-      task.context = null;
-      task.page = null;
-      return hadOpenPage;
+  // ⚠️ 恢复操作（页面看门狗和阶段看门狗共用），正在挖矿的任务回到 INITIALIZING 后由 tryClickStartSession 重新点击 start session
+  // 刷新任务页面，失败时返回 false
+  // reason：状态转换原因（记录在 task.history 中）
+  async reloadTaskPage(task, reason = null) {
+    try {
+      await task.driver.reload();
+    } catch (error) {
+      console.error(`[SCHEDULER] ❌ Failed to reload page for task ${task.id}: ${error.message}`);
+      return false;
     }
+    this.restartMiningAfterRecovery(task, reason);
+    return true;
+  }
 
-    if (task.page) {
-      try {
-        if (!task.page.isClosed()) {
-          await task.page.close().catch(() => {});
-        }
-      } catch (error) {
-        // 忽略关闭错误
-      }
-      task.page = null;
+  // 点击 stop session（没有运行中的 session 时只重置点击计数），重新开始 session
+  async restartTaskSession(task, reason = null) {
+    await this.clickStopSession(task.id);
+    this.restartMiningAfterRecovery(task, reason);
+    return true;
+  }
+
+  restartMiningAfterRecovery(task, reason = null) {
+    if (task.status === TaskStatus.MINING) {
+      this.setTaskStatus(task, TaskStatus.INITIALIZING, reason);
     }
+    this.stateMachine.setInitPhase(task, InitPhase.LOGGED_IN); // 回到 start session 页面，重新点击
+    task.startSessionClickCount = 0;
+    task.lastStartSessionClickTime = null;
+    this.triggerEvent('task-initialized');
+  }
 
-    task.context = null;
-    return hadOpenPage;
+  // 关闭页面回到 PENDING（关闭时触发 page-closed，重新打开页面）
+  async requeueTask(task, reason = null) {
+    await this.closeTask(task.id);
+    this.setTaskStatus(task, TaskStatus.PENDING, reason);
+    task.driver = null;
+
+    // 清理统计
+    this.stats.taskTimers.delete(task.id);
   }
 
-  // 关闭任务页面
-  async closeTask(taskId, shouldTriggerEvent = true) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      return;
+  // 任务在当前阶段停留的起点：最近一次状态变化；MINING 时还包括最近一次 challenge / solution 网络信号，
+  // INITIALIZING 时还包括最近一次等待挖矿名额的时间（名额空出后才开始计时）
+  getStageStartedAt(task) {
+    let startedAt = task.statusChangedAt || task.createdAt;
+    const networkState = task.driver ? task.driver.networkState : null;
+    if (task.status === TaskStatus.MINING && networkState && networkState.lastEventAt) {
+      startedAt = Math.max(startedAt, networkState.lastEventAt);
+    }
+    if (task.status === TaskStatus.INITIALIZING && task.slotWaitAt) {
+      startedAt = Math.max(startedAt, task.slotWaitAt);
     }
+    return startedAt;
+  }
 
-    try {
-      // ⚠️ 如果任务是从COMPLETED或WAITING_CLOSE状态关闭的，确保统计已更新
-      const wasCompleted = task.status === TaskStatus.COMPLETED || task.status === TaskStatus.WAITING_CLOSE;
-      
-      const hadOpenPage = await this.disposeTaskPage(task);
+  // ⚠️ 阶段看门狗（每次调度循环调用）：任务在某个状态停留超过 STAGE_TIMEOUT_<状态>（MINING 为没有网络信号的时间）后逐级处理
+  // 1. refresh：刷新页面  2. reset-session：重新开始 session  3. requeue：关闭页面回到 PENDING
+  // - 每一级处理后重新计时，仍然卡住时再进入下一级；页面关闭或任务完成后级别清零
+  // - COMPLETED / WAITING_CLOSE 卡住（没有被关闭）时直接关闭（close）
+  // - initializeTask() 还在执行的任务（runOne 卡住）直接关闭页面（close-page），由 initializeTask() 的失败处理回到 PENDING
+  // ⚠️ 正在提交 solution 的任务不处理
+  // ⚠️ INITIALIZING 只计时打开页面/登录和点击 start session 没有进入挖矿的时间：已登录（logged-in）、
+  //   活跃挖矿已达到 MAX_ACTIVE_MINING 的任务只是在等名额，不处理（否则好好的登录会被刷新、最终回到 PENDING）
+  async checkStageTimeouts() {
+    const timeouts = {
+      [TaskStatus.INITIALIZING]: config.STAGE_TIMEOUT_INITIALIZING,
+      [TaskStatus.MINING]: config.STAGE_TIMEOUT_MINING,
+      [TaskStatus.COMPLETED]: config.STAGE_TIMEOUT_COMPLETED,
+      [TaskStatus.WAITING_CLOSE]: config.STAGE_TIMEOUT_WAITING_CLOSE,
+    };
+    const now = Date.now();
+    const waitingForSlot = this.getActiveMiningCount() >= CONFIG.MAX_ACTIVE_MINING;
 
-      // ⚠️ 不关闭浏览器，因为使用的是共享浏览器实例
-      // 浏览器实例由调度器统一管理，只在 stop() 时关闭
-      // 只清空浏览器引用
-      task.browser = null;
-      
-      // ⚠️ 只有在任务状态不是PENDING时才设置为CLOSED（PENDING状态的任务不应该被标记为CLOSED）
-      if (task.status !== TaskStatus.PENDING) {
-        task.status = TaskStatus.CLOSED;
+    for (const task of Array.from(this.tasks.values())) {
+      const timeout = timeouts[task.status];
+      if (!timeout || !task.driver || task.removing || task.pauseStopping || this.hasPendingSolution(task)) {
+        continue;
       }
-      
-      // ⚠️ 如果任务是从COMPLETED状态关闭的，确保统计已更新（防止重复计数）
-      if (wasCompleted) {
-        // 统计已在schedule()中更新，这里不需要再次更新
+      if (task.status === TaskStatus.INITIALIZING && task.initPhase === InitPhase.LOGGED_IN && waitingForSlot) {
+        task.slotWaitAt = now;
+        continue;
       }
-      
-      console.log(`[SCHEDULER] ✅ Closed task ${taskId}`);
-      
-      // ⚠️ 事件驱动：只有在有实际打开的页面被关闭时才触发事件
-      // 初始化失败时（页面还没打开或已经关闭）不应该触发事件，避免错误启动新任务
-      if (shouldTriggerEvent && hadOpenPage) {
-        this.triggerEvent('page-closed');
+
+      const stuckSince = Math.max(this.getStageStartedAt(task), task.stageEscalatedAt || 0);
+      if (now - stuckSince < timeout) {
+        continue;
       }
-    } catch (error) {
-      console.error(`[SCHEDULER] Error closing task ${taskId}: ${error.message}`);
-      // ⚠️ 即使出错，也确保页面引用被清空
-      if (task) {
-        task.page = null;
-        task.context = null;
-        task.browser = null;
+
+      const oldStatus = task.status;
+      let action;
+      if (oldStatus === TaskStatus.COMPLETED || oldStatus === TaskStatus.WAITING_CLOSE) {
+        action = 'close';
+      } else if (task.initInProgress) {
+        action = 'close-page';
+      } else {
+        action = ['refresh', 'reset-session', 'requeue'][Math.min(task.stageEscalationLevel, 2)];
       }
-      // ⚠️ 即使出错，也尝试启动新任务（因为页面已经关闭）
-      // 但只有在有实际页面被关闭时才触发
-      // ⚠️ 注意：这里应该触发事件，而不是直接调用，避免并发问题
-      if (shouldTriggerEvent && hadOpenPage) {
-        this.triggerEvent('page-closed');
+      const reason = oldStatus === TaskStatus.MINING
+        ? `no challenge/solution traffic for ${Math.round((now - stuckSince) / 1000)}s`
+        : `in ${oldStatus} for ${Math.round((now - stuckSince) / 1000)}s`;
+      console.warn(`[SCHEDULER][STAGE-WATCHDOG] ⚠️ Task ${task.id} stuck (${reason}, limit ${Math.round(timeout / 1000)}s), escalation ${task.stageEscalationLevel + 1}: ${action}`);
+
+      task.stageEscalationLevel++;
+      this.stats.stageEscalations[action]++;
+
+      if (action === 'close') {
+        await this.closeTask(task.id);
+        this.stats.totalCompleted++;
+        this.stats.cycleCompleted++;
+        this.stats.taskTimers.delete(task.id);
+      } else if (action === 'close-page') {
+        await this.disposeTaskPage(task);
+      } else if (action === 'refresh') {
+        await this.reloadTaskPage(task, `stage watchdog: ${reason}`);
+      } else if (action === 'reset-session') {
+        await this.restartTaskSession(task, `stage watchdog: ${reason}`);
+      } else {
+        await this.requeueTask(task, `stage watchdog: ${reason}`);
+      }
+      task.stageEscalatedAt = Date.now();
+    }
+  }
+
+  // 第 n 次连续失败后的退避时间（ms）：TASK_BACKOFF_BASE * 2^(n-1)，不超过 TASK_BACKOFF_MAX
+  getFailureBackoff(failures) {
+    if (config.TASK_BACKOFF_BASE <= 0 || failures <= 0) {
+      return 0;
+    }
+    return Math.min(config.TASK_BACKOFF_MAX, config.TASK_BACKOFF_BASE * 2 ** Math.min(failures - 1, 30));
+  }
+
+  // 任务是否因为失败暂时不能启动（退避中，或已达到隔离次数、等待 checkFailureBackoff() 隔离）
+  isInFailureBackoff(task) {
+    if (config.TASK_QUARANTINE_AFTER > 0 && task.consecutiveFailures >= config.TASK_QUARANTINE_AFTER) {
+      return true;
+    }
+    return task.backoffUntil !== null && task.backoffUntil > Date.now();
+  }
+
+  // ⚠️ 失败退避和隔离（每次调度循环调用）
+  // - 连续失败 TASK_QUARANTINE_AFTER 次、已经没有页面的任务（PENDING / ERROR）进入 QUARANTINED，
+  //   跨周期、跨重启保持，直到 releaseTask()（node cli.mjs release --task <id>）
+  // - 退避结束的任务触发一次启动检查（新任务只在事件触发时启动）
+  checkFailureBackoff() {
+    const now = Date.now();
+    let backoffEnded = false;
+    for (const task of this.tasks.values()) {
+      if ((task.status !== TaskStatus.PENDING && task.status !== TaskStatus.ERROR) || task.driver || task.removing) {
+        continue;
+      }
+
+      if (config.TASK_QUARANTINE_AFTER > 0 && task.consecutiveFailures >= config.TASK_QUARANTINE_AFTER) {
+        this.setTaskStatus(task, TaskStatus.QUARANTINED, `${task.consecutiveFailures} consecutive failures`);
+        task.quarantinedAt = now;
+        task.backoffUntil = null;
+        console.warn(`[SCHEDULER] 🚫 Task ${task.id} (${task.addr}) quarantined after ${task.consecutiveFailures} consecutive failures, last error: ${String(task.lastError).split('\n')[0]} (run "node cli.mjs release --task ${task.id}" to release)`);
+        this.saveState();
+        continue;
       }
+
+      if (task.backoffUntil !== null && task.backoffUntil <= now) {
+        task.backoffUntil = null;
+        backoffEnded = true;
+      }
+    }
+
+    if (backoffEnded) {
+      this.triggerEvent('page-closed');
     }
   }
 
-  // 检查是否到了新的周期（整点）
+  // 检查是否到了新的周期（周期边界由 cycleClock 决定）
+  // ⚠️ 按周期开始时间（绝对时间）比较，只有进入更晚的周期才重置：
+  // - 同一个周期只重置一次（夏令时切换的处理见 cycle-clock.mjs）
+  // - 系统时钟前跳跨过多个周期时只重置一次（记录跳过的周期数）
+  // - 系统时钟回拨到当前周期开始之前时不重置，只把当前周期改为回拨后的周期（本周期已完成的任务保持完成）
   checkCycleReset() {
     const now = new Date();
-    const currentHour = now.getHours();
+    const cycleStart = this.cycleClock.getCycleStart(now);
     
     if (!this.currentCycleStartTime) {
       // 第一次运行，设置当前周期
-      this.currentCycleStartTime = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour, 0, 0);
+      this.currentCycleStartTime = cycleStart;
       return false;
     }
 
-    const cycleHour = this.currentCycleStartTime.getHours();
+    const previousStart = this.currentCycleStartTime.getTime();
     
-    // 如果当前小时与周期开始小时不同，说明进入了新周期
-    if (currentHour !== cycleHour) {
-      console.log(`[SCHEDULER] ⏰ New cycle detected: ${cycleHour}:00 -> ${currentHour}:00`);
+    if (cycleStart.getTime() > previousStart) {
+      const expectedStart = this.cycleClock.getNextCycleStart(this.currentCycleStartTime).getTime();
+      if (cycleStart.getTime() > expectedStart) {
+        const skipped = Math.round((cycleStart.getTime() - expectedStart) / this.cycleClock.lengthMs);
+        console.warn(`[SCHEDULER] ⚠️ Clock jumped forward: skipping ~${skipped} cycle boundary(ies), resetting once`);
+      }
+      console.log(`[SCHEDULER] ⏰ New cycle detected: ${this.cycleClock.formatTime(this.currentCycleStartTime)} -> ${this.cycleClock.formatTime(cycleStart)}`);
       return true;
     }
 
+    if (now.getTime() < previousStart) {
+      console.warn(`[SCHEDULER] ⚠️ Clock moved backwards before the current cycle start (${this.cycleClock.formatTime(this.currentCycleStartTime)}), keeping cycle ${this.stats.cycle} and realigning to ${this.cycleClock.formatTime(cycleStart)}`);
+      this.currentCycleStartTime = cycleStart;
+    }
+
     return false;
   }
 
   // 重置周期
-  // ⚠️ 如果 RESET_AT_HOUR=true，关闭所有窗口并重新从 task 0 开始
+  // ⚠️ 如果 RESET_AT_HOUR=true，关闭所有窗口，所有任务按选择策略重新排队（上个周期没有轮到的任务优先，见 task-selection.mjs）
   // ⚠️ 如果 RESET_AT_HOUR=false，保留正在挖矿的任务，只关闭超时或已完成的任务
   async resetCycle() {
     const oldCycle = this.stats.cycle;
@@ -1369,37 +2142,53 @@ class TaskScheduler {
     
     // 更新周期信息（先更新，以便后续判断）
     const now = new Date();
-    const currentHour = now.getHours();
     const previousCycleStartTime = this.currentCycleStartTime;
-    this.currentCycleStartTime = new Date(now.getFullYear(), now.getMonth(), now.getDate(), currentHour, 0, 0);
+    this.currentCycleStartTime = this.cycleClock.getCycleStart(now);
     this.stats.cycle = newCycle;
     this.stats.cycleCompleted = 0;
+
+    // ⚠️ 所有任务的"距离最近一次完成的周期数"加上经过的周期数（任务完成时清零）
+    // 系统休眠、事件循环长时间阻塞时可能一次跨过多个周期边界，不能只加 1（与 restoreState 一致）
+    const elapsedCycles = (previousCycleStartTime && this.cycleClock.countCycleStarts(previousCycleStartTime, this.currentCycleStartTime)) || 1;
+    for (const task of this.tasks.values()) {
+      task.cyclesSinceCompletion += elapsedCycles;
+    }
     
     if (CONFIG.RESET_AT_HOUR) {
-      // ⚠️ RESET_AT_HOUR=true: 关闭所有窗口，重新从 task 0 开始
+      // ⚠️ RESET_AT_HOUR=true: 关闭所有窗口，所有任务回到 PENDING
       console.log(`[SCHEDULER] 🔄 RESET_AT_HOUR enabled: Closing ALL windows and resetting all tasks to PENDING`);
       
-      // 关闭所有打开的页面
-      const allTasks = Array.from(this.tasks.values());
+      // ⚠️ 先等待正在提交的 solution，否则关闭页面会丢失
+      // 等待和关闭期间跳过调度循环、不启动新任务（新打开的页面也会被关闭）
+      this.cycleResetInProgress = true;
       let closedCount = 0;
-      for (const task of allTasks) {
-        if (task.page && !task.page.isClosed()) {
-          try {
-            await this.closeTask(task.id, false); // 不触发事件，避免重复启动
-            closedCount++;
-          } catch (error) {
-            console.error(`[SCHEDULER] Error closing task ${task.id} during reset: ${error.message}`);
+      try {
+        await this.waitForPendingSolutions('cycle reset');
+        
+        // 关闭所有打开的页面
+        const allTasks = Array.from(this.tasks.values());
+        for (const task of allTasks) {
+          if (task.driver && !task.driver.isClosed()) {
+            try {
+              await this.closeTask(task.id, false); // 不触发事件，避免重复启动
+              closedCount++;
+            } catch (error) {
+              console.error(`[SCHEDULER] Error closing task ${task.id} during reset: ${error.message}`);
+            }
           }
         }
+      } finally {
+        this.cycleResetInProgress = false;
       }
       console.log(`[SCHEDULER] ✅ Closed ${closedCount} page(s) during reset`);
       
-      // 重置所有任务状态为 PENDING
+      // 重置所有任务状态为 PENDING（QUARANTINED 跨周期保持）
       for (const [taskId, task] of this.tasks) {
-        task.status = TaskStatus.PENDING;
-        task.page = null;
-        task.context = null;
-        task.browser = null;
+        if (task.status === TaskStatus.QUARANTINED) {
+          continue;
+        }
+        this.setTaskStatus(task, TaskStatus.PENDING, 'cycle reset');
+        task.driver = null;
         task.completedAt = null;
         task.error = null;
         task.completionWaitStart = null;
@@ -1411,37 +2200,27 @@ class TaskScheduler {
         task.crashRefreshCount = 0;
         task.lastCrashRefreshTime = null;
         task.hasSubmittedSolution = false; // 重置 submitSolution 标记
+        task.cycleSolutions = 0; // 周期配额重新计数
         // 清理计时器
         this.stats.taskTimers.delete(taskId);
       }
       
-      // 清理统计信息
-      this.stats.loggingIn = 0;
-      this.stats.loggedIn = 0;
+      // 清理统计信息（loggingIn / loggedIn 由状态机随状态变化更新，任务回到 PENDING 后已归零）
       this.stats.cycleSubmitSolution = 0;
       
-      // 清除速率限制暂停状态
-      if (this.rateLimitInfo.pauseUntil || this.rateLimitInfo.consecutive429Errors > 0) {
-        const hadPause = this.rateLimitInfo.pauseUntil !== null;
-        const errorCount = this.rateLimitInfo.consecutive429Errors;
-        this.rateLimitInfo.consecutive429Errors = 0;
-        this.rateLimitInfo.last429ErrorTime = null;
-        this.rateLimitInfo.pauseUntil = null;
-        if (hadPause) {
-          console.log(`[SCHEDULER] ✓ Cleared rate limit pause for new cycle (was paused with ${errorCount} consecutive errors)`);
-        }
-      }
+      // 速率限制熔断器打开时立即进入半开（新周期先探测一次，探测成功才恢复全速启动）
+      this.allowRateLimitProbe();
       
-      console.log(`[SCHEDULER] ✅ Cycle reset complete. All tasks reset to PENDING, will restart from task 0`);
+      console.log(`[SCHEDULER] ✅ Cycle reset complete. All tasks reset to PENDING, starting in ${this.selectionPolicy.name} order${this.describeStarvedTasks()}`);
       
-      // ⚠️ 触发 page-closed 事件来启动新任务（从 task 0 开始）
+      // ⚠️ 触发 page-closed 事件来启动新任务（按选择策略排序，上个周期没有完成的任务优先）
       this.triggerEvent('page-closed');
       
     } else {
       // ⚠️ RESET_AT_HOUR=false: 保留正在挖矿的任务，只关闭超时或已完成的任务
       // 获取当前正在挖矿的任务
       const activeMiningTasks = Array.from(this.tasks.values()).filter(t => 
-        t.status === TaskStatus.MINING && t.page && !t.page.isClosed()
+        t.status === TaskStatus.MINING && t.driver && !t.driver.isClosed()
       );
       const activeMiningCount = activeMiningTasks.length;
       
@@ -1482,7 +2261,7 @@ class TaskScheduler {
         await this.closeTask(taskId);
         const task = this.tasks.get(taskId);
         if (task) {
-          task.status = TaskStatus.PENDING;
+          this.setTaskStatus(task, TaskStatus.PENDING, 'mining timed out across cycles');
           task.miningCycle = null;
           task.miningCycleStartTime = null;
           // 清理计时器
@@ -1496,16 +2275,15 @@ class TaskScheduler {
           continue; // 跳过保留的任务
         }
         
-        if (task.status !== TaskStatus.MINING && task.page && !task.page.isClosed()) {
+        if (task.status !== TaskStatus.MINING && task.driver && !task.driver.isClosed()) {
           console.log(`[SCHEDULER] 🔒 Closing non-mining task ${taskId} (status: ${task.status})`);
           await this.closeTask(taskId);
         }
         
-        // ⚠️ 重置非挖矿任务的状态（保留正在挖矿的任务）
-        if (task.status !== TaskStatus.MINING) {
-          task.status = TaskStatus.PENDING;
-          task.page = null;
-          task.context = null;
+        // ⚠️ 重置非挖矿任务的状态（保留正在挖矿的任务，QUARANTINED 跨周期保持）
+        if (task.status !== TaskStatus.MINING && task.status !== TaskStatus.QUARANTINED) {
+          this.setTaskStatus(task, TaskStatus.PENDING, 'cycle reset');
+          task.driver = null;
           task.completedAt = null;
           task.error = null;
           task.completionWaitStart = null;
@@ -1517,38 +2295,38 @@ class TaskScheduler {
           task.crashRefreshCount = 0;
           task.lastCrashRefreshTime = null;
           task.hasSubmittedSolution = false; // 重置 submitSolution 标记
+          task.cycleSolutions = 0; // 周期配额重新计数
           // 清理计时器
           this.stats.taskTimers.delete(taskId);
         }
       }
 
-      // ⚠️ 清理统计信息（周期重置时需要清理状态计数，但保留累计统计）
-      // 清理状态计数（这些是当前周期的实时计数）
-      this.stats.loggingIn = 0;
-      this.stats.loggedIn = 0;
+      // ⚠️ 清理统计信息（周期重置时需要清理当前周期的计数，但保留累计统计）
+      // loggingIn / loggedIn 由状态机随状态变化更新，不需要在这里清零
       this.stats.cycleSubmitSolution = 0; // 重置当前周期的submitSolution计数
       // 注意：不重置miningStarted、success和submitSolution，因为这些是累计统计
       // 但清理已关闭任务的计时器（已在上面处理）
       
-      // ⚠️ 清除速率限制暂停状态（新周期开始时应该清除之前的限制）
-      if (this.rateLimitInfo.pauseUntil || this.rateLimitInfo.consecutive429Errors > 0) {
-        const hadPause = this.rateLimitInfo.pauseUntil !== null;
-        const errorCount = this.rateLimitInfo.consecutive429Errors;
-        this.rateLimitInfo.consecutive429Errors = 0;
-        this.rateLimitInfo.last429ErrorTime = null;
-        this.rateLimitInfo.pauseUntil = null;
-        if (hadPause) {
-          console.log(`[SCHEDULER] ✓ Cleared rate limit pause for new cycle (was paused with ${errorCount} consecutive errors)`);
-        }
-      }
+      // ⚠️ 速率限制熔断器打开时立即进入半开（新周期先探测一次，探测成功才恢复全速启动）
+      this.allowRateLimitProbe();
       
       console.log(`[SCHEDULER] ✅ Cycle reset complete. Starting cycle ${newCycle} with ${tasksToPreserve.length} preserved mining task(s)`);
     }
+
+    // ⚠️ 周期切换后立即保存快照，避免重启后恢复到上一个周期
+    this.saveState();
+
+    this.emitSchedulerEvent(SchedulerEvent.CYCLE_RESET, null, {
+      previousCycle: oldCycle,
+      cycleStartedAt: this.currentCycleStartTime.getTime(),
+      previousCycleStartedAt: previousCycleStartTime ? previousCycleStartTime.getTime() : null,
+      durationMs: Date.now() - now.getTime(),
+    });
   }
 
   // 主调度循环
   async schedule() {
-    if (!this.isRunning) {
+    if (!this.isRunning || this.cycleResetInProgress) {
       return;
     }
 
@@ -1557,6 +2335,30 @@ class TaskScheduler {
       await this.resetCycle();
     }
 
+    // 检查任务的挖矿时间窗口和 solution 配额
+    await this.checkTaskWindows();
+    await this.checkSolutionQuotas();
+
+    // 关闭暂停期间打开的任务页面，检查排空是否完成
+    for (const task of Array.from(this.tasks.values())) {
+      if (task.paused && !this.hasPendingSolution(task)) {
+        await this.stopPausedTask(task);
+      }
+    }
+    await this.checkDrain();
+
+    // 回收达到阈值的浏览器实例，把空闲任务迁移到新实例
+    await this.checkBrowserRecycling();
+
+    // 采样页面 CPU / 内存指标，处理超过阈值的页面
+    await this.checkPageWatchdog();
+
+    // 处理在某个状态停留过久的任务
+    await this.checkStageTimeouts();
+
+    // 隔离连续失败过多的任务，退避结束的任务重新参与启动
+    this.checkFailureBackoff();
+
     // ⚠️ 修复：在调度循环开始时立即检查OpenPages，如果超限则强制清理
     let openPages = this.getOpenPagesCount();
     if (openPages > CONFIG.MAX_OPEN_PAGES) {
@@ -1572,13 +2374,13 @@ class TaskScheduler {
           if (t.status === TaskStatus.MINING) {
             return false; // 保留MINING状态的任务
           }
-          if (!t.page) {
+          if (!t.driver) {
             return false;
           }
           try {
-            return !t.page.isClosed();
+            return !t.driver.isClosed();
           } catch (error) {
-            t.page = null;
+            t.driver = null;
             return false;
           }
         })
@@ -1590,8 +2392,8 @@ class TaskScheduler {
           if (a.status !== TaskStatus.INITIALIZING && b.status === TaskStatus.INITIALIZING) {
             return 1;
           }
-          // 同状态时，最晚创建的优先关闭
-          return (b.createdAt || 0) - (a.createdAt || 0);
+          // 同状态时，按选择策略最先被停止的优先关闭
+          return this.selectionPolicy.compareForPreemption(b, a);
         });
       
       let forceClosedCount = 0;
@@ -1602,29 +2404,15 @@ class TaskScheduler {
         }
         
         console.log(`[SCHEDULER] 🛑 Force closing task ${task.id} (status: ${task.status}) at schedule start (current: ${currentOpen}/${CONFIG.MAX_OPEN_PAGES})...`);
-        const oldStatus = task.status;
         await this.closeTask(task.id);
-        task.status = TaskStatus.PENDING;
-        task.page = null;
-        task.context = null;
-        task.browser = null;
+        this.setTaskStatus(task, TaskStatus.PENDING, 'force closed: open pages limit exceeded');
+        task.driver = null;
         
         // 清理统计
         const timer = this.stats.taskTimers.get(task.id);
         if (timer) {
           this.stats.taskTimers.delete(task.id);
         }
-        if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-          this.stats.miningStarted--;
-        }
-        if (oldStatus === TaskStatus.INITIALIZING) {
-          if (this.stats.loggingIn > 0) {
-            this.stats.loggingIn--;
-          }
-          if (this.stats.loggedIn > 0) {
-            this.stats.loggedIn--;
-          }
-        }
         
         forceClosedCount++;
       }
@@ -1637,16 +2425,14 @@ class TaskScheduler {
         console.warn(`[SCHEDULER] ⚠️ OpenPages exceeds limit (${openPages}/${CONFIG.MAX_OPEN_PAGES}) but no tasks were closed. Attempting to clean invalid page references...`);
         let cleanedCount = 0;
         for (const task of this.tasks.values()) {
-          if (task.page) {
+          if (task.driver) {
             try {
-              if (task.page.isClosed()) {
-                task.page = null;
-                task.context = null;
+              if (task.driver.isClosed()) {
+                task.driver = null;
                 cleanedCount++;
               }
             } catch (error) {
-              task.page = null;
-              task.context = null;
+              task.driver = null;
               cleanedCount++;
             }
           }
@@ -1662,15 +2448,10 @@ class TaskScheduler {
     const activeMining = this.getActiveMiningCount();
     const totalTasks = this.tasks.size;
 
-    // ⚠️ 统计待处理任务，按任务ID排序（确保从头开始取未完成的任务）
+    // ⚠️ 统计待处理任务，按选择策略排序（与 tryStartNewTaskAfterClose() 的启动顺序一致）
     const pendingTasks = Array.from(this.tasks.values())
       .filter(t => t.status === TaskStatus.PENDING)
-      .sort((a, b) => {
-        // 按任务ID排序（job-1, job-2, ...）
-        const aNum = parseInt(a.id.replace(/[^0-9]/g, '')) || 0;
-        const bNum = parseInt(b.id.replace(/[^0-9]/g, '')) || 0;
-        return aNum - bNum;
-      });
+      .sort((a, b) => this.selectionPolicy.compareForStart(a, b));
     // ⚠️ 修复：统计所有 INITIALIZING 状态的任务（与 getOpenPagesCount() 逻辑一致）
     // 因为 getOpenPagesCount() 会将所有 INITIALIZING 状态的任务计入，无论页面是否存在
     const initializingTasks = Array.from(this.tasks.values()).filter(t => 
@@ -1732,9 +2513,9 @@ class TaskScheduler {
                    t.status !== TaskStatus.CLOSED && 
                    t.status !== TaskStatus.ERROR) {
           // 其他状态：只有页面存在且未关闭时才计入
-          if (t.page) {
+          if (t.driver) {
             try {
-              return !t.page.isClosed();
+              return !t.driver.isClosed();
             } catch {
               return false;
             }
@@ -1772,14 +2553,14 @@ class TaskScheduler {
           if (t.status === TaskStatus.CLOSED || t.status === TaskStatus.ERROR || t.status === TaskStatus.PENDING) {
             return false;
           }
-          if (!t.page) {
+          if (!t.driver) {
             return false;
           }
           try {
-            return !t.page.isClosed();
+            return !t.driver.isClosed();
           } catch (error) {
             // 页面检查出错，视为已关闭
-            t.page = null;
+            t.driver = null;
             return false;
           }
         })
@@ -1791,8 +2572,8 @@ class TaskScheduler {
           if (a.status !== TaskStatus.INITIALIZING && b.status === TaskStatus.INITIALIZING) {
             return 1;
           }
-          // 同状态时，最晚创建的优先关闭
-          return (b.createdAt || 0) - (a.createdAt || 0);
+          // 同状态时，按选择策略最先被停止的优先关闭
+          return this.selectionPolicy.compareForPreemption(b, a);
         });
       
       let closedCount = 0;
@@ -1806,31 +2587,17 @@ class TaskScheduler {
         
         console.log(`[SCHEDULER] 🛑 Closing task ${task.id} (status: ${task.status}) to enforce OpenPages limit (current: ${currentOpenPages}/${CONFIG.MAX_OPEN_PAGES})...`);
         
-        const oldStatus = task.status;
         await this.closeTask(task.id);
         
         // 重置任务状态为PENDING，以便后续重新启动
-        task.status = TaskStatus.PENDING;
-        task.page = null;
-        task.context = null;
-        task.browser = null;
+        this.setTaskStatus(task, TaskStatus.PENDING, 'closed to enforce open pages limit');
+        task.driver = null;
         
         // 清理统计
         const timer = this.stats.taskTimers.get(task.id);
         if (timer) {
           this.stats.taskTimers.delete(task.id);
         }
-        if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-          this.stats.miningStarted--;
-        }
-        if (oldStatus === TaskStatus.INITIALIZING) {
-          if (this.stats.loggingIn > 0) {
-            this.stats.loggingIn--;
-          }
-          if (this.stats.loggedIn > 0) {
-            this.stats.loggedIn--;
-          }
-        }
         
         closedCount++;
       }
@@ -1845,17 +2612,15 @@ class TaskScheduler {
         // 尝试强制清理：检查所有任务，清理无效的页面引用
         let cleanedCount = 0;
         for (const task of this.tasks.values()) {
-          if (task.page) {
+          if (task.driver) {
             try {
-              if (task.page.isClosed()) {
-                task.page = null;
-                task.context = null;
+              if (task.driver.isClosed()) {
+                task.driver = null;
                 cleanedCount++;
               }
             } catch (error) {
               // 页面检查出错，清理引用
-              task.page = null;
-              task.context = null;
+              task.driver = null;
               cleanedCount++;
             }
           }
@@ -1871,7 +2636,7 @@ class TaskScheduler {
     // ⚠️ 注意：在更新状态时，如果发现active mining超出限制，需要关闭部分任务
     for (const taskId of this.tasks.keys()) {
       const task = this.tasks.get(taskId);
-      if (task.page && !task.page.isClosed()) {
+      if (task.driver && !task.driver.isClosed()) {
         // ⚠️ 如果任务已经在等待关闭，不再更新状态（避免重置等待时间）
         if (task.status === TaskStatus.WAITING_CLOSE) {
           continue;
@@ -1883,8 +2648,7 @@ class TaskScheduler {
           await this.disposeTaskPage(task);
           
           // 重置任务状态
-          const oldStatus = task.status;
-          task.status = TaskStatus.PENDING;
+          this.setTaskStatus(task, TaskStatus.PENDING, 'reset after error');
           task.error = null;
           task.completionWaitStart = null;
           task.startSessionClickCount = 0;
@@ -1897,12 +2661,6 @@ class TaskScheduler {
           if (timer) {
             this.stats.taskTimers.delete(taskId);
           }
-          if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-            this.stats.miningStarted--;
-          }
-          if (oldStatus === TaskStatus.INITIALIZING && this.stats.loggedIn > 0) {
-            this.stats.loggedIn--;
-          }
           
           console.log(`[SCHEDULER] ✅ Task ${taskId} reset to PENDING after ERROR state`);
           continue;
@@ -1923,9 +2681,9 @@ class TaskScheduler {
             console.warn(`[SCHEDULER] ⚠️ Task ${task.id} page crashed, attempting refresh ${task.crashRefreshCount}/3...`);
             
             try {
-              if (task.page && !task.page.isClosed()) {
-                await task.page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
-                await task.page.waitForTimeout(3000); // 等待页面加载
+              if (task.driver && !task.driver.isClosed()) {
+                await task.driver.reload();
+                await new Promise(resolve => setTimeout(resolve, 3000)); // 等待页面加载
                 
                 // 刷新后再次检测状态
                 const afterRefreshStatus = await this.detectTaskStatus(taskId);
@@ -1936,7 +2694,7 @@ class TaskScheduler {
                   task.lastCrashRefreshTime = null;
                   // 更新状态
                   if (afterRefreshStatus.status !== task.status) {
-                    task.status = afterRefreshStatus.status;
+                    this.setTaskStatus(task, afterRefreshStatus.status, 'recovered after crash refresh');
                   }
                   continue; // 跳过后续处理，等待下次循环检测
                 } else {
@@ -1954,8 +2712,8 @@ class TaskScheduler {
           } else if (task.crashRefreshCount >= 3) {
             // 已经刷新3次仍然崩溃，标记为ERROR
             console.error(`[SCHEDULER] ❌ Task ${task.id} page crashed after ${task.crashRefreshCount} refresh attempts, marking as ERROR`);
-            task.status = TaskStatus.ERROR;
-            task.error = 'Page crashed after 3 refresh attempts';
+            this.setTaskStatus(task, TaskStatus.ERROR, 'page crashed after 3 refresh attempts');
+            this.setTaskError(task, 'Page crashed after 3 refresh attempts');
             
             // ⚠️ 事件驱动：任务错误，触发错误处理
             this.triggerEvent('task-error');
@@ -1963,8 +2721,7 @@ class TaskScheduler {
             // 关闭页面并重置状态
             await this.disposeTaskPage(task);
             
-            const oldStatus = task.status;
-            task.status = TaskStatus.PENDING;
+            this.setTaskStatus(task, TaskStatus.PENDING, 'reset after page crash');
             task.error = 'Page crashed after 3 refresh attempts';
             task.completionWaitStart = null;
             task.startSessionClickCount = 0;
@@ -1977,12 +2734,6 @@ class TaskScheduler {
             if (timer) {
               this.stats.taskTimers.delete(task.id);
             }
-            if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-              this.stats.miningStarted--;
-            }
-            if (oldStatus === TaskStatus.INITIALIZING && this.stats.loggedIn > 0) {
-              this.stats.loggedIn--;
-            }
             
             console.log(`[SCHEDULER] ✅ Task ${task.id} reset to PENDING after 3 failed refresh attempts`);
             continue;
@@ -2005,7 +2756,9 @@ class TaskScheduler {
             }
           }
           
-          task.status = detectedStatus.status;
+          if (!this.setTaskStatus(task, detectedStatus.status, 'detected from page')) {
+            continue; // 非法转换已被状态机拒绝，保持当前状态
+          }
           
           // ⚠️ 事件驱动：任务状态变化，触发相应检查
           this.triggerEvent('task-status-changed');
@@ -2030,6 +2783,7 @@ class TaskScheduler {
               this.stats.submitSolution++;
               this.stats.cycleSubmitSolution++;
               task.hasSubmittedSolution = true;
+              this.countTaskSolution(task);
               console.log(`[SCHEDULER] ✅ Task ${task.id} submit solution succeeded (detected via "waiting for the next challenge" status, API call may have failed or not recorded)`);
             } else {
               // ⚠️ API 已经成功记录过，这里不再重复记录（避免重复计数）
@@ -2048,6 +2802,9 @@ class TaskScheduler {
             
             // ⚠️ 标记任务在当前周期完成
             task.completedInCycle = this.stats.cycle;
+            task.lastCompletedAt = Date.now();
+            task.lastCompletedCycle = this.stats.cycle;
+            task.cyclesSinceCompletion = 0;
             
             // ⚠️ 获取任务计时器
             const timer = this.stats.taskTimers.get(task.id);
@@ -2066,13 +2823,6 @@ class TaskScheduler {
               console.log(`[SCHEDULER] ℹ️ Task ${task.id} completed without mining phase (was already waiting), not counting in mining time statistics`);
             }
             
-            // ⚠️ 清理状态计数（任务已完成）
-            if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-              this.stats.miningStarted--;
-            } else if (oldStatus === TaskStatus.INITIALIZING && this.stats.loggedIn > 0) {
-              // 如果从INITIALIZING直接完成，也需要清理loggedIn计数
-              this.stats.loggedIn--;
-            }
             // 清理任务时间记录
             this.stats.taskTimers.delete(task.id);
             
@@ -2083,11 +2833,6 @@ class TaskScheduler {
             // 状态变为MINING：页面显示"finding a solution"，任务正在进行中
             console.log(`[SCHEDULER] ⛏️ Task ${task.id} started mining (${oldStatus} -> ${detectedStatus.status}) [finding a solution]`);
             
-            // ⚠️ 从"已登录状态"转为"挖矿中"（如果之前是INITIALIZING状态）
-            if (oldStatus === TaskStatus.INITIALIZING && this.stats.loggedIn > 0) {
-              this.stats.loggedIn--;
-            }
-            
             // ⚠️ 重置start session点击计数器（任务成功进入挖矿状态）
             if (task.startSessionClickCount > 0) {
               task.startSessionClickCount = 0;
@@ -2109,9 +2854,8 @@ class TaskScheduler {
               // miningStartTime为null，说明点击start时已经是waiting状态，不应该记录
               console.log(`[SCHEDULER] ℹ️ Task ${task.id} status changed to MINING but was already completed, skipping mining time tracking`);
             }
-            // 只有在任务第一次进入MINING状态时才增加计数
+            // miningStarted 由状态机在进入 MINING 时增加
             if (oldStatus !== TaskStatus.MINING) {
-              this.stats.miningStarted++;
               // ⚠️ 事件驱动：任务开始挖矿，触发ActiveMining检查
               this.triggerEvent('task-mining-started');
             }
@@ -2123,7 +2867,7 @@ class TaskScheduler {
         } else if (task.status === TaskStatus.MINING) {
           // ⚠️ 如果任务已经是MINING状态但没有被检测到，可能需要重新检测
           // 添加调试日志（仅在调试模式下）
-          if (process.env.DEBUG_SCHEDULER === 'true') {
+          if (config.DEBUG_SCHEDULER) {
             console.log(`[SCHEDULER] 🔍 Task ${task.id} is MINING but status check returned same status`);
           }
         } else if (task.status === TaskStatus.INITIALIZING) {
@@ -2137,17 +2881,14 @@ class TaskScheduler {
             // 如果最后一次点击后已经等待了超过30秒，仍然没有进入MINING状态，标记为错误
             if (timeSinceLastClick > 30000) {
               console.error(`[SCHEDULER] ❌ Task ${task.id} failed to start mining after ${clickCount} attempts (last click ${Math.floor(timeSinceLastClick / 1000)}s ago). Marking as error.`);
-              task.status = TaskStatus.ERROR;
-              task.error = `Failed to start mining after ${clickCount} attempts (likely API 403 errors)`;
+              this.setTaskStatus(task, TaskStatus.ERROR, `failed to start mining after ${clickCount} attempts`);
+              this.setTaskError(task, `Failed to start mining after ${clickCount} attempts (likely API 403 errors)`);
               
               // 清理统计
               const timer = this.stats.taskTimers.get(task.id);
               if (timer) {
                 this.stats.taskTimers.delete(task.id);
               }
-              if (this.stats.loggedIn > 0) {
-                this.stats.loggedIn--;
-              }
               this.stats.failed++;
             }
           }
@@ -2165,131 +2906,62 @@ class TaskScheduler {
       this.lastHealthCheckTime = now;
       
       const tasksToHealthCheck = Array.from(this.tasks.values())
-        .filter(t => t.page && !t.page.isClosed() && 
+        .filter(t => t.driver && !t.driver.isClosed() && 
           (t.status === TaskStatus.INITIALIZING || t.status === TaskStatus.MINING));
       
       for (const task of tasksToHealthCheck) {
         try {
           // ⚠️ 在访问页面属性前，先检查页面是否已关闭
-          const page = task.page;
-          if (!page || page.isClosed()) {
+          const driver = task.driver;
+          if (!driver || driver.isClosed()) {
             continue; // 页面已关闭，跳过健康检查
           }
-          
-          // 检查页面是否仍然有效（避免在调度器关闭时访问已关闭的页面）
-          let url;
-          try {
-            url = page.url();
-          } catch (urlError) {
-            // 页面可能已经关闭，跳过健康检查
-            console.warn(`[SCHEDULER][HEALTH-CHECK] ⚠️ Task ${task.id} page is no longer accessible, skipping health check`);
-            continue;
-          }
-          
-          // ⚠️ 只检查在 /wizard/mine 或 /wizard/wallet 页面的任务
-          if (!url.includes('/wizard/mine') && !url.includes('/wizard/wallet')) {
-            continue; // 不在目标页面，跳过健康检查
-          }
         
-        // 检查页面是否崩溃或显示不正常
-        const healthCheck = await page.evaluate(() => {
-          const bodyText = (document.body?.innerText || '').toLowerCase();
-          const bodyHTML = (document.body?.innerHTML || '').toLowerCase();
-          const allText = bodyText + ' ' + bodyHTML;
-          
-          // 检查崩溃状态
-          const isCrashed = 
-            bodyText.includes('something went wrong with this page') ||
-            bodyText.includes('something went wrong') ||
-            bodyText.includes('page crashed') ||
-            bodyText.includes('aw snap') ||
-            bodyText.includes('chrome crashed') ||
-            bodyText.includes('this page isn\'t working') ||
-            bodyText.includes('this page isn\'t responding');
-          
-          // 检查是否显示正常状态
-          const hasFindingSolution = allText.includes('finding a solution');
-          const hasWaitingForNextChallenge = allText.includes('waiting for the next challenge');
-          const hasStartSession = allText.includes('start session') || allText.includes('start');
-          const hasStopSession = allText.includes('stop session') || allText.includes('stop');
-          
-          // 检查是否有错误信息
-          const hasError = 
-            bodyText.includes('error') ||
-            bodyText.includes('failed') ||
-            bodyText.includes('unable to') ||
-            bodyText.includes('cannot');
-          
-          // 检查页面是否为空或异常
-          const isEmpty = !bodyText || bodyText.trim().length < 50;
-          
-          return {
-            isCrashed,
-            hasFindingSolution,
-            hasWaitingForNextChallenge,
-            hasStartSession,
-            hasStopSession,
-            hasError,
-            isEmpty,
-            isHealthy: !isCrashed && !isEmpty && (hasFindingSolution || hasWaitingForNextChallenge || hasStartSession || hasStopSession),
-          };
-        }).catch(() => ({
-          isCrashed: true,
-          isHealthy: false,
-          error: 'Failed to evaluate page',
-        }));
+        // 检查页面是否崩溃或显示不正常（页面已无法访问或不在 /wizard/mine、/wizard/wallet 页面时返回 null，跳过健康检查）
+        const healthCheck = await driver.health()
+          .catch(() => ({ healthy: false, crashed: true, state: PageState.UNKNOWN }));
+        if (!healthCheck) {
+          continue;
+        }
         
         // 如果页面不健康，尝试恢复
-        if (!healthCheck.isHealthy || healthCheck.isCrashed) {
-          console.warn(`[SCHEDULER][HEALTH-CHECK] ⚠️ Task ${task.id} page is unhealthy (crashed: ${healthCheck.isCrashed}, healthy: ${healthCheck.isHealthy}), attempting recovery...`);
+        if (!healthCheck.healthy || healthCheck.crashed) {
+          console.warn(`[SCHEDULER][HEALTH-CHECK] ⚠️ Task ${task.id} page is unhealthy (crashed: ${healthCheck.crashed}, healthy: ${healthCheck.healthy}), attempting recovery...`);
           
           // 第一步：刷新当前页面
           try {
             // ⚠️ 再次检查页面是否已关闭（可能在检查过程中被关闭）
-            if (!page || page.isClosed()) {
+            if (driver.isClosed()) {
               console.warn(`[SCHEDULER][HEALTH-CHECK] ⚠️ Task ${task.id} page was closed during health check, skipping refresh`);
               continue;
             }
             
             console.log(`[SCHEDULER][HEALTH-CHECK] 🔄 Refreshing page for task ${task.id}...`);
-            await page.reload({ waitUntil: 'domcontentloaded', timeout: 30000 });
-            await page.waitForTimeout(3000); // 等待页面加载
+            await driver.reload();
+            await new Promise(resolve => setTimeout(resolve, 3000)); // 等待页面加载
             
             // 检查刷新后的状态
-            const afterRefreshCheck = await page.evaluate(() => {
-              const bodyText = (document.body?.innerText || '').toLowerCase();
-              const bodyHTML = (document.body?.innerHTML || '').toLowerCase();
-              const allText = bodyText + ' ' + bodyHTML;
-              
-              const hasFindingSolution = allText.includes('finding a solution');
-              const hasWaitingForNextChallenge = allText.includes('waiting for the next challenge');
-              const hasStartSession = allText.includes('start session') || allText.includes('start');
-              
-              return {
-                hasFindingSolution,
-                hasWaitingForNextChallenge,
-                hasStartSession,
-                isHealthy: hasFindingSolution || hasWaitingForNextChallenge || hasStartSession,
-              };
-            }).catch(() => ({ isHealthy: false }));
+            const afterRefreshCheck = await driver.health().catch(() => null);
+            const afterRefreshState = afterRefreshCheck ? afterRefreshCheck.state : PageState.UNKNOWN;
             
-            if (afterRefreshCheck.isHealthy) {
+            if (afterRefreshState === PageState.MINING || afterRefreshState === PageState.READY || afterRefreshState === PageState.SOLVED) {
               // 刷新后页面正常
-              if (afterRefreshCheck.hasFindingSolution) {
+              if (afterRefreshState === PageState.MINING) {
                 console.log(`[SCHEDULER][HEALTH-CHECK] ✅ Task ${task.id} page recovered after refresh, showing "finding a solution"`);
                 // 页面正常显示finding a solution，保持MINING状态
                 if (task.status !== TaskStatus.MINING) {
-                  task.status = TaskStatus.MINING;
+                  this.setTaskStatus(task, TaskStatus.MINING, 'health check: recovered after refresh');
                 }
-              } else if (afterRefreshCheck.hasStartSession) {
+              } else if (afterRefreshState === PageState.READY) {
                 console.log(`[SCHEDULER][HEALTH-CHECK] ✅ Task ${task.id} page recovered after refresh, showing "start session" button`);
                 // 页面显示start session按钮，需要点击
-                task.status = TaskStatus.INITIALIZING;
+                this.setTaskStatus(task, TaskStatus.INITIALIZING, 'health check: recovered after refresh');
+                this.stateMachine.setInitPhase(task, InitPhase.LOGGED_IN);
                 // 将在后续处理中点击start session
-              } else if (afterRefreshCheck.hasWaitingForNextChallenge) {
+              } else if (afterRefreshState === PageState.SOLVED) {
                 console.log(`[SCHEDULER][HEALTH-CHECK] ✅ Task ${task.id} page recovered after refresh, showing "waiting for the next challenge"`);
                 // 页面显示waiting for the next challenge，任务已完成
-                task.status = TaskStatus.COMPLETED;
+                this.setTaskStatus(task, TaskStatus.COMPLETED, 'health check: recovered after refresh');
               }
               continue; // 恢复成功，继续下一个任务
             } else {
@@ -2305,11 +2977,8 @@ class TaskScheduler {
           console.log(`[SCHEDULER][HEALTH-CHECK] 🔄 Re-initializing task ${task.id} (closing page and resetting status)...`);
           await this.disposeTaskPage(task);
           
-          // 保存旧状态用于清理统计
-          const oldStatus = task.status;
-          
           // 重置任务状态
-          task.status = TaskStatus.PENDING;
+          this.setTaskStatus(task, TaskStatus.PENDING, 'health check: still unhealthy after refresh');
           task.error = null;
           task.completionWaitStart = null;
           task.startSessionClickCount = 0;
@@ -2320,12 +2989,6 @@ class TaskScheduler {
           if (timer) {
             this.stats.taskTimers.delete(task.id);
           }
-          if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-            this.stats.miningStarted--;
-          }
-          if (oldStatus === TaskStatus.INITIALIZING && this.stats.loggedIn > 0) {
-            this.stats.loggedIn--;
-          }
           
           console.log(`[SCHEDULER][HEALTH-CHECK] ✅ Task ${task.id} reset to PENDING, will be re-initialized in next cycle`);
         }
@@ -2340,47 +3003,15 @@ class TaskScheduler {
     // 让任务回到显示"start session"按钮的状态，等待其他任务完成后重新启动
     // ⚠️ 重要：需要实际检测页面内容，因为有些页面可能显示"Finding a solution"但状态还没更新
     const allTasksWithPages = Array.from(this.tasks.values())
-      .filter(t => t.page && !t.page.isClosed());
+      .filter(t => t.driver && !t.driver.isClosed());
     
     // 实际检测所有页面，找出真正显示"Finding a solution"的页面
     const actuallyMiningTasks = [];
     for (const task of allTasksWithPages) {
       try {
-        const page = task.page;
-        const url = page.url();
-        
-        // 只检查挖矿页面
-        if (!url.includes('/wizard/mine')) {
-          continue;
-        }
-        
-        // 实际检测页面是否显示"Finding a solution"
-        const isMining = await page.evaluate(() => {
-          const bodyText = (document.body?.innerText || '').toLowerCase();
-          const bodyHTML = (document.body?.innerHTML || '').toLowerCase();
-          const allText = bodyText + ' ' + bodyHTML;
-          
-          // 检查是否有"finding a solution"文本
-          if (allText.includes('finding a solution')) {
-            return true;
-          }
-          
-          // 检查是否有stop session按钮（表示正在挖矿）
-          const buttons = Array.from(document.querySelectorAll('button'));
-          const hasStopSession = buttons.some(btn => {
-            const text = (btn.textContent || '').trim().toLowerCase();
-            return (text === 'stop' || text === 'stop session') && btn.offsetParent !== null && !btn.disabled;
-          });
-          
-          // 如果有stop按钮且没有"waiting for the next challenge"，则认为正在挖矿
-          if (hasStopSession && !allText.includes('waiting for the next challenge')) {
-            return true;
-          }
-          
-          return false;
-        }).catch(() => false);
-        
-        if (isMining) {
+        // 实际检测页面是否显示"Finding a solution"，或有stop session按钮且没有"waiting for the next challenge"
+        const { state } = await task.driver.getState();
+        if (state === PageState.MINING || state === PageState.ACTIVE) {
           actuallyMiningTasks.push(task);
         }
       } catch (error) {
@@ -2392,24 +3023,19 @@ class TaskScheduler {
     if (actuallyMiningTasks.length > CONFIG.MAX_ACTIVE_MINING) {
       console.warn(`[SCHEDULER] ⚠️ Active mining exceeded limit (${actuallyMiningTasks.length}/${CONFIG.MAX_ACTIVE_MINING} pages showing "Finding a solution"), stopping excess tasks...`);
       
-      // 按创建时间排序，停止最晚的任务（后启动的优先停止）
-      actuallyMiningTasks.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+      // 按选择策略排序，排在后面的先停止（默认 priority 策略：优先级低的、后添加的先停止）
+      actuallyMiningTasks.sort((a, b) => this.selectionPolicy.compareForPreemption(a, b));
       
       // 停止超出限制的任务
       const toStop = actuallyMiningTasks.slice(CONFIG.MAX_ACTIVE_MINING);
       for (const task of toStop) {
         console.log(`[SCHEDULER] 🛑 Stopping task ${task.id} to enforce active mining limit (clicking stop session)...`);
-        const oldStatus = task.status; // 保存旧状态
         const stopped = await this.clickStopSession(task.id);
         if (stopped) {
           // 点击stop成功后，将任务状态改回INITIALIZING，等待后续重新启动
-          task.status = TaskStatus.INITIALIZING;
-          // ⚠️ 更新统计：减少miningStarted计数（如果之前是MINING状态）
-          if (oldStatus === TaskStatus.MINING && this.stats.miningStarted > 0) {
-            this.stats.miningStarted--;
-          }
-          // ⚠️ 增加loggedIn计数（因为现在处于start session页面但未点击start按钮的状态）
-          this.stats.loggedIn++;
+          // ⚠️ 状态机更新统计：离开MINING时减少miningStarted，停在start session页面计入loggedIn
+          this.setTaskStatus(task, TaskStatus.INITIALIZING, 'stopped to enforce active mining limit');
+          this.stateMachine.setInitPhase(task, InitPhase.LOGGED_IN);
           // ⚠️ 清理miningStartTime（因为停止挖矿了）
           const timer = this.stats.taskTimers.get(task.id);
           if (timer) {
@@ -2449,6 +3075,182 @@ class TaskScheduler {
     // - 处理错误任务：通过错误事件触发（handleErrorTasks）
   }
 
+  // ⚠️ 保存调度器状态快照（任务状态、周期、统计、速率限制熔断器）
+  // 先写临时文件再重命名，避免进程在写入过程中退出导致快照损坏
+  saveState() {
+    if (!this.persistState) {
+      return false;
+    }
+
+    const snapshot = {
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      cycle: this.stats.cycle,
+      currentCycleStartTime: this.currentCycleStartTime ? this.currentCycleStartTime.getTime() : null,
+      rateLimitBreaker: this.circuitBreaker.getStatus(),
+      stats: {
+        totalCompleted: this.stats.totalCompleted,
+        cycleCompleted: this.stats.cycleCompleted,
+        success: this.stats.success,
+        failed: this.stats.failed,
+        miningStarted: this.stats.miningStarted,
+        submitSolution: this.stats.submitSolution,
+        cycleSubmitSolution: this.stats.cycleSubmitSolution,
+        loginTimes: this.stats.loginTimes,
+        miningTimes: this.stats.miningTimes,
+      },
+      tasks: Array.from(this.tasks.values()).map(task => ({
+        id: task.id,
+        addr: task.addr,
+        status: task.status,
+        completedAt: task.completedAt,
+        completedInCycle: task.completedInCycle,
+        miningCycle: task.miningCycle,
+        hasSubmittedSolution: task.hasSubmittedSolution,
+        cycleSolutions: task.cycleSolutions,
+        daySolutions: task.daySolutions,
+        solutionDay: task.solutionDay,
+        startCount: task.startCount,
+        lastCompletedAt: task.lastCompletedAt,
+        lastCompletedCycle: task.lastCompletedCycle,
+        cyclesSinceCompletion: task.cyclesSinceCompletion,
+        error: task.error,
+        paused: task.paused,
+        consecutiveFailures: task.consecutiveFailures,
+        backoffUntil: task.backoffUntil,
+        lastError: task.lastError,
+        lastFailedAt: task.lastFailedAt,
+        quarantinedAt: task.quarantinedAt,
+      })),
+    };
+
+    try {
+      const tmpFile = `${CONFIG.STATE_FILE}.tmp`;
+      writeFileSync(tmpFile, JSON.stringify(snapshot, null, 2));
+      renameSync(tmpFile, CONFIG.STATE_FILE);
+      return true;
+    } catch (error) {
+      console.warn(`[SCHEDULER] ⚠️ Failed to save state to ${CONFIG.STATE_FILE}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // ⚠️ 从状态快照恢复（在 start() 中调用，此时任务已经通过 addTask() 添加）
+  // - 快照属于当前整点周期：已完成的任务保持 CLOSED，不会重新运行；周期计数继续
+  // - 快照属于更早的周期：周期编号 +1，所有任务从 PENDING 开始
+  // 页面在重启后已经不存在，所以 MINING / INITIALIZING 等状态一律回到 PENDING
+  // 连续失败次数、退避和 QUARANTINED 跨周期、跨重启保持
+  restoreState() {
+    if (!this.persistState || !existsSync(CONFIG.STATE_FILE)) {
+      return false;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(readFileSync(CONFIG.STATE_FILE, 'utf8'));
+    } catch (error) {
+      console.warn(`[SCHEDULER] ⚠️ Failed to read state file ${CONFIG.STATE_FILE}, starting fresh: ${error.message}`);
+      return false;
+    }
+
+    if (!snapshot || snapshot.version !== STATE_VERSION) {
+      console.warn(`[SCHEDULER] ⚠️ Ignoring state file ${CONFIG.STATE_FILE} (unsupported version: ${snapshot?.version})`);
+      return false;
+    }
+
+    // ⚠️ 周期定义（长度/偏移/时区）改变后开始时间不同，按新周期处理
+    const cycleStart = this.cycleClock.getCycleStart(new Date());
+    const sameCycle = snapshot.currentCycleStartTime === cycleStart.getTime();
+
+    // 累计统计继续计数
+    const savedStats = snapshot.stats || {};
+    for (const key of ['totalCompleted', 'success', 'failed', 'submitSolution']) {
+      if (Number.isFinite(savedStats[key])) {
+        this.stats[key] = savedStats[key];
+      }
+    }
+    if (Array.isArray(savedStats.loginTimes)) {
+      this.stats.loginTimes = savedStats.loginTimes;
+    }
+    if (Array.isArray(savedStats.miningTimes)) {
+      this.stats.miningTimes = savedStats.miningTimes;
+    }
+
+    // 快照之后经过的周期数（RESET_AT_HOUR=false 时没有周期边界）
+    const elapsedCycles = sameCycle || !snapshot.currentCycleStartTime
+      ? 0
+      : this.cycleClock.countCycleStarts(new Date(snapshot.currentCycleStartTime), cycleStart);
+
+    const savedTasks = new Map((snapshot.tasks || []).map(t => [t.id, t]));
+    let restoredCompleted = 0;
+    let restoredQuarantined = 0;
+    let interruptedMining = 0;
+    for (const task of this.tasks.values()) {
+      const saved = savedTasks.get(task.id);
+      if (!saved || saved.addr !== task.addr) {
+        continue; // 新任务或地址已变更，按新任务处理
+      }
+      if (saved.status === TaskStatus.MINING) {
+        interruptedMining++;
+      }
+      if (saved.paused) {
+        task.paused = true; // 暂停跨周期、跨重启保持，直到 resumeTask()
+        task.pausedAt = Date.now();
+      }
+      task.consecutiveFailures = saved.consecutiveFailures || 0;
+      task.backoffUntil = saved.backoffUntil || null;
+      task.lastError = saved.lastError || null;
+      task.lastFailedAt = saved.lastFailedAt || null;
+      // solution 配额计数：按天的计数跨周期保持（日期变化后由 getSolutionQuota() 忽略），周期计数只在同一周期内恢复
+      task.daySolutions = saved.daySolutions || 0;
+      task.solutionDay = saved.solutionDay || null;
+      task.cycleSolutions = sameCycle ? saved.cycleSolutions || 0 : 0;
+      task.startCount = saved.startCount || 0;
+      task.lastCompletedAt = saved.lastCompletedAt || null;
+      // 停止期间经过的周期边界都计入（周期编号只 +1，见下方）
+      task.lastCompletedCycle = saved.lastCompletedCycle ?? null;
+      task.cyclesSinceCompletion = (saved.cyclesSinceCompletion || 0) + elapsedCycles;
+      if (saved.status === TaskStatus.QUARANTINED) {
+        this.setTaskStatus(task, TaskStatus.QUARANTINED, 'quarantined before restart (restored)');
+        task.quarantinedAt = saved.quarantinedAt || Date.now();
+        restoredQuarantined++;
+        continue;
+      }
+      if (sameCycle && saved.completedInCycle === snapshot.cycle) {
+        this.setTaskStatus(task, TaskStatus.CLOSED, 'completed earlier in this cycle (restored)');
+        task.completedAt = saved.completedAt;
+        task.completedInCycle = saved.completedInCycle;
+        task.hasSubmittedSolution = !!saved.hasSubmittedSolution;
+        restoredCompleted++;
+      }
+    }
+
+    // miningStarted 在任务结束时会递减，重启中断的挖矿任务需要扣除
+    if (Number.isFinite(savedStats.miningStarted)) {
+      this.stats.miningStarted = Math.max(0, savedStats.miningStarted - interruptedMining);
+    }
+
+    if (sameCycle) {
+      this.stats.cycle = snapshot.cycle;
+      this.stats.cycleCompleted = savedStats.cycleCompleted || 0;
+      this.stats.cycleSubmitSolution = savedStats.cycleSubmitSolution || 0;
+      this.currentCycleStartTime = cycleStart;
+    } else if (snapshot.currentCycleStartTime) {
+      this.stats.cycle = (snapshot.cycle || 0) + 1;
+    } else {
+      this.stats.cycle = snapshot.cycle || 0; // RESET_AT_HOUR=false 时没有周期边界
+    }
+
+    // 速率限制熔断器跨重启保持（连续打开次数决定下一次打开的时间），新周期与周期重置一样立即允许探测
+    this.circuitBreaker.restore(snapshot.rateLimitBreaker);
+    if (!sameCycle) {
+      this.allowRateLimitProbe();
+    }
+
+    console.log(`[SCHEDULER] ♻️ Restored state from ${CONFIG.STATE_FILE} (saved at ${snapshot.savedAt}): cycle ${this.stats.cycle}${sameCycle ? '' : ' (new cycle)'}, ${restoredCompleted} task(s) already completed in this cycle, ${restoredQuarantined} quarantined, submitSolution total ${this.stats.submitSolution}`);
+    return true;
+  }
+
   // 启动调度器
   async start() {
     if (this.isRunning) {
@@ -2457,17 +3259,33 @@ class TaskScheduler {
     }
 
     this.isRunning = true;
-    this.currentCycleStartTime = null; // 将在第一次schedule时设置
+    this.currentCycleStartTime = null; // 将在第一次schedule时设置（恢复快照时可能在下面设置）
 
-    // ⚠️ 初始化共享浏览器实例
+    // ⚠️ 从上次运行的状态快照恢复（已完成任务不重复运行，累计统计继续）
+    this.restoreState();
+
+    // ⚠️ 启动浏览器池中的所有实例（启动失败时直接报错，不进入调度循环）
     try {
-      await this.getSharedBrowser();
+      await this.browserPool.launchAll();
     } catch (error) {
-      console.error(`[SCHEDULER] ❌ Failed to initialize shared browser: ${error.message}`);
+      console.error(`[SCHEDULER] ❌ Failed to launch browser pool: ${error.message}`);
       this.isRunning = false;
       throw error;
     }
 
+    this.circuitBreaker.on('state-change', this.onCircuitStateChange);
+    if (this.leaseStore) {
+      console.log(`[SCHEDULER] 🔑 Multi-machine scheduling: worker ${this.workerId}, lease coordinator ${this.leaseStore}`);
+      this.leaseRenewIntervalId = setInterval(() => {
+        this.renewLeases().catch(error => {
+          console.error(`[SCHEDULER] Error renewing leases: ${error.message}`);
+        });
+      }, config.LEASE_RENEW_INTERVAL);
+    }
+    if (this.circuitBreaker.getState() === CircuitState.OPEN) {
+      this.scheduleRateLimitProbe(this.circuitBreaker.getNextProbeInMs()); // 从快照恢复的打开状态
+    }
+
     // ⚠️ 初始启动：触发一次page-closed事件来启动初始任务
     this.triggerEvent('page-closed');
 
@@ -2478,6 +3296,13 @@ class TaskScheduler {
       });
     }, CONFIG.STATUS_CHECK_INTERVAL);
 
+    // ⚠️ 定期保存状态快照，重启后可以恢复
+    if (this.persistState) {
+      this.stateSaveIntervalId = setInterval(() => {
+        this.saveState();
+      }, CONFIG.STATE_SAVE_INTERVAL);
+    }
+
     console.log('[SCHEDULER] ✅ Scheduler started');
     
     // 立即执行一次
@@ -2497,23 +3322,38 @@ class TaskScheduler {
       this.intervalId = null;
     }
 
+    if (this.stateSaveIntervalId) {
+      clearInterval(this.stateSaveIntervalId);
+      this.stateSaveIntervalId = null;
+    }
+
+    this.circuitBreaker.off('state-change', this.onCircuitStateChange);
+    clearTimeout(this.circuitProbeTimer);
+    this.circuitProbeTimer = null;
+
+    if (this.leaseRenewIntervalId) {
+      clearInterval(this.leaseRenewIntervalId);
+      this.leaseRenewIntervalId = null;
+    }
+
+    // ⚠️ 先等待正在提交的 solution，否则关闭页面会丢失
+    await this.waitForPendingSolutions('shutdown');
+
+    // ⚠️ 在关闭页面之前保存快照（关闭页面会把任务状态改为 CLOSED）
+    this.saveState();
+
     // 关闭所有页面（不关闭浏览器，因为页面关闭时会自动清理）
     for (const taskId of this.tasks.keys()) {
       await this.closeTask(taskId);
     }
 
-    // ⚠️ 关闭共享浏览器实例
-    if (this.sharedBrowser) {
-      try {
-        console.log('[SCHEDULER] 🔄 Closing shared browser instance...');
-        await this.sharedBrowser.close();
-        console.log('[SCHEDULER] ✅ Shared browser instance closed');
-      } catch (error) {
-        console.warn(`[SCHEDULER] ⚠️ Error closing shared browser: ${error.message}`);
-      } finally {
-        this.sharedBrowser = null;
-      }
-    }
+    // ⚠️ 多机调度：等待租约释放完成，其他 worker 可以立即接手（不用等租约过期）
+    await Promise.allSettled(Array.from(this.pendingLeaseReleases));
+
+    // ⚠️ 关闭浏览器池中的所有实例
+    console.log('[SCHEDULER] 🔄 Closing browser pool...');
+    await this.browserPool.closeAll();
+    console.log('[SCHEDULER] ✅ Browser pool closed');
 
     console.log('[SCHEDULER] ✅ Scheduler stopped');
   }
@@ -2535,6 +3375,14 @@ class TaskScheduler {
     const status = {
       isRunning: this.isRunning,
       cycle: this.stats.cycle,
+      // 周期定义和时间（cli.mjs status 在另一个进程中用它们计算 "Next Cycle Reset"）
+      cycleClock: {
+        lengthMinutes: this.cycleClock.lengthMinutes,
+        offsetMinutes: this.cycleClock.offsetMinutes,
+        timezone: this.cycleClock.timezone,
+      },
+      cycleStartedAt: this.currentCycleStartTime ? this.currentCycleStartTime.getTime() : null,
+      nextCycleResetAt: this.cycleClock.getNextCycleStart(this.currentCycleStartTime || new Date()).getTime(),
       totalTasks: this.tasks.size,
       openPages: this.getOpenPagesCount(),
       activeMining: activeMiningCount,
@@ -2553,6 +3401,40 @@ class TaskScheduler {
       avgMiningTime: avgMiningTime,
       loginTimesCount: this.stats.loginTimes.length,
       miningTimesCount: this.stats.miningTimes.length,
+      taskFilter: describeTaskFilter(this.taskFilter), // 当前任务筛选器
+      excludedTasks: this.excludedTaskIds.size, // 被筛选器排除的任务数
+      // 排空状态（drained：所有任务页面都已关闭）
+      draining: this.draining,
+      drainStartedAt: this.drainStartedAt,
+      drainRemaining: this.draining ? this.getDrainRemainingCount() : 0, // 排空时还没关闭的任务页面数
+      drained: this.draining && this.getDrainRemainingCount() === 0,
+      pausedTasks: Array.from(this.tasks.values()).filter(t => t.paused).map(t => t.id), // pauseTask() 暂停的任务
+      browsers: this.browserPool.getStatus(), // 浏览器池实例（retiring 为退役原因，null 表示在用）
+      pageWatchdogActions: this.stats.pageWatchdogActions, // 页面看门狗执行处理的次数
+      stageEscalations: { ...this.stats.stageEscalations }, // 阶段看门狗各级处理的次数
+      illegalTransitions: this.stateMachine.rejectedCount, // 被状态机拒绝的非法状态转换次数
+      selectionPolicy: this.selectionPolicy.name, // 任务选择策略（见 task-selection.mjs）
+      rateLimit: this.circuitBreaker.getStatus(), // 速率限制熔断器（state、trips、nextProbeInMs 为距离下一次探测的时间）
+      // 多机调度（单机运行时为 null）：持有的租约数、最近一次续约、续约失败次数、丢失的租约数
+      leases: this.leaseStore ? {
+        workerId: this.workerId,
+        coordinator: String(this.leaseStore),
+        held: Array.from(this.tasks.values()).filter(t => t.leaseExpiresAt !== null).length,
+        ...this.leaseStats,
+      } : null,
+      backoffTasks: Array.from(this.tasks.values()).filter(t => t.status === TaskStatus.PENDING && this.isInFailureBackoff(t)).length, // 失败退避中的任务数
+      // 被隔离的任务（releaseTask() 解除）
+      quarantinedTasks: Array.from(this.tasks.values())
+        .filter(t => t.status === TaskStatus.QUARANTINED)
+        .map(t => ({ id: t.id, addr: t.addr, failures: t.consecutiveFailures, lastError: t.lastError, quarantinedAt: t.quarantinedAt })),
+      // 因为不在挖矿时间窗口内而跳过的任务
+      outsideWindow: Array.from(this.tasksOutsideWindow)
+        .filter(taskId => this.tasks.has(taskId))
+        .map(taskId => ({ id: taskId, schedule: describeTaskSchedule(this.tasks.get(taskId).schedule) })),
+      // 因为达到 solution 配额而跳过的任务（reached：'cycle' / 'day'）
+      quotaReached: Array.from(this.tasksOverQuota)
+        .filter(taskId => this.tasks.has(taskId))
+        .map(taskId => ({ id: taskId, reached: this.getSolutionQuota(this.tasks.get(taskId))?.reached || null, quota: this.describeSolutionQuota(this.tasks.get(taskId)) })),
       tasks: {},
     };
 
@@ -2563,11 +3445,11 @@ class TaskScheduler {
       
       // ⚠️ 对于 INITIALIZING 状态，如果页面不存在或已关闭，应该标记为 PENDING（用于状态报告）
       if (taskStatus === TaskStatus.INITIALIZING) {
-        if (!task.page) {
+        if (!task.driver) {
           taskStatus = TaskStatus.PENDING; // 没有页面，视为 PENDING
         } else {
           try {
-            if (task.page.isClosed()) {
+            if (task.driver.isClosed()) {
               taskStatus = TaskStatus.PENDING; // 页面已关闭，视为 PENDING
             }
           } catch (error) {
@@ -2578,6 +3460,26 @@ class TaskScheduler {
       
       status.tasks[taskId] = {
         status: taskStatus,
+        source: task.source,
+        tags: task.tags,
+        schedule: task.schedule ? task.schedule.text : null,
+        priority: task.priority,
+        weight: task.weight,
+        startCount: task.startCount, // 被选中启动的次数（weighted 策略的份额）
+        lastCompletedAt: task.lastCompletedAt,
+        lastCompletedCycle: task.lastCompletedCycle,
+        cyclesSinceCompletion: task.cyclesSinceCompletion, // 距离最近一次完成经过的周期数（从未完成时从添加任务开始计数）
+        quota: this.getSolutionQuota(task), // solution 配额进度（见 getSolutionQuota），没有配额时为 null
+        paused: task.paused,
+        networkPhase: task.driver && task.driver.networkState ? task.driver.networkState.phase : null, // 网络状态模型的阶段（见 task-network-state.mjs）
+        metrics: task.driver ? task.metrics : null, // 最近一次页面指标采样（见 checkPageWatchdog）
+        watchdogActions: task.watchdogActions,
+        stageEscalationLevel: task.stageEscalationLevel,
+        initPhase: task.initPhase, // INITIALIZING 的子阶段（见 task-state-machine.mjs）
+        consecutiveFailures: task.consecutiveFailures,
+        backoffUntil: task.backoffUntil, // 失败退避结束时间（见 checkFailureBackoff）
+        lastError: task.lastError,
+        history: task.history, // 最近的状态转换（from、to、at、reason）
         error: task.error,
         completedAt: task.completedAt,
       };
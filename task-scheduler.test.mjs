@@ -0,0 +1,204 @@
+// 调度器测试（node --test task-scheduler.test.mjs）：内存页面后端（memory-page-driver.mjs）+ 虚拟时钟（simulation.mjs），不需要浏览器
+// ⚠️ 测试修改 CONFIG 中的限制和 SOLUTION_GRACE_PERIOD，每个测试结束后恢复
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from './config.mjs';
+import { TaskScheduler, TaskStatus, CONFIG } from './task-scheduler.mjs';
+import { InitPhase } from './task-state-machine.mjs';
+import { MemoryPageDriver, MemoryPageBackend } from './memory-page-driver.mjs';
+import { PageState } from './page-state.mjs';
+import { VirtualClock } from './simulation.mjs';
+import { CircuitBreaker } from './circuit-breaker.mjs';
+import { createCycleClock } from './cycle-clock.mjs';
+
+const cycleClock = createCycleClock({ CYCLE_LENGTH_MINUTES: 60, CYCLE_OFFSET_MINUTES: 0, CYCLE_TIMEZONE: 'UTC' });
+const CYCLE_START = Date.UTC(2025, 0, 6, 0, 0);
+const MINUTE = 60000;
+const GRACE_PERIOD = 10000;
+
+let clock;
+let savedConfig;
+let savedGracePeriod;
+let savedConsole;
+
+beforeEach(() => {
+  savedConfig = { ...CONFIG };
+  savedGracePeriod = config.SOLUTION_GRACE_PERIOD;
+  config.SOLUTION_GRACE_PERIOD = GRACE_PERIOD;
+  Object.assign(CONFIG, {
+    MAX_ACTIVE_MINING: 2,
+    MAX_OPEN_PAGES: 4,
+    PAGE_OPEN_CONCURRENCY: 4,
+    STATUS_CHECK_INTERVAL: 5000,
+    RESET_AT_HOUR: true,
+  });
+  savedConsole = { log: console.log, warn: console.warn, error: console.error };
+  console.log = () => {};
+  console.warn = () => {};
+  clock = new VirtualClock(CYCLE_START + MINUTE);
+  clock.install();
+});
+
+afterEach(() => {
+  clock.uninstall();
+  Object.assign(console, savedConsole);
+  Object.assign(CONFIG, savedConfig);
+  config.SOLUTION_GRACE_PERIOD = savedGracePeriod;
+});
+
+function createScheduler(ids) {
+  const backend = new MemoryPageBackend();
+  const scheduler = new TaskScheduler({
+    pageBackend: backend,
+    cycleClock,
+    persistState: false,
+    taskFilter: null,
+    leaseStore: null,
+    selectionPolicy: 'priority',
+    circuitBreaker: new CircuitBreaker(),
+  });
+  for (const id of ids) {
+    scheduler.addTask(id, { addr: `addr_${id}`, source: 'test' });
+  }
+  return { scheduler, backend };
+}
+
+// 不经过 start()，直接把任务放到挖矿状态（页面为内存驱动）
+function startMining(scheduler, id, { createdAt } = {}) {
+  const task = scheduler.tasks.get(id);
+  task.driver = new MemoryPageDriver({ taskId: id, state: PageState.MINING });
+  if (createdAt !== undefined) {
+    task.createdAt = createdAt;
+  }
+  scheduler.setTaskStatus(task, TaskStatus.INITIALIZING, 'test');
+  scheduler.setTaskStatus(task, TaskStatus.MINING, 'test');
+  return task;
+}
+
+// 页面已打开、停在 start session 页面（logged-in）或还在登录（logging-in）
+function openPage(scheduler, id, phase) {
+  const task = scheduler.tasks.get(id);
+  task.driver = new MemoryPageDriver({ taskId: id, state: phase === InitPhase.LOGGED_IN ? PageState.READY : PageState.LOGGING_IN });
+  scheduler.setTaskStatus(task, TaskStatus.INITIALIZING, 'test');
+  scheduler.stateMachine.setInitPhase(task, phase);
+  return task;
+}
+
+function statuses(scheduler) {
+  return Object.fromEntries(Array.from(scheduler.tasks.values(), task => [task.id, task.status]));
+}
+
+test('schedule() opens pages and keeps active mining within MAX_ACTIVE_MINING', async () => {
+  const { scheduler, backend } = createScheduler(['job-1', 'job-2', 'job-3']);
+  await clock.runUntilSettled(scheduler.start());
+  await clock.runUntil(clock.now + MINUTE);
+
+  assert.equal(scheduler.getActiveMiningCount(), 2);
+  assert.equal(backend.drivers.get('job-1').state, PageState.ACTIVE);
+  assert.equal(backend.drivers.get('job-2').state, PageState.ACTIVE);
+  assert.equal(scheduler.tasks.get('job-3').status, TaskStatus.INITIALIZING);
+
+  // job-1 完成：页面关闭，空出的名额给 job-3
+  backend.drivers.get('job-1').solve();
+  await clock.runUntil(clock.now + 2 * MINUTE);
+  assert.equal(backend.drivers.get('job-1').isClosed(), true);
+  assert.equal(scheduler.tasks.get('job-1').cyclesSinceCompletion, 0);
+  assert.equal(backend.drivers.get('job-3').state, PageState.ACTIVE);
+  assert.equal(scheduler.getActiveMiningCount(), 2);
+
+  await clock.runUntilSettled(scheduler.stop());
+});
+
+test('schedule() resets the cycle at the cycle boundary', async () => {
+  const { scheduler, backend } = createScheduler(['job-1', 'job-2']);
+  await clock.runUntilSettled(scheduler.start());
+  await clock.runUntil(clock.now + MINUTE);
+  const firstDriver = backend.drivers.get('job-1');
+  const cycle = scheduler.stats.cycle;
+
+  await clock.runUntil(CYCLE_START + 60 * MINUTE + MINUTE);
+
+  assert.equal(scheduler.stats.cycle, cycle + 1);
+  assert.equal(firstDriver.isClosed(), true);
+  assert.notEqual(backend.drivers.get('job-1'), firstDriver); // 新周期重新打开页面
+  assert.equal(scheduler.tasks.get('job-1').cyclesSinceCompletion, 1);
+
+  await clock.runUntilSettled(scheduler.stop());
+});
+
+test('resetCycle() waits for in-flight solutions, then closes every page', async () => {
+  const { scheduler } = createScheduler(['job-1', 'job-2', 'job-3']);
+  const submitting = startMining(scheduler, 'job-1');
+  const stuck = startMining(scheduler, 'job-2');
+  startMining(scheduler, 'job-3');
+  submitting.driver.pendingSolution = true;
+  stuck.driver.pendingSolution = true;
+  setTimeout(() => {
+    submitting.driver.solve();
+    scheduler.recordSubmitSolution('job-1');
+  }, 2000);
+
+  const drivers = Array.from(scheduler.tasks.values(), task => task.driver);
+  const startedAt = clock.now;
+  await clock.runUntilSettled(scheduler.resetCycle());
+
+  // job-2 的提交一直没有结束：等到 SOLUTION_GRACE_PERIOD 后照样关闭
+  assert.ok(clock.now - startedAt >= GRACE_PERIOD);
+  assert.ok(drivers.every(driver => driver.isClosed()));
+  assert.deepEqual(statuses(scheduler), { 'job-1': TaskStatus.PENDING, 'job-2': TaskStatus.PENDING, 'job-3': TaskStatus.PENDING });
+  assert.equal(scheduler.tasks.get('job-1').lastSolutionSubmittedAt, startedAt + 2000);
+  assert.ok(Array.from(scheduler.tasks.values()).every(task => task.cyclesSinceCompletion === 1));
+});
+
+test('resetCycle() counts every cycle boundary skipped since the previous cycle start', async () => {
+  const { scheduler } = createScheduler(['job-1', 'job-2']);
+  scheduler.tasks.get('job-2').cyclesSinceCompletion = 2;
+  // 例如系统休眠：上一个周期从 3 个周期之前开始
+  scheduler.currentCycleStartTime = new Date(CYCLE_START - 3 * 60 * MINUTE);
+
+  await clock.runUntilSettled(scheduler.resetCycle());
+
+  assert.equal(scheduler.currentCycleStartTime.getTime(), CYCLE_START);
+  assert.equal(scheduler.tasks.get('job-1').cyclesSinceCompletion, 3);
+  assert.equal(scheduler.tasks.get('job-2').cyclesSinceCompletion, 5);
+});
+
+test('checkAndEnforceActiveMiningLimit() stops the tasks the selection policy preempts first', async () => {
+  const { scheduler } = createScheduler(['job-1', 'job-2', 'job-3', 'job-4']);
+  ['job-1', 'job-2', 'job-3', 'job-4'].forEach((id, i) => startMining(scheduler, id, { createdAt: i }));
+  scheduler.setTaskPriority('job-4', { priority: 5 });
+
+  await clock.runUntilSettled(scheduler.checkAndEnforceActiveMiningLimit());
+
+  // 默认 priority 策略：优先级高的保留，相同优先级时后添加的先停止
+  assert.deepEqual(statuses(scheduler), {
+    'job-1': TaskStatus.MINING,
+    'job-2': TaskStatus.INITIALIZING,
+    'job-3': TaskStatus.INITIALIZING,
+    'job-4': TaskStatus.MINING,
+  });
+  assert.equal(scheduler.tasks.get('job-2').driver.state, PageState.READY);
+  assert.equal(scheduler.tasks.get('job-3').driver.sessionsStopped, 1);
+  assert.equal(scheduler.tasks.get('job-1').driver.sessionsStopped, 0);
+});
+
+test('checkStageTimeouts() leaves logged-in tasks alone while they wait for a mining slot', async () => {
+  const { scheduler } = createScheduler(['job-1', 'job-2', 'job-3', 'job-4']);
+  const mining = startMining(scheduler, 'job-1');
+  startMining(scheduler, 'job-2');
+  const waiting = openPage(scheduler, 'job-3', InitPhase.LOGGED_IN);
+  const loggingIn = openPage(scheduler, 'job-4', InitPhase.LOGGING_IN);
+
+  await clock.runUntil(clock.now + config.STAGE_TIMEOUT_INITIALIZING + MINUTE);
+  await clock.runUntilSettled(scheduler.checkStageTimeouts());
+  assert.equal(waiting.driver.reloads, 0);
+  assert.equal(loggingIn.driver.reloads, 1); // 登录卡住照样处理
+
+  // 名额空出后才开始计时：没有点击 start session 进入挖矿时再处理
+  await mining.driver.close();
+  await clock.runUntilSettled(scheduler.checkStageTimeouts());
+  assert.equal(waiting.driver.reloads, 0);
+  await clock.runUntil(clock.now + config.STAGE_TIMEOUT_INITIALIZING + MINUTE);
+  await clock.runUntilSettled(scheduler.checkStageTimeouts());
+  assert.equal(waiting.driver.reloads, 1);
+});
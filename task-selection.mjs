@@ -0,0 +1,83 @@
+// 任务选择策略：决定 PENDING 任务的启动顺序（tryStartNewTaskAfterClose）和超过限制时先停止哪些任务（checkAndEnforceActiveMiningLimit 等）
+// 任务的 priority（数字越大越重要，默认 0）和 weight（正数，默认 1）在任务文件中配置
+// 内置策略（TASK_SELECTION_POLICY）：
+// - priority：严格优先级，priority 高的先启动、最后被停止；相同优先级时距离最近一次完成经过周期数多的先启动（上个周期没有轮到的任务排到前面，
+//   避免任务多、MAX_ACTIVE_MINING 小时列表后面的任务每个周期都轮不到），再按任务 ID 中的数字排序
+// - weighted：加权公平分配，按 启动次数 / weight 从小到大启动（weight 为 2 的任务得到的启动次数约为 weight 为 1 的两倍），占用份额最多的先被停止；
+//   份额相同时与 priority 策略一样按优先级、距离最近一次完成的周期数排序
+// - least-recent：最久没有完成的任务先启动（从未完成的最先），最近完成的先被停止；
+//   都没有完成过时按距离最近一次完成的周期数（即添加后经过的周期数）、优先级排序
+// ⚠️ 三个内置策略都按 cyclesSinceCompletion 轮转，切换策略不会让列表后面的任务重新饿死
+// 自定义策略：传给 TaskScheduler 的 options.selectionPolicy，格式为 { name, compareForStart(a, b), compareForPreemption(a, b) }
+// - compareForStart：排序比较函数，排在前面的先启动
+// - compareForPreemption：排序比较函数，排在前面的保留，排在后面的先被停止
+// ⚠️ 比较函数只读取任务字段（priority、weight、startCount、lastCompletedAt、cyclesSinceCompletion、createdAt、id），不能修改任务
+
+export const SELECTION_POLICIES = ['priority', 'weighted', 'least-recent'];
+
+// 任务 ID 中的数字（job-2 排在 job-10 前面）
+function compareTaskIds(a, b) {
+  const aNum = parseInt(a.id.replace(/[^0-9]/g, '')) || 0;
+  const bNum = parseInt(b.id.replace(/[^0-9]/g, '')) || 0;
+  return aNum - bNum;
+}
+
+function compareByPriority(a, b) {
+  return (b.priority || 0) - (a.priority || 0);
+}
+
+// 距离最近一次完成经过周期数多的任务排在前面（周期轮转）
+function compareByStarvation(a, b) {
+  return (b.cyclesSinceCompletion || 0) - (a.cyclesSinceCompletion || 0);
+}
+
+// 先添加的任务保留（原来的停止顺序：最晚创建的先停止）
+function compareByCreatedAt(a, b) {
+  return (a.createdAt || 0) - (b.createdAt || 0);
+}
+
+// 已占用的份额：启动次数 / 权重
+function getShare(task) {
+  return (task.startCount || 0) / (task.weight || 1);
+}
+
+function compareByShare(a, b) {
+  return getShare(a) - getShare(b);
+}
+
+// 从未完成的任务 lastCompletedAt 为 null，排在最前面
+function compareByLastCompleted(a, b) {
+  return (a.lastCompletedAt || 0) - (b.lastCompletedAt || 0);
+}
+
+const BUILTIN_POLICIES = {
+  priority: {
+    name: 'priority',
+    compareForStart: (a, b) => compareByPriority(a, b) || compareByStarvation(a, b) || compareTaskIds(a, b),
+    compareForPreemption: (a, b) => compareByPriority(a, b) || compareByStarvation(a, b) || compareByCreatedAt(a, b),
+  },
+  weighted: {
+    name: 'weighted',
+    compareForStart: (a, b) => compareByShare(a, b) || compareByPriority(a, b) || compareByStarvation(a, b) || compareTaskIds(a, b),
+    compareForPreemption: (a, b) => compareByShare(a, b) || compareByPriority(a, b) || compareByStarvation(a, b) || compareByCreatedAt(a, b),
+  },
+  'least-recent': {
+    name: 'least-recent',
+    compareForStart: (a, b) => compareByLastCompleted(a, b) || compareByStarvation(a, b) || compareByPriority(a, b) || compareTaskIds(a, b),
+    compareForPreemption: (a, b) => compareByLastCompleted(a, b) || compareByStarvation(a, b) || compareByPriority(a, b) || compareByCreatedAt(a, b),
+  },
+};
+
+// 按名称取内置策略，或检查自定义策略对象
+export function getSelectionPolicy(policy) {
+  if (typeof policy === 'string') {
+    if (!BUILTIN_POLICIES[policy]) {
+      throw new Error(`Unknown task selection policy '${policy}' (expected one of ${SELECTION_POLICIES.join(', ')})`);
+    }
+    return BUILTIN_POLICIES[policy];
+  }
+  if (!policy || typeof policy.compareForStart !== 'function' || typeof policy.compareForPreemption !== 'function') {
+    throw new Error('Task selection policy must provide compareForStart(a, b) and compareForPreemption(a, b)');
+  }
+  return { name: 'custom', ...policy };
+}
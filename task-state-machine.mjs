@@ -0,0 +1,123 @@
+// 任务状态机
+// 定义 TaskStatus 之间的合法转换，所有状态变化都经过 TaskStateMachine.transition()：
+// - 非法转换被拒绝并记录日志（状态保持不变）
+// - 派生计数（stats.loggingIn / loggedIn / miningStarted）只在这里更新，调用方不再手动加减
+// - 每个任务保存最近的状态转换历史（task.history：from、to、at、reason）
+//
+// 计数的定义：
+// - loggingIn：INITIALIZING 且还没到达 start session 页面（initPhase = logging-in）的任务数
+// - loggedIn：INITIALIZING 且停在 start session 页面、还没点击 start（initPhase = logged-in）的任务数
+// - miningStarted：进入 MINING 的次数（累计），挖矿被打断（离开 MINING 但没有完成）时扣除
+
+// 任务状态
+export const TaskStatus = {
+  PENDING: 'pending',        // 待执行
+  INITIALIZING: 'initializing', // 初始化中（从点击enter address到start session）
+  MINING: 'mining',          // 正在挖矿中（页面显示"finding a solution"，任务正在进行）
+  COMPLETED: 'completed',    // 已完成（页面显示"waiting for the next challenge"，任务已完成）
+  WAITING_CLOSE: 'waiting_close', // 等待关闭（已完成后等待30s）
+  CLOSED: 'closed',          // 已关闭
+  ERROR: 'error',            // 错误
+  QUARANTINED: 'quarantined', // 已隔离（连续失败次数过多，直到 releaseTask() 才重新参与调度）
+};
+
+// INITIALIZING 的子阶段
+export const InitPhase = {
+  LOGGING_IN: 'logging-in', // 页面已打开，还没到达 start session 页面
+  LOGGED_IN: 'logged-in',   // 停在 start session 页面
+  STARTING: 'starting',     // 已点击 start session，等待进入挖矿
+};
+
+// 合法的状态转换（from -> 可以转换到的状态）
+export const TASK_TRANSITIONS = {
+  [TaskStatus.PENDING]: [TaskStatus.INITIALIZING, TaskStatus.CLOSED, TaskStatus.ERROR, TaskStatus.QUARANTINED],
+  [TaskStatus.INITIALIZING]: [TaskStatus.PENDING, TaskStatus.MINING, TaskStatus.COMPLETED, TaskStatus.CLOSED, TaskStatus.ERROR],
+  [TaskStatus.MINING]: [TaskStatus.PENDING, TaskStatus.INITIALIZING, TaskStatus.COMPLETED, TaskStatus.CLOSED, TaskStatus.ERROR],
+  [TaskStatus.COMPLETED]: [TaskStatus.PENDING, TaskStatus.WAITING_CLOSE, TaskStatus.CLOSED],
+  [TaskStatus.WAITING_CLOSE]: [TaskStatus.PENDING, TaskStatus.CLOSED],
+  [TaskStatus.CLOSED]: [TaskStatus.PENDING],
+  [TaskStatus.ERROR]: [TaskStatus.PENDING, TaskStatus.INITIALIZING, TaskStatus.MINING, TaskStatus.COMPLETED, TaskStatus.CLOSED, TaskStatus.QUARANTINED],
+  [TaskStatus.QUARANTINED]: [TaskStatus.PENDING],
+};
+
+export function isLegalTransition(from, to) {
+  return (TASK_TRANSITIONS[from] || []).includes(to);
+}
+
+export class TaskStateMachine {
+  // stats：调度器的 stats（更新 loggingIn / loggedIn / miningStarted）
+  // historySize：每个任务保留的转换历史条数
+  constructor({ stats, historySize = 20 }) {
+    this.stats = stats;
+    this.historySize = historySize;
+    this.rejectedCount = 0; // 被拒绝的非法转换次数
+  }
+
+  // 转换任务状态，返回 { ok, from }（状态相同时 ok 为 true，不记录历史）
+  // options.initPhase：进入 INITIALIZING 时的子阶段（默认：从 MINING 回来为 logged-in，否则为 logging-in）
+  transition(task, to, reason = null, options = {}) {
+    const from = task.status;
+    if (from === to) {
+      return { ok: true, from };
+    }
+    if (!isLegalTransition(from, to)) {
+      this.rejectedCount++;
+      console.warn(`[SCHEDULER] ⚠️ Illegal status transition for task ${task.id}: ${from} -> ${to}${reason ? ` (${reason})` : ''}, ignored`);
+      return { ok: false, from };
+    }
+
+    this.leaveInitPhase(task);
+    if (from === TaskStatus.MINING && to !== TaskStatus.COMPLETED && this.stats.miningStarted > 0) {
+      this.stats.miningStarted--; // 挖矿被打断
+    }
+
+    task.status = to;
+
+    if (to === TaskStatus.MINING) {
+      this.stats.miningStarted++;
+    }
+    if (to === TaskStatus.INITIALIZING) {
+      this.enterInitPhase(task, options.initPhase || (from === TaskStatus.MINING ? InitPhase.LOGGED_IN : InitPhase.LOGGING_IN));
+    }
+
+    this.recordHistory(task, { from, to, at: Date.now(), reason });
+    return { ok: true, from };
+  }
+
+  // INITIALIZING 内的子阶段变化（到达 start session 页面、点击 start session），不是 INITIALIZING 时忽略
+  setInitPhase(task, phase) {
+    if (task.status !== TaskStatus.INITIALIZING || task.initPhase === phase) {
+      return;
+    }
+    this.leaveInitPhase(task);
+    this.enterInitPhase(task, phase);
+  }
+
+  enterInitPhase(task, phase) {
+    task.initPhase = phase;
+    if (phase === InitPhase.LOGGING_IN) {
+      this.stats.loggingIn++;
+    } else if (phase === InitPhase.LOGGED_IN) {
+      this.stats.loggedIn++;
+    }
+  }
+
+  leaveInitPhase(task) {
+    if (task.initPhase === InitPhase.LOGGING_IN && this.stats.loggingIn > 0) {
+      this.stats.loggingIn--;
+    } else if (task.initPhase === InitPhase.LOGGED_IN && this.stats.loggedIn > 0) {
+      this.stats.loggedIn--;
+    }
+    task.initPhase = null;
+  }
+
+  recordHistory(task, entry) {
+    if (!task.history) {
+      task.history = [];
+    }
+    task.history.push(entry);
+    if (task.history.length > this.historySize) {
+      task.history.splice(0, task.history.length - this.historySize);
+    }
+  }
+}